@@ -0,0 +1,289 @@
+// Baseline: the schema as it stood when versioned migrations were introduced. Databases created before then
+// already have some or all of it, so unlike later migrations this one only creates what is missing, adds
+// columns older databases lack and backfills them. Fresh databases get the whole schema from it.
+exports.up = (db, { logger }) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS restrooms (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      building TEXT,
+      floor INTEGER,
+      gender TEXT,
+      active INTEGER NOT NULL DEFAULT 1,
+      archivedAt TEXT,
+      checkIntervalMinutes INTEGER
+    );
+
+    CREATE TABLE IF NOT EXISTS custodians (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      gender TEXT,
+      username TEXT,
+      password_hash TEXT,
+      role TEXT NOT NULL DEFAULT 'custodian',
+      active INTEGER NOT NULL DEFAULT 1,
+      pushSeverities TEXT NOT NULL DEFAULT 'low,medium,high'
+    );
+
+    CREATE TABLE IF NOT EXISTS checks (
+      id TEXT PRIMARY KEY,
+      custodianId TEXT NOT NULL,
+      restroomId TEXT NOT NULL,
+      timestamp TEXT NOT NULL,
+      notes TEXT,
+      rating INTEGER,
+      clientKey TEXT,
+      FOREIGN KEY (custodianId) REFERENCES custodians(id),
+      FOREIGN KEY (restroomId) REFERENCES restrooms(id)
+    );
+
+    -- Checklist answered on every check. Items are deactivated rather than deleted so old answers keep their meaning.
+    CREATE TABLE IF NOT EXISTS checklist_items (
+      id TEXT PRIMARY KEY,
+      label TEXT NOT NULL,
+      position INTEGER NOT NULL DEFAULT 0,
+      active INTEGER NOT NULL DEFAULT 1
+    );
+
+    -- One answer per checklist item per check; label is copied so renaming an item does not rewrite history
+    CREATE TABLE IF NOT EXISTS check_items (
+      checkId TEXT NOT NULL,
+      itemId TEXT NOT NULL,
+      label TEXT NOT NULL,
+      passed INTEGER NOT NULL,
+      PRIMARY KEY (checkId, itemId),
+      FOREIGN KEY (checkId) REFERENCES checks(id),
+      FOREIGN KEY (itemId) REFERENCES checklist_items(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS incidents (
+      id TEXT PRIMARY KEY,
+      custodianId TEXT NOT NULL,
+      restroomId TEXT NOT NULL,
+      description TEXT NOT NULL,
+      severity TEXT DEFAULT 'medium',
+      timestamp TEXT NOT NULL,
+      pending INTEGER DEFAULT 1,
+      resolvedAt TEXT,
+      lastCheckedAt TEXT,
+      status TEXT NOT NULL DEFAULT 'open',
+      assignedTo TEXT,
+      clientKey TEXT,
+      FOREIGN KEY (custodianId) REFERENCES custodians(id),
+      FOREIGN KEY (restroomId) REFERENCES restrooms(id),
+      FOREIGN KEY (assignedTo) REFERENCES custodians(id)
+    );
+
+    -- One row per incident lifecycle step (reported, status change, assignment)
+    CREATE TABLE IF NOT EXISTS incident_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      incidentId TEXT NOT NULL,
+      action TEXT NOT NULL,
+      fromStatus TEXT,
+      toStatus TEXT,
+      assignedTo TEXT,
+      actorId TEXT NOT NULL,
+      comment TEXT,
+      timestamp TEXT NOT NULL,
+      FOREIGN KEY (incidentId) REFERENCES incidents(id),
+      FOREIGN KEY (actorId) REFERENCES custodians(id)
+    );
+
+    -- Supplies: the supply room's stock of each item, each restroom's last known level, and restock requests
+    CREATE TABLE IF NOT EXISTS supply_items (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      unit TEXT,
+      stock INTEGER NOT NULL DEFAULT 0,
+      lowStockThreshold INTEGER NOT NULL DEFAULT 10,
+      active INTEGER NOT NULL DEFAULT 1
+    );
+
+    CREATE TABLE IF NOT EXISTS restroom_supplies (
+      restroomId TEXT NOT NULL,
+      supplyItemId TEXT NOT NULL,
+      level TEXT NOT NULL DEFAULT 'ok',
+      updatedAt TEXT NOT NULL,
+      updatedBy TEXT,
+      PRIMARY KEY (restroomId, supplyItemId),
+      FOREIGN KEY (restroomId) REFERENCES restrooms(id),
+      FOREIGN KEY (supplyItemId) REFERENCES supply_items(id),
+      FOREIGN KEY (updatedBy) REFERENCES custodians(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS restock_requests (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      restroomId TEXT NOT NULL,
+      supplyItemId TEXT NOT NULL,
+      level TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'open',
+      checkId TEXT,
+      requestedBy TEXT NOT NULL,
+      requestedAt TEXT NOT NULL,
+      quantity INTEGER,
+      closedBy TEXT,
+      closedAt TEXT,
+      FOREIGN KEY (restroomId) REFERENCES restrooms(id),
+      FOREIGN KEY (supplyItemId) REFERENCES supply_items(id),
+      FOREIGN KEY (checkId) REFERENCES checks(id),
+      FOREIGN KEY (requestedBy) REFERENCES custodians(id),
+      FOREIGN KEY (closedBy) REFERENCES custodians(id)
+    );
+
+    -- Photos attached to an incident or a check; files live in UPLOADS_DIR as <id>.<ext> and <id>-thumb.jpg
+    CREATE TABLE IF NOT EXISTS attachments (
+      id TEXT PRIMARY KEY,
+      incidentId TEXT,
+      checkId TEXT,
+      uploadedBy TEXT NOT NULL,
+      filename TEXT NOT NULL,
+      originalName TEXT,
+      mimeType TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      width INTEGER,
+      height INTEGER,
+      timestamp TEXT NOT NULL,
+      FOREIGN KEY (incidentId) REFERENCES incidents(id),
+      FOREIGN KEY (checkId) REFERENCES checks(id),
+      FOREIGN KEY (uploadedBy) REFERENCES custodians(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS admins (
+      id TEXT PRIMARY KEY,
+      username TEXT UNIQUE NOT NULL,
+      password_hash TEXT NOT NULL
+    );
+
+    -- Restroom assignment: a custodian may work a restroom through a zone they belong to or a direct assignment
+    CREATE TABLE IF NOT EXISTS zones (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS zone_restrooms (
+      zoneId TEXT NOT NULL,
+      restroomId TEXT NOT NULL,
+      PRIMARY KEY (zoneId, restroomId),
+      FOREIGN KEY (zoneId) REFERENCES zones(id),
+      FOREIGN KEY (restroomId) REFERENCES restrooms(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS zone_custodians (
+      zoneId TEXT NOT NULL,
+      custodianId TEXT NOT NULL,
+      PRIMARY KEY (zoneId, custodianId),
+      FOREIGN KEY (zoneId) REFERENCES zones(id),
+      FOREIGN KEY (custodianId) REFERENCES custodians(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS restroom_custodians (
+      restroomId TEXT NOT NULL,
+      custodianId TEXT NOT NULL,
+      PRIMARY KEY (restroomId, custodianId),
+      FOREIGN KEY (restroomId) REFERENCES restrooms(id),
+      FOREIGN KEY (custodianId) REFERENCES custodians(id)
+    );
+
+    -- Browsers (usually admins' phones) subscribed to Web Push; endpoint is unique per browser
+    CREATE TABLE IF NOT EXISTS push_subscriptions (
+      endpoint TEXT PRIMARY KEY,
+      userId TEXT NOT NULL,
+      p256dh TEXT NOT NULL,
+      auth TEXT NOT NULL,
+      userAgent TEXT,
+      createdAt TEXT NOT NULL,
+      FOREIGN KEY (userId) REFERENCES custodians(id)
+    );
+
+    -- Problems and ratings sent from the login-free restroom page, held until an admin promotes or dismisses them
+    CREATE TABLE IF NOT EXISTS public_reports (
+      id TEXT PRIMARY KEY,
+      restroomId TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      category TEXT,
+      rating TEXT,
+      comment TEXT,
+      ipHash TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      createdAt TEXT NOT NULL,
+      reviewedBy TEXT,
+      reviewedAt TEXT,
+      incidentId TEXT,
+      FOREIGN KEY (restroomId) REFERENCES restrooms(id),
+      FOREIGN KEY (reviewedBy) REFERENCES custodians(id),
+      FOREIGN KEY (incidentId) REFERENCES incidents(id)
+    );
+
+    -- Append-only record of every write (see AUDIT LOG); the triggers below refuse updates and deletes
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      timestamp TEXT NOT NULL,
+      actorId TEXT,
+      actorName TEXT,
+      sessionId TEXT,
+      ip TEXT,
+      action TEXT NOT NULL,
+      targetType TEXT,
+      targetId TEXT,
+      oldValues TEXT,
+      newValues TEXT
+    );
+
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+    BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+    BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+  `);
+
+  // Add columns introduced after the initial schema to existing databases. Returns true if the column was added.
+  const ensureColumn = (table, column, definition) => {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+    if (columns.some(c => c.name === column)) return false;
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    logger.info(`Added column ${table}.${column}`);
+    return true;
+  };
+  ensureColumn('restrooms', 'gender', 'TEXT');
+  ensureColumn('restrooms', 'active', 'INTEGER NOT NULL DEFAULT 1');
+  ensureColumn('restrooms', 'archivedAt', 'TEXT');
+  ensureColumn('restrooms', 'checkIntervalMinutes', 'INTEGER');
+  ensureColumn('custodians', 'username', 'TEXT');
+  ensureColumn('custodians', 'password_hash', 'TEXT');
+  if (ensureColumn('custodians', 'role', "TEXT NOT NULL DEFAULT 'custodian'")) {
+    db.prepare("UPDATE custodians SET role = 'admin' WHERE id = 'admin'").run();
+  }
+  ensureColumn('custodians', 'active', 'INTEGER NOT NULL DEFAULT 1');
+  ensureColumn('custodians', 'pushSeverities', "TEXT NOT NULL DEFAULT 'low,medium,high'");
+  db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_custodians_username ON custodians(username)');
+  if (ensureColumn('incidents', 'status', "TEXT NOT NULL DEFAULT 'open'")) {
+    // Older incidents only had the pending flag: derive their status and a minimal history
+    db.prepare("UPDATE incidents SET status = CASE WHEN pending = 1 THEN 'open' ELSE 'resolved' END").run();
+    db.prepare(`
+      INSERT INTO incident_events (incidentId, action, toStatus, actorId, timestamp)
+      SELECT id, 'reported', 'open', custodianId, timestamp FROM incidents
+    `).run();
+    db.prepare(`
+      INSERT INTO incident_events (incidentId, action, fromStatus, toStatus, actorId, timestamp)
+      SELECT id, 'resolved', 'open', 'resolved', 'admin', resolvedAt FROM incidents WHERE pending = 0 AND resolvedAt IS NOT NULL
+    `).run();
+  }
+  ensureColumn('incidents', 'assignedTo', 'TEXT');
+  ensureColumn('incidents', 'escalatedAt', 'TEXT');
+  ensureColumn('checks', 'rating', 'INTEGER');
+  ensureColumn('checks', 'clientKey', 'TEXT');
+  ensureColumn('incidents', 'clientKey', 'TEXT');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_checks_restroom_time ON checks(restroomId, timestamp)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_checks_time ON checks(timestamp, id)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_incidents_time ON incidents(timestamp, id)');
+  db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_checks_client_key ON checks(custodianId, clientKey) WHERE clientKey IS NOT NULL');
+  db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_incidents_client_key ON incidents(custodianId, clientKey) WHERE clientKey IS NOT NULL');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_incident_events_incident ON incident_events(incidentId, id)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_attachments_incident ON attachments(incidentId)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_attachments_check ON attachments(checkId)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_restock_requests_status ON restock_requests(status, requestedAt)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_public_reports_status ON public_reports(status, createdAt)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_audit_log_time ON audit_log(timestamp, id)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actorId, timestamp)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(targetType, targetId)');
+};
@@ -0,0 +1,26 @@
+-- Campuses. Restrooms, zones and staff accounts belong to one; accounts without a campus are district-level.
+-- Existing data becomes "Main Campus" (admins can rename it) and existing admins become district admins.
+-- Empty settings fall back to the matching .env setting.
+CREATE TABLE campuses (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  active INTEGER NOT NULL DEFAULT 1,
+  adminEmail TEXT,              -- incident emails and the monthly report (ADMIN_EMAIL)
+  escalationEmail TEXT,         -- escalated incidents (ESCALATION_EMAIL)
+  schoolDayStart TEXT,          -- SCHOOL_DAY_START
+  schoolDayEnd TEXT,            -- SCHOOL_DAY_END
+  checkIntervalMinutes INTEGER  -- DEFAULT_CHECK_INTERVAL_MINUTES
+);
+
+INSERT INTO campuses (id, name) VALUES ('main', 'Main Campus');
+
+ALTER TABLE restrooms ADD COLUMN campusId TEXT REFERENCES campuses(id);
+ALTER TABLE zones ADD COLUMN campusId TEXT REFERENCES campuses(id);
+ALTER TABLE custodians ADD COLUMN campusId TEXT REFERENCES campuses(id);
+
+UPDATE restrooms SET campusId = 'main';
+UPDATE zones SET campusId = 'main';
+UPDATE custodians SET campusId = 'main' WHERE role != 'admin';
+
+CREATE INDEX idx_restrooms_campus ON restrooms(campusId);
+CREATE INDEX idx_custodians_campus ON custodians(campusId);
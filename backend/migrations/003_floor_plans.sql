@@ -0,0 +1,18 @@
+-- Floor plans: one image (SVG, PNG, JPEG or WebP) per building of a campus, shown on the dashboard map.
+-- Restrooms are pinned on their building's plan at mapX/mapY, fractions (0-1) of the image's width and height.
+-- A new upload gets a new file; old files stay in the uploads folder like photos, so backups can keep them.
+CREATE TABLE floor_plans (
+  id TEXT PRIMARY KEY,
+  campusId TEXT NOT NULL REFERENCES campuses(id),
+  building TEXT NOT NULL,
+  filename TEXT NOT NULL,
+  mimeType TEXT NOT NULL,
+  width INTEGER NOT NULL,
+  height INTEGER NOT NULL,
+  uploadedBy TEXT REFERENCES custodians(id),
+  updatedAt TEXT NOT NULL,
+  UNIQUE (campusId, building)
+);
+
+ALTER TABLE restrooms ADD COLUMN mapX REAL;
+ALTER TABLE restrooms ADD COLUMN mapY REAL;
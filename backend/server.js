@@ -2,16 +2,22 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 const session = require('express-session');
 const SQLiteStore = require('connect-sqlite3')(session);
 const Database = require('better-sqlite3');
 const winston = require('winston');
 const DailyRotateFile = require('winston-daily-rotate-file');
 const nodemailer = require('nodemailer');
+const webpush = require('web-push');
+const bcrypt = require('bcrypt');
 const cron = require('node-cron');
+const multer = require('multer');
+const sharp = require('sharp');
+const PDFDocument = require('pdfkit');
+const ExcelJS = require('exceljs');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -69,422 +75,4079 @@ try {
   process.exit(1);
 }
 
-// Create tables
-db.exec(`
-  CREATE TABLE IF NOT EXISTS restrooms (
-    id TEXT PRIMARY KEY,
-    name TEXT NOT NULL,
-    building TEXT,
-    floor INTEGER
-  );
+// Remember whether assignment tables are new so existing restrooms can be grouped into zones once
+const isNewAssignmentSchema = !db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'zones'").get();
 
-  CREATE TABLE IF NOT EXISTS custodians (
-    id TEXT PRIMARY KEY,
-    name TEXT NOT NULL,
-    gender TEXT
-  );
+// Schema migrations live in migrations/ as NNN_description.sql, or .js exporting up(db, { logger }), numbered
+// from 001 without gaps. PRAGMA user_version records the last one applied; on startup the pending ones run in
+// order inside a single transaction, so a failure leaves the database as it was. Never edit a migration that has
+// been deployed: add the next number instead.
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
 
-  CREATE TABLE IF NOT EXISTS checks (
-    id TEXT PRIMARY KEY,
-    custodianId TEXT NOT NULL,
-    restroomId TEXT NOT NULL,
-    timestamp TEXT NOT NULL,
-    notes TEXT,
-    FOREIGN KEY (custodianId) REFERENCES custodians(id),
-    FOREIGN KEY (restroomId) REFERENCES restrooms(id)
-  );
+const loadMigrations = () => {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_[\w-]+\.(sql|js)$/.test(file))
+    .map(file => ({ version: parseInt(file, 10), file }))
+    .sort((a, b) => a.version - b.version);
+  migrations.forEach((migration, index) => {
+    if (migration.version !== index + 1) {
+      throw new Error(`Migration ${migration.file} is out of sequence (expected number ${index + 1})`);
+    }
+  });
+  return migrations;
+};
 
-  CREATE TABLE IF NOT EXISTS incidents (
-    id TEXT PRIMARY KEY,
-    custodianId TEXT NOT NULL,
-    restroomId TEXT NOT NULL,
-    description TEXT NOT NULL,
-    severity TEXT DEFAULT 'medium',
-    timestamp TEXT NOT NULL,
-    pending INTEGER DEFAULT 1,
-    resolvedAt TEXT,
-    lastCheckedAt TEXT,
-    FOREIGN KEY (custodianId) REFERENCES custodians(id),
-    FOREIGN KEY (restroomId) REFERENCES restrooms(id)
-  );
+const runMigrations = () => {
+  const migrations = loadMigrations();
+  const current = db.pragma('user_version', { simple: true });
+  if (current > migrations.length) {
+    throw new Error(`Database schema version ${current} is newer than this code (${migrations.length}); ` +
+      'deploy the matching code or restore a backup taken before the upgrade');
+  }
+  const pending = migrations.slice(current);
 
-  CREATE TABLE IF NOT EXISTS admins (
-    id TEXT PRIMARY KEY,
-    username TEXT UNIQUE NOT NULL,
-    password_hash TEXT NOT NULL
-  );
-`);
+  // Foreign keys can't be switched inside a transaction and table rebuilds need them off, so they stay off
+  // until migrations are done; the check below makes sure migrations add no dangling references instead.
+  db.pragma('foreign_keys = OFF');
+  try {
+    if (pending.length > 0) {
+      db.transaction(() => {
+        const danglingBefore = db.pragma('foreign_key_check').length;
+        pending.forEach(({ version, file }) => {
+          const filePath = path.join(MIGRATIONS_DIR, file);
+          if (file.endsWith('.sql')) {
+            db.exec(fs.readFileSync(filePath, 'utf8'));
+          } else {
+            require(filePath).up(db, { logger });
+          }
+          db.pragma(`user_version = ${version}`);
+          logger.info(`Applied migration ${file}`);
+        });
+        const danglingAfter = db.pragma('foreign_key_check').length;
+        if (danglingAfter > danglingBefore) {
+          throw new Error(`Migrations left ${danglingAfter - danglingBefore} rows pointing at missing records`);
+        }
+        if (danglingBefore > 0) {
+          logger.warn(`${danglingBefore} existing rows point at missing records (see PRAGMA foreign_key_check)`);
+        }
+      })();
+    }
+  } finally {
+    db.pragma('foreign_keys = ON'); // Enforce the FOREIGN KEY clauses on every write from here on
+  }
+};
+
+try {
+  runMigrations();
+} catch (error) {
+  logger.error(`Database migration failed, not starting: ${error.message}`);
+  process.exit(1);
+}
 
 // Seed initial data
 const seedData = () => {
+  // Only used to populate an empty database; admins manage restrooms from the app after that
   const restrooms = [
     // Boys' restrooms
-    { id: 'boys-locker-room', name: "Boys' Locker Room", building: 'Athletics', floor: 1 },
-    { id: 'g-wing', name: 'G Wing', building: 'G Wing', floor: 1 },
-    { id: 'd-wing', name: 'D Wing', building: 'D Wing', floor: 1 },
-    { id: 'l-wing', name: 'L Wing', building: 'L Wing', floor: 1 },
-    { id: 'n-wing', name: 'N Wing', building: 'N Wing', floor: 1 },
+    { id: 'boys-locker-room', name: "Boys' Locker Room", building: 'Athletics', floor: 1, gender: 'male' },
+    { id: 'g-wing', name: 'G Wing', building: 'G Wing', floor: 1, gender: 'male' },
+    { id: 'd-wing', name: 'D Wing', building: 'D Wing', floor: 1, gender: 'male' },
+    { id: 'l-wing', name: 'L Wing', building: 'L Wing', floor: 1, gender: 'male' },
+    { id: 'n-wing', name: 'N Wing', building: 'N Wing', floor: 1, gender: 'male' },
     // Girls' restrooms
-    { id: 'girls-locker-room', name: "Girls' Locker Room", building: 'Athletics', floor: 1 },
-    { id: 'h-wing', name: 'H Wing', building: 'H Wing', floor: 1 },
-    { id: 'j-wing', name: 'J Wing', building: 'J Wing', floor: 1 },
-    { id: 'c-wing', name: 'C Wing', building: 'C Wing', floor: 1 },
-    { id: 'e-wing', name: 'E Wing', building: 'E Wing', floor: 1 },
-    { id: 'm-wing', name: 'M Wing', building: 'M Wing', floor: 1 }
+    { id: 'girls-locker-room', name: "Girls' Locker Room", building: 'Athletics', floor: 1, gender: 'female' },
+    { id: 'h-wing', name: 'H Wing', building: 'H Wing', floor: 1, gender: 'female' },
+    { id: 'j-wing', name: 'J Wing', building: 'J Wing', floor: 1, gender: 'female' },
+    { id: 'c-wing', name: 'C Wing', building: 'C Wing', floor: 1, gender: 'female' },
+    { id: 'e-wing', name: 'E Wing', building: 'E Wing', floor: 1, gender: 'female' },
+    { id: 'm-wing', name: 'M Wing', building: 'M Wing', floor: 1, gender: 'female' }
   ];
 
   const custodians = [
-    { id: 'admin', name: 'Admin', gender: null },
-    { id: 'shantelle', name: 'Shantelle', gender: 'female' },
-    { id: 'jalessa', name: 'Jalessa', gender: 'female' },
-    { id: 'joel', name: 'Joel', gender: 'male' },
-    { id: 'javon', name: 'Javon', gender: 'male' },
-    { id: 'rey', name: 'Rey', gender: 'male' }
+    { id: 'admin', name: 'Admin', gender: null, role: 'admin' },
+    { id: 'shantelle', name: 'Shantelle', gender: 'female', role: 'custodian' },
+    { id: 'jalessa', name: 'Jalessa', gender: 'female', role: 'custodian' },
+    { id: 'joel', name: 'Joel', gender: 'male', role: 'custodian' },
+    { id: 'javon', name: 'Javon', gender: 'male', role: 'custodian' },
+    { id: 'rey', name: 'Rey', gender: 'male', role: 'custodian' }
+  ];
+
+  const checklistItems = [
+    { id: 'toilet-paper', label: 'Toilet paper stocked' },
+    { id: 'soap', label: 'Soap stocked' },
+    { id: 'paper-towels', label: 'Paper towels stocked' },
+    { id: 'floors', label: 'Floors clean and dry' },
+    { id: 'trash', label: 'Trash emptied' }
+  ];
+
+  const supplyItems = [
+    { id: 'toilet-paper', name: 'Toilet paper', unit: 'rolls' },
+    { id: 'soap', name: 'Hand soap', unit: 'refills' },
+    { id: 'paper-towels', name: 'Paper towels', unit: 'rolls' }
   ];
 
-  const insertRestroom = db.prepare('INSERT OR IGNORE INTO restrooms (id, name, building, floor) VALUES (?, ?, ?, ?)');
-  const insertCustodian = db.prepare('INSERT OR IGNORE INTO custodians (id, name, gender) VALUES (?, ?, ?)');
+  // Sample restrooms and staff go in the first campus (Main Campus from migration 002); the admin is district-level
+  const campusId = db.prepare('SELECT id FROM campuses ORDER BY rowid').pluck().get();
+  const insertRestroom = db.prepare('INSERT OR IGNORE INTO restrooms (id, name, building, floor, gender, campusId) VALUES (?, ?, ?, ?, ?, ?)');
+  const insertCustodian = db.prepare('INSERT OR IGNORE INTO custodians (id, name, gender, role, campusId) VALUES (?, ?, ?, ?, ?)');
+
+  const restroomCount = db.prepare('SELECT COUNT(*) as count FROM restrooms').get().count;
+  if (restroomCount === 0) {
+    restrooms.forEach(r => insertRestroom.run(r.id, r.name, r.building, r.floor, r.gender, campusId));
+  } else {
+    // Databases created before restrooms had a served gender: fill it in for the original wings
+    const backfillGender = db.prepare('UPDATE restrooms SET gender = ? WHERE id = ? AND gender IS NULL');
+    restrooms.forEach(r => backfillGender.run(r.gender, r.id));
+  }
+  custodians.forEach(c => insertCustodian.run(c.id, c.name, c.gender, c.role, c.role === 'admin' ? null : campusId));
+
+  // Default checklist; admins edit it from the Checklist page afterwards
+  if (db.prepare('SELECT COUNT(*) as count FROM checklist_items').get().count === 0) {
+    const insertChecklistItem = db.prepare('INSERT INTO checklist_items (id, label, position) VALUES (?, ?, ?)');
+    checklistItems.forEach((item, index) => insertChecklistItem.run(item.id, item.label, index + 1));
+  }
+
+  // Supply items start with an empty supply room; admins enter the real counts on the Supplies page
+  if (db.prepare('SELECT COUNT(*) as count FROM supply_items').get().count === 0) {
+    const insertSupplyItem = db.prepare('INSERT INTO supply_items (id, name, unit) VALUES (?, ?, ?)');
+    supplyItems.forEach(item => insertSupplyItem.run(item.id, item.name, item.unit));
+  }
 
-  restrooms.forEach(r => insertRestroom.run(r.id, r.name, r.building, r.floor));
-  custodians.forEach(c => insertCustodian.run(c.id, c.name, c.gender));
+  // Replace the old gender-based restroom split with two zones the first time assignments exist
+  if (isNewAssignmentSchema) {
+    const zones = [
+      { id: 'girls-restrooms', name: "Girls' Restrooms", gender: 'female' },
+      { id: 'boys-restrooms', name: "Boys' Restrooms", gender: 'male' }
+    ];
+    const insertZone = db.prepare('INSERT OR IGNORE INTO zones (id, name, campusId) VALUES (?, ?, ?)');
+    const insertZoneRestrooms = db.prepare(`
+      INSERT OR IGNORE INTO zone_restrooms (zoneId, restroomId)
+      SELECT ?, id FROM restrooms WHERE gender = ? OR gender IS NULL
+    `);
+    const insertZoneCustodians = db.prepare(`
+      INSERT OR IGNORE INTO zone_custodians (zoneId, custodianId)
+      SELECT ?, id FROM custodians WHERE LOWER(gender) = ? AND role != 'admin'
+    `);
+    db.transaction(() => {
+      zones.forEach(z => {
+        insertZone.run(z.id, z.name, campusId);
+        insertZoneRestrooms.run(z.id, z.gender);
+        insertZoneCustodians.run(z.id, z.gender);
+      });
+    })();
+    logger.info('Restroom zones seeded from restroom and custodian gender');
+  }
 
   logger.info('Database seeded with initial data');
 };
 
 seedData();
 
-// ============ MIDDLEWARE ============
-app.use(helmet());
-// CORS: use FRONTEND_URL when set (e.g. http://your-vm-ip:5173 or https://your-domain). Else production default; dev allow any for VM access.
-const corsOrigin = process.env.FRONTEND_URL
-  || (process.env.NODE_ENV === 'production' ? 'https://shs-hygieia.tusd.org' : true);
-app.use(cors({
-  origin: corsOrigin,
-  credentials: true
-}));
-app.use(express.json());
+// ============ ACCOUNTS ============
+// Every person who logs in is a row in custodians with a username and bcrypt password hash and a role
+// (USER_ROLES). Staff without a username cannot log in until an admin sets one.
+const BCRYPT_ROUNDS = 12;
+const USER_ROLES = ['custodian', 'lead', 'supervisor', 'viewer', 'admin'];
+const MIN_PASSWORD_LENGTH = 8;
 
-// Session management
-app.use(session({
-  store: new SQLiteStore({
-    db: 'sessions.db',
-    dir: './data'
-  }),
-  secret: process.env.SESSION_SECRET || 'change-this-in-production',
-  resave: false,
-  saveUninitialized: false,
-  cookie: {
-    maxAge: null, // Session cookie (expires when browser closes)
-    httpOnly: true,
-    secure: false,
-    sameSite: 'lax' // Changed from 'strict' to 'lax' for better compatibility
+// Which roles hold each permission. Routes check permissions, never roles (requirePermission), and the
+// browser gets the logged-in user's list from auth/status to hide what they can't use.
+const PERMISSIONS = {
+  'restrooms.all': ['supervisor', 'viewer', 'admin'], // See and work every restroom, not only assigned ones
+  'checks.log': ['custodian', 'lead', 'supervisor', 'admin'],
+  'incidents.report': ['custodian', 'lead', 'supervisor', 'admin'],
+  'incidents.work': ['custodian', 'lead', 'supervisor', 'admin'], // Acknowledge and start work
+  'incidents.resolve-low': ['lead', 'supervisor', 'admin'],
+  'incidents.resolve': ['supervisor', 'admin'], // Any severity
+  'incidents.reopen': ['supervisor', 'admin'],
+  'incidents.assign': ['supervisor', 'admin'],
+  'incidents.alerts': ['supervisor', 'admin'], // Web Push incident notifications
+  'supplies.restock': ['lead', 'supervisor', 'admin'],
+  'public-reports.moderate': ['lead', 'supervisor', 'admin'],
+  'analytics.view': ['supervisor', 'viewer', 'admin'],
+  'reports.view': ['supervisor', 'viewer', 'admin'],
+  'reports.archive': ['admin'],
+  'config.manage': ['admin'], // The campus's restrooms, zones, assignments and settings
+  'shared-config.manage': ['admin'], // The checklist and supply items every campus shares
+  'campuses.manage': ['admin'], // Add and archive campuses
+  'accounts.manage': ['admin'],
+  'audit.view': ['admin'],
+  'backups.manage': ['admin']
+};
+
+// Permissions that reach beyond one campus. Accounts tied to a campus never get them, whatever their role.
+const DISTRICT_PERMISSIONS = ['shared-config.manage', 'campuses.manage', 'audit.view', 'backups.manage'];
+
+const hasPermission = (user, permission) => !!user && PERMISSIONS[permission].includes(user.role)
+  && !(user.campusId && DISTRICT_PERMISSIONS.includes(permission));
+const permissionsFor = (user) => Object.keys(PERMISSIONS).filter(permission => hasPermission(user, permission));
+
+const normalizeUsername = (raw) => (typeof raw === 'string' ? raw.trim().toLowerCase() : '');
+
+// Give the seeded Admin account a district-level login on first start (ADMIN_USERNAME / ADMIN_PASSWORD),
+// and carry over any rows from the old, unused admins table.
+const bootstrapAccounts = () => {
+  const legacyAdmins = db.prepare('SELECT id, username, password_hash FROM admins').all();
+  const insertLegacyAdmin = db.prepare(`
+    INSERT OR IGNORE INTO custodians (id, name, username, password_hash, role)
+    VALUES (?, ?, ?, ?, 'admin')
+  `);
+  legacyAdmins.forEach(a => insertLegacyAdmin.run(`admin-${a.id}`, a.username, normalizeUsername(a.username), a.password_hash));
+
+  const hasAdminLogin = db.prepare(`
+    SELECT 1 FROM custodians
+    WHERE role = 'admin' AND campusId IS NULL AND active = 1 AND username IS NOT NULL AND password_hash IS NOT NULL
+  `).get();
+  if (hasAdminLogin) return;
+
+  const adminPassword = (process.env.ADMIN_PASSWORD || '').trim();
+  if (!adminPassword) {
+    logger.warn('No admin account can log in. Set ADMIN_PASSWORD to create one on startup.');
+    return;
   }
-}));
+  const username = normalizeUsername(process.env.ADMIN_USERNAME) || 'admin';
+  db.prepare('UPDATE custodians SET username = ?, password_hash = ?, role = ?, campusId = NULL, active = 1 WHERE id = ?')
+    .run(username, bcrypt.hashSync(adminPassword, BCRYPT_ROUNDS), 'admin', 'admin');
+  logger.info(`Admin account "${username}" created from ADMIN_PASSWORD`);
+};
 
-// ============ SSE (Server-Sent Events) ============
-// Push small events when data changes; clients refetch via REST.
-const sseClients = [];
-function broadcastSSE(event) {
-  const payload = 'data: ' + JSON.stringify(event) + '\n\n';
-  sseClients.forEach((res) => {
-    try {
-      res.write(payload);
-    } catch (err) {
-      // ignore write errors (e.g. closed connection)
+bootstrapAccounts();
+
+// Signs session cookies and public form tokens. The fallback is for development only: anyone who knows it can
+// forge a session, so production refuses to start without SESSION_SECRET.
+const DEV_SESSION_SECRET = 'change-this-in-production';
+const SESSION_SECRET = process.env.SESSION_SECRET || DEV_SESSION_SECRET;
+if (process.env.NODE_ENV === 'production' && SESSION_SECRET === DEV_SESSION_SECRET) {
+  logger.error('SESSION_SECRET is not set; refusing to start in production. Generate one with: openssl rand -hex 32');
+  process.exit(1);
+}
+
+// A session ends after this long without a request
+const SESSION_IDLE_MINUTES = Number(process.env.SESSION_IDLE_MINUTES) || 120;
+
+// True when the session has gone SESSION_IDLE_MINUTES without a request. Otherwise notes this request, at
+// most once a minute so the session store isn't written on every call.
+function isSessionIdle(req) {
+  const now = Date.now();
+  const lastSeenAt = req.session.lastSeenAt || 0;
+  if (lastSeenAt && now - lastSeenAt > SESSION_IDLE_MINUTES * 60000) return true;
+  if (now - lastSeenAt >= 60000) req.session.lastSeenAt = now;
+  return false;
+}
+
+// CSRF: each login gets a random token, sent to the app in the login and status responses. Logged-in requests
+// that change something must send it back in the X-CSRF-Token header (checked in MIDDLEWARE). Another site can
+// make a browser send the session cookie, but it can't read the token.
+const issueCsrfToken = (req) => {
+  req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+  return req.session.csrfToken;
+};
+
+function hasValidCsrfToken(req) {
+  const expected = Buffer.from(req.session.csrfToken || '');
+  const sent = Buffer.from(req.get('X-CSRF-Token') || '');
+  return expected.length > 0 && sent.length === expected.length && crypto.timingSafeEqual(sent, expected);
+}
+
+// Failed logins are counted per key (an IP or a username) over windowMs. maxFailures of them lock the key out
+// for baseLockMs, and each lockout after that doubles, up to maxLockMs, until a day passes without a failure.
+// Kept in memory like the public report limits; a restart clears them.
+function createLoginThrottle({ maxFailures, windowMs, baseLockMs, maxLockMs }) {
+  const FORGET_MS = 24 * 60 * 60 * 1000;
+  const entries = new Map(); // key -> { failures: [times], lockouts, lockedUntil, lastFailure }
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.lockedUntil < now && entry.lastFailure < now - FORGET_MS) entries.delete(key);
+    }
+  }, windowMs).unref();
+  return {
+    // Seconds until key may try again; 0 when it isn't locked out
+    lockedFor(key) {
+      const entry = entries.get(key);
+      return entry && entry.lockedUntil > Date.now() ? Math.ceil((entry.lockedUntil - Date.now()) / 1000) : 0;
+    },
+    // Count a failure. Returns the lockout in seconds if this failure started one, else 0.
+    fail(key) {
+      const now = Date.now();
+      const entry = entries.get(key) || { failures: [], lockouts: 0, lockedUntil: 0, lastFailure: 0 };
+      if (entry.lastFailure < now - FORGET_MS) entry.lockouts = 0;
+      entry.failures = [...entry.failures.filter(t => t > now - windowMs), now];
+      entry.lastFailure = now;
+      entries.set(key, entry);
+      if (entry.failures.length < maxFailures) return 0;
+      const lockMs = Math.min(baseLockMs * 2 ** entry.lockouts, maxLockMs);
+      entry.lockouts += 1;
+      entry.lockedUntil = now + lockMs;
+      entry.failures = [];
+      return Math.ceil(lockMs / 1000);
+    },
+    reset(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+// A school's devices often share one public IP, so the per-IP limit is looser than the per-account one
+const loginThrottles = {
+  perAccount: createLoginThrottle({ maxFailures: 5, windowMs: 15 * 60 * 1000, baseLockMs: 60 * 1000, maxLockMs: 60 * 60 * 1000 }),
+  perIp: createLoginThrottle({ maxFailures: 20, windowMs: 15 * 60 * 1000, baseLockMs: 60 * 1000, maxLockMs: 60 * 60 * 1000 })
+};
+
+// Fields safe to send to the browser
+const publicUser = (user) => ({
+  id: user.id,
+  name: user.name,
+  gender: user.gender,
+  username: user.username,
+  role: user.role,
+  campusId: user.campusId,
+  active: !!user.active
+});
+
+// ============ CAMPUSES ============
+// Restrooms, zones and staff accounts belong to a campus; checks, incidents, restock requests and public
+// reports belong to their restroom's. Accounts without a campus are district-level: they work in one campus at
+// a time, picked from the header and kept in the session. Requests only ever see the current campus's data.
+
+// A campus's settings, with the .env defaults filled in where it has none
+const campusSettings = (campus) => ({
+  adminEmail: campus?.adminEmail || process.env.ADMIN_EMAIL || null,
+  escalationEmail: campus?.escalationEmail || process.env.ESCALATION_EMAIL || null,
+  schoolDayStart: campus?.schoolDayStart || SCHOOL_DAY_START,
+  schoolDayEnd: campus?.schoolDayEnd || SCHOOL_DAY_END,
+  checkIntervalMinutes: campus?.checkIntervalMinutes || DEFAULT_CHECK_INTERVAL_MINUTES
+});
+
+const getCampus = (id) => db.prepare('SELECT * FROM campuses WHERE id = ?').get(id);
+
+// Settings of every campus, keyed by id
+const getCampusSettings = () => Object.fromEntries(
+  db.prepare('SELECT * FROM campuses').all().map(c => [c.id, campusSettings(c)])
+);
+
+// The campus a user is working in: their own, or for a district account the one picked this session (the
+// first active campus until they pick one)
+function currentCampusId(user, session) {
+  if (user.campusId) return user.campusId;
+  const picked = session?.campusId
+    ? db.prepare('SELECT id FROM campuses WHERE id = ? AND active = 1').pluck().get(session.campusId)
+    : null;
+  return picked || db.prepare('SELECT id FROM campuses WHERE active = 1 ORDER BY name').pluck().get() || null;
+}
+
+// A logged-in account as routes see it (req.user), with the campus it is working in
+const withCurrentCampus = (user, session) => ({ ...user, currentCampusId: currentCampusId(user, session) });
+
+const isInCurrentCampus = (user, restroomId) =>
+  !!db.prepare('SELECT 1 FROM restrooms WHERE id = ? AND campusId = ?').get(restroomId, user.currentCampusId);
+
+// A district account can manage every account; a campus account only those of its own campus
+const canManageAccount = (user, account) => !user.campusId || account.campusId === user.campusId;
+
+// ============ RESTROOM ASSIGNMENTS ============
+// Roles with restrooms.all may work every restroom of their current campus; everyone else only what their zones
+// or direct assignments cover.
+const ASSIGNED_RESTROOM_IDS_SQL = `
+  SELECT restroomId FROM restroom_custodians WHERE custodianId = @userId
+  UNION
+  SELECT zr.restroomId FROM zone_restrooms zr
+  JOIN zone_custodians zc ON zc.zoneId = zr.zoneId
+  WHERE zc.custodianId = @userId
+`;
+
+function canWorkRestroom(user, restroomId) {
+  if (!isInCurrentCampus(user, restroomId)) return false;
+  if (hasPermission(user, 'restrooms.all')) return true;
+  return !!db.prepare(`SELECT 1 FROM (${ASSIGNED_RESTROOM_IDS_SQL}) WHERE restroomId = @restroomId`)
+    .get({ userId: user.id, restroomId });
+}
+
+function getZones(campusId) {
+  const zones = db.prepare('SELECT * FROM zones WHERE campusId = ? ORDER BY name').all(campusId);
+  const restroomRows = db.prepare('SELECT zoneId, restroomId FROM zone_restrooms').all();
+  const custodianRows = db.prepare('SELECT zoneId, custodianId FROM zone_custodians').all();
+  return zones.map(z => ({
+    ...z,
+    restroomIds: restroomRows.filter(r => r.zoneId === z.id).map(r => r.restroomId),
+    custodianIds: custodianRows.filter(c => c.zoneId === z.id).map(c => c.custodianId)
+  }));
+}
+
+// A staff member's zones and direct restroom assignments
+function getAssignments(custodianId) {
+  return {
+    zoneIds: db.prepare('SELECT zoneId FROM zone_custodians WHERE custodianId = ? ORDER BY zoneId').pluck().all(custodianId),
+    restroomIds: db.prepare('SELECT restroomId FROM restroom_custodians WHERE custodianId = ? ORDER BY restroomId').pluck().all(custodianId)
+  };
+}
+
+// Keep only ids that exist in the given table (restrooms, zones or custodians) and belong to the campus;
+// returns null if the input is not an array
+function filterExistingIds(table, ids, campusId) {
+  if (!Array.isArray(ids)) return null;
+  const exists = db.prepare(`SELECT 1 FROM ${table} WHERE id = ? AND campusId = ?`);
+  return [...new Set(ids)].filter(id => typeof id === 'string' && exists.get(id, campusId));
+}
+
+// ============ INCIDENT LIFECYCLE ============
+const INCIDENT_SEVERITIES = ['low', 'medium', 'high'];
+
+// open -> acknowledged -> in_progress -> resolved, with reopen (resolved -> open). pending mirrors
+// "not resolved" so existing checks on pending keep working.
+const INCIDENT_STATUSES = ['open', 'acknowledged', 'in_progress', 'resolved'];
+const INCIDENT_TRANSITIONS = {
+  open: ['acknowledged', 'in_progress', 'resolved'],
+  acknowledged: ['in_progress', 'resolved'],
+  in_progress: ['resolved'],
+  resolved: ['open']
+};
+const INCIDENT_ACTIONS = {
+  acknowledged: 'acknowledged',
+  in_progress: 'started',
+  resolved: 'resolved',
+  open: 'reopened'
+};
+
+// Why the user may not move the incident to status, or null if they may. Acknowledging and starting work
+// take incidents.work on the incident's restroom (or being its assignee); resolving takes incidents.resolve,
+// or incidents.resolve-low for a low-severity incident they could work; reopening takes incidents.reopen.
+function incidentStatusDenial(user, incident, status) {
+  const canWorkIncident = incident.assignedTo === user.id || canWorkRestroom(user, incident.restroomId);
+  if (status === 'open') {
+    return hasPermission(user, 'incidents.reopen') ? null : 'You may not reopen incidents';
+  }
+  if (status === 'resolved') {
+    if (hasPermission(user, 'incidents.resolve')) return null;
+    if (hasPermission(user, 'incidents.resolve-low') && incident.severity === 'low') {
+      return canWorkIncident ? null : 'You are not assigned to this incident';
     }
+    return hasPermission(user, 'incidents.resolve-low')
+      ? 'You may only resolve low-severity incidents'
+      : 'You may not resolve incidents';
+  }
+  if (!hasPermission(user, 'incidents.work')) return 'You may not update incidents';
+  return canWorkIncident ? null : 'You are not assigned to this incident';
+}
+
+function recordIncidentEvent(event) {
+  db.prepare(`
+    INSERT INTO incident_events (incidentId, action, fromStatus, toStatus, assignedTo, actorId, comment, timestamp)
+    VALUES (@incidentId, @action, @fromStatus, @toStatus, @assignedTo, @actorId, @comment, @timestamp)
+  `).run({ fromStatus: null, toStatus: null, assignedTo: null, comment: null, ...event });
+}
+
+// Lifecycle history for the given incidents, keyed by incident id, oldest first
+function getIncidentHistory(incidentIds) {
+  if (incidentIds.length === 0) return {};
+  const rows = db.prepare(`
+    SELECT e.*, actor.name as actor, assignee.name as assignee
+    FROM incident_events e
+    JOIN custodians actor ON e.actorId = actor.id
+    LEFT JOIN custodians assignee ON e.assignedTo = assignee.id
+    WHERE e.incidentId IN (${incidentIds.map(() => '?').join(', ')})
+    ORDER BY e.id
+  `).all(...incidentIds);
+  const history = {};
+  rows.forEach(r => {
+    (history[r.incidentId] = history[r.incidentId] || []).push(r);
   });
+  return history;
 }
 
-// ============ EMAIL (optional incident notifications) ============
-const mailTransport = process.env.SMTP_USER && process.env.SMTP_PASS
-  ? nodemailer.createTransport({
-      host: process.env.SMTP_HOST || 'smtp.gmail.com',
-      port: Number(process.env.SMTP_PORT) || 587,
-      secure: process.env.SMTP_SECURE === 'true',
-      auth: {
-        user: process.env.SMTP_USER,
-        pass: process.env.SMTP_PASS,
-      },
-    })
-  : null;
+const trimComment = (raw) => (typeof raw === 'string' && raw.trim() ? raw.trim().slice(0, 1000) : null);
 
-function formatEmailDate(iso) {
-  if (!iso) return null;
-  const d = new Date(iso);
-  return d.toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+// ============ CHECKLIST ============
+// Every check answers each active checklist item (passed or not) and rates the restroom 1-5.
+const CHECK_RATING_MIN = 1;
+const CHECK_RATING_MAX = 5;
+
+function getChecklistItems(includeInactive = false) {
+  return db.prepare(`
+    SELECT * FROM checklist_items
+    ${includeInactive ? '' : 'WHERE active = 1'}
+    ORDER BY position, label
+  `).all().map(item => ({ ...item, active: !!item.active }));
 }
 
-function sendIncidentEmail(incident) {
-  if (!mailTransport || !process.env.ADMIN_EMAIL) return Promise.resolve();
-  const { restroom, custodian, description, timestamp, lastCheckedAt, lastCheckedBy } = incident;
-  const timeStr = formatEmailDate(timestamp);
-  const lastCheckedStr = lastCheckedAt && lastCheckedBy
-    ? `${formatEmailDate(lastCheckedAt)} by ${lastCheckedBy}`
-    : lastCheckedAt
-      ? formatEmailDate(lastCheckedAt)
-      : 'Not recorded';
-  const payload = {
-    from: process.env.SMTP_USER,
-    to: process.env.ADMIN_EMAIL,
-    subject: `[Restroom Incident] ${restroom}`,
-    text: `Restroom: ${restroom}\nReported by: ${custodian}\nTime: ${timeStr}\nLast checked: ${lastCheckedStr}\n\nDescription:\n${description}`,
-    html: `<p><strong>Restroom:</strong> ${restroom}</p><p><strong>Reported by:</strong> ${custodian}</p><p><strong>Time:</strong> ${timeStr}</p><p><strong>Last checked:</strong> ${lastCheckedStr}</p><p><strong>Description:</strong></p><p>${description}</p>`,
+// Validate the answers and rating posted with a check. Multipart requests (photos) send items as a JSON string.
+function parseCheckAnswers(body) {
+  let items = body.items;
+  if (typeof items === 'string') {
+    try {
+      items = JSON.parse(items);
+    } catch {
+      return { error: 'Checklist answers are not valid JSON' };
+    }
+  }
+  if (!Array.isArray(items)) {
+    return { error: 'Checklist answers are required' };
+  }
+
+  const rating = Number(body.rating);
+  if (!Number.isInteger(rating) || rating < CHECK_RATING_MIN || rating > CHECK_RATING_MAX) {
+    return { error: `Rating must be a whole number from ${CHECK_RATING_MIN} to ${CHECK_RATING_MAX}` };
+  }
+
+  const passedById = new Map();
+  for (const item of items) {
+    if (!item || typeof item.itemId !== 'string' || typeof item.passed !== 'boolean') {
+      return { error: 'Each checklist answer needs an itemId and passed (true or false)' };
+    }
+    passedById.set(item.itemId, item.passed);
+  }
+  const checklist = getChecklistItems();
+  const unknown = [...passedById.keys()].filter(id => !checklist.some(item => item.id === id));
+  if (unknown.length > 0) {
+    return { error: `Unknown checklist item: ${unknown.join(', ')}` };
+  }
+  const unanswered = checklist.filter(item => !passedById.has(item.id));
+  if (unanswered.length > 0) {
+    return { error: `Please answer: ${unanswered.map(item => item.label).join(', ')}` };
+  }
+
+  return {
+    rating,
+    answers: checklist.map(item => ({ itemId: item.id, label: item.label, passed: passedById.get(item.id) })),
   };
-  return mailTransport.sendMail(payload)
-    .then(() => logger.info('Incident email sent to', process.env.ADMIN_EMAIL))
-    .catch((err) => logger.error('Incident email failed', err.message));
 }
 
-// ============ MONTHLY SPREADSHEET REPORT ============
-const REPORTS_DIR = path.join(__dirname, 'reports');
-const REPORT_HEADER = 'Date,Type,Restroom,Custodian,Details\n';
+// Checklist answers for the given checks, keyed by check id, in checklist order
+function getCheckItems(checkIds) {
+  if (checkIds.length === 0) return {};
+  const rows = db.prepare(`
+    SELECT ci.checkId, ci.itemId, ci.label, ci.passed
+    FROM check_items ci
+    LEFT JOIN checklist_items item ON ci.itemId = item.id
+    WHERE ci.checkId IN (${checkIds.map(() => '?').join(',')})
+    ORDER BY item.position, ci.label
+  `).all(...checkIds);
+  return rows.reduce((byCheck, { checkId, passed, ...answer }) => {
+    (byCheck[checkId] = byCheck[checkId] || []).push({ ...answer, passed: !!passed });
+    return byCheck;
+  }, {});
+}
 
-function getReportPathForMonth(YYYYMM) {
-  return path.join(REPORTS_DIR, `${YYYYMM}.csv`);
+// One-line summary of a check for the monthly report, e.g. "Rating 3/5; failed: Soap stocked; supplies: Hand soap out"
+function describeCheck({ rating, answers = [], notes, flags = [] }) {
+  const failed = answers.filter(a => !a.passed).map(a => a.label);
+  const parts = [];
+  if (rating != null) parts.push(`Rating ${rating}/${CHECK_RATING_MAX}`);
+  if (answers.length > 0) {
+    parts.push(failed.length > 0 ? `failed: ${failed.join(', ')}` : `all ${answers.length} items OK`);
+  }
+  if (flags.length > 0) parts.push(`supplies: ${flags.map(f => `${f.supply} ${f.level}`).join(', ')}`);
+  if (notes) parts.push(`notes: ${notes}`);
+  return parts.join('; ');
 }
 
-function getCurrentReportPath() {
-  const month = new Date().toISOString().slice(0, 7);
-  return getReportPathForMonth(month);
+// ============ SUPPLIES ============
+// Custodians flag a restroom's supply as low or out during a check, which opens a restock request.
+// Fulfilling a request takes the quantity out of the supply room and sets the restroom back to ok.
+const SUPPLY_FLAG_LEVELS = ['low', 'out'];
+
+const toSupplyItem = (item) => ({ ...item, active: !!item.active, isLow: item.stock <= item.lowStockThreshold });
+
+function getSupplyItems(includeInactive = false) {
+  return db.prepare(`
+    SELECT * FROM supply_items
+    ${includeInactive ? '' : 'WHERE active = 1'}
+    ORDER BY name
+  `).all().map(toSupplyItem);
 }
 
-function escapeCsv(val) {
-  if (val == null) return '';
-  const s = String(val);
-  if (s.includes(',') || s.includes('"') || s.includes('\n')) {
-    return '"' + s.replace(/"/g, '""') + '"';
+// Validate the supply flags posted with a check: [{ supplyItemId, level: 'low' | 'out' }].
+// Multipart requests (photos) send them as a JSON string.
+function parseSupplyFlags(body) {
+  let supplies = body.supplies;
+  if (supplies === undefined || supplies === '') return { flags: [] };
+  if (typeof supplies === 'string') {
+    try {
+      supplies = JSON.parse(supplies);
+    } catch {
+      return { error: 'Supply flags are not valid JSON' };
+    }
   }
-  return s;
+  if (!Array.isArray(supplies)) {
+    return { error: 'Supply flags must be a list' };
+  }
+  const items = getSupplyItems();
+  const flags = [];
+  for (const flag of supplies) {
+    const item = flag && items.find(i => i.id === flag.supplyItemId);
+    if (!item) return { error: 'Unknown supply item' };
+    if (!SUPPLY_FLAG_LEVELS.includes(flag.level)) return { error: 'Supply level must be low or out' };
+    flags.push({ supplyItemId: item.id, supply: item.name, level: flag.level });
+  }
+  return { flags };
+}
+
+// Record low/out flags for a restroom and open (or escalate) a restock request for each.
+// Call inside the check's transaction; returns the flags so the caller can broadcast them after commit.
+function recordSupplyFlags(restroomId, flags, { checkId = null, userId, timestamp }) {
+  const upsertLevel = db.prepare(`
+    INSERT INTO restroom_supplies (restroomId, supplyItemId, level, updatedAt, updatedBy)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT (restroomId, supplyItemId) DO UPDATE SET level = excluded.level, updatedAt = excluded.updatedAt, updatedBy = excluded.updatedBy
+  `);
+  const openRequest = db.prepare(`
+    SELECT id FROM restock_requests WHERE restroomId = ? AND supplyItemId = ? AND status = 'open'
+  `);
+  flags.forEach((flag) => {
+    upsertLevel.run(restroomId, flag.supplyItemId, flag.level, timestamp, userId);
+    const existing = openRequest.get(restroomId, flag.supplyItemId);
+    if (existing) {
+      db.prepare('UPDATE restock_requests SET level = ? WHERE id = ?').run(flag.level, existing.id);
+    } else {
+      db.prepare(`
+        INSERT INTO restock_requests (restroomId, supplyItemId, level, checkId, requestedBy, requestedAt)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(restroomId, flag.supplyItemId, flag.level, checkId, userId, timestamp);
+    }
+  });
+  return flags;
 }
 
-function ensureReportHeader(filePath) {
-  if (!fs.existsSync(filePath)) {
-    fs.writeFileSync(filePath, REPORT_HEADER, 'utf8');
+// Restrooms' supplies currently flagged low or out, keyed by restroom id
+function getFlaggedSupplies() {
+  const rows = db.prepare(`
+    SELECT rs.restroomId, rs.supplyItemId, si.name, rs.level, rs.updatedAt
+    FROM restroom_supplies rs
+    JOIN supply_items si ON rs.supplyItemId = si.id
+    WHERE rs.level != 'ok'
+    ORDER BY si.name
+  `).all();
+  return rows.reduce((byRestroom, { restroomId, ...supply }) => {
+    (byRestroom[restroomId] = byRestroom[restroomId] || []).push(supply);
+    return byRestroom;
+  }, {});
+}
+
+// Send the item's new stock to dashboards, and log when the supply room is running low on it (stock at or
+// below its threshold)
+function announceSupplyRoomStock(item) {
+  if (item.active && item.stock <= item.lowStockThreshold) {
+    logger.warn(`Supply room low on ${item.id}: ${item.stock} left`);
   }
+  publishSupply(item.id);
 }
 
-function appendReportRow(row) {
-  const filePath = getCurrentReportPath();
-  ensureReportHeader(filePath);
-  const line = [row.date, row.type, row.restroom, row.custodian, row.details].map(escapeCsv).join(',');
-  fs.appendFileSync(filePath, line + '\n', 'utf8');
+// ============ CHECK SCHEDULE ============
+// Each restroom should be checked every checkIntervalMinutes (or the default) during school hours.
+// Outside school hours nothing is due. The first check of the day is due one interval after the day starts.
+const DEFAULT_CHECK_INTERVAL_MINUTES = Number(process.env.DEFAULT_CHECK_INTERVAL_MINUTES) || 60;
+const SCHOOL_DAY_START = process.env.SCHOOL_DAY_START || '07:00';
+const SCHOOL_DAY_END = process.env.SCHOOL_DAY_END || '16:00';
+const SCHOOL_DAYS = (process.env.SCHOOL_DAYS || '1,2,3,4,5').split(',').map(Number); // 0 = Sunday
+
+// Today's date at "HH:MM" local server time
+function atLocalTime(now, hhmm) {
+  const [hours, minutes] = hhmm.split(':').map(Number);
+  const d = new Date(now);
+  d.setHours(hours, minutes || 0, 0, 0);
+  return d;
 }
 
-function sendMonthlyReportAndDelete() {
-  const now = new Date();
-  const prevMonth = new Date(now.getFullYear(), now.getMonth() - 1, 1);
-  const YYYYMM = prevMonth.toISOString().slice(0, 7);
-  const filePath = getReportPathForMonth(YYYYMM);
-  if (!fs.existsSync(filePath)) {
-    logger.info('Monthly report: no file for', YYYYMM);
-    return;
+// Work out when a restroom is next due and whether it is overdue right now, on its campus's schedule
+// (campusSettings)
+function getCheckStatus(restroom, lastCheckedAt, now = new Date(), settings = campusSettings(null)) {
+  const intervalMinutes = restroom.checkIntervalMinutes || settings.checkIntervalMinutes;
+  const dayStart = atLocalTime(now, settings.schoolDayStart);
+  const dayEnd = atLocalTime(now, settings.schoolDayEnd);
+  const inSchoolHours = SCHOOL_DAYS.includes(now.getDay()) && now >= dayStart && now < dayEnd;
+  if (!inSchoolHours) {
+    return { effectiveCheckIntervalMinutes: intervalMinutes, dueAt: null, overdue: false };
   }
-  if (!mailTransport || !process.env.ADMIN_EMAIL) {
-    logger.warn('Monthly report: mail not configured, deleting file');
-    fs.unlinkSync(filePath);
-    return;
+
+  const last = lastCheckedAt ? new Date(lastCheckedAt) : null;
+  const base = last && last > dayStart ? last : dayStart;
+  const dueAt = new Date(base.getTime() + intervalMinutes * 60 * 1000);
+  return { effectiveCheckIntervalMinutes: intervalMinutes, dueAt: dueAt.toISOString(), overdue: now > dueAt };
+}
+
+// Latest check time and checker for every restroom, keyed by restroom id
+function getLastChecks() {
+  const rows = db.prepare(`
+    SELECT c.restroomId, c.timestamp as lastCheckedAt, cu.name as lastCheckedBy
+    FROM checks c
+    JOIN custodians cu ON c.custodianId = cu.id
+    WHERE c.timestamp = (SELECT MAX(timestamp) FROM checks WHERE restroomId = c.restroomId)
+  `).all();
+  return Object.fromEntries(rows.map(r => [r.restroomId, r]));
+}
+
+// Add last check, due time and overdue flag to restroom rows. Restrooms with an active incident
+// cannot be checked, so they are never reported as overdue.
+function withCheckStatus(restrooms, now = new Date()) {
+  const lastChecks = getLastChecks();
+  const blocked = new Set(db.prepare('SELECT DISTINCT restroomId FROM incidents WHERE pending = 1').all().map(r => r.restroomId));
+  const settings = getCampusSettings();
+  return restrooms.map(r => {
+    const last = lastChecks[r.id];
+    const status = getCheckStatus(r, last?.lastCheckedAt, now, settings[r.campusId]);
+    return {
+      ...r,
+      lastCheckedAt: last?.lastCheckedAt || null,
+      lastCheckedBy: last?.lastCheckedBy || null,
+      ...status,
+      overdue: status.overdue && !blocked.has(r.id)
+    };
+  });
+}
+
+// Restrooms that were overdue on the last sweep, so each one is announced once per overdue spell
+let overdueRestroomIds = new Set();
+
+function flagOverdueRestrooms() {
+  try {
+    const restrooms = withCheckStatus(db.prepare('SELECT * FROM restrooms WHERE active = 1').all());
+    const overdue = restrooms.filter(r => r.overdue);
+    overdue
+      .filter(r => !overdueRestroomIds.has(r.id))
+      .forEach(r => {
+        logger.info(`Restroom overdue for a check: ${r.id}`);
+        publishRestroom(r.id);
+      });
+    overdueRestroomIds = new Set(overdue.map(r => r.id));
+  } catch (error) {
+    logger.error('Error flagging overdue restrooms:', error);
   }
-  const monthLabel = prevMonth.toLocaleString('en-US', { month: 'long', year: 'numeric' });
-  const payload = {
-    from: process.env.SMTP_USER,
-    to: process.env.ADMIN_EMAIL,
-    subject: `Restroom report – ${monthLabel}`,
-    text: `Monthly restroom report for ${monthLabel} is attached.`,
-    attachments: [{ filename: `report-${YYYYMM}.csv`, content: fs.readFileSync(filePath) }],
+}
+
+// ============ HISTORY PAGINATION ============
+// GET /api/checks and GET /api/incidents return { items, nextCursor }, newest first. nextCursor is an opaque
+// token for the (timestamp, id) of the last row; pass it back as ?cursor= to get the next page.
+const HISTORY_PAGE_SIZE = 50;
+const HISTORY_MAX_PAGE_SIZE = 200;
+
+const encodeCursor = (row) => Buffer.from(`${row.timestamp}|${row.id}`).toString('base64url');
+
+function decodeCursor(cursor) {
+  const [timestamp, id] = Buffer.from(String(cursor), 'base64url').toString('utf8').split('|');
+  return timestamp && id ? { timestamp, id } : null;
+}
+
+// "2026-10-01" means local midnight; a full ISO timestamp is used as-is
+function parseHistoryDate(value, endOfDay) {
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(dateOnly ? `${value}T00:00:00` : value);
+  if (Number.isNaN(date.getTime())) return null;
+  if (dateOnly && endOfDay) date.setDate(date.getDate() + 1);
+  return date.toISOString();
+}
+
+// Comma-separated list filter, e.g. status=open,acknowledged
+function parseListFilter(value, allowed, name) {
+  const values = String(value).split(',').map(v => v.trim()).filter(Boolean);
+  const invalid = values.filter(v => !allowed.includes(v));
+  if (values.length === 0 || invalid.length > 0) {
+    return { error: `${name} must be one or more of: ${allowed.join(', ')}` };
+  }
+  return { values };
+}
+
+// Turn ?restroomId, custodianId (or other exactFilters), from, to (inclusive dates), cursor, limit - plus
+// status and severity where listFilters allows them - into SQL conditions on the table aliased as `alias`.
+// Returns { error } or { where, params, limit }.
+function parseHistoryQuery(query, alias, listFilters = {}, exactFilters = ['restroomId', 'custodianId']) {
+  const where = [];
+  const params = {};
+
+  for (const field of exactFilters) {
+    if (!query[field]) continue;
+    where.push(`${alias}.${field} = @${field}`);
+    params[field] = String(query[field]);
+  }
+  if (query.from) {
+    params.from = parseHistoryDate(String(query.from), false);
+    if (!params.from) return { error: 'from must be a date (YYYY-MM-DD) or ISO timestamp' };
+    where.push(`${alias}.timestamp >= @from`);
+  }
+  if (query.to) {
+    params.to = parseHistoryDate(String(query.to), true);
+    if (!params.to) return { error: 'to must be a date (YYYY-MM-DD) or ISO timestamp' };
+    where.push(`${alias}.timestamp < @to`);
+  }
+  for (const [field, allowed] of Object.entries(listFilters)) {
+    if (!query[field]) continue;
+    const { error, values } = parseListFilter(query[field], allowed, field);
+    if (error) return { error };
+    where.push(`${alias}.${field} IN (${values.map((v, i) => `@${field}${i}`).join(', ')})`);
+    values.forEach((v, i) => { params[`${field}${i}`] = v; });
+  }
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) return { error: 'Invalid cursor' };
+    where.push(`(${alias}.timestamp < @cursorTimestamp OR (${alias}.timestamp = @cursorTimestamp AND ${alias}.id < @cursorId))`);
+    params.cursorTimestamp = cursor.timestamp;
+    params.cursorId = cursor.id;
+  }
+
+  let limit = HISTORY_PAGE_SIZE;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > HISTORY_MAX_PAGE_SIZE) {
+      return { error: `limit must be between 1 and ${HISTORY_MAX_PAGE_SIZE}` };
+    }
+  }
+  return { where: where.length > 0 ? `WHERE ${where.join(' AND ')}` : '', params, limit };
+}
+
+// Split limit + 1 selected rows into a page and the cursor for the next one
+function toHistoryPage(rows, limit) {
+  const items = rows.slice(0, limit);
+  return { items, nextCursor: rows.length > limit ? encodeCursor(items[items.length - 1]) : null };
+}
+
+// Checks and incidents as the history routes and live updates (SSE) send them: select with *_ROWS_SQL plus
+// conditions, then add the details
+const CHECK_ROWS_SQL = `
+  SELECT c.*, cu.name as custodian, r.name as restroom
+  FROM checks c
+  JOIN custodians cu ON c.custodianId = cu.id
+  JOIN restrooms r ON c.restroomId = r.id
+`;
+
+function withCheckDetails(rows) {
+  const ids = rows.map(c => c.id);
+  const items = getCheckItems(ids);
+  const attachments = getAttachments('checkId', ids);
+  return rows.map(c => ({ ...c, items: items[c.id] || [], attachments: attachments[c.id] || [] }));
+}
+
+const INCIDENT_ROWS_SQL = `
+  SELECT i.*, cu.name as custodian, r.name as restroom, assignee.name as assignee
+  FROM incidents i
+  JOIN custodians cu ON i.custodianId = cu.id
+  JOIN restrooms r ON i.restroomId = r.id
+  LEFT JOIN custodians assignee ON i.assignedTo = assignee.id
+`;
+
+function withIncidentDetails(rows) {
+  const ids = rows.map(i => i.id);
+  const history = getIncidentHistory(ids);
+  const attachments = getAttachments('incidentId', ids);
+  return rows.map(i => ({ ...i, history: history[i.id] || [], attachments: attachments[i.id] || [] }));
+}
+
+// ============ ANALYTICS ============
+// Aggregations for the admin Analytics page, for the current campus. Days, weekdays and hours are in server local
+// time (the school's time zone), matching the check schedule. Every route takes ?from=&to= (dates, inclusive;
+// default last 30 days).
+const ANALYTICS_DEFAULT_DAYS = 30;
+const ANALYTICS_MAX_DAYS = 366;
+
+function parseAnalyticsRange(query) {
+  const to = query.to ? parseHistoryDate(String(query.to), true) : null;
+  if (query.to && !to) return { error: 'to must be a date (YYYY-MM-DD)' };
+  const end = to ? new Date(to) : atLocalTime(new Date(Date.now() + 24 * 60 * 60 * 1000), '00:00');
+
+  let from = query.from ? parseHistoryDate(String(query.from), false) : null;
+  if (query.from && !from) return { error: 'from must be a date (YYYY-MM-DD)' };
+  if (!from) {
+    const start = new Date(end);
+    start.setDate(start.getDate() - ANALYTICS_DEFAULT_DAYS);
+    from = start.toISOString();
+  }
+  if (new Date(from) >= end) return { error: 'from must be before to' };
+  if (end - new Date(from) > ANALYTICS_MAX_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `Pick a range of at most ${ANALYTICS_MAX_DAYS} days` };
+  }
+  return { from, to: end.toISOString() };
+}
+
+// YYYY-MM-DD of a timestamp in server local time
+function localDay(iso) {
+  const d = new Date(iso);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// Linear-interpolated percentile (0-100) of an ascending list of numbers
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+// count, mean, median, p90, p95 and max of a list of minutes, rounded to whole minutes
+function summarizeMinutes(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const round = (n) => (n == null ? null : Math.round(n));
+  return {
+    count: sorted.length,
+    mean: round(sorted.length ? sorted.reduce((sum, v) => sum + v, 0) / sorted.length : null),
+    median: round(percentile(sorted, 50)),
+    p90: round(percentile(sorted, 90)),
+    p95: round(percentile(sorted, 95)),
+    max: round(sorted.length ? sorted[sorted.length - 1] : null),
   };
-  mailTransport.sendMail(payload)
-    .then(() => {
-      fs.unlinkSync(filePath);
-      logger.info('Monthly report sent and file deleted:', YYYYMM);
-    })
-    .catch((err) => logger.error('Monthly report send failed', err.message));
 }
 
-// Rate limiting
-//const limiter = rateLimit({
-//  windowMs: 15 * 60 * 1000, // 15 minutes
-//  max: 100
-//});
-//app.use('/api/', limiter);
+// ============ OFFLINE SYNC ============
+// The app queues checks and incidents made without a connection and replays them later. Each one carries an
+// Idempotency-Key header (generated once on the device), so a retry after a lost response returns the
+// original record instead of creating another, and capturedAt, the time it was actually made.
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{8,100}$/;
+const MAX_CAPTURE_AGE_DAYS = 7;
+const CAPTURE_CLOCK_SKEW_MS = 5 * 60 * 1000;
 
-// Check if user is authenticated (middleware)
-const isAuthenticated = (req, res, next) => {
-  if (req.session.isAuthenticated) {
-    next();
-  } else {
-    res.status(401).json({ error: 'Authentication required' });
+// Collision-free record id, e.g. check-1760000000000-3f9a2c1b
+const newRecordId = (prefix) => `${prefix}-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+// { key } (null without the header) or { error }
+function parseIdempotencyKey(req) {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return { key: null };
+  if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+    return { error: 'Idempotency-Key must be 8-100 letters, digits, dashes or underscores' };
   }
-};
+  return { key };
+}
 
-// Check if user is admin (middleware)
-const isAdmin = (req, res, next) => {
-  if (req.session.isAdmin) {
-    next();
-  } else {
-    res.status(403).json({ error: 'Admin access required' });
+// { timestamp } for when a queued record was made (now when not given), or { error }. A device clock a few
+// minutes fast is clamped to now.
+function parseCapturedAt(value) {
+  const now = Date.now();
+  if (value === undefined || value === null || value === '') return { timestamp: new Date(now).toISOString() };
+  const captured = new Date(value);
+  if (Number.isNaN(captured.getTime())) {
+    return { error: 'capturedAt must be a date and time' };
+  }
+  if (captured.getTime() > now + CAPTURE_CLOCK_SKEW_MS) {
+    return { error: 'capturedAt is in the future' };
+  }
+  if (captured.getTime() < now - MAX_CAPTURE_AGE_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `Records made more than ${MAX_CAPTURE_AGE_DAYS} days ago can no longer be synced` };
+  }
+  return { timestamp: new Date(Math.min(captured.getTime(), now)).toISOString() };
+}
+
+// ============ PHOTO ATTACHMENTS ============
+// Incidents and checks accept up to MAX_PHOTOS_PER_UPLOAD images in the multipart field "photos". Each is
+// decoded with sharp (so only real images are kept), re-encoded without EXIF metadata (phone GPS included)
+// and given a JPEG thumbnail for cards and emails.
+const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, 'data', 'uploads');
+const MAX_PHOTO_MB = Number(process.env.MAX_PHOTO_MB) || 10;
+const MAX_PHOTOS_PER_UPLOAD = 5;
+const PHOTO_TYPES = { 'image/jpeg': 'jpeg', 'image/png': 'png', 'image/webp': 'webp' };
+const THUMB_SIZE = 320;
+fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_PHOTO_MB * 1024 * 1024, files: MAX_PHOTOS_PER_UPLOAD },
+  fileFilter: (req, file, cb) => {
+    if (PHOTO_TYPES[file.mimetype]) return cb(null, true);
+    cb(new Error('Photos must be JPEG, PNG or WebP images'));
+  },
+}).array('photos', MAX_PHOTOS_PER_UPLOAD);
+
+// Parses multipart photo uploads, turning multer's errors into 400 responses. JSON requests pass straight through.
+function acceptPhotos(req, res, next) {
+  photoUpload(req, res, (err) => {
+    if (!err) return next();
+    let message = err.message;
+    if (err.code === 'LIMIT_FILE_SIZE') message = `Each photo must be under ${MAX_PHOTO_MB} MB`;
+    if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+      message = `Attach at most ${MAX_PHOTOS_PER_UPLOAD} photos in the "photos" field`;
+    }
+    res.status(400).json({ error: message });
+  });
+}
+
+const thumbFilename = (attachmentId) => `${attachmentId}-thumb.jpg`;
+
+// Decode, strip and thumbnail the uploaded files. Returns null if any of them is not a usable image.
+async function preparePhotos(files = []) {
+  const photos = [];
+  for (const file of files) {
+    try {
+      const { format } = await sharp(file.buffer).metadata();
+      if (!Object.values(PHOTO_TYPES).includes(format)) return null;
+      // rotate() applies the EXIF orientation; the metadata itself is not copied to the output
+      const { data, info } = await sharp(file.buffer).rotate().toFormat(format).toBuffer({ resolveWithObject: true });
+      const thumb = await sharp(data)
+        .resize(THUMB_SIZE, THUMB_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 75 })
+        .toBuffer();
+      photos.push({ data, thumb, format, width: info.width, height: info.height, originalName: file.originalname });
+    } catch (error) {
+      logger.warn(`Rejected photo upload: ${error.message}`);
+      return null;
+    }
+  }
+  return photos;
+}
+
+// Write prepared photos to disk and record them against an incident or check. Call inside the owner's transaction.
+function saveAttachments(photos, { incidentId = null, checkId = null, uploadedBy, timestamp }) {
+  const insert = db.prepare(`
+    INSERT INTO attachments (id, incidentId, checkId, uploadedBy, filename, originalName, mimeType, size, width, height, timestamp)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const written = [];
+  try {
+    photos.forEach((photo) => {
+      const id = `photo-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const filename = `${id}.${photo.format === 'jpeg' ? 'jpg' : photo.format}`;
+      fs.writeFileSync(path.join(UPLOADS_DIR, filename), photo.data);
+      written.push(filename);
+      fs.writeFileSync(path.join(UPLOADS_DIR, thumbFilename(id)), photo.thumb);
+      written.push(thumbFilename(id));
+      insert.run(id, incidentId, checkId, uploadedBy, filename, photo.originalName || null,
+        `image/${photo.format}`, photo.data.length, photo.width, photo.height, timestamp);
+    });
+  } catch (error) {
+    written.forEach((filename) => fs.rmSync(path.join(UPLOADS_DIR, filename), { force: true }));
+    throw error;
+  }
+}
+
+// Attachments for the given incidents or checks, keyed by owner id. column is 'incidentId' or 'checkId'.
+function getAttachments(column, ownerIds) {
+  if (ownerIds.length === 0) return {};
+  const rows = db.prepare(`
+    SELECT id, ${column} as ownerId, originalName, mimeType, width, height
+    FROM attachments
+    WHERE ${column} IN (${ownerIds.map(() => '?').join(',')})
+    ORDER BY timestamp, id
+  `).all(...ownerIds);
+  return rows.reduce((byOwner, { ownerId, ...attachment }) => {
+    (byOwner[ownerId] = byOwner[ownerId] || []).push(attachment);
+    return byOwner;
+  }, {});
+}
+
+// ============ FLOOR PLANS ============
+// Each building of a campus can have a floor plan for the dashboard map, uploaded as one multipart "image".
+// Raster plans are re-encoded like photos; SVGs are kept as drawn, so they are only served with a CSP that
+// blocks scripts. Every upload is written under a new name and never changed, like photos (see BACKUPS).
+const FLOOR_PLAN_TYPES = { ...PHOTO_TYPES, 'image/svg+xml': 'svg' };
+
+const floorPlanUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_PHOTO_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (FLOOR_PLAN_TYPES[file.mimetype]) return cb(null, true);
+    cb(new Error('Floor plans must be SVG, PNG, JPEG or WebP images'));
+  },
+}).single('image');
+
+// Parses a floor plan upload, turning multer's errors into 400 responses
+function acceptFloorPlan(req, res, next) {
+  floorPlanUpload(req, res, (err) => {
+    if (!err) return next();
+    let message = err.message;
+    if (err.code === 'LIMIT_FILE_SIZE') message = `Floor plans must be under ${MAX_PHOTO_MB} MB`;
+    if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+      message = 'Send one floor plan in the "image" field';
+    }
+    res.status(400).json({ error: message });
+  });
+}
+
+// Decode an uploaded plan to check it is a usable image and get its size. Returns null if it is not.
+async function prepareFloorPlan(file) {
+  try {
+    const { format, width, height } = await sharp(file.buffer).metadata();
+    if (!Object.values(FLOOR_PLAN_TYPES).includes(format) || !width || !height) return null;
+    if (format === 'svg') return { data: file.buffer, format, width, height };
+    const { data, info } = await sharp(file.buffer).rotate().toFormat(format).toBuffer({ resolveWithObject: true });
+    return { data, format, width: info.width, height: info.height };
+  } catch (error) {
+    logger.warn(`Rejected floor plan upload: ${error.message}`);
+    return null;
+  }
+}
+
+// A floor plan as the API returns it; the image itself is at /api/floor-plans/:id/image
+const toFloorPlan = (row) => ({
+  id: row.id,
+  building: row.building,
+  width: row.width,
+  height: row.height,
+  updatedAt: row.updatedAt
+});
+
+// Floor plans changed; everyone working in that campus refetches them
+function publishFloorPlans(campusId) {
+  broadcastSSE({ type: 'floor-plans.changed' }, user => user.currentCampusId === campusId);
+}
+
+// ============ PUBLIC REPORTS ============
+// Anyone (students, teachers, visitors) can report a problem from a fixed list or give a thumbs up/down at
+// /report/<restroomId> without logging in. Reports wait in a moderation queue until an admin promotes one to
+// an incident or dismisses it. The form is open to anyone, so it is rate limited per IP and per restroom,
+// carries a honeypot field and a signed token that must be a few seconds old, and refuses links. IP
+// addresses are only kept as a keyed hash.
+const PUBLIC_REPORT_CATEGORIES = [
+  { id: 'toilet-paper', label: 'Out of toilet paper', severity: 'medium' },
+  { id: 'soap', label: 'Out of soap', severity: 'medium' },
+  { id: 'paper-towels', label: 'Out of paper towels', severity: 'low' },
+  { id: 'clogged', label: 'Clogged or overflowing toilet', severity: 'high' },
+  { id: 'leak', label: 'Leak or water on the floor', severity: 'high' },
+  { id: 'dirty', label: 'Dirty or smells bad', severity: 'medium' },
+  { id: 'broken', label: 'Something is broken (lock, sink, dryer)', severity: 'medium' },
+  { id: 'vandalism', label: 'Vandalism or graffiti', severity: 'medium' },
+  { id: 'other', label: 'Something else', severity: 'low' }
+];
+const PUBLIC_RATINGS = ['up', 'down'];
+const PUBLIC_REPORT_STATUSES = ['pending', 'promoted', 'dismissed'];
+const MAX_PUBLIC_COMMENT_LENGTH = 300;
+const PUBLIC_FORM_MIN_SECONDS = 3; // Quicker than a person can fill in the form
+const PUBLIC_FORM_MAX_AGE_MS = 2 * 60 * 60 * 1000;
+const PUBLIC_DUPLICATE_MINUTES = 30; // The same problem from the same sender is only queued once in this window
+const PUBLIC_LINK_PATTERN = /https?:\/\/|www\.|\b[a-z0-9-]+\.(com|net|org|io|ru|xyz|ly)\b/i;
+const PUBLIC_FORM_SECRET = SESSION_SECRET;
+
+// In-memory sliding-window rate limiter. retryAfter(key) is 0 while under max, else the seconds until the
+// oldest counted request leaves the window. Counts reset on restart, which is fine for spam control.
+function createRateLimiter({ max, windowMs }) {
+  const hits = new Map();
+  const recent = (key) => (hits.get(key) || []).filter(t => t > Date.now() - windowMs);
+  setInterval(() => {
+    for (const key of hits.keys()) {
+      const times = recent(key);
+      if (times.length > 0) hits.set(key, times);
+      else hits.delete(key);
+    }
+  }, windowMs).unref();
+  return {
+    retryAfter(key) {
+      const times = recent(key);
+      return times.length < max ? 0 : Math.max(1, Math.ceil((times[0] + windowMs - Date.now()) / 1000));
+    },
+    record(key) {
+      hits.set(key, [...recent(key), Date.now()]);
+    }
+  };
+}
+
+const publicLimits = {
+  formPerIp: createRateLimiter({ max: 30, windowMs: 60 * 1000 }),
+  reportsPerIp: createRateLimiter({ max: 5, windowMs: 15 * 60 * 1000 }),
+  reportsPerIpDaily: createRateLimiter({ max: 20, windowMs: 24 * 60 * 60 * 1000 }),
+  reportsPerRestroom: createRateLimiter({ max: 20, windowMs: 60 * 60 * 1000 })
+};
+
+// Respond 429 with Retry-After if any of [limiter, key] is used up; otherwise count the request against all
+// of them. Returns true when it responded.
+function rejectIfRateLimited(res, limits) {
+  const retryAfter = Math.max(...limits.map(([limiter, key]) => limiter.retryAfter(key)));
+  if (retryAfter > 0) {
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({ error: 'Too many reports right now. Please try again later.' });
+    return true;
+  }
+  limits.forEach(([limiter, key]) => limiter.record(key));
+  return false;
+}
+
+const hashIp = (ip) => crypto.createHmac('sha256', PUBLIC_FORM_SECRET).update(String(ip)).digest('hex').slice(0, 32);
+
+const signPublicForm = (restroomId, issuedAt) =>
+  crypto.createHmac('sha256', PUBLIC_FORM_SECRET).update(`${restroomId}.${issuedAt}`).digest('hex');
+
+// Handed out with the form and sent back with the report: proves the form was loaded, and when
+const issuePublicFormToken = (restroomId) => {
+  const issuedAt = Date.now();
+  return `${issuedAt}.${signPublicForm(restroomId, issuedAt)}`;
+};
+
+// null for a good token, else 'invalid', 'too-fast' or 'expired'
+function checkPublicFormToken(token, restroomId) {
+  const [issuedAt, signature = ''] = String(token || '').split('.');
+  const expected = signPublicForm(restroomId, issuedAt);
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return 'invalid';
+  }
+  const age = Date.now() - Number(issuedAt);
+  if (age < PUBLIC_FORM_MIN_SECONDS * 1000) return 'too-fast';
+  if (age > PUBLIC_FORM_MAX_AGE_MS) return 'expired';
+  return null;
+}
+
+// { values: { kind, category, rating, comment } } or { error }
+function parsePublicReport(body) {
+  const kind = body.kind;
+  const comment = typeof body.comment === 'string' ? body.comment.trim() : '';
+  if (comment.length > MAX_PUBLIC_COMMENT_LENGTH) {
+    return { error: `Please keep comments under ${MAX_PUBLIC_COMMENT_LENGTH} characters` };
+  }
+  if (PUBLIC_LINK_PATTERN.test(comment)) {
+    return { error: 'Please leave links out of your comment' };
+  }
+  if (kind === 'issue') {
+    if (!PUBLIC_REPORT_CATEGORIES.some(c => c.id === body.category)) {
+      return { error: 'Please pick what the problem is' };
+    }
+    if (body.category === 'other' && !comment) {
+      return { error: 'Please describe the problem' };
+    }
+    return { values: { kind, category: body.category, rating: null, comment: comment || null } };
+  }
+  if (kind === 'feedback') {
+    if (!PUBLIC_RATINGS.includes(body.rating)) {
+      return { error: 'Please pick thumbs up or thumbs down' };
+    }
+    return { values: { kind, category: null, rating: body.rating, comment: comment || null } };
+  }
+  return { error: 'Report must be an issue or feedback' };
+}
+
+// Default incident text for a promoted report
+function describePublicReport(report) {
+  const what = report.kind === 'issue'
+    ? PUBLIC_REPORT_CATEGORIES.find(c => c.id === report.category)?.label || report.category
+    : `Thumbs ${report.rating}`;
+  return `${what} (public report)${report.comment ? `: ${report.comment}` : ''}`;
+}
+
+// ============ AUDIT LOG ============
+// Every write goes into audit_log: who did it (user, and a hash of their session so one login's actions can
+// be told apart), from which IP, the action, its target and the values before and after. Passwords and their
+// hashes are never recorded. Routes call recordAudit once the change is saved; a failed audit write is
+// logged rather than failing a change that already happened.
+const AUDIT_ACTIONS = [
+  'auth.login', 'auth.login-failed', 'auth.lockout', 'auth.logout', 'auth.password-change', 'auth.campus-switch',
+  'campus.create', 'campus.update', 'campus.archive',
+  'restroom.create', 'restroom.update', 'restroom.archive', 'floor-plan.upload', 'floor-plan.delete',
+  'staff.create', 'staff.update', 'staff.password-set', 'staff.assignments',
+  'zone.create', 'zone.update', 'zone.delete',
+  'checklist.create', 'checklist.update',
+  'supply.create', 'supply.update', 'restock.fulfill', 'restock.cancel',
+  'check.create', 'incident.create', 'incident.status', 'incident.assign',
+  'public-report.create', 'public-report.promote', 'public-report.dismiss',
+  'push.subscribe', 'push.unsubscribe', 'push.preferences',
+  'report.archive', 'audit.export',
+  'backup.create', 'backup.download', 'backup.restore'
+];
+const AUDIT_SECRET_FIELDS = ['password', 'password_hash', 'currentPassword', 'newPassword'];
+const AUDIT_EXPORT_MAX_ROWS = 50000;
+
+const AUDIT_COLUMNS = [
+  { header: 'Date', key: 'date', width: 18 },
+  { header: 'Actor', key: 'actorName', width: 20 },
+  { header: 'Actor ID', key: 'actorId', width: 16 },
+  { header: 'Session', key: 'sessionId', width: 18 },
+  { header: 'IP', key: 'ip', width: 16 },
+  { header: 'Action', key: 'action', width: 22 },
+  { header: 'Target type', key: 'targetType', width: 14 },
+  { header: 'Target', key: 'targetId', width: 30 },
+  { header: 'Before', key: 'oldValues', width: 50 },
+  { header: 'After', key: 'newValues', width: 50 },
+];
+
+// JSON for the log, without secrets; null stays null
+function auditValues(values) {
+  if (values === null || values === undefined) return null;
+  if (typeof values !== 'object' || Array.isArray(values)) return JSON.stringify(values);
+  return JSON.stringify(Object.fromEntries(Object.entries(values).filter(([key]) => !AUDIT_SECRET_FIELDS.includes(key))));
+}
+
+// The given fields of a row, e.g. the old values of the columns an update is about to change
+const pickFields = (row, fields) => Object.fromEntries(fields.map(field => [field, row?.[field] ?? null]));
+
+// Short, non-reversible id for a session (the session id itself would let anyone reading the log take it over)
+const auditSessionId = (req) => (req.sessionID
+  ? crypto.createHash('sha256').update(req.sessionID).digest('hex').slice(0, 16)
+  : null);
+
+// actor defaults to the logged-in user; pass { id, name } for logins and null for anonymous writes
+function recordAudit(req, action, { targetType = null, targetId = null, before = null, after = null, actor = req.user } = {}) {
+  try {
+    db.prepare(`
+      INSERT INTO audit_log (timestamp, actorId, actorName, sessionId, ip, action, targetType, targetId, oldValues, newValues)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      new Date().toISOString(),
+      actor?.id || null,
+      actor?.name || null,
+      auditSessionId(req),
+      req.ip || null,
+      action,
+      targetType,
+      targetId === null ? null : String(targetId),
+      auditValues(before),
+      auditValues(after)
+    );
+  } catch (error) {
+    logger.error(`Failed to write audit entry for ${action}: ${error.message}`);
+  }
+}
+
+// ?actorId, action (comma-separated), targetType, targetId, from, to, cursor and limit, like the history routes
+const parseAuditQuery = (query) =>
+  parseHistoryQuery(query, 'a', { action: AUDIT_ACTIONS }, ['actorId', 'targetType', 'targetId']);
+
+// ============ BACKUPS ============
+// Copies of the database made with SQLite's online backup API, so they are consistent while the app keeps
+// running: on BACKUP_SCHEDULE (node-cron syntax, 'off' to disable), when an admin asks, and before every
+// restore. Backups older than BACKUP_RETENTION_DAYS are deleted, except the newest. Photos are never changed
+// or deleted once uploaded, so each backup run just copies new ones to BACKUP_DIR/uploads.
+const BACKUP_DIR = path.resolve(process.env.BACKUP_DIR || path.join(path.dirname(path.resolve(db.name)), 'backups'));
+const BACKUP_UPLOADS_DIR = path.join(BACKUP_DIR, 'uploads');
+const BACKUP_SCHEDULE = process.env.BACKUP_SCHEDULE || '0 2 * * *';
+const BACKUP_RETENTION_DAYS = Number(process.env.BACKUP_RETENTION_DAYS) || 30;
+const BACKUP_PATTERN = /^cleanliness-(\d{8}T\d{6}Z)-(scheduled|manual|pre-restore)\.db$/;
+
+fs.mkdirSync(BACKUP_UPLOADS_DIR, { recursive: true });
+
+// While a restore runs, writes are refused with 503 (see MIDDLEWARE) so nothing saved in the meantime is lost
+let restoreInProgress = false;
+let backupRunning = null; // Promise of the backup being written, so two never run at once
+
+const backupPath = (filename) => path.join(BACKUP_DIR, filename);
+
+// 2026-10-19T02:00:00.000Z <-> 20261019T020000Z
+const toBackupStamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+const fromBackupStamp = (stamp) =>
+  `${stamp.slice(0, 4)}-${stamp.slice(4, 6)}-${stamp.slice(6, 11)}:${stamp.slice(11, 13)}:${stamp.slice(13, 15)}.000Z`;
+
+// Backups on disk, newest first: [{ filename, kind, size, createdAt }]
+function listBackups() {
+  return fs.readdirSync(BACKUP_DIR)
+    .map(filename => ({ filename, match: filename.match(BACKUP_PATTERN) }))
+    .filter(({ match }) => match)
+    .map(({ filename, match }) => ({
+      filename,
+      kind: match[2],
+      size: fs.statSync(backupPath(filename)).size,
+      createdAt: fromBackupStamp(match[1]),
+    }))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function copyNewUploads() {
+  const copied = new Set(fs.readdirSync(BACKUP_UPLOADS_DIR));
+  fs.readdirSync(UPLOADS_DIR)
+    .filter(filename => !copied.has(filename))
+    .forEach(filename => fs.copyFileSync(path.join(UPLOADS_DIR, filename), path.join(BACKUP_UPLOADS_DIR, filename)));
+}
+
+// Write a backup of the live database. It goes to a .partial file first so a half-written backup is never
+// listed, and is switched out of WAL mode so it is a single self-contained file. Resolves to its listing entry.
+async function createBackup(kind) {
+  while (backupRunning) await backupRunning.catch(() => {});
+  const filename = `cleanliness-${toBackupStamp(new Date())}-${kind}.db`;
+  const partial = `${backupPath(filename)}.partial`;
+  backupRunning = (async () => {
+    try {
+      await db.backup(partial);
+      const copy = new Database(partial);
+      try {
+        copy.pragma('journal_mode = DELETE');
+      } finally {
+        copy.close();
+      }
+      fs.renameSync(partial, backupPath(filename));
+      copyNewUploads();
+    } catch (error) {
+      fs.rmSync(partial, { force: true });
+      throw error;
+    }
+  })();
+  try {
+    await backupRunning;
+  } finally {
+    backupRunning = null;
+  }
+  logger.info(`Backup written: ${filename}`);
+  return listBackups().find(backup => backup.filename === filename);
+}
+
+// Delete backups older than the retention period, always keeping the newest one
+function pruneBackups() {
+  const cutoff = new Date(Date.now() - BACKUP_RETENTION_DAYS * 86400000).toISOString();
+  listBackups().slice(1)
+    .filter(backup => backup.createdAt < cutoff)
+    .forEach((backup) => {
+      fs.rmSync(backupPath(backup.filename), { force: true });
+      logger.info(`Backup deleted after ${BACKUP_RETENTION_DAYS} days: ${backup.filename}`);
+    });
+}
+
+async function runScheduledBackup() {
+  try {
+    await createBackup('scheduled');
+    pruneBackups();
+  } catch (error) {
+    logger.error(`Scheduled backup failed: ${error.message}`);
+  }
+}
+
+// Open a backup read-only and check it can be restored: SQLite's integrity check passes and its schema is not
+// newer than this code. Also counts the main records so admins can see what they would get back.
+// Resolves to { ok, problems, schemaVersion, counts }.
+function verifyBackup(filename) {
+  let copy;
+  try {
+    copy = new Database(backupPath(filename), { readonly: true, fileMustExist: true });
+    const problems = copy.pragma('integrity_check').map(row => row.integrity_check).filter(message => message !== 'ok');
+    const schemaVersion = copy.pragma('user_version', { simple: true });
+    const latestVersion = loadMigrations().length;
+    if (schemaVersion > latestVersion) {
+      problems.push(`Made by a newer version of the app (schema ${schemaVersion}, this server has ${latestVersion})`);
+    }
+    const counts = {};
+    if (problems.length === 0) {
+      ['restrooms', 'custodians', 'checks', 'incidents'].forEach((table) => {
+        counts[table] = copy.prepare(`SELECT COUNT(*) as count FROM ${table}`).get().count;
+      });
+    }
+    return { ok: problems.length === 0, problems, schemaVersion, counts };
+  } catch (error) {
+    return { ok: false, problems: [error.message], schemaVersion: null, counts: {} };
+  } finally {
+    copy?.close();
+  }
+}
+
+// Copy a backup over the live database in one step (the connection stays open, so prepared statements and
+// sessions keep working) and bring it up to the current schema
+async function copyBackupIntoDatabase(filename) {
+  const source = new Database(backupPath(filename), { readonly: true, fileMustExist: true });
+  try {
+    await source.backup(db.name, { progress: () => 0x7fffffff });
+  } finally {
+    source.close();
+  }
+  runMigrations();
+}
+
+// Replace the database with a verified backup. Writes are refused while it runs. The current database is
+// backed up first, and put back if the restore fails. Resolves to the pre-restore backup's listing entry.
+async function restoreBackup(filename) {
+  const verification = verifyBackup(filename);
+  if (!verification.ok) {
+    throw new Error(`Backup failed verification: ${verification.problems.join('; ')}`);
+  }
+  restoreInProgress = true;
+  try {
+    const safetyCopy = await createBackup('pre-restore');
+    try {
+      await copyBackupIntoDatabase(filename);
+    } catch (error) {
+      logger.error(`Restore from ${filename} failed, putting back ${safetyCopy.filename}: ${error.message}`);
+      await copyBackupIntoDatabase(safetyCopy.filename);
+      throw error;
+    }
+    logger.warn(`Database restored from ${filename} (previous data saved as ${safetyCopy.filename})`);
+    return safetyCopy;
+  } finally {
+    restoreInProgress = false;
+  }
+}
+
+// ============ MIDDLEWARE ============
+// Behind nginx on the same machine: take the client IP from X-Forwarded-For only when the request comes from
+// localhost, so the public form's per-IP limits see real addresses. Set TRUST_PROXY for other setups.
+app.set('trust proxy', process.env.TRUST_PROXY || 'loopback');
+app.use(helmet());
+// CORS: use FRONTEND_URL when set, comma-separated for several sites (e.g. https://north.example.org,https://south.example.org).
+// Else production serves only its own origin; dev allows any for VM access.
+const corsOrigin = process.env.FRONTEND_URL
+  ? process.env.FRONTEND_URL.split(',').map(s => s.trim()).filter(Boolean)
+  : process.env.NODE_ENV !== 'production';
+app.use(cors({
+  origin: corsOrigin,
+  credentials: true
+}));
+app.use(express.json());
+
+// Read-only while a backup is being restored: GETs keep working, writes are asked to retry
+app.use('/api', (req, res, next) => {
+  if (!restoreInProgress || req.method === 'GET' || req.method === 'HEAD') return next();
+  res.setHeader('Retry-After', '30');
+  res.status(503).json({ error: 'A backup is being restored. Please try again in a minute.' });
+});
+
+// Session management
+const sessionStore = new SQLiteStore({
+  db: 'sessions.db',
+  dir: './data'
+});
+app.use(session({
+  store: sessionStore,
+  secret: SESSION_SECRET,
+  resave: false,
+  saveUninitialized: false,
+  cookie: {
+    maxAge: null, // Session cookie (expires when browser closes); SESSION_IDLE_MINUTES ends it server-side
+    httpOnly: true,
+    secure: 'auto', // Secure whenever the request came over HTTPS (nginx sets X-Forwarded-Proto)
+    sameSite: 'lax' // Not 'strict': a scanned QR code opens the app from outside and must keep the login
+  }
+}));
+
+// Logged-in requests that change something need the session's CSRF token (see ACCOUNTS)
+app.use('/api', (req, res, next) => {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method) || !req.session.isAuthenticated || hasValidCsrfToken(req)) {
+    return next();
+  }
+  logger.warn(`Rejected ${req.method} ${req.originalUrl}: missing or wrong CSRF token`);
+  res.status(403).json({ error: 'Your session needs refreshing. Please reload the page and try again.', code: 'CSRF' });
+});
+
+// ============ SSE (Server-Sent Events) ============
+// Live updates for logged-in users (GET /api/events). Each event is JSON { type, ... } carrying the changed
+// record in the shape its REST route returns, so the app updates what it shows in place:
+//   restroom.updated { restroom }, incident.created / incident.updated { incident }, check.created { check },
+//   supply.updated { supply }
+//   restock.changed, public-report.changed, custodians.changed, assignments.changed, checklist.changed:
+//     the app refetches that list
+//   resync: refetch everything; session-ended: the session is gone, log in again
+// Ids are "<stream>-<n>", with a new stream on every server start. A client reconnecting with Last-Event-ID
+// gets the events it missed from the last SSE_REPLAY_SIZE, or resync if they are no longer all kept.
+const SSE_REPLAY_SIZE = 500;
+const SSE_HEARTBEAT_MS = 25 * 1000;
+const sseStreamId = Date.now().toString(36);
+let sseLastEventId = 0;
+const sseRecentEvents = []; // { id, event, visibleTo }, oldest first
+const sseClients = new Set(); // { res, user, sessionId }
+
+const isVisibleTo = (visibleTo, user) => {
+  try {
+    return visibleTo(user);
+  } catch (err) {
+    logger.error(`SSE visibility check failed: ${err.message}`);
+    return false;
+  }
+};
+
+function writeSSE(client, id, event) {
+  try {
+    client.res.write(`id: ${sseStreamId}-${id}\ndata: ${JSON.stringify(event)}\n\n`);
+  } catch {
+    // ignore write errors (e.g. closed connection)
+  }
+}
+
+// Send an event to every connected user visibleTo accepts (default: everyone) and keep it for replay
+function broadcastSSE(event, visibleTo = () => true) {
+  const id = ++sseLastEventId;
+  sseRecentEvents.push({ id, event, visibleTo });
+  if (sseRecentEvents.length > SSE_REPLAY_SIZE) sseRecentEvents.shift();
+  sseClients.forEach((client) => {
+    if (isVisibleTo(visibleTo, client.user)) writeSSE(client, id, event);
+  });
+}
+
+// The events after lastEventId the user may see, or null if the client has to resync
+function missedSSEEvents(lastEventId, user) {
+  const match = /^([a-z0-9]+)-(\d+)$/.exec(lastEventId);
+  if (!match || match[1] !== sseStreamId) return null;
+  const after = Number(match[2]);
+  const oldestKept = sseRecentEvents.length > 0 ? sseRecentEvents[0].id : sseLastEventId + 1;
+  if (after > sseLastEventId || after < oldestKept - 1) return null;
+  return sseRecentEvents.filter(e => e.id > after && isVisibleTo(e.visibleTo, user));
+}
+
+// A restroom as GET /api/restrooms lists it, sent to those who work it
+function publishRestroom(restroomId) {
+  const row = db.prepare('SELECT * FROM restrooms WHERE id = ?').get(restroomId);
+  if (!row) return;
+  const [restroom] = withCheckStatus([row]);
+  broadcastSSE(
+    { type: 'restroom.updated', restroom: { ...restroom, flaggedSupplies: getFlaggedSupplies()[restroomId] || [] } },
+    user => canWorkRestroom(user, restroomId)
+  );
+}
+
+// An incident as GET /api/incidents returns it, then its restroom (an active incident pauses its schedule)
+function publishIncident(incidentId, type = 'incident.updated') {
+  const [incident] = withIncidentDetails(db.prepare(`${INCIDENT_ROWS_SQL} WHERE i.id = ?`).all(incidentId));
+  if (!incident) return;
+  broadcastSSE({ type, incident }, user => isInCurrentCampus(user, incident.restroomId));
+  publishRestroom(incident.restroomId);
+}
+
+function publishCheck(checkId) {
+  const [check] = withCheckDetails(db.prepare(`${CHECK_ROWS_SQL} WHERE c.id = ?`).all(checkId));
+  if (!check) return;
+  broadcastSSE({ type: 'check.created', check }, user => isInCurrentCampus(user, check.restroomId));
+  publishRestroom(check.restroomId);
+}
+
+function publishSupply(supplyItemId) {
+  const row = db.prepare('SELECT * FROM supply_items WHERE id = ?').get(supplyItemId);
+  if (row) broadcastSSE({ type: 'supply.updated', supply: toSupplyItem(row) });
+}
+
+// Lists of a campus's restock requests or public reports changed; the app refetches them
+const SSE_LIST_PERMISSIONS = {
+  'restock.changed': 'supplies.restock',
+  'public-report.changed': 'public-reports.moderate'
+};
+
+function publishListChange(type, restroomId) {
+  broadcastSSE({ type }, user => hasPermission(user, SSE_LIST_PERMISSIONS[type]) && isInCurrentCampus(user, restroomId));
+}
+
+// Heartbeat: keeps proxies from closing quiet streams, and ends streams whose session was logged out, went
+// idle or belongs to a deactivated account. The user is reloaded so a role or campus change applies to what
+// they get.
+function checkSSEClients() {
+  sseClients.forEach((client) => {
+    sessionStore.get(client.sessionId, (err, session) => {
+      const user = !err && session?.isAuthenticated && session.userId === client.user.id
+        && Date.now() - (session.lastSeenAt || 0) <= SESSION_IDLE_MINUTES * 60000
+        ? db.prepare('SELECT * FROM custodians WHERE id = ? AND active = 1').get(client.user.id)
+        : null;
+      if (!user) {
+        writeSSE(client, sseLastEventId, { type: 'session-ended' });
+        client.res.end();
+        sseClients.delete(client);
+        return;
+      }
+      client.user = withCurrentCampus(user, session);
+      try {
+        client.res.write(': heartbeat\n\n');
+      } catch {
+        // ignore write errors (e.g. closed connection)
+      }
+    });
+  });
+}
+setInterval(checkSSEClients, SSE_HEARTBEAT_MS).unref();
+
+// ============ EMAIL (optional incident notifications) ============
+const mailTransport = process.env.SMTP_USER && process.env.SMTP_PASS
+  ? nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'smtp.gmail.com',
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+      },
+    })
+  : null;
+
+function formatEmailDate(iso) {
+  if (!iso) return null;
+  const d = new Date(iso);
+  return d.toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+// Incident text can come from the public report page, so anything user-entered is escaped in the HTML body
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => (
+  { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+));
+
+// Sent to the incident's campus adminEmail (see campusSettings). Pass { escalation: true } to send the reminder
+// for a long-unresolved incident to its escalationEmail instead.
+function sendIncidentEmail(incident, { escalation = false } = {}) {
+  const settings = campusSettings(getCampus(incident.campusId));
+  const recipients = escalation ? settings.escalationEmail : settings.adminEmail;
+  if (!mailTransport || !recipients) return Promise.resolve();
+  const { restroom, custodian, description, severity, timestamp, lastCheckedAt, lastCheckedBy, photos = [] } = incident;
+  const timeStr = formatEmailDate(timestamp);
+  const severityStr = severity ? severity.charAt(0).toUpperCase() + severity.slice(1) : 'Medium';
+  const lastCheckedStr = lastCheckedAt && lastCheckedBy
+    ? `${formatEmailDate(lastCheckedAt)} by ${lastCheckedBy}`
+    : lastCheckedAt
+      ? formatEmailDate(lastCheckedAt)
+      : 'Not recorded';
+  const intro = escalation
+    ? `This ${severityStr.toLowerCase()}-severity incident is still unresolved ${ESCALATION_MINUTES} minutes after it was reported.`
+    : null;
+  // Thumbnails are embedded inline (cid:) so the email stays small; full-size photos are in the app
+  const photosHtml = photos.length > 0
+    ? `<p><strong>Photos:</strong></p><p>${photos.map(p => `<img src="cid:${p.id}" alt="Incident photo" style="max-width:${THUMB_SIZE}px;margin:0 8px 8px 0">`).join('')}</p>`
+    : '';
+  const payload = {
+    from: process.env.SMTP_USER,
+    to: recipients,
+    subject: `${escalation ? '[ESCALATED] ' : ''}[Restroom Incident] ${restroom}`,
+    text: `${intro ? intro + '\n\n' : ''}Restroom: ${restroom}\nSeverity: ${severityStr}\nReported by: ${custodian}\nTime: ${timeStr}\nLast checked: ${lastCheckedStr}\n\nDescription:\n${description}`,
+    html: `${intro ? `<p>${intro}</p>` : ''}<p><strong>Restroom:</strong> ${escapeHtml(restroom)}</p><p><strong>Severity:</strong> ${severityStr}</p><p><strong>Reported by:</strong> ${escapeHtml(custodian)}</p><p><strong>Time:</strong> ${timeStr}</p><p><strong>Last checked:</strong> ${escapeHtml(lastCheckedStr)}</p><p><strong>Description:</strong></p><p>${escapeHtml(description)}</p>${photosHtml}`,
+    attachments: photos.map(p => ({
+      filename: `${p.id}.jpg`,
+      path: path.join(UPLOADS_DIR, thumbFilename(p.id)),
+      cid: p.id,
+    })),
+  };
+  return mailTransport.sendMail(payload)
+    .then(() => logger.info(`${escalation ? 'Escalation' : 'Incident'} email sent to`, recipients))
+    .catch((err) => logger.error('Incident email failed', err.message));
+}
+
+// ============ WEB PUSH (optional incident notifications) ============
+// Users with incidents.alerts can subscribe any number of browsers. Each incident email is also pushed to
+// those whose pushSeverities include the incident's severity. Needs VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY
+// (generate them with `npx web-push generate-vapid-keys`).
+const pushEnabled = Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+if (pushEnabled) {
+  webpush.setVapidDetails(
+    process.env.VAPID_EMAIL || `mailto:${process.env.ADMIN_EMAIL || 'admin@localhost'}`,
+    process.env.VAPID_PUBLIC_KEY,
+    process.env.VAPID_PRIVATE_KEY
+  );
+}
+
+const PUSH_TTL_SECONDS = 60 * 60; // drop notifications a phone could not receive within an hour
+
+const parseSeverityList = (value) => String(value || '').split(',').filter(s => INCIDENT_SEVERITIES.includes(s));
+
+// Push an incident to every subscriber with incidents.alerts on its campus (or district-wide) who wants its
+// severity. Subscriptions the push service reports as gone (404/410) are removed.
+function sendIncidentPush(incident, { escalation = false } = {}) {
+  if (!pushEnabled) return Promise.resolve();
+  const subscriptions = db.prepare(`
+    SELECT s.*, c.pushSeverities
+    FROM push_subscriptions s
+    JOIN custodians c ON s.userId = c.id
+    WHERE c.active = 1 AND c.role IN (SELECT value FROM json_each(?)) AND (c.campusId IS NULL OR c.campusId = ?)
+  `).all(JSON.stringify(PERMISSIONS['incidents.alerts']), incident.campusId)
+    .filter(s => parseSeverityList(s.pushSeverities).includes(incident.severity));
+  if (subscriptions.length === 0) return Promise.resolve();
+
+  const severityStr = incident.severity.charAt(0).toUpperCase() + incident.severity.slice(1);
+  const payload = JSON.stringify({
+    title: `${escalation ? 'Still unresolved: ' : ''}${incident.restroom} (${severityStr})`,
+    body: `${incident.description}\n— ${incident.custodian}`,
+    tag: `incident-${incident.id}`,
+    url: '/',
+  });
+  const removeSubscription = db.prepare('DELETE FROM push_subscriptions WHERE endpoint = ?');
+  return Promise.all(subscriptions.map(s => webpush
+    .sendNotification({ endpoint: s.endpoint, keys: { p256dh: s.p256dh, auth: s.auth } }, payload, { TTL: PUSH_TTL_SECONDS })
+    .then(() => true)
+    .catch((err) => {
+      if (err.statusCode === 404 || err.statusCode === 410) {
+        removeSubscription.run(s.endpoint);
+        logger.info(`Removed expired push subscription for ${s.userId}`);
+      } else {
+        logger.error(`Incident push to ${s.userId} failed: ${err.message}`);
+      }
+      return false;
+    })))
+    .then((results) => {
+      const sent = results.filter(Boolean).length;
+      if (sent > 0) logger.info(`${escalation ? 'Escalation' : 'Incident'} push sent to ${sent} device(s)`);
+    });
+}
+
+// Email and push an incident (or its escalation) wherever staff should hear about it
+function notifyIncident(incident, options) {
+  sendIncidentEmail(incident, options);
+  sendIncidentPush(incident, options);
+}
+
+// Notify about a newly saved incident, with the restroom's last check before it
+function notifyNewIncident({ id, restroomId, reporter, description, severity, timestamp }) {
+  const restroom = db.prepare('SELECT name, campusId FROM restrooms WHERE id = ?').get(restroomId);
+  const lastCheckInfo = db.prepare(`
+    SELECT c.timestamp as lastCheckedAt, cu.name as lastCheckedBy
+    FROM checks c
+    JOIN custodians cu ON c.custodianId = cu.id
+    WHERE c.restroomId = ? AND c.timestamp <= ?
+    ORDER BY c.timestamp DESC
+    LIMIT 1
+  `).get(restroomId, timestamp);
+  notifyIncident({
+    id,
+    campusId: restroom?.campusId,
+    restroom: restroom?.name || restroomId,
+    custodian: reporter,
+    description,
+    severity,
+    timestamp,
+    photos: getAttachments('incidentId', [id])[id] || [],
+    lastCheckedAt: lastCheckInfo?.lastCheckedAt || null,
+    lastCheckedBy: lastCheckInfo?.lastCheckedBy || null,
+  });
+}
+
+// ============ INCIDENT ESCALATION ============
+// High-severity incidents still unresolved ESCALATION_MINUTES after being reported are emailed once
+// more, to their campus's escalationEmail (comma-separated; ESCALATION_EMAIL by default). Campuses without
+// one don't escalate. escalatedAt makes sure each incident escalates only once.
+const ESCALATION_MINUTES = Number(process.env.ESCALATION_MINUTES) || 30;
+
+function escalateUnresolvedIncidents() {
+  if (restoreInProgress) return; // The next sweep catches up after a restore
+  try {
+    const settings = getCampusSettings();
+    const cutoff = new Date(Date.now() - ESCALATION_MINUTES * 60000).toISOString();
+    const due = db.prepare(`
+      SELECT i.*, r.name as restroom, r.campusId, c.name as custodian
+      FROM incidents i
+      JOIN restrooms r ON i.restroomId = r.id
+      JOIN custodians c ON i.custodianId = c.id
+      WHERE i.severity = 'high' AND i.status != 'resolved' AND i.escalatedAt IS NULL AND i.timestamp <= ?
+    `).all(cutoff).filter(incident => settings[incident.campusId]?.escalationEmail);
+    if (due.length === 0) return;
+
+    const lastCheckBy = db.prepare(`
+      SELECT cu.name FROM checks c
+      JOIN custodians cu ON c.custodianId = cu.id
+      WHERE c.restroomId = ? AND c.timestamp = ?
+    `);
+    const markEscalated = db.prepare('UPDATE incidents SET escalatedAt = ? WHERE id = ?');
+    const escalatedAt = new Date().toISOString();
+    due.forEach((incident) => {
+      markEscalated.run(escalatedAt, incident.id);
+      logger.warn(`Escalating unresolved high-severity incident ${incident.id}`);
+      notifyIncident({
+        ...incident,
+        photos: getAttachments('incidentId', [incident.id])[incident.id] || [],
+        lastCheckedBy: incident.lastCheckedAt ? lastCheckBy.get(incident.restroomId, incident.lastCheckedAt)?.name || null : null,
+      }, { escalation: true });
+      publishIncident(incident.id);
+    });
+  } catch (error) {
+    logger.error('Error escalating incidents:', error);
+  }
+}
+
+// ============ SPREADSHEET REPORTS ============
+// Activity reports (checks, incidents, resolutions and reopens) are generated from the database for any date
+// range, as CSV or XLSX. Each month's reports are also written to REPORT_ARCHIVE_DIR on the 1st, whether or not
+// mail is configured, and are never deleted by the app.
+const REPORTS_DIR = path.join(__dirname, 'reports');
+const REPORT_ARCHIVE_DIR = path.join(REPORTS_DIR, 'archive');
+const REPORT_FORMATS = ['csv', 'xlsx'];
+const ARCHIVED_REPORT_PATTERN = /^restroom-report-\d{4}-\d{2}\.(pdf|csv|xlsx)$/;
+
+const REPORT_COLUMNS = [
+  { header: 'Date', key: 'date', width: 18 },
+  { header: 'Type', key: 'type', width: 10 },
+  { header: 'Restroom', key: 'restroom', width: 22 },
+  { header: 'Custodian', key: 'custodian', width: 22 },
+  { header: 'Details', key: 'details', width: 80 },
+];
+
+fs.mkdirSync(REPORT_ARCHIVE_DIR, { recursive: true });
+
+// "2026-10-19 14:05" in server local time, so spreadsheets sort by date
+function formatReportDate(iso) {
+  const d = new Date(iso);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${localDay(iso)} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+// One row per check, incident report, resolution and reopen on a campus between from and to (ISO), oldest first
+function buildReportRows(from, to, campusId) {
+  const checks = db.prepare(`
+    SELECT c.id, c.timestamp, c.rating, c.notes, r.name as restroom, cu.name as custodian
+    FROM checks c
+    JOIN restrooms r ON c.restroomId = r.id
+    JOIN custodians cu ON c.custodianId = cu.id
+    WHERE r.campusId = ? AND c.timestamp >= ? AND c.timestamp < ?
+  `).all(campusId, from, to);
+  const answers = getCheckItems(checks.map(c => c.id));
+  const flags = db.prepare(`
+    SELECT rr.checkId, si.name as supply, rr.level
+    FROM restock_requests rr
+    JOIN supply_items si ON rr.supplyItemId = si.id
+    JOIN checks c ON rr.checkId = c.id
+    JOIN restrooms r ON c.restroomId = r.id
+    WHERE r.campusId = ? AND c.timestamp >= ? AND c.timestamp < ?
+  `).all(campusId, from, to).reduce((byCheck, { checkId, ...flag }) => {
+    (byCheck[checkId] = byCheck[checkId] || []).push(flag);
+    return byCheck;
+  }, {});
+
+  const incidents = db.prepare(`
+    SELECT i.timestamp, i.severity, i.description, r.name as restroom, cu.name as custodian
+    FROM incidents i
+    JOIN restrooms r ON i.restroomId = r.id
+    JOIN custodians cu ON i.custodianId = cu.id
+    WHERE r.campusId = ? AND i.timestamp >= ? AND i.timestamp < ?
+  `).all(campusId, from, to);
+  const statusChanges = db.prepare(`
+    SELECT e.timestamp, e.toStatus, e.comment, r.name as restroom, cu.name as custodian
+    FROM incident_events e
+    JOIN incidents i ON e.incidentId = i.id
+    JOIN restrooms r ON i.restroomId = r.id
+    JOIN custodians cu ON e.actorId = cu.id
+    WHERE r.campusId = ? AND e.timestamp >= ? AND e.timestamp < ?
+      AND (e.toStatus = 'resolved' OR e.fromStatus = 'resolved')
+  `).all(campusId, from, to);
+
+  return [
+    ...checks.map(c => ({
+      timestamp: c.timestamp,
+      type: 'Check',
+      restroom: c.restroom,
+      custodian: c.custodian,
+      details: describeCheck({ rating: c.rating, answers: answers[c.id], notes: c.notes, flags: flags[c.id] }),
+    })),
+    ...incidents.map(i => ({
+      timestamp: i.timestamp,
+      type: 'Incident',
+      restroom: i.restroom,
+      custodian: i.custodian,
+      details: `[${i.severity}] ${i.description}`,
+    })),
+    ...statusChanges.map(e => ({
+      timestamp: e.timestamp,
+      type: e.toStatus === 'resolved' ? 'Resolved' : 'Reopened',
+      restroom: e.restroom,
+      custodian: e.custodian,
+      details: e.comment || '',
+    })),
+  ]
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+    .map(({ timestamp, ...row }) => ({ date: formatReportDate(timestamp), ...row }));
+}
+
+function escapeCsv(val) {
+  if (val == null) return '';
+  const s = String(val);
+  if (s.includes(',') || s.includes('"') || s.includes('\n')) {
+    return '"' + s.replace(/"/g, '""') + '"';
+  }
+  return s;
+}
+
+function renderReportCsv(rows, columns = REPORT_COLUMNS) {
+  const lines = [columns.map(c => c.header), ...rows.map(row => columns.map(c => row[c.key]))];
+  return Buffer.from(lines.map(line => line.map(escapeCsv).join(',')).join('\n') + '\n', 'utf8');
+}
+
+// Resolves to the .xlsx file as a Buffer
+async function renderReportXlsx(rows, title, columns = REPORT_COLUMNS) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+  const sheet = workbook.addWorksheet(title.slice(0, 31), { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = columns;
+  sheet.getRow(1).font = { bold: true };
+  sheet.autoFilter = { from: 'A1', to: `${String.fromCharCode(64 + columns.length)}1` };
+  sheet.addRows(rows);
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+async function renderReport(format, rows, title, columns = REPORT_COLUMNS) {
+  return format === 'xlsx' ? renderReportXlsx(rows, title, columns) : renderReportCsv(rows, columns);
+}
+
+const REPORT_CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+// ============ MONTHLY PDF REPORT ============
+// Built from the database for any calendar month (server local time), so it can be emailed on the 1st and
+// downloaded again later. Compliance follows the check schedule: on each school day a restroom is expected
+// to be checked once per check interval, and a "late" check is one that came more than an interval after
+// the previous check (or the start of the school day).
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+// "2026-10" -> local start/end of that month, or null
+function parseReportMonth(YYYYMM) {
+  const match = MONTH_PATTERN.exec(String(YYYYMM || ''));
+  if (!match) return null;
+  const start = new Date(Number(match[1]), Number(match[2]) - 1, 1);
+  const end = new Date(Number(match[1]), Number(match[2]), 1);
+  return { month: match[0], start, end, label: start.toLocaleString('en-US', { month: 'long', year: 'numeric' }) };
+}
+
+// Expected, actual and late checks for one restroom over the school days between start and end, on its
+// campus's schedule (campusSettings)
+function getCheckCompliance(restroom, checkTimes, start, end, settings) {
+  const intervalMinutes = restroom.checkIntervalMinutes || settings.checkIntervalMinutes;
+  const intervalMs = intervalMinutes * 60 * 1000;
+  let expected = 0;
+  let onSchedule = 0;
+  let late = 0;
+  for (const day = new Date(start); day < end; day.setDate(day.getDate() + 1)) {
+    if (!SCHOOL_DAYS.includes(day.getDay())) continue;
+    const dayStart = atLocalTime(day, settings.schoolDayStart);
+    const dayEnd = new Date(Math.min(atLocalTime(day, settings.schoolDayEnd), end));
+    if (dayEnd <= dayStart) continue;
+    expected += Math.floor((dayEnd - dayStart) / intervalMs);
+
+    let previous = dayStart;
+    checkTimes.filter(t => t >= dayStart && t < dayEnd).forEach((t) => {
+      onSchedule += 1;
+      if (t - previous > intervalMs) late += 1;
+      previous = t;
+    });
+    if (dayEnd - previous > intervalMs) late += 1; // never checked again before the day ended
+  }
+  return {
+    intervalMinutes,
+    expected,
+    checks: onSchedule,
+    late,
+    compliance: expected ? Math.min(1, onSchedule / expected) : null,
+  };
+}
+
+// Everything a campus's monthly PDF shows, for months that have started
+function buildMonthlyReport(period, campus) {
+  const from = period.start.toISOString();
+  const now = new Date();
+  const scheduleEnd = new Date(Math.min(period.end, now));
+  const to = period.end.toISOString();
+  const settings = campusSettings(campus);
+
+  const checks = db.prepare(`
+    SELECT c.restroomId, c.custodianId, c.timestamp, c.rating
+    FROM checks c
+    JOIN restrooms r ON c.restroomId = r.id
+    WHERE r.campusId = ? AND c.timestamp >= ? AND c.timestamp < ?
+  `).all(campus.id, from, to);
+  const incidents = db.prepare(`
+    SELECT i.*, r.name as restroom, c.name as reportedBy
+    FROM incidents i
+    JOIN restrooms r ON i.restroomId = r.id
+    JOIN custodians c ON i.custodianId = c.id
+    WHERE r.campusId = ? AND i.timestamp >= ? AND i.timestamp < ?
+    ORDER BY i.timestamp
+  `).all(campus.id, from, to);
+  const resolutions = db.prepare(`
+    SELECT e.actorId
+    FROM incident_events e
+    JOIN incidents i ON e.incidentId = i.id
+    JOIN restrooms r ON i.restroomId = r.id
+    WHERE r.campusId = ? AND e.toStatus = 'resolved' AND e.timestamp >= ? AND e.timestamp < ?
+  `).all(campus.id, from, to);
+
+  const checkTimesByRestroom = {};
+  checks.forEach((c) => {
+    (checkTimesByRestroom[c.restroomId] = checkTimesByRestroom[c.restroomId] || []).push(new Date(c.timestamp));
+  });
+  Object.values(checkTimesByRestroom).forEach(times => times.sort((a, b) => a - b));
+
+  const restrooms = db.prepare('SELECT * FROM restrooms WHERE campusId = ? ORDER BY name').all(campus.id)
+    .filter(r => r.active || checkTimesByRestroom[r.id])
+    .map(r => ({
+      id: r.id,
+      name: r.name,
+      ...getCheckCompliance(r, checkTimesByRestroom[r.id] || [], period.start, scheduleEnd, settings),
+      incidents: incidents.filter(i => i.restroomId === r.id).length,
+    }));
+
+  const resolutionMinutes = (i) => (i.status === 'resolved' && i.resolvedAt
+    ? (new Date(i.resolvedAt) - new Date(i.timestamp)) / 60000
+    : null);
+  const countBy = (rows, key) => rows.reduce((counts, row) => ({ ...counts, [row[key]]: (counts[row[key]] || 0) + 1 }), {});
+  const checksBy = countBy(checks, 'custodianId');
+  const reportedBy = countBy(incidents, 'custodianId');
+  const resolvedBy = countBy(resolutions, 'actorId');
+  const custodians = db.prepare('SELECT id, name FROM custodians ORDER BY name').all()
+    .map(c => ({ name: c.name, checks: checksBy[c.id] || 0, reported: reportedBy[c.id] || 0, resolved: resolvedBy[c.id] || 0 }))
+    .filter(c => c.checks || c.reported || c.resolved);
+
+  const expected = restrooms.reduce((sum, r) => sum + r.expected, 0);
+  const onSchedule = restrooms.reduce((sum, r) => sum + Math.min(r.checks, r.expected), 0);
+  const ratings = checks.filter(c => c.rating != null).map(c => c.rating);
+  return {
+    ...period,
+    campus: campus.name,
+    settings,
+    generatedAt: now,
+    summary: {
+      checks: checks.length,
+      compliance: expected ? onSchedule / expected : null,
+      averageRating: ratings.length ? ratings.reduce((sum, r) => sum + r, 0) / ratings.length : null,
+      incidents: incidents.length,
+      highSeverity: incidents.filter(i => i.severity === 'high').length,
+      resolution: summarizeMinutes(incidents.map(resolutionMinutes).filter(m => m != null)),
+    },
+    restrooms,
+    incidents: incidents.map(i => ({ ...i, resolutionMinutes: resolutionMinutes(i) })),
+    custodians,
+  };
+}
+
+// 135 -> "2h 15m"
+function formatDuration(minutes) {
+  if (minutes == null) return '-';
+  const rounded = Math.round(minutes);
+  if (rounded < 60) return `${rounded}m`;
+  const days = Math.floor(rounded / 1440);
+  const hours = Math.floor((rounded % 1440) / 60);
+  return [days && `${days}d`, hours && `${hours}h`, rounded % 60 && `${rounded % 60}m`].filter(Boolean).join(' ');
+}
+
+const formatPercent = (ratio) => (ratio == null ? '-' : `${Math.round(ratio * 100)}%`);
+
+// Draw a simple table at the current position, starting a new page (and repeating the header) when full.
+// columns: [{ header, width, align }], rows: arrays of cell text
+function drawPdfTable(doc, columns, rows) {
+  const left = doc.page.margins.left;
+  const rowHeight = 18;
+  const drawRow = (cells, bold) => {
+    if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      if (!bold) drawRow(columns.map(c => c.header), true);
+    }
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    let x = left;
+    cells.forEach((cell, i) => {
+      doc.text(String(cell ?? ''), x + 2, y + 4, { width: columns[i].width - 4, height: 11, align: columns[i].align || 'left', ellipsis: true });
+      x += columns[i].width;
+    });
+    doc.moveTo(left, y + rowHeight).lineTo(x, y + rowHeight).lineWidth(bold ? 1 : 0.5).strokeColor(bold ? '#333333' : '#cccccc').stroke();
+    doc.x = left;
+    doc.y = y + rowHeight;
+  };
+  drawRow(columns.map(c => c.header), true);
+  rows.forEach(row => drawRow(row, false));
+  doc.moveDown();
+}
+
+// Render buildMonthlyReport() output as a PDF; resolves to a Buffer
+function renderMonthlyReportPdf(report) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'LETTER', margin: 50, info: { Title: `Restroom Report – ${report.campus} – ${report.label}` } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const heading = (text) => {
+      if (doc.y > doc.page.height - 150) doc.addPage();
+      doc.moveDown().font('Helvetica-Bold').fontSize(14).fillColor('#000000').text(text).moveDown(0.5);
+    };
+
+    // Cover summary
+    const { summary } = report;
+    doc.font('Helvetica-Bold').fontSize(22).text('Restroom Report');
+    doc.font('Helvetica').fontSize(16).text(`${report.campus} · ${report.label}`);
+    doc.fontSize(9).fillColor('#666666')
+      .text(`Generated ${report.generatedAt.toLocaleString('en-US')}${report.end > report.generatedAt ? ' (month in progress)' : ''}`)
+      .fillColor('#000000')
+      .moveDown();
+    [
+      ['Checks logged', summary.checks],
+      ['Checks on schedule', formatPercent(summary.compliance)],
+      ['Average cleanliness rating', summary.averageRating == null ? '-' : `${summary.averageRating.toFixed(1)} / ${CHECK_RATING_MAX}`],
+      ['Incidents reported', `${summary.incidents} (${summary.highSeverity} high severity)`],
+      ['Incidents resolved', summary.resolution.count],
+      ['Median time to resolve', formatDuration(summary.resolution.median)],
+      ['90th percentile time to resolve', formatDuration(summary.resolution.p90)],
+    ].forEach(([label, value]) => {
+      const y = doc.y;
+      doc.font('Helvetica').fontSize(11).text(label, 50, y, { width: 250 });
+      doc.font('Helvetica-Bold').text(String(value), 300, y, { width: 250 });
+      doc.x = 50;
+    });
+
+    heading('Check compliance by restroom');
+    doc.font('Helvetica').fontSize(9).fillColor('#666666')
+      .text(`Expected: one check per target interval during school hours (${report.settings.schoolDayStart}-${report.settings.schoolDayEnd}). Late: a check, or the end of the day, more than one interval after the previous check.`)
+      .fillColor('#000000')
+      .moveDown(0.5);
+    drawPdfTable(doc, [
+      { header: 'Restroom', width: 150 },
+      { header: 'Target', width: 55, align: 'right' },
+      { header: 'Expected', width: 55, align: 'right' },
+      { header: 'Checks', width: 55, align: 'right' },
+      { header: 'Compliance', width: 65, align: 'right' },
+      { header: 'Late', width: 45, align: 'right' },
+      { header: 'Incidents', width: 85, align: 'right' },
+    ], report.restrooms.map(r => [
+      r.name, formatDuration(r.intervalMinutes), r.expected, r.checks, formatPercent(r.compliance), r.late, r.incidents,
+    ]));
+
+    heading('Incidents');
+    if (report.incidents.length === 0) {
+      doc.font('Helvetica').fontSize(10).text('No incidents were reported this month.');
+    } else {
+      drawPdfTable(doc, [
+        { header: 'Reported', width: 80 },
+        { header: 'Restroom', width: 85 },
+        { header: 'Severity', width: 50 },
+        { header: 'Description', width: 145 },
+        { header: 'Status', width: 65 },
+        { header: 'Resolved in', width: 87, align: 'right' },
+      ], report.incidents.map(i => [
+        new Date(i.timestamp).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }),
+        i.restroom,
+        i.severity,
+        i.description,
+        i.status.replace('_', ' '),
+        formatDuration(i.resolutionMinutes),
+      ]));
+    }
+
+    heading('Staff totals');
+    if (report.custodians.length === 0) {
+      doc.font('Helvetica').fontSize(10).text('No activity this month.');
+    } else {
+      drawPdfTable(doc, [
+        { header: 'Name', width: 210 },
+        { header: 'Checks', width: 100, align: 'right' },
+        { header: 'Incidents reported', width: 101, align: 'right' },
+        { header: 'Incidents resolved', width: 101, align: 'right' },
+      ], report.custodians.map(c => [c.name, c.checks, c.reported, c.resolved]));
+    }
+
+    doc.end();
+  });
+}
+
+// Local YYYY-MM of a date
+const toReportMonth = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+
+// Each campus's reports are archived in a folder named after its id
+const campusArchiveDir = (campusId) => path.join(REPORT_ARCHIVE_DIR, campusId);
+const archivedReportPath = (campusId, month, format) => path.join(campusArchiveDir(campusId), `restroom-report-${month}.${format}`);
+
+// Reports archived before there were campuses sit in the top folder; they cover what became the first campus
+function moveUncampusedReports() {
+  const campusId = db.prepare('SELECT id FROM campuses ORDER BY rowid').pluck().get();
+  const filenames = fs.readdirSync(REPORT_ARCHIVE_DIR).filter(filename => ARCHIVED_REPORT_PATTERN.test(filename));
+  if (!campusId || filenames.length === 0) return;
+  fs.mkdirSync(campusArchiveDir(campusId), { recursive: true });
+  filenames.forEach(filename => fs.renameSync(path.join(REPORT_ARCHIVE_DIR, filename), path.join(campusArchiveDir(campusId), filename)));
+  logger.info(`Moved ${filenames.length} archived report(s) to ${campusArchiveDir(campusId)}`);
+}
+moveUncampusedReports();
+
+// Write a campus's PDF, CSV and XLSX reports for a month to the archive, replacing any earlier copies. Resolves
+// to nodemailer-style attachments for the files written.
+async function archiveMonthlyReport(period, campus) {
+  const rows = buildReportRows(period.start.toISOString(), period.end.toISOString(), campus.id);
+  const files = {
+    pdf: await renderMonthlyReportPdf(buildMonthlyReport(period, campus)),
+    csv: await renderReport('csv', rows, period.label),
+    xlsx: await renderReport('xlsx', rows, period.label),
+  };
+  fs.mkdirSync(campusArchiveDir(campus.id), { recursive: true });
+  return Object.entries(files).map(([format, content]) => {
+    fs.writeFileSync(archivedReportPath(campus.id, period.month, format), content);
+    return { filename: path.basename(archivedReportPath(campus.id, period.month, format)), content, contentType: REPORT_CONTENT_TYPES[format] };
+  });
+}
+
+// A campus's archived reports, newest month first: [{ month, files: [{ filename, format, size, createdAt }] }]
+function listArchivedReports(campusId) {
+  const dir = campusArchiveDir(campusId);
+  if (!fs.existsSync(dir)) return [];
+  const byMonth = {};
+  fs.readdirSync(dir)
+    .filter(filename => ARCHIVED_REPORT_PATTERN.test(filename))
+    .forEach((filename) => {
+      const month = filename.slice('restroom-report-'.length, 'restroom-report-YYYY-MM'.length);
+      const stat = fs.statSync(path.join(dir, filename));
+      (byMonth[month] = byMonth[month] || []).push({
+        filename,
+        format: path.extname(filename).slice(1),
+        size: stat.size,
+        createdAt: stat.mtime.toISOString(),
+      });
+    });
+  return Object.keys(byMonth).sort().reverse().map(month => ({ month, files: byMonth[month] }));
+}
+
+// Last calendar month in server local time
+function previousReportPeriod(now = new Date()) {
+  return parseReportMonth(toReportMonth(new Date(now.getFullYear(), now.getMonth() - 1, 1)));
+}
+
+// Runs on the 1st: archive last month's reports for each campus, then email them to the campus's adminEmail
+// (ADMIN_EMAIL by default) if mail is configured. The archive is written first so nothing depends on mail working.
+async function sendMonthlyReport() {
+  const period = previousReportPeriod();
+  const campuses = db.prepare('SELECT * FROM campuses WHERE active = 1 ORDER BY name').all();
+  for (const campus of campuses) {
+    let attachments;
+    try {
+      attachments = await archiveMonthlyReport(period, campus);
+      logger.info(`Monthly report archived: ${campus.id} ${period.month}`);
+    } catch (err) {
+      logger.error(`Monthly report archive failed for ${campus.id}: ${err.message}`);
+      continue;
+    }
+    const { adminEmail } = campusSettings(campus);
+    if (!mailTransport || !adminEmail) {
+      logger.warn(`Monthly report: mail not configured, ${campus.id} ${period.month} is only in the archive`);
+      continue;
+    }
+    try {
+      await mailTransport.sendMail({
+        from: process.env.SMTP_USER,
+        to: adminEmail,
+        subject: `Restroom report – ${campus.name} – ${period.label}`,
+        text: `Monthly restroom report for ${campus.name}, ${period.label} is attached, as a PDF summary and as a spreadsheet of every check and incident.`,
+        attachments: attachments.filter(a => a.filename.endsWith('.pdf') || a.filename.endsWith('.xlsx')),
+      });
+      logger.info(`Monthly report sent: ${campus.id} ${period.month}`);
+    } catch (err) {
+      logger.error(`Monthly report send failed for ${campus.id}: ${err.message}`);
+    }
+  }
+}
+
+// On startup, archive last month for any campus missing it, e.g. if the server was down when the cron should
+// have run (no email is sent)
+function archiveMissedMonthlyReport() {
+  const period = previousReportPeriod();
+  db.prepare('SELECT * FROM campuses WHERE active = 1').all()
+    .filter(campus => !fs.existsSync(archivedReportPath(campus.id, period.month, 'pdf')))
+    .forEach((campus) => {
+      archiveMonthlyReport(period, campus)
+        .then(() => logger.info(`Monthly report archived on startup: ${campus.id} ${period.month}`))
+        .catch(err => logger.error(`Monthly report archive failed for ${campus.id}: ${err.message}`));
+    });
+}
+
+// Check if user is authenticated (middleware). Loads the logged-in account and its current campus into
+// req.user so deactivated accounts and role changes take effect on the next request.
+const isAuthenticated = (req, res, next) => {
+  if (!req.session.isAuthenticated || !req.session.userId) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  if (isSessionIdle(req)) {
+    return req.session.destroy(() => {
+      res.status(401).json({ error: 'Your session expired. Please log in again.' });
+    });
+  }
+  const user = db.prepare('SELECT * FROM custodians WHERE id = ?').get(req.session.userId);
+  if (!user || !user.active) {
+    return req.session.destroy(() => {
+      res.status(401).json({ error: 'Authentication required' });
+    });
+  }
+  req.user = withCurrentCampus(user, req.session);
+  next();
+};
+
+// Require a permission from PERMISSIONS (middleware, after isAuthenticated)
+const requirePermission = (permission) => (req, res, next) => {
+  if (hasPermission(req.user, permission)) {
+    next();
+  } else {
+    res.status(403).json({ error: 'You do not have permission to do this' });
+  }
+};
+
+// ============ API ROUTES ============
+
+// Health check (no auth required)
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+});
+
+// SSE stream of live updates (see SSE above). Replays what a reconnecting client missed: EventSource sends
+// Last-Event-ID itself; a client that had to open a new EventSource passes ?lastEventId= instead.
+app.get('/api/events', isAuthenticated, (req, res) => {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // nginx
+  res.flushHeaders();
+  const client = { res, user: req.user, sessionId: req.sessionID };
+  res.write(': connected\n\n');
+
+  const lastEventId = String(req.get('Last-Event-ID') || req.query.lastEventId || '');
+  if (lastEventId) {
+    const missed = missedSSEEvents(lastEventId, req.user);
+    if (missed) {
+      missed.forEach(({ id, event }) => writeSSE(client, id, event));
+    } else {
+      writeSSE(client, sseLastEventId, { type: 'resync' });
+    }
+  }
+  sseClients.add(client);
+  req.on('close', () => sseClients.delete(client));
+});
+
+// Public restroom page (no login): the restroom's name, the problem list and a form token
+app.get('/api/public/restrooms/:id', (req, res) => {
+  try {
+    if (rejectIfRateLimited(res, [[publicLimits.formPerIp, hashIp(req.ip)]])) return;
+    const restroom = db.prepare('SELECT id, name, building, floor FROM restrooms WHERE id = ? AND active = 1').get(req.params.id);
+    if (!restroom) {
+      return res.status(404).json({ error: 'Restroom not found' });
+    }
+    res.json({
+      ...restroom,
+      categories: PUBLIC_REPORT_CATEGORIES.map(({ id, label }) => ({ id, label })),
+      maxCommentLength: MAX_PUBLIC_COMMENT_LENGTH,
+      formToken: issuePublicFormToken(restroom.id)
+    });
+  } catch (error) {
+    logger.error('Error loading public restroom page:', error);
+    res.status(500).json({ error: 'Failed to load restroom' });
+  }
+});
+
+// Public report (no login): { kind: 'issue', category, comment? } or { kind: 'feedback', rating, comment? },
+// plus the formToken from the page and the empty honeypot field "website"
+app.post('/api/public/restrooms/:id/reports', (req, res) => {
+  try {
+    const body = req.body || {};
+    const restroom = db.prepare('SELECT id FROM restrooms WHERE id = ? AND active = 1').get(req.params.id);
+    if (!restroom) {
+      return res.status(404).json({ error: 'Restroom not found' });
+    }
+    const ipHash = hashIp(req.ip);
+    if (rejectIfRateLimited(res, [
+      [publicLimits.reportsPerIp, ipHash],
+      [publicLimits.reportsPerIpDaily, ipHash],
+      [publicLimits.reportsPerRestroom, restroom.id]
+    ])) return;
+
+    // Bots fill in the hidden field or submit instantly; let them think it worked
+    const tokenProblem = checkPublicFormToken(body.formToken, restroom.id);
+    if (body.website || tokenProblem === 'too-fast') {
+      logger.warn(`Dropped likely spam public report for ${restroom.id}`);
+      return res.status(201).json({ success: true });
+    }
+    if (tokenProblem) {
+      return res.status(400).json({ error: 'This page has expired. Reload it and try again.' });
+    }
+
+    const { error, values } = parsePublicReport(body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const since = new Date(Date.now() - PUBLIC_DUPLICATE_MINUTES * 60 * 1000).toISOString();
+    const duplicate = db.prepare(`
+      SELECT id FROM public_reports
+      WHERE restroomId = ? AND ipHash = ? AND kind = ? AND category IS ? AND rating IS ? AND createdAt >= ?
+    `).get(restroom.id, ipHash, values.kind, values.category, values.rating, since);
+    if (duplicate) {
+      return res.json({ success: true, duplicate: true });
+    }
+
+    const id = newRecordId('public');
+    db.prepare(`
+      INSERT INTO public_reports (id, restroomId, kind, category, rating, comment, ipHash, status, createdAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', ?)
+    `).run(id, restroom.id, values.kind, values.category, values.rating, values.comment, ipHash, new Date().toISOString());
+    logger.info(`Public ${values.kind} report ${id} for ${restroom.id}`);
+    recordAudit(req, 'public-report.create', { targetType: 'public-report', targetId: id, after: { restroomId: restroom.id, ...values }, actor: null });
+    publishListChange('public-report.changed', restroom.id);
+    res.status(201).json({ success: true });
+  } catch (error) {
+    logger.error('Error saving public report:', error);
+    res.status(500).json({ error: 'Failed to send report' });
+  }
+});
+
+// User login: each custodian and admin signs in with their own username and password
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const username = normalizeUsername(req.body?.username);
+    const raw = req.body?.password;
+    const password = typeof raw === 'string' ? raw : '';
+
+    if (!username || !password) {
+      return res.status(400).json({ error: 'Username and password are required' });
+    }
+
+    // Locked-out usernames and IPs are turned away before the password is even checked
+    const retryAfter = Math.max(loginThrottles.perAccount.lockedFor(username), loginThrottles.perIp.lockedFor(req.ip));
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: `Too many failed logins. Try again in ${Math.ceil(retryAfter / 60)} minute${retryAfter > 60 ? 's' : ''}.`
+      });
+    }
+
+    const user = db.prepare('SELECT * FROM custodians WHERE username = ?').get(username);
+    const valid = !!(user && user.active && user.password_hash && await bcrypt.compare(password, user.password_hash));
+    if (!valid) {
+      logger.warn(`Failed login attempt for "${username}"`);
+      recordAudit(req, 'auth.login-failed', { targetType: 'account', targetId: username, actor: null });
+      const accountLock = loginThrottles.perAccount.fail(username);
+      const ipLock = loginThrottles.perIp.fail(req.ip);
+      if (accountLock) logger.warn(`Logins for "${username}" locked for ${accountLock}s`);
+      if (ipLock) logger.warn(`Logins from ${req.ip} locked for ${ipLock}s`);
+      if (accountLock || ipLock) {
+        recordAudit(req, 'auth.lockout', {
+          targetType: 'account',
+          targetId: username,
+          after: { accountLockSeconds: accountLock || null, ipLockSeconds: ipLock || null },
+          actor: null
+        });
+      }
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    loginThrottles.perAccount.reset(username);
+
+    // New session id on login so a pre-login session cookie cannot be reused
+    req.session.regenerate((err) => {
+      if (err) {
+        logger.error('Error regenerating session:', err);
+        return res.status(500).json({ error: 'Login failed' });
+      }
+      req.session.userId = user.id;
+      req.session.isAuthenticated = true;
+      req.session.lastSeenAt = Date.now();
+      const csrfToken = issueCsrfToken(req);
+      logger.info(`User login successful: ${user.username}`);
+      recordAudit(req, 'auth.login', { targetType: 'account', targetId: user.id, actor: user });
+      res.json({
+        success: true,
+        message: 'Login successful',
+        user: publicUser(user),
+        permissions: permissionsFor(user),
+        currentCampusId: currentCampusId(user, req.session),
+        csrfToken
+      });
+    });
+  } catch (error) {
+    logger.error('Error during login:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// User logout
+app.post('/api/auth/logout', (req, res) => {
+  if (req.session.isAuthenticated && req.session.userId) {
+    const user = db.prepare('SELECT id, name FROM custodians WHERE id = ?').get(req.session.userId);
+    recordAudit(req, 'auth.logout', { targetType: 'account', targetId: req.session.userId, actor: user });
+  }
+  req.session.isAuthenticated = false;
+  req.session.destroy((err) => {
+    if (err) {
+      logger.error('Error destroying session:', err);
+    } else {
+      logger.info('User logged out and session destroyed');
+    }
+  });
+  res.clearCookie('connect.sid'); // Clear the session cookie
+  res.json({ success: true, message: 'Logged out' });
+});
+
+// Check authentication status
+app.get('/api/auth/status', (req, res) => {
+  const user = req.session && req.session.isAuthenticated === true && req.session.userId && !isSessionIdle(req)
+    ? db.prepare('SELECT * FROM custodians WHERE id = ?').get(req.session.userId)
+    : null;
+
+  if (!user || !user.active) {
+    if (req.session.isAuthenticated) req.session.destroy(() => {});
+    return res.json({ isAuthenticated: false, isAdmin: false, user: null, permissions: [], currentCampusId: null });
+  }
+  res.json({
+    isAuthenticated: true,
+    isAdmin: user.role === 'admin',
+    user: publicUser(user),
+    permissions: permissionsFor(user),
+    currentCampusId: currentCampusId(user, req.session),
+    csrfToken: req.session.csrfToken || issueCsrfToken(req) // Sessions from before CSRF tokens get one here
+  });
+});
+
+// Switch the campus a district account works in: { campusId }. Kept in the session, so each device can be on
+// a different campus.
+app.post('/api/auth/campus', isAuthenticated, (req, res) => {
+  if (req.user.campusId) {
+    return res.status(403).json({ error: 'Only district accounts can switch campus' });
+  }
+  const campus = db.prepare('SELECT * FROM campuses WHERE id = ? AND active = 1').get(req.body?.campusId);
+  if (!campus) {
+    return res.status(400).json({ error: 'Campus not found' });
+  }
+  const before = req.user.currentCampusId;
+  req.session.campusId = campus.id;
+  recordAudit(req, 'auth.campus-switch', { targetType: 'campus', targetId: campus.id, before: { campusId: before }, after: { campusId: campus.id } });
+  res.json({ success: true, currentCampusId: campus.id });
+});
+
+// Change own password
+app.post('/api/auth/password', isAuthenticated, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    if (typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `New password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    const valid = typeof currentPassword === 'string'
+      && req.user.password_hash
+      && await bcrypt.compare(currentPassword, req.user.password_hash);
+    if (!valid) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    db.prepare('UPDATE custodians SET password_hash = ? WHERE id = ?')
+      .run(await bcrypt.hash(newPassword, BCRYPT_ROUNDS), req.user.id);
+    logger.info(`Password changed: ${req.user.username}`);
+    recordAudit(req, 'auth.password-change', { targetType: 'account', targetId: req.user.id });
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error changing password:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// The logged-in user's permissions and campus, refetched by the app on live updates so a role or campus change
+// applies right away
+app.get('/api/admin/status', (req, res) => {
+  const user = req.session.isAuthenticated && req.session.userId
+    ? db.prepare('SELECT * FROM custodians WHERE id = ? AND active = 1').get(req.session.userId)
+    : null;
+  res.json({
+    isAdmin: user?.role === 'admin',
+    role: user?.role || null,
+    permissions: permissionsFor(user),
+    campusId: user?.campusId || null,
+    currentCampusId: user ? currentCampusId(user, req.session) : null
+  });
+});
+
+// Campuses the user can work in: every campus for district accounts (inactive ones too with campuses.manage),
+// otherwise their own. Each comes with its settings as saved (null = the .env default) and with defaults filled in.
+app.get('/api/campuses', isAuthenticated, (req, res) => {
+  try {
+    const campuses = req.user.campusId
+      ? db.prepare('SELECT * FROM campuses WHERE id = ?').all(req.user.campusId)
+      : db.prepare(`SELECT * FROM campuses ${hasPermission(req.user, 'campuses.manage') ? '' : 'WHERE active = 1'} ORDER BY active DESC, name`).all();
+    res.json(campuses.map(c => ({ ...c, active: !!c.active, effective: campusSettings(c) })));
+  } catch (error) {
+    logger.error('Error fetching campuses:', error);
+    res.status(500).json({ error: 'Failed to fetch campuses' });
+  }
+});
+
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const EMAIL_LIST_PATTERN = /^[^\s@,]+@[^\s@,]+(\s*,\s*[^\s@,]+@[^\s@,]+)*$/;
+
+// Validate campus fields for create/update. Only fields present in body are returned; empty settings mean
+// "use the .env default".
+function parseCampusInput(body, { requireName = false } = {}) {
+  const values = {};
+  if (requireName || body.name !== undefined) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) return { error: 'Name is required' };
+    values.name = name;
+  }
+  for (const field of ['adminEmail', 'escalationEmail']) {
+    if (body[field] === undefined) continue;
+    const value = typeof body[field] === 'string' ? body[field].trim() : '';
+    if (value && !EMAIL_LIST_PATTERN.test(value)) return { error: 'Emails must be addresses separated by commas' };
+    values[field] = value || null;
+  }
+  for (const field of ['schoolDayStart', 'schoolDayEnd']) {
+    if (body[field] === undefined) continue;
+    const value = typeof body[field] === 'string' ? body[field].trim() : '';
+    if (value && !TIME_OF_DAY_PATTERN.test(value)) return { error: 'School day times must be HH:MM' };
+    values[field] = value || null;
+  }
+  if (body.checkIntervalMinutes !== undefined) {
+    if (body.checkIntervalMinutes === null || body.checkIntervalMinutes === '') {
+      values.checkIntervalMinutes = null; // use DEFAULT_CHECK_INTERVAL_MINUTES
+    } else {
+      const interval = Number(body.checkIntervalMinutes);
+      if (!Number.isInteger(interval) || interval < 5 || interval > 24 * 60) {
+        return { error: 'Check interval must be between 5 and 1440 minutes' };
+      }
+      values.checkIntervalMinutes = interval;
+    }
+  }
+  return { values };
+}
+
+// School days must end after they start, with the .env defaults standing in for empty settings
+const hasValidSchoolDay = (campus) => {
+  const { schoolDayStart, schoolDayEnd } = campusSettings(campus);
+  return schoolDayStart < schoolDayEnd;
+};
+
+// Create a campus (district admins only)
+app.post('/api/campuses', isAuthenticated, requirePermission('campuses.manage'), (req, res) => {
+  try {
+    const { error, values } = parseCampusInput(req.body || {}, { requireName: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!hasValidSchoolDay(values)) {
+      return res.status(400).json({ error: 'The school day must end after it starts' });
+    }
+    const id = generateSlugId('campuses', values.name, 'campus');
+    const columns = ['id', ...Object.keys(values)];
+    db.prepare(`INSERT INTO campuses (${columns.join(', ')}) VALUES (${columns.map(c => `@${c}`).join(', ')})`).run({ id, ...values });
+
+    const created = getCampus(id);
+    logger.info(`Campus created: ${id}`);
+    recordAudit(req, 'campus.create', { targetType: 'campus', targetId: id, after: created });
+    broadcastSSE({ type: 'campuses.changed' });
+    res.status(201).json({ ...created, active: !!created.active, effective: campusSettings(created) });
+  } catch (error) {
+    logger.error('Error creating campus:', error);
+    res.status(500).json({ error: 'Failed to create campus' });
+  }
+});
+
+// Update a campus's name and settings (admins; campus admins only their own)
+app.put('/api/campuses/:id', isAuthenticated, requirePermission('config.manage'), (req, res) => {
+  try {
+    const before = getCampus(req.params.id);
+    if (!before || (req.user.campusId && req.user.campusId !== before.id)) {
+      return res.status(404).json({ error: 'Campus not found' });
+    }
+    const { error, values } = parseCampusInput(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!hasValidSchoolDay({ ...before, ...values })) {
+      return res.status(400).json({ error: 'The school day must end after it starts' });
+    }
+    if (Object.keys(values).length > 0) {
+      const sets = Object.keys(values).map(k => `${k} = @${k}`).join(', ');
+      db.prepare(`UPDATE campuses SET ${sets} WHERE id = @id`).run({ ...values, id: before.id });
+    }
+
+    const after = getCampus(before.id);
+    logger.info(`Campus updated: ${before.id}`);
+    recordAudit(req, 'campus.update', { targetType: 'campus', targetId: before.id, before, after });
+    broadcastSSE({ type: 'campuses.changed' });
+    // The schedule may have changed, so every restroom's due time may have too
+    db.prepare('SELECT id FROM restrooms WHERE campusId = ? AND active = 1').pluck().all(before.id).forEach(publishRestroom);
+    res.json({ ...after, active: !!after.active, effective: campusSettings(after) });
+  } catch (error) {
+    logger.error('Error updating campus:', error);
+    res.status(500).json({ error: 'Failed to update campus' });
+  }
+});
+
+// Archive a campus (district admins only). Its restrooms and staff must be archived or moved first.
+app.post('/api/campuses/:id/archive', isAuthenticated, requirePermission('campuses.manage'), (req, res) => {
+  try {
+    const campus = getCampus(req.params.id);
+    if (!campus) {
+      return res.status(404).json({ error: 'Campus not found' });
+    }
+    if (!campus.active) {
+      return res.status(409).json({ error: 'Campus is already archived' });
+    }
+    const inUse = db.prepare(`
+      SELECT (SELECT COUNT(*) FROM restrooms WHERE campusId = @id AND active = 1)
+           + (SELECT COUNT(*) FROM custodians WHERE campusId = @id AND active = 1)
+    `).pluck().get({ id: campus.id });
+    if (inUse > 0) {
+      return res.status(409).json({ error: 'Archive or move this campus\'s restrooms and staff first' });
+    }
+
+    db.prepare('UPDATE campuses SET active = 0 WHERE id = ?').run(campus.id);
+    logger.info(`Campus archived: ${campus.id}`);
+    recordAudit(req, 'campus.archive', { targetType: 'campus', targetId: campus.id, before: { active: 1 }, after: { active: 0 } });
+    broadcastSSE({ type: 'campuses.changed' });
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error archiving campus:', error);
+    res.status(500).json({ error: 'Failed to archive campus' });
+  }
+});
+
+// Get restrooms in service the user is assigned to (require authentication). restrooms.all gets every
+// restroom of the current campus, and config.manage can pass ?includeArchived=true
+app.get('/api/restrooms', isAuthenticated, (req, res) => {
+  try {
+    const includeArchived = req.query.includeArchived === 'true' && hasPermission(req.user, 'config.manage');
+    const params = { userId: req.user.id, campusId: req.user.currentCampusId };
+    let restrooms;
+    if (includeArchived) {
+      restrooms = db.prepare('SELECT * FROM restrooms WHERE campusId = @campusId ORDER BY active DESC, name').all(params);
+    } else if (hasPermission(req.user, 'restrooms.all')) {
+      restrooms = db.prepare('SELECT * FROM restrooms WHERE campusId = @campusId AND active = 1 ORDER BY name').all(params);
+    } else {
+      restrooms = db.prepare(`
+        SELECT * FROM restrooms
+        WHERE campusId = @campusId AND active = 1 AND id IN (${ASSIGNED_RESTROOM_IDS_SQL})
+        ORDER BY name
+      `).all(params);
+    }
+    const flaggedSupplies = getFlaggedSupplies();
+    res.json(withCheckStatus(restrooms).map(r => ({ ...r, flaggedSupplies: flaggedSupplies[r.id] || [] })));
+  } catch (error) {
+    logger.error('Error fetching restrooms:', error);
+    res.status(500).json({ error: 'Failed to fetch restrooms' });
+  }
+});
+
+const RESTROOM_GENDERS = ['female', 'male'];
+
+// Validate restroom fields from a create/update body. Returns { error } or { values }.
+function parseRestroomInput(body, partial = false) {
+  const values = {};
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) return { error: 'Name is required' };
+    values.name = name;
+  }
+  if (body.building !== undefined) {
+    values.building = typeof body.building === 'string' && body.building.trim() ? body.building.trim() : null;
+  }
+  if (body.floor !== undefined) {
+    if (body.floor === null || body.floor === '') {
+      values.floor = null;
+    } else {
+      const floor = Number(body.floor);
+      if (!Number.isInteger(floor)) return { error: 'Floor must be a whole number' };
+      values.floor = floor;
+    }
+  }
+  if (body.gender !== undefined) {
+    if (body.gender && !RESTROOM_GENDERS.includes(body.gender)) {
+      return { error: 'Gender must be female, male or empty for all-gender' };
+    }
+    values.gender = body.gender || null;
+  }
+  if (body.checkIntervalMinutes !== undefined) {
+    if (body.checkIntervalMinutes === null || body.checkIntervalMinutes === '') {
+      values.checkIntervalMinutes = null; // use DEFAULT_CHECK_INTERVAL_MINUTES
+    } else {
+      const interval = Number(body.checkIntervalMinutes);
+      if (!Number.isInteger(interval) || interval < 5 || interval > 24 * 60) {
+        return { error: 'Check interval must be between 5 and 1440 minutes' };
+      }
+      values.checkIntervalMinutes = interval;
+    }
+  }
+  if (body.active !== undefined) {
+    values.active = body.active ? 1 : 0;
+    values.archivedAt = body.active ? null : new Date().toISOString();
+  }
+  // Pin on the building's floor plan: both coordinates as fractions of the plan's size, or both null to unpin
+  if (body.mapX !== undefined || body.mapY !== undefined) {
+    if (body.mapX === null && body.mapY === null) {
+      values.mapX = null;
+      values.mapY = null;
+    } else {
+      if (![body.mapX, body.mapY].every(n => typeof n === 'number' && n >= 0 && n <= 1)) {
+        return { error: 'Map position must be mapX and mapY between 0 and 1' };
+      }
+      values.mapX = body.mapX;
+      values.mapY = body.mapY;
+    }
+  }
+  return { values };
+}
+
+// Turn a display name into a unique id for the given table, e.g. "B Wing Upstairs" -> "b-wing-upstairs"
+function generateSlugId(table, name, fallback) {
+  const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || fallback;
+  const exists = db.prepare(`SELECT 1 FROM ${table} WHERE id = ?`);
+  let id = base;
+  for (let n = 2; exists.get(id); n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+}
+
+// Create a restroom on the current campus (admin only)
+app.post('/api/restrooms', isAuthenticated, requirePermission('config.manage'), (req, res) => {
+  try {
+    const { error, values } = parseRestroomInput(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const id = generateSlugId('restrooms', values.name, 'restroom');
+    db.prepare(`
+      INSERT INTO restrooms (id, name, building, floor, gender, checkIntervalMinutes, active, campusId)
+      VALUES (?, ?, ?, ?, ?, ?, 1, ?)
+    `).run(id, values.name, values.building ?? null, values.floor ?? null, values.gender ?? null, values.checkIntervalMinutes ?? null, req.user.currentCampusId);
+
+    logger.info(`Restroom created: ${id}`);
+    const created = db.prepare('SELECT * FROM restrooms WHERE id = ?').get(id);
+    recordAudit(req, 'restroom.create', { targetType: 'restroom', targetId: id, after: created });
+    publishRestroom(id);
+    res.status(201).json(created);
+  } catch (error) {
+    logger.error('Error creating restroom:', error);
+    res.status(500).json({ error: 'Failed to create restroom' });
+  }
+});
+
+// Update restroom (admin only). Setting active back to true restores an archived restroom.
+app.put('/api/restrooms/:id', isAuthenticated, requirePermission('config.manage'), (req, res) => {
+  try {
+    const existing = db.prepare('SELECT * FROM restrooms WHERE id = ? AND campusId = ?').get(req.params.id, req.user.currentCampusId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Restroom not found' });
+    }
+
+    const { error, values } = parseRestroomInput(req.body || {}, true);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    // A pin only makes sense on its own building's plan
+    if (values.building !== undefined && values.building !== existing.building && values.mapX === undefined) {
+      values.mapX = null;
+      values.mapY = null;
+    }
+    const columns = Object.keys(values);
+    if (columns.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    db.prepare(`UPDATE restrooms SET ${columns.map(c => `${c} = @${c}`).join(', ')} WHERE id = @id`)
+      .run({ ...values, id: existing.id });
+
+    logger.info(`Restroom updated: ${existing.id}`);
+    recordAudit(req, 'restroom.update', { targetType: 'restroom', targetId: existing.id, before: pickFields(existing, columns), after: values });
+    publishRestroom(existing.id);
+    res.json(db.prepare('SELECT * FROM restrooms WHERE id = ?').get(existing.id));
+  } catch (error) {
+    logger.error('Error updating restroom:', error);
+    res.status(500).json({ error: 'Failed to update restroom' });
+  }
+});
+
+// Archive restroom (admin only). The row is kept so checks and incidents still reference it.
+app.post('/api/restrooms/:id/archive', isAuthenticated, requirePermission('config.manage'), (req, res) => {
+  try {
+    const result = db.prepare(`
+      UPDATE restrooms SET active = 0, archivedAt = ? WHERE id = ? AND campusId = ? AND active = 1
+    `).run(new Date().toISOString(), req.params.id, req.user.currentCampusId);
+
+    if (result.changes === 0) {
+      const exists = db.prepare('SELECT 1 FROM restrooms WHERE id = ? AND campusId = ?').get(req.params.id, req.user.currentCampusId);
+      return exists
+        ? res.status(409).json({ error: 'Restroom is already archived' })
+        : res.status(404).json({ error: 'Restroom not found' });
+    }
+
+    logger.info(`Restroom archived: ${req.params.id}`);
+    recordAudit(req, 'restroom.archive', { targetType: 'restroom', targetId: req.params.id, before: { active: 1 }, after: { active: 0 } });
+    publishRestroom(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error archiving restroom:', error);
+    res.status(500).json({ error: 'Failed to archive restroom' });
+  }
+});
+
+// The current campus's floor plans, by building
+app.get('/api/floor-plans', isAuthenticated, (req, res) => {
+  try {
+    const plans = db.prepare('SELECT * FROM floor_plans WHERE campusId = ? ORDER BY building').all(req.user.currentCampusId);
+    res.json(plans.map(toFloorPlan));
+  } catch (error) {
+    logger.error('Error fetching floor plans:', error);
+    res.status(500).json({ error: 'Failed to fetch floor plans' });
+  }
+});
+
+// Upload a building's floor plan, replacing the one it had (admin only): multipart with "building" and "image".
+// Restroom pins stay where they were, so a redrawn plan of the same building keeps them.
+app.post('/api/floor-plans', isAuthenticated, requirePermission('config.manage'), acceptFloorPlan, async (req, res) => {
+  try {
+    const building = typeof req.body?.building === 'string' ? req.body.building.trim() : '';
+    if (!building) {
+      return res.status(400).json({ error: 'Building is required' });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'Choose an image of the floor plan' });
+    }
+    const plan = await prepareFloorPlan(req.file);
+    if (!plan) {
+      return res.status(400).json({ error: 'That file is not a usable SVG, PNG, JPEG or WebP image' });
+    }
+
+    const campusId = req.user.currentCampusId;
+    const before = db.prepare('SELECT * FROM floor_plans WHERE campusId = ? AND building = ?').get(campusId, building);
+    const id = before?.id || `plan-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const filename = `${id}-${Date.now()}.${plan.format === 'jpeg' ? 'jpg' : plan.format}`;
+    const mimeType = plan.format === 'svg' ? 'image/svg+xml' : `image/${plan.format}`;
+    fs.writeFileSync(path.join(UPLOADS_DIR, filename), plan.data);
+    db.prepare(`
+      INSERT INTO floor_plans (id, campusId, building, filename, mimeType, width, height, uploadedBy, updatedAt)
+      VALUES (@id, @campusId, @building, @filename, @mimeType, @width, @height, @uploadedBy, @updatedAt)
+      ON CONFLICT(id) DO UPDATE SET filename = @filename, mimeType = @mimeType, width = @width, height = @height,
+        uploadedBy = @uploadedBy, updatedAt = @updatedAt
+    `).run({
+      id, campusId, building, filename, mimeType, width: plan.width, height: plan.height,
+      uploadedBy: req.user.id, updatedAt: new Date().toISOString()
+    });
+
+    const saved = db.prepare('SELECT * FROM floor_plans WHERE id = ?').get(id);
+    logger.info(`Floor plan uploaded: ${id} (${building})`);
+    recordAudit(req, 'floor-plan.upload', {
+      targetType: 'floor-plan',
+      targetId: id,
+      before: before && toFloorPlan(before),
+      after: toFloorPlan(saved)
+    });
+    publishFloorPlans(campusId);
+    res.status(before ? 200 : 201).json(toFloorPlan(saved));
+  } catch (error) {
+    logger.error('Error uploading floor plan:', error);
+    res.status(500).json({ error: 'Failed to save floor plan' });
+  }
+});
+
+// Remove a building's floor plan (admin only). Its restrooms keep their pins for the next plan.
+app.delete('/api/floor-plans/:id', isAuthenticated, requirePermission('config.manage'), (req, res) => {
+  try {
+    const campusId = req.user.currentCampusId;
+    const plan = db.prepare('SELECT * FROM floor_plans WHERE id = ? AND campusId = ?').get(req.params.id, campusId);
+    if (!plan) {
+      return res.status(404).json({ error: 'Floor plan not found' });
+    }
+    db.prepare('DELETE FROM floor_plans WHERE id = ?').run(plan.id);
+    logger.info(`Floor plan removed: ${plan.id} (${plan.building})`);
+    recordAudit(req, 'floor-plan.delete', { targetType: 'floor-plan', targetId: plan.id, before: toFloorPlan(plan) });
+    publishFloorPlans(campusId);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error removing floor plan:', error);
+    res.status(500).json({ error: 'Failed to remove floor plan' });
+  }
+});
+
+// A floor plan's image, for anyone working in its campus
+app.get('/api/floor-plans/:id/image', isAuthenticated, (req, res) => {
+  try {
+    const plan = db.prepare('SELECT * FROM floor_plans WHERE id = ? AND campusId = ?').get(req.params.id, req.user.currentCampusId);
+    if (!plan) {
+      return res.status(404).json({ error: 'Floor plan not found' });
+    }
+    res.set('Cross-Origin-Resource-Policy', 'same-site');
+    res.set('Cache-Control', 'private, max-age=86400'); // The app asks for ?v=<updatedAt>, so a new upload is refetched
+    // An SVG opened on its own must not run scripts or load anything
+    res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; img-src data:");
+    res.type(plan.mimeType);
+    res.sendFile(path.join(UPLOADS_DIR, plan.filename), (err) => {
+      if (err && !res.headersSent) {
+        logger.error(`Floor plan file missing for ${plan.id}: ${err.message}`);
+        res.status(404).json({ error: 'Floor plan file not found' });
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching floor plan:', error);
+    res.status(500).json({ error: 'Failed to fetch floor plan' });
+  }
+});
+
+// Get the current campus's staff and the district accounts (require authentication). Account and assignment
+// managers also get account details, assignments and inactive staff.
+app.get('/api/custodians', isAuthenticated, (req, res) => {
+  try {
+    const campusId = req.user.currentCampusId;
+    if (hasPermission(req.user, 'accounts.manage') || hasPermission(req.user, 'config.manage')) {
+      const custodians = db.prepare(`
+        SELECT * FROM custodians WHERE campusId = ? OR campusId IS NULL ORDER BY active DESC, name
+      `).all(campusId);
+      const direct = db.prepare('SELECT restroomId, custodianId FROM restroom_custodians').all();
+      const zoneRows = db.prepare('SELECT zoneId, custodianId FROM zone_custodians').all();
+      return res.json(custodians.map(c => ({
+        ...publicUser(c),
+        restroomIds: direct.filter(d => d.custodianId === c.id).map(d => d.restroomId),
+        zoneIds: zoneRows.filter(z => z.custodianId === c.id).map(z => z.zoneId)
+      })));
+    }
+    const custodians = db.prepare(`
+      SELECT id, name, gender FROM custodians WHERE active = 1 AND (campusId = ? OR campusId IS NULL) ORDER BY name
+    `).all(campusId);
+    res.json(custodians);
+  } catch (error) {
+    logger.error('Error fetching custodians:', error);
+    res.status(500).json({ error: 'Failed to fetch custodians' });
+  }
+});
+
+// Validate account fields from a create/update body. Returns { error } or { values }.
+function parseCustodianInput(body, partial = false) {
+  const values = {};
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) return { error: 'Name is required' };
+    values.name = name;
+  }
+  if (body.gender !== undefined) {
+    if (body.gender && !RESTROOM_GENDERS.includes(body.gender)) {
+      return { error: 'Gender must be female, male or empty' };
+    }
+    values.gender = body.gender || null;
+  }
+  if (body.username !== undefined) {
+    const username = normalizeUsername(body.username);
+    if (username && !/^[a-z0-9._-]{3,32}$/.test(username)) {
+      return { error: 'Username must be 3-32 letters, numbers, dots, dashes or underscores' };
+    }
+    values.username = username || null;
+  }
+  if (body.role !== undefined) {
+    if (!USER_ROLES.includes(body.role)) return { error: `Role must be one of: ${USER_ROLES.join(', ')}` };
+    values.role = body.role;
+  }
+  if (body.campusId !== undefined) {
+    if (body.campusId && !db.prepare('SELECT 1 FROM campuses WHERE id = ? AND active = 1').get(body.campusId)) {
+      return { error: 'Campus not found' };
+    }
+    values.campusId = body.campusId || null; // null: a district account
+  }
+  if (body.active !== undefined) {
+    values.active = body.active ? 1 : 0;
+  }
+  return { values };
+}
+
+const isUsernameTaken = (username, exceptId = null) =>
+  !!username && !!db.prepare('SELECT 1 FROM custodians WHERE username = ? AND id IS NOT ?').get(username, exceptId);
+
+const countOtherDistrictAdmins = (exceptId) => db.prepare(`
+  SELECT COUNT(*) as count FROM custodians WHERE role = 'admin' AND campusId IS NULL AND active = 1 AND id != ?
+`).get(exceptId).count;
+
+const OTHER_CAMPUS_ERROR = 'You can only manage staff of your own campus';
+
+// Create a staff account (admin only), on the current campus unless a district admin passes campusId
+// (null for a district account)
+app.post('/api/custodians', isAuthenticated, requirePermission('accounts.manage'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { error, values } = parseCustodianInput(body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const campusId = values.campusId === undefined ? req.user.currentCampusId : values.campusId;
+    if (!canManageAccount(req.user, { campusId })) {
+      return res.status(403).json({ error: OTHER_CAMPUS_ERROR });
+    }
+    if (isUsernameTaken(values.username)) {
+      return res.status(409).json({ error: 'Username is already taken' });
+    }
+    if (body.password && (typeof body.password !== 'string' || body.password.length < MIN_PASSWORD_LENGTH)) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    if (body.password && !values.username) {
+      return res.status(400).json({ error: 'A username is required to set a password' });
+    }
+
+    const id = generateSlugId('custodians', values.name, 'staff');
+    const passwordHash = body.password ? await bcrypt.hash(body.password, BCRYPT_ROUNDS) : null;
+    db.prepare(`
+      INSERT INTO custodians (id, name, gender, username, password_hash, role, campusId, active)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 1)
+    `).run(id, values.name, values.gender ?? null, values.username ?? null, passwordHash, values.role || 'custodian', campusId);
+
+    logger.info(`Staff account created: ${id}`);
+    const created = publicUser(db.prepare('SELECT * FROM custodians WHERE id = ?').get(id));
+    recordAudit(req, 'staff.create', { targetType: 'staff', targetId: id, after: { ...created, hasPassword: !!passwordHash } });
+    broadcastSSE({ type: 'custodians.changed' });
+    res.status(201).json(created);
+  } catch (error) {
+    logger.error('Error creating custodian:', error);
+    res.status(500).json({ error: 'Failed to create staff account' });
+  }
+});
+
+// Update a staff account (admin only). Setting active to false disables the login but keeps history. Moving
+// an account to another campus (district admins only) drops its zones and restroom assignments.
+app.put('/api/custodians/:id', isAuthenticated, requirePermission('accounts.manage'), (req, res) => {
+  try {
+    const existing = db.prepare('SELECT * FROM custodians WHERE id = ?').get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Staff member not found' });
+    }
+
+    const { error, values } = parseCustodianInput(req.body || {}, true);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!canManageAccount(req.user, existing) || (values.campusId !== undefined && !canManageAccount(req.user, values))) {
+      return res.status(403).json({ error: OTHER_CAMPUS_ERROR });
+    }
+    if (values.username !== undefined && isUsernameTaken(values.username, existing.id)) {
+      return res.status(409).json({ error: 'Username is already taken' });
+    }
+    const losesDistrictAdmin = existing.role === 'admin' && !existing.campusId
+      && ((values.role && values.role !== 'admin') || values.active === 0 || values.campusId);
+    if (losesDistrictAdmin && countOtherDistrictAdmins(existing.id) === 0) {
+      return res.status(409).json({ error: 'At least one active district admin account is required' });
+    }
+    if (existing.id === req.user.id && values.active === 0) {
+      return res.status(409).json({ error: 'You cannot deactivate your own account' });
+    }
+    const columns = Object.keys(values);
+    if (columns.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const changesCampus = values.campusId !== undefined && values.campusId !== existing.campusId;
+    db.transaction(() => {
+      db.prepare(`UPDATE custodians SET ${columns.map(c => `${c} = @${c}`).join(', ')} WHERE id = @id`)
+        .run({ ...values, id: existing.id });
+      if (changesCampus) {
+        db.prepare('DELETE FROM zone_custodians WHERE custodianId = ?').run(existing.id);
+        db.prepare('DELETE FROM restroom_custodians WHERE custodianId = ?').run(existing.id);
+      }
+    })();
+
+    logger.info(`Staff account updated: ${existing.id}`);
+    recordAudit(req, 'staff.update', { targetType: 'staff', targetId: existing.id, before: pickFields(existing, columns), after: values });
+    broadcastSSE({ type: 'custodians.changed' });
+    res.json(publicUser(db.prepare('SELECT * FROM custodians WHERE id = ?').get(existing.id)));
+  } catch (error) {
+    logger.error('Error updating custodian:', error);
+    res.status(500).json({ error: 'Failed to update staff account' });
+  }
+});
+
+// Set a staff member's password (admin only)
+app.post('/api/custodians/:id/password', isAuthenticated, requirePermission('accounts.manage'), async (req, res) => {
+  try {
+    const { password } = req.body || {};
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    const existing = db.prepare('SELECT * FROM custodians WHERE id = ?').get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Staff member not found' });
+    }
+    if (!canManageAccount(req.user, existing)) {
+      return res.status(403).json({ error: OTHER_CAMPUS_ERROR });
+    }
+    if (!existing.username) {
+      return res.status(400).json({ error: 'Set a username before setting a password' });
+    }
+
+    db.prepare('UPDATE custodians SET password_hash = ? WHERE id = ?')
+      .run(await bcrypt.hash(password, BCRYPT_ROUNDS), existing.id);
+    loginThrottles.perAccount.reset(existing.username); // A new password also lifts a lockout
+    logger.info(`Password set for ${existing.username} by ${req.user.username}`);
+    recordAudit(req, 'staff.password-set', { targetType: 'staff', targetId: existing.id });
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error setting password:', error);
+    res.status(500).json({ error: 'Failed to set password' });
+  }
+});
+
+// Get the current campus's zones with their restrooms and custodians (admin only)
+app.get('/api/zones', isAuthenticated, requirePermission('config.manage'), (req, res) => {
+  try {
+    res.json(getZones(req.user.currentCampusId));
+  } catch (error) {
+    logger.error('Error fetching zones:', error);
+    res.status(500).json({ error: 'Failed to fetch zones' });
+  }
+});
+
+// Replace a zone's restroom and custodian lists inside an open transaction
+function setZoneMembers(zoneId, restroomIds, custodianIds) {
+  if (restroomIds) {
+    db.prepare('DELETE FROM zone_restrooms WHERE zoneId = ?').run(zoneId);
+    const insert = db.prepare('INSERT INTO zone_restrooms (zoneId, restroomId) VALUES (?, ?)');
+    restroomIds.forEach(id => insert.run(zoneId, id));
+  }
+  if (custodianIds) {
+    db.prepare('DELETE FROM zone_custodians WHERE zoneId = ?').run(zoneId);
+    const insert = db.prepare('INSERT INTO zone_custodians (zoneId, custodianId) VALUES (?, ?)');
+    custodianIds.forEach(id => insert.run(zoneId, id));
+  }
+}
+
+// Create zone (admin only)
+app.post('/api/zones', isAuthenticated, requirePermission('config.manage'), (req, res) => {
+  try {
+    const { name, restroomIds, custodianIds } = req.body || {};
+    const zoneName = typeof name === 'string' ? name.trim() : '';
+    if (!zoneName) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    const campusId = req.user.currentCampusId;
+    const id = generateSlugId('zones', zoneName, 'zone');
+    db.transaction(() => {
+      db.prepare('INSERT INTO zones (id, name, campusId) VALUES (?, ?, ?)').run(id, zoneName, campusId);
+      setZoneMembers(id, filterExistingIds('restrooms', restroomIds, campusId) || [], filterExistingIds('custodians', custodianIds, campusId) || []);
+    })();
+
+    logger.info(`Zone created: ${id}`);
+    const created = getZones(campusId).find(z => z.id === id);
+    recordAudit(req, 'zone.create', { targetType: 'zone', targetId: id, after: created });
+    broadcastSSE({ type: 'assignments.changed' });
+    res.status(201).json(created);
+  } catch (error) {
+    logger.error('Error creating zone:', error);
+    res.status(500).json({ error: 'Failed to create zone' });
+  }
+});
+
+// Update zone name and/or members (admin only). Lists that are sent replace the current ones.
+app.put('/api/zones/:id', isAuthenticated, requirePermission('config.manage'), (req, res) => {
+  try {
+    const campusId = req.user.currentCampusId;
+    const zone = db.prepare('SELECT * FROM zones WHERE id = ? AND campusId = ?').get(req.params.id, campusId);
+    if (!zone) {
+      return res.status(404).json({ error: 'Zone not found' });
+    }
+    const { name, restroomIds, custodianIds } = req.body || {};
+    if (name !== undefined && !(typeof name === 'string' && name.trim())) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    const before = getZones(campusId).find(z => z.id === zone.id);
+    db.transaction(() => {
+      if (name !== undefined) {
+        db.prepare('UPDATE zones SET name = ? WHERE id = ?').run(name.trim(), zone.id);
+      }
+      setZoneMembers(zone.id, filterExistingIds('restrooms', restroomIds, campusId), filterExistingIds('custodians', custodianIds, campusId));
+    })();
+
+    logger.info(`Zone updated: ${zone.id}`);
+    const after = getZones(campusId).find(z => z.id === zone.id);
+    recordAudit(req, 'zone.update', { targetType: 'zone', targetId: zone.id, before, after });
+    broadcastSSE({ type: 'assignments.changed' });
+    res.json(after);
+  } catch (error) {
+    logger.error('Error updating zone:', error);
+    res.status(500).json({ error: 'Failed to update zone' });
+  }
+});
+
+// Delete zone (admin only). Only the grouping is removed; restrooms and staff are untouched.
+app.delete('/api/zones/:id', isAuthenticated, requirePermission('config.manage'), (req, res) => {
+  try {
+    const before = getZones(req.user.currentCampusId).find(z => z.id === req.params.id);
+    if (!before) {
+      return res.status(404).json({ error: 'Zone not found' });
+    }
+    db.transaction(() => {
+      db.prepare('DELETE FROM zone_restrooms WHERE zoneId = ?').run(req.params.id);
+      db.prepare('DELETE FROM zone_custodians WHERE zoneId = ?').run(req.params.id);
+      db.prepare('DELETE FROM zones WHERE id = ?').run(req.params.id);
+    })();
+
+    logger.info(`Zone deleted: ${req.params.id}`);
+    recordAudit(req, 'zone.delete', { targetType: 'zone', targetId: req.params.id, before });
+    broadcastSSE({ type: 'assignments.changed' });
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error deleting zone:', error);
+    res.status(500).json({ error: 'Failed to delete zone' });
+  }
+});
+
+// Set a custodian's zones and direct restroom assignments on the current campus (admin only). Lists that are
+// sent replace the current ones.
+app.put('/api/custodians/:id/assignments', isAuthenticated, requirePermission('config.manage'), (req, res) => {
+  try {
+    const campusId = req.user.currentCampusId;
+    const custodian = db.prepare('SELECT id FROM custodians WHERE id = ? AND campusId = ?').get(req.params.id, campusId);
+    if (!custodian) {
+      return res.status(404).json({ error: 'Staff member not found' });
+    }
+    const zoneIds = filterExistingIds('zones', req.body?.zoneIds, campusId);
+    const restroomIds = filterExistingIds('restrooms', req.body?.restroomIds, campusId);
+
+    const before = getAssignments(custodian.id);
+    db.transaction(() => {
+      if (zoneIds) {
+        db.prepare('DELETE FROM zone_custodians WHERE custodianId = ?').run(custodian.id);
+        const insert = db.prepare('INSERT INTO zone_custodians (zoneId, custodianId) VALUES (?, ?)');
+        zoneIds.forEach(id => insert.run(id, custodian.id));
+      }
+      if (restroomIds) {
+        db.prepare('DELETE FROM restroom_custodians WHERE custodianId = ?').run(custodian.id);
+        const insert = db.prepare('INSERT INTO restroom_custodians (restroomId, custodianId) VALUES (?, ?)');
+        restroomIds.forEach(id => insert.run(id, custodian.id));
+      }
+    })();
+
+    logger.info(`Assignments updated for ${custodian.id}`);
+    recordAudit(req, 'staff.assignments', { targetType: 'staff', targetId: custodian.id, before, after: getAssignments(custodian.id) });
+    broadcastSSE({ type: 'assignments.changed' });
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error updating assignments:', error);
+    res.status(500).json({ error: 'Failed to update assignments' });
+  }
+});
+
+// Checklist items shown on the check form, the same on every campus; district admins can pass ?includeInactive=true to manage retired items too
+app.get('/api/checklist-items', isAuthenticated, (req, res) => {
+  try {
+    res.json(getChecklistItems(hasPermission(req.user, 'shared-config.manage') && req.query.includeInactive === 'true'));
+  } catch (error) {
+    logger.error('Error fetching checklist items:', error);
+    res.status(500).json({ error: 'Failed to fetch checklist items' });
+  }
+});
+
+function parseChecklistItemInput(body, partial = false) {
+  const values = {};
+  if (body.label !== undefined || !partial) {
+    const label = typeof body.label === 'string' ? body.label.trim() : '';
+    if (!label) return { error: 'Label is required' };
+    values.label = label;
+  }
+  if (body.position !== undefined) {
+    const position = Number(body.position);
+    if (!Number.isInteger(position)) return { error: 'Position must be a whole number' };
+    values.position = position;
+  }
+  if (body.active !== undefined) {
+    values.active = body.active ? 1 : 0;
+  }
+  return { values };
+}
+
+// Add a checklist item at the end of the list (district admins only)
+app.post('/api/checklist-items', isAuthenticated, requirePermission('shared-config.manage'), (req, res) => {
+  try {
+    const { error, values } = parseChecklistItemInput(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const id = generateSlugId('checklist_items', values.label, 'item');
+    const position = values.position ?? db.prepare('SELECT COALESCE(MAX(position), 0) + 1 as next FROM checklist_items').get().next;
+    db.prepare('INSERT INTO checklist_items (id, label, position, active) VALUES (?, ?, ?, 1)').run(id, values.label, position);
+
+    logger.info(`Checklist item created: ${id}`);
+    const created = getChecklistItems(true).find(item => item.id === id);
+    recordAudit(req, 'checklist.create', { targetType: 'checklist-item', targetId: id, after: created });
+    broadcastSSE({ type: 'checklist.changed' });
+    res.status(201).json(created);
+  } catch (error) {
+    logger.error('Error creating checklist item:', error);
+    res.status(500).json({ error: 'Failed to create checklist item' });
+  }
+});
+
+// Rename, reorder, retire or bring back a checklist item (district admins only)
+app.put('/api/checklist-items/:id', isAuthenticated, requirePermission('shared-config.manage'), (req, res) => {
+  try {
+    const existing = db.prepare('SELECT * FROM checklist_items WHERE id = ?').get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Checklist item not found' });
+    }
+
+    const { error, values } = parseChecklistItemInput(req.body || {}, true);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const columns = Object.keys(values);
+    if (columns.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    db.prepare(`UPDATE checklist_items SET ${columns.map(c => `${c} = @${c}`).join(', ')} WHERE id = @id`)
+      .run({ ...values, id: existing.id });
+
+    logger.info(`Checklist item updated: ${existing.id}`);
+    recordAudit(req, 'checklist.update', { targetType: 'checklist-item', targetId: existing.id, before: pickFields(existing, columns), after: values });
+    broadcastSSE({ type: 'checklist.changed' });
+    res.json(getChecklistItems(true).find(item => item.id === existing.id));
+  } catch (error) {
+    logger.error('Error updating checklist item:', error);
+    res.status(500).json({ error: 'Failed to update checklist item' });
+  }
+});
+
+// Web Push settings for the logged-in user: whether the server can push, the VAPID public key browsers
+// subscribe with, which severities they get and how many of their devices are subscribed
+app.get('/api/push', isAuthenticated, requirePermission('incidents.alerts'), (req, res) => {
+  try {
+    const { devices } = db.prepare('SELECT COUNT(*) as devices FROM push_subscriptions WHERE userId = ?').get(req.user.id);
+    res.json({
+      enabled: pushEnabled,
+      publicKey: pushEnabled ? process.env.VAPID_PUBLIC_KEY : null,
+      severities: parseSeverityList(req.user.pushSeverities),
+      devices,
+    });
+  } catch (error) {
+    logger.error('Error fetching push settings:', error);
+    res.status(500).json({ error: 'Failed to fetch notification settings' });
+  }
+});
+
+// Save this browser's push subscription (the PushSubscription JSON) for the logged-in user
+app.post('/api/push/subscriptions', isAuthenticated, requirePermission('incidents.alerts'), (req, res) => {
+  try {
+    if (!pushEnabled) {
+      return res.status(400).json({ error: 'Push notifications are not set up on the server' });
+    }
+    const { endpoint, keys } = req.body?.subscription || {};
+    if (typeof endpoint !== 'string' || !/^https:\/\//.test(endpoint) || typeof keys?.p256dh !== 'string' || typeof keys?.auth !== 'string') {
+      return res.status(400).json({ error: 'A push subscription with an https endpoint and keys is required' });
+    }
+    // An endpoint belongs to one browser, so whoever subscribes it last owns it
+    db.prepare(`
+      INSERT INTO push_subscriptions (endpoint, userId, p256dh, auth, userAgent, createdAt)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT (endpoint) DO UPDATE SET userId = excluded.userId, p256dh = excluded.p256dh, auth = excluded.auth,
+        userAgent = excluded.userAgent, createdAt = excluded.createdAt
+    `).run(endpoint, req.user.id, keys.p256dh, keys.auth, String(req.get('user-agent') || '').slice(0, 200), new Date().toISOString());
+    logger.info(`Push subscription saved for ${req.user.id}`);
+    // The endpoint URL is a credential for pushing to the device, so only the browser is recorded
+    recordAudit(req, 'push.subscribe', { targetType: 'staff', targetId: req.user.id, after: { userAgent: req.get('user-agent') || null } });
+    res.status(201).json({ success: true });
+  } catch (error) {
+    logger.error('Error saving push subscription:', error);
+    res.status(500).json({ error: 'Failed to turn on notifications' });
+  }
+});
+
+// Forget one of the logged-in user's push subscriptions: { endpoint }
+app.delete('/api/push/subscriptions', isAuthenticated, (req, res) => {
+  try {
+    const endpoint = req.body?.endpoint;
+    if (typeof endpoint !== 'string') {
+      return res.status(400).json({ error: 'endpoint is required' });
+    }
+    const result = db.prepare('DELETE FROM push_subscriptions WHERE endpoint = ? AND userId = ?').run(endpoint, req.user.id);
+    logger.info(`Push subscription removed for ${req.user.id}`);
+    if (result.changes > 0) {
+      recordAudit(req, 'push.unsubscribe', { targetType: 'staff', targetId: req.user.id });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error removing push subscription:', error);
+    res.status(500).json({ error: 'Failed to turn off notifications' });
+  }
+});
+
+// Choose which incident severities are pushed to the logged-in user: { severities: ['high', ...] }
+app.put('/api/push/preferences', isAuthenticated, requirePermission('incidents.alerts'), (req, res) => {
+  try {
+    const severities = req.body?.severities;
+    if (!Array.isArray(severities) || severities.some(s => !INCIDENT_SEVERITIES.includes(s))) {
+      return res.status(400).json({ error: `severities must be a list of: ${INCIDENT_SEVERITIES.join(', ')}` });
+    }
+    const value = INCIDENT_SEVERITIES.filter(s => severities.includes(s));
+    db.prepare('UPDATE custodians SET pushSeverities = ? WHERE id = ?').run(value.join(','), req.user.id);
+    recordAudit(req, 'push.preferences', {
+      targetType: 'staff',
+      targetId: req.user.id,
+      before: { severities: parseSeverityList(req.user.pushSeverities) },
+      after: { severities: value }
+    });
+    res.json({ success: true, severities: value });
+  } catch (error) {
+    logger.error('Error saving push preferences:', error);
+    res.status(500).json({ error: 'Failed to save notification settings' });
+  }
+});
+
+// Monthly PDF report of the current campus for any month up to the current one, e.g. /api/reports/monthly/2026-10
+app.get('/api/reports/monthly/:month', isAuthenticated, requirePermission('reports.view'), async (req, res) => {
+  try {
+    const period = parseReportMonth(req.params.month);
+    if (!period) {
+      return res.status(400).json({ error: 'Month must be YYYY-MM' });
+    }
+    if (period.start > new Date()) {
+      return res.status(400).json({ error: 'That month has not started yet' });
+    }
+    const campusId = req.user.currentCampusId;
+    const pdf = await renderMonthlyReportPdf(buildMonthlyReport(period, getCampus(campusId)));
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${campusId}-restroom-report-${period.month}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    logger.error('Error generating monthly report:', error);
+    res.status(500).json({ error: 'Failed to generate report' });
+  }
+});
+
+// The current campus's activity for a date range as CSV or XLSX: ?format=csv|xlsx&from=&to= (dates, inclusive;
+// default the last 30 days)
+app.get('/api/reports/export', isAuthenticated, requirePermission('reports.view'), async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv');
+    if (!REPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Format must be one of: ${REPORT_FORMATS.join(', ')}` });
+    }
+    const { error, from, to } = parseAnalyticsRange(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const first = localDay(from);
+    const last = localDay(new Date(new Date(to) - 1).toISOString());
+    const campusId = req.user.currentCampusId;
+    const content = await renderReport(format, buildReportRows(from, to, campusId), `${first} to ${last}`);
+    res.setHeader('Content-Type', REPORT_CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${campusId}-restroom-report-${first}-to-${last}.${format}"`);
+    res.send(content);
+  } catch (error) {
+    logger.error('Error exporting report:', error);
+    res.status(500).json({ error: 'Failed to generate report' });
+  }
+});
+
+// The current campus's monthly reports kept in the archive
+app.get('/api/reports/archive', isAuthenticated, requirePermission('reports.view'), (req, res) => {
+  try {
+    res.json(listArchivedReports(req.user.currentCampusId));
+  } catch (error) {
+    logger.error('Error listing archived reports:', error);
+    res.status(500).json({ error: 'Failed to list reports' });
+  }
+});
+
+// Download one of the current campus's archived reports by filename, e.g. restroom-report-2026-09.xlsx
+app.get('/api/reports/archive/:filename', isAuthenticated, requirePermission('reports.view'), (req, res) => {
+  const { filename } = req.params;
+  const campusId = req.user.currentCampusId;
+  const file = campusId && path.join(campusArchiveDir(campusId), filename);
+  if (!ARCHIVED_REPORT_PATTERN.test(filename) || !file || !fs.existsSync(file)) {
+    return res.status(404).json({ error: 'Report not found' });
+  }
+  res.download(file, `${campusId}-${filename}`, (err) => {
+    if (err && !res.headersSent) {
+      logger.error('Error sending archived report:', err);
+      res.status(500).json({ error: 'Failed to send report' });
+    }
+  });
+});
+
+// Archive the current campus's reports for a month now, e.g. to refresh them after late edits: { month: 'YYYY-MM' }
+app.post('/api/reports/archive', isAuthenticated, requirePermission('reports.archive'), async (req, res) => {
+  try {
+    const period = parseReportMonth(req.body?.month);
+    if (!period) {
+      return res.status(400).json({ error: 'Month must be YYYY-MM' });
+    }
+    if (period.end > new Date()) {
+      return res.status(400).json({ error: 'Only finished months can be archived' });
+    }
+    const campus = getCampus(req.user.currentCampusId);
+    const files = await archiveMonthlyReport(period, campus);
+    logger.info(`Monthly report archived: ${campus.id} ${period.month} by ${req.user.id}`);
+    recordAudit(req, 'report.archive', {
+      targetType: 'report',
+      targetId: `${campus.id}/${period.month}`,
+      after: { files: files.map(f => f.filename) }
+    });
+    res.status(201).json({ success: true, month: period.month, files: files.map(f => f.filename) });
+  } catch (error) {
+    logger.error('Error archiving report:', error);
+    res.status(500).json({ error: 'Failed to archive report' });
+  }
+});
+
+// Checks per restroom per local day, for restrooms that were active or checked in the range
+app.get('/api/analytics/checks-per-day', isAuthenticated, requirePermission('analytics.view'), (req, res) => {
+  try {
+    const { error, from, to } = parseAnalyticsRange(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const campusId = req.user.currentCampusId;
+    const checks = db.prepare(`
+      SELECT c.restroomId, c.timestamp FROM checks c JOIN restrooms r ON c.restroomId = r.id
+      WHERE r.campusId = ? AND c.timestamp >= ? AND c.timestamp < ?
+    `).all(campusId, from, to);
+
+    const days = [];
+    for (const d = new Date(from); d < new Date(to); d.setDate(d.getDate() + 1)) {
+      days.push(localDay(d.toISOString()));
+    }
+    const counts = {};
+    checks.forEach((c) => {
+      const byDay = counts[c.restroomId] = counts[c.restroomId] || {};
+      const day = localDay(c.timestamp);
+      byDay[day] = (byDay[day] || 0) + 1;
+    });
+    const restrooms = db.prepare('SELECT id, name, active FROM restrooms WHERE campusId = ? ORDER BY name').all(campusId)
+      .filter(r => r.active || counts[r.id])
+      .map(r => ({
+        restroomId: r.id,
+        restroom: r.name,
+        total: Object.values(counts[r.id] || {}).reduce((sum, n) => sum + n, 0),
+        perDay: days.map(day => (counts[r.id] || {})[day] || 0),
+      }));
+    res.json({ from, to, days, restrooms });
+  } catch (error) {
+    logger.error('Error building checks-per-day analytics:', error);
+    res.status(500).json({ error: 'Failed to build check analytics' });
   }
-};
+});
 
-// ============ API ROUTES ============
+// Time between consecutive checks of each restroom on the same day, and how often it exceeded the
+// restroom's check target
+app.get('/api/analytics/check-gaps', isAuthenticated, requirePermission('analytics.view'), (req, res) => {
+  try {
+    const { error, from, to } = parseAnalyticsRange(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const campusId = req.user.currentCampusId;
+    const checks = db.prepare(`
+      SELECT c.restroomId, c.timestamp FROM checks c JOIN restrooms r ON c.restroomId = r.id
+      WHERE r.campusId = ? AND c.timestamp >= ? AND c.timestamp < ?
+      ORDER BY c.restroomId, c.timestamp
+    `).all(campusId, from, to);
+    const gapsByRestroom = {};
+    checks.forEach((c, i) => {
+      const prev = checks[i - 1];
+      if (!prev || prev.restroomId !== c.restroomId || localDay(prev.timestamp) !== localDay(c.timestamp)) return;
+      (gapsByRestroom[c.restroomId] = gapsByRestroom[c.restroomId] || [])
+        .push((new Date(c.timestamp) - new Date(prev.timestamp)) / 60000);
+    });
 
-// Health check (no auth required)
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+    const settings = campusSettings(getCampus(campusId));
+    const restrooms = db.prepare('SELECT id, name, active, checkIntervalMinutes FROM restrooms WHERE campusId = ? ORDER BY name').all(campusId)
+      .filter(r => r.active || gapsByRestroom[r.id])
+      .map(r => {
+        const gaps = gapsByRestroom[r.id] || [];
+        const target = r.checkIntervalMinutes || settings.checkIntervalMinutes;
+        return {
+          restroomId: r.id,
+          restroom: r.name,
+          targetMinutes: target,
+          gapsOverTarget: gaps.filter(g => g > target).length,
+          ...summarizeMinutes(gaps),
+        };
+      });
+    res.json({ from, to, restrooms });
+  } catch (error) {
+    logger.error('Error building check-gap analytics:', error);
+    res.status(500).json({ error: 'Failed to build check analytics' });
+  }
 });
 
-// SSE stream: push events when data changes (no auth; event only signals "refetch")
-app.get('/api/events', (req, res) => {
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.setHeader('X-Accel-Buffering', 'no'); // nginx
-  res.flushHeaders();
-  sseClients.push(res);
-  res.write(': connected\n\n');
-  req.on('close', () => {
-    const i = sseClients.indexOf(res);
-    if (i !== -1) sseClients.splice(i, 1);
-  });
+// Minutes from report (timestamp) to resolvedAt for incidents reported in the range: overall, by severity and
+// by restroom. Unresolved incidents are counted separately
+app.get('/api/analytics/resolution-times', isAuthenticated, requirePermission('analytics.view'), (req, res) => {
+  try {
+    const { error, from, to } = parseAnalyticsRange(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const incidents = db.prepare(`
+      SELECT i.restroomId, r.name as restroom, i.severity, i.timestamp, i.resolvedAt, i.status
+      FROM incidents i
+      JOIN restrooms r ON i.restroomId = r.id
+      WHERE r.campusId = ? AND i.timestamp >= ? AND i.timestamp < ?
+    `).all(req.user.currentCampusId, from, to);
+    const resolved = incidents.filter(i => i.status === 'resolved' && i.resolvedAt);
+    const minutes = (i) => (new Date(i.resolvedAt) - new Date(i.timestamp)) / 60000;
+
+    const groupBy = (key, label) => {
+      const groups = {};
+      incidents.forEach((i) => {
+        const group = groups[i[key]] = groups[i[key]] || { [key]: i[key], ...(label ? { [label]: i[label] } : {}), minutes: [], unresolved: 0 };
+        if (resolved.includes(i)) group.minutes.push(minutes(i));
+        else group.unresolved += 1;
+      });
+      return Object.values(groups).map(({ minutes: values, ...group }) => ({ ...group, ...summarizeMinutes(values) }));
+    };
+
+    res.json({
+      from,
+      to,
+      overall: { ...summarizeMinutes(resolved.map(minutes)), unresolved: incidents.length - resolved.length },
+      bySeverity: groupBy('severity'),
+      byRestroom: groupBy('restroomId', 'restroom').sort((a, b) => (b.count + b.unresolved) - (a.count + a.unresolved)),
+    });
+  } catch (error) {
+    logger.error('Error building resolution-time analytics:', error);
+    res.status(500).json({ error: 'Failed to build incident analytics' });
+  }
 });
 
-// User login (staff access to the app)
-app.post('/api/auth/login', (req, res) => {
-  const raw = req.body?.password;
-  const password = (typeof raw === 'string' ? raw : '').trim();
-  const userPassword = (process.env.USER_PASSWORD || process.env.ADMIN_PASSWORD || '').trim();
+// Incidents reported in the range by weekday (0 = Sunday) and hour of day, plus totals per restroom
+app.get('/api/analytics/incident-heatmap', isAuthenticated, requirePermission('analytics.view'), (req, res) => {
+  try {
+    const { error, from, to } = parseAnalyticsRange(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const incidents = db.prepare(`
+      SELECT i.restroomId, r.name as restroom, i.timestamp
+      FROM incidents i
+      JOIN restrooms r ON i.restroomId = r.id
+      WHERE r.campusId = ? AND i.timestamp >= ? AND i.timestamp < ?
+    `).all(req.user.currentCampusId, from, to);
 
-  if (!userPassword) {
-    logger.error('USER_PASSWORD not set in environment variables');
-    return res.status(500).json({ error: 'User password not configured' });
+    const grid = Array.from({ length: 7 }, () => Array(24).fill(0));
+    const byRestroom = {};
+    incidents.forEach((i) => {
+      const d = new Date(i.timestamp);
+      grid[d.getDay()][d.getHours()] += 1;
+      byRestroom[i.restroomId] = byRestroom[i.restroomId] || { restroomId: i.restroomId, restroom: i.restroom, count: 0 };
+      byRestroom[i.restroomId].count += 1;
+    });
+    res.json({
+      from,
+      to,
+      total: incidents.length,
+      byWeekdayHour: grid,
+      byHour: grid[0].map((_, hour) => grid.reduce((sum, day) => sum + day[hour], 0)),
+      byWeekday: grid.map(day => day.reduce((sum, n) => sum + n, 0)),
+      byRestroom: Object.values(byRestroom).sort((a, b) => b.count - a.count),
+    });
+  } catch (error) {
+    logger.error('Error building incident heatmap:', error);
+    res.status(500).json({ error: 'Failed to build incident analytics' });
   }
+});
 
-  if (password && password === userPassword) {
-    req.session.isAuthenticated = true;
-    logger.info('User login successful');
-    res.json({ success: true, message: 'Login successful' });
-  } else {
-    logger.warn('Failed user login attempt');
-    res.status(401).json({ error: 'Invalid password' });
+// Supply items with the supply room's stock (one supply room for every campus); district admins can pass ?includeInactive=true to see retired items
+app.get('/api/supplies', isAuthenticated, (req, res) => {
+  try {
+    res.json(getSupplyItems(hasPermission(req.user, 'shared-config.manage') && req.query.includeInactive === 'true'));
+  } catch (error) {
+    logger.error('Error fetching supplies:', error);
+    res.status(500).json({ error: 'Failed to fetch supplies' });
   }
 });
 
-// User logout
-app.post('/api/auth/logout', (req, res) => {
-  req.session.isAuthenticated = false;
-  req.session.isAdmin = false; // Also log out admin
-  req.session.destroy((err) => {
-    if (err) {
-      logger.error('Error destroying session:', err);
-    } else {
-      logger.info('User logged out and session destroyed');
+function parseSupplyItemInput(body, partial = false) {
+  const values = {};
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) return { error: 'Name is required' };
+    values.name = name;
+  }
+  if (body.unit !== undefined) {
+    values.unit = typeof body.unit === 'string' && body.unit.trim() ? body.unit.trim() : null;
+  }
+  for (const field of ['stock', 'lowStockThreshold']) {
+    if (body[field] === undefined || body[field] === '') continue;
+    const count = Number(body[field]);
+    if (!Number.isInteger(count) || count < 0) {
+      return { error: `${field === 'stock' ? 'Stock' : 'Low stock threshold'} must be a whole number of 0 or more` };
     }
-  });
-  res.clearCookie('connect.sid'); // Clear the session cookie
-  res.json({ success: true, message: 'Logged out' });
-});
+    values[field] = count;
+  }
+  if (body.active !== undefined) {
+    values.active = body.active ? 1 : 0;
+  }
+  return { values };
+}
 
-// Check authentication status
-app.get('/api/auth/status', (req, res) => {
-  // Explicitly check session - if session doesn't exist or isn't authenticated, return false
-  const isAuthenticated = req.session && req.session.isAuthenticated === true;
-  const isAdmin = req.session && req.session.isAdmin === true;
-  
-  res.json({ 
-    isAuthenticated: isAuthenticated,
-    isAdmin: isAdmin 
-  });
-});
+// Add a supply item (district admins only)
+app.post('/api/supplies', isAuthenticated, requirePermission('shared-config.manage'), (req, res) => {
+  try {
+    const { error, values } = parseSupplyItemInput(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-// Check admin status
-app.get('/api/admin/status', (req, res) => {
-  res.json({ isAdmin: !!req.session.isAdmin });
+    const id = generateSlugId('supply_items', values.name, 'supply');
+    db.prepare(`
+      INSERT INTO supply_items (id, name, unit, stock, lowStockThreshold, active)
+      VALUES (?, ?, ?, ?, ?, 1)
+    `).run(id, values.name, values.unit ?? null, values.stock ?? 0, values.lowStockThreshold ?? 10);
+
+    logger.info(`Supply item created: ${id}`);
+    const created = getSupplyItems(true).find(item => item.id === id);
+    recordAudit(req, 'supply.create', { targetType: 'supply-item', targetId: id, after: created });
+    publishSupply(id);
+    res.status(201).json(created);
+  } catch (error) {
+    logger.error('Error creating supply item:', error);
+    res.status(500).json({ error: 'Failed to create supply item' });
+  }
 });
 
-// Admin login
-app.post('/api/admin/login', (req, res) => {
-  const raw = req.body?.password;
-  const password = (typeof raw === 'string' ? raw : '').trim();
-  const adminPassword = (process.env.ADMIN_PASSWORD || '').trim();
+// Update a supply item, including the supply room count after a delivery or stocktake (district admins only)
+app.put('/api/supplies/:id', isAuthenticated, requirePermission('shared-config.manage'), (req, res) => {
+  try {
+    const existing = db.prepare('SELECT * FROM supply_items WHERE id = ?').get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Supply item not found' });
+    }
 
-  if (!adminPassword) {
-    logger.error('ADMIN_PASSWORD not set in environment variables');
-    return res.status(500).json({ error: 'Admin password not configured' });
-  }
+    const { error, values } = parseSupplyItemInput(req.body || {}, true);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const columns = Object.keys(values);
+    if (columns.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
 
-  if (password && password === adminPassword) {
-    req.session.isAdmin = true;
-    logger.info('Admin login successful');
-    res.json({ success: true, message: 'Admin access granted' });
-  } else {
-    logger.warn('Failed admin login attempt');
-    res.status(401).json({ error: 'Invalid password' });
+    db.prepare(`UPDATE supply_items SET ${columns.map(c => `${c} = @${c}`).join(', ')} WHERE id = @id`)
+      .run({ ...values, id: existing.id });
+
+    const item = getSupplyItems(true).find(i => i.id === existing.id);
+    logger.info(`Supply item updated: ${item.id}`);
+    recordAudit(req, 'supply.update', { targetType: 'supply-item', targetId: item.id, before: pickFields(existing, columns), after: values });
+    announceSupplyRoomStock(item);
+    res.json(item);
+  } catch (error) {
+    logger.error('Error updating supply item:', error);
+    res.status(500).json({ error: 'Failed to update supply item' });
   }
 });
 
-// Admin logout
-app.post('/api/admin/logout', (req, res) => {
-  req.session.isAdmin = false;
-  logger.info('Admin logged out');
-  res.json({ success: true, message: 'Logged out' });
+const RESTOCK_STATUSES = ['open', 'fulfilled', 'cancelled'];
+
+// The campus's restock requests, open ones by default; ?status=fulfilled|cancelled|all for the rest
+app.get('/api/restock-requests', isAuthenticated, requirePermission('supplies.restock'), (req, res) => {
+  try {
+    const status = req.query.status || 'open';
+    if (status !== 'all' && !RESTOCK_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be all or one of: ${RESTOCK_STATUSES.join(', ')}` });
+    }
+    const requests = db.prepare(`
+      SELECT rr.*, r.name as restroom, si.name as supply, si.unit, si.stock,
+        requester.name as requestedByName, closer.name as closedByName
+      FROM restock_requests rr
+      JOIN restrooms r ON rr.restroomId = r.id
+      JOIN supply_items si ON rr.supplyItemId = si.id
+      JOIN custodians requester ON rr.requestedBy = requester.id
+      LEFT JOIN custodians closer ON rr.closedBy = closer.id
+      WHERE r.campusId = @campusId ${status === 'all' ? '' : 'AND rr.status = @status'}
+      ORDER BY CASE rr.level WHEN 'out' THEN 0 ELSE 1 END, rr.requestedAt
+      LIMIT 200
+    `).all({ campusId: req.user.currentCampusId, ...(status === 'all' ? {} : { status }) });
+    res.json(requests);
+  } catch (error) {
+    logger.error('Error fetching restock requests:', error);
+    res.status(500).json({ error: 'Failed to fetch restock requests' });
+  }
 });
 
-// Get all restrooms (require authentication)
-app.get('/api/restrooms', isAuthenticated, (req, res) => {
+// A restock request for a restroom of the user's current campus
+const findCampusRestockRequest = (id, user) => db.prepare(`
+  SELECT rr.* FROM restock_requests rr JOIN restrooms r ON rr.restroomId = r.id WHERE rr.id = ? AND r.campusId = ?
+`).get(id, user.currentCampusId);
+
+// Mark a restock request done: takes quantity (default 1) out of the supply room
+app.post('/api/restock-requests/:id/fulfill', isAuthenticated, requirePermission('supplies.restock'), (req, res) => {
   try {
-    const restrooms = db.prepare('SELECT * FROM restrooms ORDER BY name').all();
-    res.json(restrooms);
+    const request = findCampusRestockRequest(req.params.id, req.user);
+    if (!request) {
+      return res.status(404).json({ error: 'Restock request not found' });
+    }
+    if (request.status !== 'open') {
+      return res.status(409).json({ error: `Restock request is already ${request.status}` });
+    }
+    const quantity = req.body?.quantity === undefined ? 1 : Number(req.body.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({ error: 'Quantity must be a whole number of 1 or more' });
+    }
+    const item = db.prepare('SELECT * FROM supply_items WHERE id = ?').get(request.supplyItemId);
+    if (item.stock < quantity) {
+      const left = item.unit ? `${item.stock} ${item.unit}` : item.stock;
+      return res.status(409).json({ error: `Only ${left} of ${item.name} left in the supply room` });
+    }
+
+    const timestamp = new Date().toISOString();
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE restock_requests SET status = 'fulfilled', quantity = ?, closedBy = ?, closedAt = ? WHERE id = ?
+      `).run(quantity, req.user.id, timestamp, request.id);
+      db.prepare('UPDATE supply_items SET stock = stock - ? WHERE id = ?').run(quantity, item.id);
+      db.prepare(`
+        UPDATE restroom_supplies SET level = 'ok', updatedAt = ?, updatedBy = ? WHERE restroomId = ? AND supplyItemId = ?
+      `).run(timestamp, req.user.id, request.restroomId, request.supplyItemId);
+    })();
+
+    logger.info(`Restock request ${request.id} fulfilled by ${req.user.id}: ${quantity} x ${item.id}`);
+    recordAudit(req, 'restock.fulfill', {
+      targetType: 'restock-request',
+      targetId: request.id,
+      before: { status: request.status, stock: item.stock },
+      after: { status: 'fulfilled', quantity, stock: item.stock - quantity }
+    });
+    announceSupplyRoomStock(getSupplyItems(true).find(i => i.id === item.id));
+    publishListChange('restock.changed', request.restroomId);
+    publishRestroom(request.restroomId);
+    res.json({ success: true });
   } catch (error) {
-    logger.error('Error fetching restrooms:', error);
-    res.status(500).json({ error: 'Failed to fetch restrooms' });
+    logger.error('Error fulfilling restock request:', error);
+    res.status(500).json({ error: 'Failed to fulfill restock request' });
   }
 });
 
-// Get all custodians (require authentication)
-app.get('/api/custodians', isAuthenticated, (req, res) => {
+// Close a restock request without using stock, e.g. a duplicate or a false alarm
+app.post('/api/restock-requests/:id/cancel', isAuthenticated, requirePermission('supplies.restock'), (req, res) => {
   try {
-    const custodians = db.prepare('SELECT id, name, gender FROM custodians ORDER BY name').all();
-    res.json(custodians);
+    const request = findCampusRestockRequest(req.params.id, req.user);
+    if (!request) {
+      return res.status(404).json({ error: 'Restock request not found' });
+    }
+    if (request.status !== 'open') {
+      return res.status(409).json({ error: `Restock request is already ${request.status}` });
+    }
+
+    const timestamp = new Date().toISOString();
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE restock_requests SET status = 'cancelled', closedBy = ?, closedAt = ? WHERE id = ?
+      `).run(req.user.id, timestamp, request.id);
+      db.prepare(`
+        UPDATE restroom_supplies SET level = 'ok', updatedAt = ?, updatedBy = ? WHERE restroomId = ? AND supplyItemId = ?
+      `).run(timestamp, req.user.id, request.restroomId, request.supplyItemId);
+    })();
+
+    logger.info(`Restock request ${request.id} cancelled by ${req.user.id}`);
+    recordAudit(req, 'restock.cancel', { targetType: 'restock-request', targetId: request.id, before: { status: request.status }, after: { status: 'cancelled' } });
+    publishListChange('restock.changed', request.restroomId);
+    publishRestroom(request.restroomId);
+    res.json({ success: true });
   } catch (error) {
-    logger.error('Error fetching custodians:', error);
-    res.status(500).json({ error: 'Failed to fetch custodians' });
+    logger.error('Error cancelling restock request:', error);
+    res.status(500).json({ error: 'Failed to cancel restock request' });
   }
 });
 
-// Get all checks (require authentication)
+// The current campus's checks, newest first, one page at a time (require authentication).
+// Filters: restroomId, custodianId, from, to; paging: cursor, limit.
 app.get('/api/checks', isAuthenticated, (req, res) => {
   try {
-    const checks = db.prepare(`
-      SELECT c.*, cu.name as custodian, r.name as restroom
-      FROM checks c
-      JOIN custodians cu ON c.custodianId = cu.id
-      JOIN restrooms r ON c.restroomId = r.id
-      ORDER BY c.timestamp DESC
-      LIMIT 100
-    `).all();
-    res.json(checks);
+    const { error, where, params, limit } = parseHistoryQuery(req.query, 'c');
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const rows = db.prepare(`
+      ${CHECK_ROWS_SQL}
+      ${where || 'WHERE 1 = 1'} AND r.campusId = @campusId
+      ORDER BY c.timestamp DESC, c.id DESC
+      LIMIT @limit
+    `).all({ ...params, campusId: req.user.currentCampusId, limit: limit + 1 });
+    const page = toHistoryPage(rows, limit);
+    res.json({ ...page, items: withCheckDetails(page.items) });
   } catch (error) {
     logger.error('Error fetching checks:', error);
     res.status(500).json({ error: 'Failed to fetch checks' });
   }
 });
 
-// Log a check (require authentication)
-app.post('/api/checks', isAuthenticated, (req, res) => {
+// Log a check with its checklist answers and rating (require authentication); optional photos as multipart "photos"
+app.post('/api/checks', isAuthenticated, requirePermission('checks.log'), acceptPhotos, async (req, res) => {
   try {
-    const { custodianId, restroomId, notes } = req.body;
+    const { restroomId, notes } = req.body;
+    const custodianId = req.user.id; // Always the logged-in user, never the request body
+
+    const { error: keyError, key: clientKey } = parseIdempotencyKey(req);
+    if (keyError) {
+      return res.status(400).json({ error: keyError });
+    }
+    // A retry of a check that was already saved gets the original result back
+    const findExistingCheck = () => clientKey
+      && db.prepare('SELECT id FROM checks WHERE custodianId = ? AND clientKey = ?').get(custodianId, clientKey);
+    const respondWithExistingCheck = ({ id }) => res.json({
+      success: true, id, duplicate: true, failedItems: (getCheckItems([id])[id] || []).filter(a => !a.passed),
+    });
+    const existing = findExistingCheck();
+    if (existing) {
+      return respondWithExistingCheck(existing);
+    }
 
     // Validate input
-    if (!custodianId || !restroomId) {
+    if (!restroomId) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
-    // Generate timestamp server-side for consistency
-    const timestamp = new Date().toISOString();
+    const restroom = db.prepare('SELECT active FROM restrooms WHERE id = ? AND campusId = ?').get(restroomId, req.user.currentCampusId);
+    if (!restroom) {
+      return res.status(404).json({ error: 'Restroom not found' });
+    }
+    if (!restroom.active) {
+      return res.status(409).json({ error: 'Restroom is archived' });
+    }
+    if (!canWorkRestroom(req.user, restroomId)) {
+      return res.status(403).json({ error: 'You are not assigned to this restroom' });
+    }
+
+    // Server time, or when the check was made if it was queued offline
+    const { error: capturedError, timestamp } = parseCapturedAt(req.body.capturedAt);
+    if (capturedError) {
+      return res.status(400).json({ error: capturedError });
+    }
 
-    // Check for active incident
+    // Check for an active incident (one reported after an offline check was made does not block it)
     const activeIncident = db.prepare(
-      'SELECT * FROM incidents WHERE restroomId = ? AND pending = 1'
-    ).get(restroomId);
+      'SELECT * FROM incidents WHERE restroomId = ? AND pending = 1 AND timestamp <= ?'
+    ).get(restroomId, timestamp);
 
     if (activeIncident) {
       return res.status(403).json({ 
@@ -492,101 +4155,164 @@ app.post('/api/checks', isAuthenticated, (req, res) => {
       });
     }
 
-    const id = `check-${Date.now()}`;
-    db.prepare(`
-      INSERT INTO checks (id, custodianId, restroomId, timestamp, notes)
-      VALUES (?, ?, ?, ?, ?)
-    `).run(id, custodianId, restroomId, timestamp, notes || '');
+    const { error, rating, answers } = parseCheckAnswers(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const { error: supplyError, flags } = parseSupplyFlags(req.body);
+    if (supplyError) {
+      return res.status(400).json({ error: supplyError });
+    }
+
+    const photos = await preparePhotos(req.files);
+    if (!photos) {
+      return res.status(400).json({ error: 'Photos must be JPEG, PNG or WebP images' });
+    }
+
+    const id = newRecordId('check');
+    // Looked up again inside the transaction in case a retry raced this request while photos were processed
+    const duplicate = db.transaction(() => {
+      const raced = findExistingCheck();
+      if (raced) return raced;
+      db.prepare(`
+        INSERT INTO checks (id, custodianId, restroomId, timestamp, notes, rating, clientKey)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(id, custodianId, restroomId, timestamp, notes || '', rating, clientKey);
+      const insertAnswer = db.prepare('INSERT INTO check_items (checkId, itemId, label, passed) VALUES (?, ?, ?, ?)');
+      answers.forEach(a => insertAnswer.run(id, a.itemId, a.label, a.passed ? 1 : 0));
+      recordSupplyFlags(restroomId, flags, { checkId: id, userId: custodianId, timestamp });
+      saveAttachments(photos, { checkId: id, uploadedBy: custodianId, timestamp });
+      return null;
+    })();
+    if (duplicate) {
+      return respondWithExistingCheck(duplicate);
+    }
 
     logger.info(`Check logged: ${id} by ${custodianId} for ${restroomId}`);
-    const restroomName = db.prepare('SELECT name FROM restrooms WHERE id = ?').get(restroomId)?.name || restroomId;
-    const custodianName = db.prepare('SELECT name FROM custodians WHERE id = ?').get(custodianId)?.name || custodianId;
-    appendReportRow({
-      date: formatEmailDate(timestamp),
-      type: 'Check',
-      restroom: restroomName,
-      custodian: custodianName,
-      details: '',
+    recordAudit(req, 'check.create', {
+      targetType: 'check',
+      targetId: id,
+      after: {
+        restroomId, timestamp, rating, notes: notes || '',
+        items: answers.map(a => ({ itemId: a.itemId, passed: a.passed })),
+        supplies: flags.map(f => ({ supplyItemId: f.supplyItemId, level: f.level })),
+        photos: photos.length
+      }
     });
-    broadcastSSE({ type: 'data-changed', reason: 'check' });
-    res.status(201).json({ success: true, id });
+    // The restroom update that follows carries any supplies flagged low
+    publishCheck(id);
+    if (flags.length > 0) publishListChange('restock.changed', restroomId);
+    // failedItems lets the client offer to open an incident for what was wrong
+    res.status(201).json({ success: true, id, failedItems: answers.filter(a => !a.passed) });
   } catch (error) {
     logger.error('Error logging check:', error);
     res.status(500).json({ error: 'Failed to log check' });
   }
 });
 
-// Get all incidents (require authentication)
+// The current campus's incidents, newest first, one page at a time (require authentication).
+// Filters: restroomId, custodianId (reporter), from, to, status and severity (comma-separated); paging: cursor, limit.
 app.get('/api/incidents', isAuthenticated, (req, res) => {
   try {
-    const incidents = db.prepare(`
-      SELECT i.*, cu.name as custodian, r.name as restroom
-      FROM incidents i
-      JOIN custodians cu ON i.custodianId = cu.id
-      JOIN restrooms r ON i.restroomId = r.id
-      ORDER BY i.timestamp DESC
-    `).all();
-    res.json(incidents);
+    const { error, where, params, limit } = parseHistoryQuery(req.query, 'i', {
+      status: INCIDENT_STATUSES,
+      severity: INCIDENT_SEVERITIES,
+    });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const rows = db.prepare(`
+      ${INCIDENT_ROWS_SQL}
+      ${where || 'WHERE 1 = 1'} AND r.campusId = @campusId
+      ORDER BY i.timestamp DESC, i.id DESC
+      LIMIT @limit
+    `).all({ ...params, campusId: req.user.currentCampusId, limit: limit + 1 });
+    const page = toHistoryPage(rows, limit);
+    res.json({ ...page, items: withIncidentDetails(page.items) });
   } catch (error) {
     logger.error('Error fetching incidents:', error);
     res.status(500).json({ error: 'Failed to fetch incidents' });
   }
 });
 
-// Report incident (require authentication)
-app.post('/api/incidents', isAuthenticated, (req, res) => {
+// Report incident (require authentication); optional photos as multipart "photos"
+app.post('/api/incidents', isAuthenticated, requirePermission('incidents.report'), acceptPhotos, async (req, res) => {
   try {
-    const { custodianId, restroomId, description, severity } = req.body;
+    const { restroomId, description, severity = 'medium' } = req.body;
+    const custodianId = req.user.id; // Always the logged-in user, never the request body
+
+    const { error: keyError, key: clientKey } = parseIdempotencyKey(req);
+    if (keyError) {
+      return res.status(400).json({ error: keyError });
+    }
+    // A retry of an incident that was already saved gets the original id back
+    const findExistingIncident = () => clientKey
+      && db.prepare('SELECT id FROM incidents WHERE custodianId = ? AND clientKey = ?').get(custodianId, clientKey);
+    const existing = findExistingIncident();
+    if (existing) {
+      return res.json({ success: true, id: existing.id, duplicate: true });
+    }
 
     // Validate input
-    if (!custodianId || !restroomId || !description) {
+    if (!restroomId || !description) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
+    if (!INCIDENT_SEVERITIES.includes(severity)) {
+      return res.status(400).json({ error: `Severity must be one of: ${INCIDENT_SEVERITIES.join(', ')}` });
+    }
 
-    // Generate timestamp server-side for consistency
-    const timestamp = new Date().toISOString();
+    const restroom = db.prepare('SELECT active FROM restrooms WHERE id = ? AND campusId = ?').get(restroomId, req.user.currentCampusId);
+    if (!restroom) {
+      return res.status(404).json({ error: 'Restroom not found' });
+    }
+    if (!restroom.active) {
+      return res.status(409).json({ error: 'Restroom is archived' });
+    }
+
+    // Server time, or when the incident was reported if it was queued offline
+    const { error: capturedError, timestamp } = parseCapturedAt(req.body.capturedAt);
+    if (capturedError) {
+      return res.status(400).json({ error: capturedError });
+    }
 
-    // Get last check time
+    // Get last check time before the incident
     const lastCheck = db.prepare(`
       SELECT timestamp FROM checks 
-      WHERE restroomId = ? 
+      WHERE restroomId = ? AND timestamp <= ?
       ORDER BY timestamp DESC 
       LIMIT 1
-    `).get(restroomId);
+    `).get(restroomId, timestamp);
 
-    const id = `incident-${Date.now()}`;
-    db.prepare(`
-      INSERT INTO incidents (id, custodianId, restroomId, description, severity, timestamp, pending, lastCheckedAt)
-      VALUES (?, ?, ?, ?, ?, ?, 1, ?)
-    `).run(id, custodianId, restroomId, description, severity || 'medium', timestamp, lastCheck?.timestamp || null);
+    const photos = await preparePhotos(req.files);
+    if (!photos) {
+      return res.status(400).json({ error: 'Photos must be JPEG, PNG or WebP images' });
+    }
+
+    const id = newRecordId('incident');
+    // Looked up again inside the transaction in case a retry raced this request while photos were processed
+    const duplicate = db.transaction(() => {
+      const raced = findExistingIncident();
+      if (raced) return raced;
+      db.prepare(`
+        INSERT INTO incidents (id, custodianId, restroomId, description, severity, timestamp, pending, status, lastCheckedAt, clientKey)
+        VALUES (?, ?, ?, ?, ?, ?, 1, 'open', ?, ?)
+      `).run(id, custodianId, restroomId, description, severity, timestamp, lastCheck?.timestamp || null, clientKey);
+      recordIncidentEvent({ incidentId: id, action: 'reported', toStatus: 'open', actorId: custodianId, timestamp });
+      saveAttachments(photos, { incidentId: id, uploadedBy: custodianId, timestamp });
+      return null;
+    })();
+    if (duplicate) {
+      return res.json({ success: true, id: duplicate.id, duplicate: true });
+    }
 
     logger.info(`Incident reported: ${id} for ${restroomId}`);
-    const restroomName = db.prepare('SELECT name FROM restrooms WHERE id = ?').get(restroomId)?.name || restroomId;
-    const custodianName = db.prepare('SELECT name FROM custodians WHERE id = ?').get(custodianId)?.name || custodianId;
-    const lastCheckInfo = db.prepare(`
-      SELECT c.timestamp as lastCheckedAt, cu.name as lastCheckedBy
-      FROM checks c
-      JOIN custodians cu ON c.custodianId = cu.id
-      WHERE c.restroomId = ?
-      ORDER BY c.timestamp DESC
-      LIMIT 1
-    `).get(restroomId);
-    sendIncidentEmail({
-      restroom: restroomName,
-      custodian: custodianName,
-      description,
-      timestamp,
-      lastCheckedAt: lastCheckInfo?.lastCheckedAt || null,
-      lastCheckedBy: lastCheckInfo?.lastCheckedBy || null,
-    });
-    appendReportRow({
-      date: formatEmailDate(timestamp),
-      type: 'Incident',
-      restroom: restroomName,
-      custodian: custodianName,
-      details: description,
+    recordAudit(req, 'incident.create', {
+      targetType: 'incident',
+      targetId: id,
+      after: { restroomId, description, severity, timestamp, status: 'open', photos: photos.length }
     });
-    broadcastSSE({ type: 'data-changed', reason: 'incident' });
+    notifyNewIncident({ id, restroomId, reporter: req.user.name, description, severity, timestamp });
+    publishIncident(id, 'incident.created');
     res.status(201).json({ success: true, id });
   } catch (error) {
     logger.error('Error reporting incident:', error);
@@ -594,43 +4320,398 @@ app.post('/api/incidents', isAuthenticated, (req, res) => {
   }
 });
 
-// Resolve incident (admin only)
-app.post('/api/incidents/resolve', isAuthenticated, isAdmin, (req, res) => {
+// Move an incident to a new status: acknowledge, start, resolve or reopen (see incidentStatusDenial)
+app.post('/api/incidents/:id/status', isAuthenticated, (req, res) => {
+  try {
+    const { status } = req.body || {};
+    const comment = trimComment(req.body?.comment);
+    if (!INCIDENT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${INCIDENT_STATUSES.join(', ')}` });
+    }
+
+    const incident = db.prepare(`
+      SELECT i.*, r.name as restroom FROM incidents i
+      JOIN restrooms r ON i.restroomId = r.id WHERE i.id = ? AND r.campusId = ?
+    `).get(req.params.id, req.user.currentCampusId);
+    if (!incident) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+    if (!INCIDENT_TRANSITIONS[incident.status]?.includes(status)) {
+      return res.status(409).json({ error: `Cannot move an incident from ${incident.status} to ${status}` });
+    }
+    const denial = incidentStatusDenial(req.user, incident, status);
+    if (denial) {
+      return res.status(403).json({ error: denial });
+    }
+
+    const timestamp = new Date().toISOString();
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE incidents SET status = ?, pending = ?, resolvedAt = ? WHERE id = ?
+      `).run(status, status === 'resolved' ? 0 : 1, status === 'resolved' ? timestamp : null, incident.id);
+      recordIncidentEvent({
+        incidentId: incident.id,
+        action: INCIDENT_ACTIONS[status],
+        fromStatus: incident.status,
+        toStatus: status,
+        actorId: req.user.id,
+        comment,
+        timestamp
+      });
+    })();
+
+    logger.info(`Incident ${incident.id}: ${incident.status} -> ${status} by ${req.user.id}`);
+    recordAudit(req, 'incident.status', {
+      targetType: 'incident',
+      targetId: incident.id,
+      before: { status: incident.status, resolvedAt: incident.resolvedAt },
+      after: { status, resolvedAt: status === 'resolved' ? timestamp : null, comment }
+    });
+    publishIncident(incident.id);
+    res.json({ success: true, status });
+  } catch (error) {
+    logger.error('Error updating incident status:', error);
+    res.status(500).json({ error: 'Failed to update incident' });
+  }
+});
+
+// Assign an incident to a custodian or maintenance person, or unassign with assigneeId null
+app.post('/api/incidents/:id/assign', isAuthenticated, requirePermission('incidents.assign'), (req, res) => {
+  try {
+    const assigneeId = req.body?.assigneeId || null;
+    const comment = trimComment(req.body?.comment);
+
+    const incident = db.prepare(`
+      SELECT i.* FROM incidents i JOIN restrooms r ON i.restroomId = r.id WHERE i.id = ? AND r.campusId = ?
+    `).get(req.params.id, req.user.currentCampusId);
+    if (!incident) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+    if (incident.status === 'resolved') {
+      return res.status(409).json({ error: 'Reopen the incident before assigning it' });
+    }
+    const assignee = assigneeId && db.prepare(`
+      SELECT 1 FROM custodians WHERE id = ? AND active = 1 AND (campusId = ? OR campusId IS NULL)
+    `).get(assigneeId, req.user.currentCampusId);
+    if (assigneeId && !assignee) {
+      return res.status(400).json({ error: 'Assignee not found' });
+    }
+
+    const timestamp = new Date().toISOString();
+    db.transaction(() => {
+      db.prepare('UPDATE incidents SET assignedTo = ? WHERE id = ?').run(assigneeId, incident.id);
+      recordIncidentEvent({
+        incidentId: incident.id,
+        action: assigneeId ? 'assigned' : 'unassigned',
+        assignedTo: assigneeId,
+        actorId: req.user.id,
+        comment,
+        timestamp
+      });
+    })();
+
+    logger.info(`Incident ${incident.id} assigned to ${assigneeId || 'nobody'} by ${req.user.id}`);
+    recordAudit(req, 'incident.assign', {
+      targetType: 'incident',
+      targetId: incident.id,
+      before: { assignedTo: incident.assignedTo },
+      after: { assignedTo: assigneeId, comment }
+    });
+    publishIncident(incident.id);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error assigning incident:', error);
+    res.status(500).json({ error: 'Failed to assign incident' });
+  }
+});
+
+// Moderation queue of the campus's public reports, newest first . ?status=pending (default), promoted, dismissed or all
+app.get('/api/public-reports', isAuthenticated, requirePermission('public-reports.moderate'), (req, res) => {
   try {
-    const { incidentId } = req.body;
+    const status = req.query.status || 'pending';
+    if (status !== 'all' && !PUBLIC_REPORT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be all or one of: ${PUBLIC_REPORT_STATUSES.join(', ')}` });
+    }
+    const reports = db.prepare(`
+      SELECT p.id, p.restroomId, r.name as restroom, p.kind, p.category, p.rating, p.comment, p.status,
+             p.createdAt, p.reviewedAt, reviewer.name as reviewedBy, p.incidentId
+      FROM public_reports p
+      JOIN restrooms r ON p.restroomId = r.id
+      LEFT JOIN custodians reviewer ON p.reviewedBy = reviewer.id
+      WHERE r.campusId = ? ${status === 'all' ? '' : 'AND p.status = ?'}
+      ORDER BY p.createdAt DESC
+      LIMIT 200
+    `).all(req.user.currentCampusId, ...(status === 'all' ? [] : [status]));
+    const categories = Object.fromEntries(PUBLIC_REPORT_CATEGORIES.map(c => [c.id, c]));
+    res.json(reports.map(report => ({
+      ...report,
+      categoryLabel: categories[report.category]?.label || null,
+      suggestedSeverity: categories[report.category]?.severity || 'low',
+      suggestedDescription: describePublicReport(report)
+    })));
+  } catch (error) {
+    logger.error('Error fetching public reports:', error);
+    res.status(500).json({ error: 'Failed to fetch public reports' });
+  }
+});
+
+// A public report about a restroom of the user's current campus
+const findCampusPublicReport = (id, user) => db.prepare(`
+  SELECT p.* FROM public_reports p JOIN restrooms r ON p.restroomId = r.id WHERE p.id = ? AND r.campusId = ?
+`).get(id, user.currentCampusId);
 
-    if (!incidentId) {
-      return res.status(400).json({ error: 'Missing incident ID' });
+// Turn a pending public report into an incident reported by the moderator, optionally with edited
+// description and severity
+app.post('/api/public-reports/:id/promote', isAuthenticated, requirePermission('public-reports.moderate'), (req, res) => {
+  try {
+    const report = findCampusPublicReport(req.params.id, req.user);
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    if (report.status !== 'pending') {
+      return res.status(409).json({ error: `Report was already ${report.status}` });
     }
+    const severity = req.body?.severity
+      || PUBLIC_REPORT_CATEGORIES.find(c => c.id === report.category)?.severity || 'low';
+    if (!INCIDENT_SEVERITIES.includes(severity)) {
+      return res.status(400).json({ error: `Severity must be one of: ${INCIDENT_SEVERITIES.join(', ')}` });
+    }
+    const description = typeof req.body?.description === 'string' && req.body.description.trim()
+      ? req.body.description.trim()
+      : describePublicReport(report);
+    const restroom = db.prepare('SELECT active FROM restrooms WHERE id = ?').get(report.restroomId);
+    if (!restroom?.active) {
+      return res.status(409).json({ error: 'Restroom is archived' });
+    }
+
+    const id = newRecordId('incident');
+    const timestamp = new Date().toISOString();
+    db.transaction(() => {
+      const lastCheck = db.prepare('SELECT timestamp FROM checks WHERE restroomId = ? ORDER BY timestamp DESC LIMIT 1').get(report.restroomId);
+      db.prepare(`
+        INSERT INTO incidents (id, custodianId, restroomId, description, severity, timestamp, pending, status, lastCheckedAt)
+        VALUES (?, ?, ?, ?, ?, ?, 1, 'open', ?)
+      `).run(id, req.user.id, report.restroomId, description, severity, timestamp, lastCheck?.timestamp || null);
+      recordIncidentEvent({
+        incidentId: id,
+        action: 'reported',
+        toStatus: 'open',
+        actorId: req.user.id,
+        comment: 'Promoted from a public report',
+        timestamp
+      });
+      db.prepare(`
+        UPDATE public_reports SET status = 'promoted', reviewedBy = ?, reviewedAt = ?, incidentId = ? WHERE id = ?
+      `).run(req.user.id, timestamp, id, report.id);
+    })();
+
+    logger.info(`Public report ${report.id} promoted to incident ${id} by ${req.user.id}`);
+    recordAudit(req, 'public-report.promote', {
+      targetType: 'public-report',
+      targetId: report.id,
+      before: { status: report.status },
+      after: { status: 'promoted', incidentId: id, severity, description }
+    });
+    notifyNewIncident({ id, restroomId: report.restroomId, reporter: req.user.name, description, severity, timestamp });
+    publishIncident(id, 'incident.created');
+    publishListChange('public-report.changed', report.restroomId);
+    res.status(201).json({ success: true, incidentId: id });
+  } catch (error) {
+    logger.error('Error promoting public report:', error);
+    res.status(500).json({ error: 'Failed to promote report' });
+  }
+});
 
+// Close a pending public report without an incident
+app.post('/api/public-reports/:id/dismiss', isAuthenticated, requirePermission('public-reports.moderate'), (req, res) => {
+  try {
+    const report = findCampusPublicReport(req.params.id, req.user);
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    if (report.status !== 'pending') {
+      return res.status(409).json({ error: `Report was already ${report.status}` });
+    }
     db.prepare(`
-      UPDATE incidents 
-      SET pending = 0, resolvedAt = ? 
-      WHERE id = ?
-    `).run(new Date().toISOString(), incidentId);
-
-    const resolved = db.prepare(`
-      SELECT r.name as restroom FROM incidents i
-      JOIN restrooms r ON i.restroomId = r.id WHERE i.id = ?
-    `).get(incidentId);
-    const resolvedAt = new Date().toISOString();
-    appendReportRow({
-      date: formatEmailDate(resolvedAt),
-      type: 'Resolved',
-      restroom: resolved?.restroom || 'Unknown',
-      custodian: 'Admin',
-      details: '',
-    });
-
-    logger.info(`Incident resolved: ${incidentId}`);
-    broadcastSSE({ type: 'data-changed', reason: 'incident-resolved' });
+      UPDATE public_reports SET status = 'dismissed', reviewedBy = ?, reviewedAt = ? WHERE id = ?
+    `).run(req.user.id, new Date().toISOString(), req.params.id);
+    recordAudit(req, 'public-report.dismiss', {
+      targetType: 'public-report', targetId: req.params.id, before: { status: report.status }, after: { status: 'dismissed' }
+    });
+    publishListChange('public-report.changed', report.restroomId);
     res.json({ success: true });
   } catch (error) {
-    logger.error('Error resolving incident:', error);
-    res.status(500).json({ error: 'Failed to resolve incident' });
+    logger.error('Error dismissing public report:', error);
+    res.status(500).json({ error: 'Failed to dismiss report' });
+  }
+});
+
+// Audit log, newest first, one page at a time (admin only). Filters: actorId, action (comma-separated),
+// targetType, targetId, from, to; paging: cursor, limit. Also lists every action name for the filter.
+app.get('/api/audit', isAuthenticated, requirePermission('audit.view'), (req, res) => {
+  try {
+    const { error, where, params, limit } = parseAuditQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const rows = db.prepare(`
+      SELECT a.* FROM audit_log a
+      ${where}
+      ORDER BY a.timestamp DESC, a.id DESC
+      LIMIT @limit
+    `).all({ ...params, limit: limit + 1 });
+    const page = toHistoryPage(rows, limit);
+    res.json({
+      ...page,
+      items: page.items.map(entry => ({
+        ...entry,
+        oldValues: entry.oldValues && JSON.parse(entry.oldValues),
+        newValues: entry.newValues && JSON.parse(entry.newValues),
+      })),
+      actions: AUDIT_ACTIONS,
+    });
+  } catch (error) {
+    logger.error('Error fetching audit log:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+// The audit log with the same filters as CSV or XLSX: ?format=csv|xlsx (admin only)
+app.get('/api/audit/export', isAuthenticated, requirePermission('audit.view'), async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv');
+    if (!REPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Format must be one of: ${REPORT_FORMATS.join(', ')}` });
+    }
+    const { error, where, params } = parseAuditQuery({ ...req.query, cursor: undefined, limit: undefined });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const rows = db.prepare(`
+      SELECT a.* FROM audit_log a
+      ${where}
+      ORDER BY a.timestamp DESC, a.id DESC
+      LIMIT @limit
+    `).all({ ...params, limit: AUDIT_EXPORT_MAX_ROWS });
+    const content = await renderReport(format, rows.map(row => ({ ...row, date: formatReportDate(row.timestamp) })), 'Audit log', AUDIT_COLUMNS);
+    recordAudit(req, 'audit.export', { after: { format, filters: { ...req.query, format: undefined }, rows: rows.length } });
+    res.setHeader('Content-Type', REPORT_CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${localDay(new Date().toISOString())}.${format}"`);
+    res.send(content);
+  } catch (error) {
+    logger.error('Error exporting audit log:', error);
+    res.status(500).json({ error: 'Failed to export audit log' });
+  }
+});
+
+// Backups on disk and the backup settings (admin only)
+app.get('/api/backups', isAuthenticated, requirePermission('backups.manage'), (req, res) => {
+  try {
+    res.json({ items: listBackups(), schedule: BACKUP_SCHEDULE, retentionDays: BACKUP_RETENTION_DAYS });
+  } catch (error) {
+    logger.error('Error listing backups:', error);
+    res.status(500).json({ error: 'Failed to list backups' });
+  }
+});
+
+// Back up the database now (admin only)
+app.post('/api/backups', isAuthenticated, requirePermission('backups.manage'), async (req, res) => {
+  try {
+    const backup = await createBackup('manual');
+    recordAudit(req, 'backup.create', { targetType: 'backup', targetId: backup.filename });
+    res.status(201).json(backup);
+  } catch (error) {
+    logger.error('Error creating backup:', error);
+    res.status(500).json({ error: 'Failed to create backup' });
+  }
+});
+
+// Backup filename from the URL, or a 404 response
+function findBackup(req, res) {
+  const { filename } = req.params;
+  if (!BACKUP_PATTERN.test(filename) || !fs.existsSync(backupPath(filename))) {
+    res.status(404).json({ error: 'Backup not found' });
+    return null;
+  }
+  return filename;
+}
+
+// Download a backup (admin only). It contains everything, password hashes included, so downloads are audited.
+app.get('/api/backups/:filename', isAuthenticated, requirePermission('backups.manage'), (req, res) => {
+  const filename = findBackup(req, res);
+  if (!filename) return;
+  recordAudit(req, 'backup.download', { targetType: 'backup', targetId: filename });
+  res.download(backupPath(filename), filename, (err) => {
+    if (err && !res.headersSent) {
+      logger.error('Error sending backup:', err);
+      res.status(500).json({ error: 'Failed to send backup' });
+    }
+  });
+});
+
+// Check a backup can be restored: { ok, problems, schemaVersion, counts } (admin only)
+app.post('/api/backups/:filename/verify', isAuthenticated, requirePermission('backups.manage'), (req, res) => {
+  const filename = findBackup(req, res);
+  if (!filename) return;
+  res.json(verifyBackup(filename));
+});
+
+// Replace the database with a backup (admin only). The current data is backed up first; the response names
+// that backup so the restore can be undone.
+app.post('/api/backups/:filename/restore', isAuthenticated, requirePermission('backups.manage'), async (req, res) => {
+  const filename = findBackup(req, res);
+  if (!filename) return;
+  if (restoreInProgress) {
+    return res.status(409).json({ error: 'A restore is already running' });
+  }
+  const verification = verifyBackup(filename);
+  if (!verification.ok) {
+    return res.status(400).json({ error: `This backup can't be restored: ${verification.problems.join('; ')}` });
+  }
+  try {
+    const safetyCopy = await restoreBackup(filename);
+    // Recorded in the restored database, whose log otherwise ends when the backup was taken
+    recordAudit(req, 'backup.restore', { targetType: 'backup', targetId: filename, after: { previousData: safetyCopy.filename } });
+    broadcastSSE({ type: 'resync' });
+    res.json({ success: true, previousData: safetyCopy });
+  } catch (error) {
+    logger.error('Error restoring backup:', error);
+    res.status(500).json({ error: 'Failed to restore backup; the database was left as it was' });
   }
 });
 
+// Serve an attachment (or its thumbnail) to any logged-in user who can see the incident or check list
+function sendAttachment(req, res, thumb) {
+  try {
+    const attachment = db.prepare(`
+      SELECT a.id, a.filename, a.mimeType FROM attachments a
+      LEFT JOIN checks c ON a.checkId = c.id
+      LEFT JOIN incidents i ON a.incidentId = i.id
+      JOIN restrooms r ON r.id = COALESCE(c.restroomId, i.restroomId)
+      WHERE a.id = ? AND r.campusId = ?
+    `).get(req.params.id, req.user.currentCampusId);
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+    // The SPA may be served from another port in development; helmet's default same-origin policy would block <img>
+    res.set('Cross-Origin-Resource-Policy', 'same-site');
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.type(thumb ? 'image/jpeg' : attachment.mimeType);
+    res.sendFile(path.join(UPLOADS_DIR, thumb ? thumbFilename(attachment.id) : attachment.filename), (err) => {
+      if (err && !res.headersSent) {
+        logger.error(`Attachment file missing for ${attachment.id}: ${err.message}`);
+        res.status(404).json({ error: 'Attachment file not found' });
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching attachment:', error);
+    res.status(500).json({ error: 'Failed to fetch attachment' });
+  }
+}
+
+app.get('/api/attachments/:id', isAuthenticated, (req, res) => sendAttachment(req, res, false));
+app.get('/api/attachments/:id/thumb', isAuthenticated, (req, res) => sendAttachment(req, res, true));
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   logger.error(err.stack);
@@ -641,7 +4722,20 @@ app.use((err, req, res, next) => {
 app.listen(PORT, () => {
   logger.info(`Server running on port ${PORT}`);
   console.log(`Server running on http://localhost:${PORT}`);
-  cron.schedule('5 0 1 * *', sendMonthlyReportAndDelete);
+  cron.schedule('5 0 1 * *', sendMonthlyReport);
   logger.info('Monthly report cron: 1st of each month at 00:05');
+  archiveMissedMonthlyReport();
+  cron.schedule('* * * * *', flagOverdueRestrooms);
+  logger.info(`Overdue check cron: every minute, default school hours ${SCHOOL_DAY_START}-${SCHOOL_DAY_END}`);
+  if (BACKUP_SCHEDULE === 'off') {
+    logger.warn('Scheduled backups are off (BACKUP_SCHEDULE=off)');
+  } else if (!cron.validate(BACKUP_SCHEDULE)) {
+    logger.error(`BACKUP_SCHEDULE "${BACKUP_SCHEDULE}" is not a valid cron expression; scheduled backups are off`);
+  } else {
+    cron.schedule(BACKUP_SCHEDULE, runScheduledBackup);
+    logger.info(`Backup cron: ${BACKUP_SCHEDULE} to ${BACKUP_DIR}, kept ${BACKUP_RETENTION_DAYS} days`);
+  }
+  cron.schedule('* * * * *', escalateUnresolvedIncidents);
+  logger.info(`Escalation cron: high-severity incidents unresolved after ${ESCALATION_MINUTES} minutes`);
 });
 
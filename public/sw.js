@@ -0,0 +1,102 @@
+// Service worker: keeps the app usable on spotty Wi-Fi and shows Web Push notifications.
+// - The app shell (index.html and the built assets) is cached so the app opens offline.
+// - Same-origin GET /api requests are network-first with the last response as an offline fallback, so the
+//   restroom list and checklist are there to log checks into the offline queue. The app asks for this
+//   cache to be cleared on logout.
+// - Push messages are { title, body, tag, url } JSON (see sendIncidentPush in backend/server.js).
+
+const SHELL_CACHE = 'hygieia-shell-v1';
+const API_CACHE = 'hygieia-api-v1';
+const SHELL_URLS = ['/', '/manifest.webmanifest', '/icon-192.png', '/icon.svg'];
+
+// Never cached: the live event stream, photos, report downloads and the public page (its form token expires)
+const UNCACHED_API_PATHS = ['/api/events', '/api/attachments/', '/api/reports/', '/api/public/'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_URLS)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => ![SHELL_CACHE, API_CACHE].includes(key)).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Try the network and keep a copy; fall back to the copy when offline
+const networkFirst = async (request, cacheName, fallbackUrl) => {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(fallbackUrl || request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(fallbackUrl || request);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+// Built assets have content hashes in their names, so a cached copy never goes stale
+const cacheFirst = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (url.pathname.startsWith('/api/')) {
+    if (UNCACHED_API_PATHS.some(path => url.pathname.startsWith(path))) return;
+    event.respondWith(networkFirst(request, API_CACHE));
+  } else if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, SHELL_CACHE, '/'));
+  } else if (url.pathname.startsWith('/assets/')) {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'clear-api-cache') {
+    event.waitUntil(caches.delete(API_CACHE));
+  }
+});
+
+self.addEventListener('push', (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch {
+    data = { body: event.data ? event.data.text() : '' };
+  }
+  event.waitUntil(
+    self.registration.showNotification(data.title || 'Restroom incident', {
+      body: data.body || '',
+      tag: data.tag,
+      icon: '/icon-192.png',
+      data: { url: data.url || '/' },
+    })
+  );
+});
+
+// Focus an open tab of the app if there is one, otherwise open it
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const open = windows.find(w => w.url.startsWith(self.location.origin));
+      if (open) {
+        return open.focus();
+      }
+      return self.clients.openWindow(url);
+    })
+  );
+});
@@ -0,0 +1,323 @@
+import React, { useState, useEffect, useRef } from 'react';
+import api, { getErrorMessage } from './api';
+import { SEVERITY_LEVELS } from './severity';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Heat-grid cell colours, from empty to the largest count in the grid
+const HEAT_STYLES = {
+  red: ['bg-gray-50 text-gray-300', 'bg-red-100 text-red-700', 'bg-red-200 text-red-800', 'bg-red-400 text-white', 'bg-red-600 text-white'],
+  blue: ['bg-gray-50 text-gray-300', 'bg-blue-100 text-blue-700', 'bg-blue-200 text-blue-800', 'bg-blue-400 text-white', 'bg-blue-600 text-white']
+};
+
+const heatStyle = (count, max, palette = 'red') => {
+  const styles = HEAT_STYLES[palette];
+  if (!count || !max) return styles[0];
+  return styles[Math.max(1, Math.ceil((count / max) * (styles.length - 1)))];
+};
+
+// 75 -> "1h 15m"
+const formatMinutes = (minutes) => {
+  if (minutes == null) return '—';
+  if (minutes < 60) return `${minutes}m`;
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const rest = minutes % 60;
+  return [days && `${days}d`, hours && `${hours}h`, rest && `${rest}m`].filter(Boolean).join(' ');
+};
+
+const hourLabel = (hour) => `${hour % 12 || 12}${hour < 12 ? 'a' : 'p'}`;
+
+// Admin analytics: how often each restroom is checked, how long incidents take to resolve and when they
+// are reported. The range defaults to the server's (last 30 days) until the admin picks dates.
+function Analytics() {
+  const [range, setRange] = useState({ from: '', to: '' });
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const latestRequest = useRef(0); // Ignore responses for a range the admin has already changed
+
+  const loadAnalytics = async () => {
+    const requestId = ++latestRequest.current;
+    setLoading(true);
+    try {
+      const params = Object.fromEntries(Object.entries(range).filter(([, value]) => value !== ''));
+      const [checksPerDay, checkGaps, resolution, heatmap] = await Promise.all([
+        api.getChecksPerDay(params),
+        api.getCheckGaps(params),
+        api.getResolutionTimes(params),
+        api.getIncidentHeatmap(params)
+      ]);
+      if (requestId !== latestRequest.current) return;
+      setData({ checksPerDay, checkGaps, resolution, heatmap });
+    } catch (error) {
+      console.error('Failed to load analytics:', error);
+      alert(getErrorMessage(error, 'Failed to load analytics.'));
+    } finally {
+      if (requestId === latestRequest.current) setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadAnalytics();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [range]);
+
+  const inputClass = 'border-2 border-gray-200 rounded-xl p-2 bg-white focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all outline-none';
+  const cardClass = 'bg-white rounded-2xl shadow-lg p-6 border border-gray-100';
+  const thClass = 'text-left text-xs font-semibold text-gray-500 uppercase tracking-wide py-2 pr-4';
+  const tdClass = 'py-2 pr-4 text-gray-700';
+
+  const heatmap = data?.heatmap;
+  const heatMax = heatmap ? Math.max(0, ...heatmap.byWeekdayHour.flat()) : 0;
+  const barMax = heatmap ? Math.max(0, ...heatmap.byRestroom.map(r => r.count)) : 0;
+  const overall = data?.resolution.overall;
+
+  return (
+    <div className="space-y-6">
+      <div className={cardClass}>
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <h2 className="text-2xl font-bold text-gray-800 flex items-center">
+            <span className="mr-2">📈</span>
+            Analytics
+          </h2>
+          <div className="flex flex-wrap items-center gap-2">
+            <input
+              className={inputClass}
+              type="date"
+              title="From"
+              value={range.from}
+              onChange={(e) => setRange({ ...range, from: e.target.value })}
+            />
+            <span className="text-gray-500">to</span>
+            <input
+              className={inputClass}
+              type="date"
+              title="To (inclusive)"
+              value={range.to}
+              onChange={(e) => setRange({ ...range, to: e.target.value })}
+            />
+            <button
+              className="bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded-xl font-semibold transition-all duration-200"
+              onClick={() => setRange({ from: '', to: '' })}
+            >
+              Last 30 days
+            </button>
+          </div>
+        </div>
+        {data && (
+          <p className="text-sm text-gray-500 mt-2">
+            {new Date(data.checksPerDay.from).toLocaleDateString()} – {new Date(new Date(data.checksPerDay.to) - 1).toLocaleDateString()}
+            {loading && ' · Updating…'}
+          </p>
+        )}
+      </div>
+
+      {!data ? (
+        <div className={cardClass}>
+          <p className="text-gray-500">{loading ? 'Loading analytics…' : 'Analytics are unavailable.'}</p>
+        </div>
+      ) : (
+        <>
+          {/* Time to resolve */}
+          <div className={cardClass}>
+            <h3 className="text-xl font-bold text-gray-800 mb-4">⏱️ Time to Resolve</h3>
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-6">
+              {[
+                ['Resolved', overall.count],
+                ['Still open', overall.unresolved],
+                ['Average', formatMinutes(overall.mean)],
+                ['Median', formatMinutes(overall.median)],
+                ['90th percentile', formatMinutes(overall.p90)]
+              ].map(([label, value]) => (
+                <div key={label} className="p-4 rounded-xl bg-gray-50 border border-gray-100">
+                  <div className="text-xs font-semibold text-gray-500 uppercase tracking-wide">{label}</div>
+                  <div className="text-2xl font-bold text-gray-800">{value}</div>
+                </div>
+              ))}
+            </div>
+            {data.resolution.byRestroom.length === 0 ? (
+              <p className="text-gray-500">No incidents reported in this range.</p>
+            ) : (
+              <div className="grid md:grid-cols-2 gap-6">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr>
+                      <th className={thClass}>Severity</th>
+                      <th className={thClass}>Resolved</th>
+                      <th className={thClass}>Median</th>
+                      <th className={thClass}>90th %</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {SEVERITY_LEVELS.map((level) => {
+                      const row = data.resolution.bySeverity.find(r => r.severity === level.value);
+                      return (
+                        <tr key={level.value} className="border-t border-gray-100">
+                          <td className={tdClass}>
+                            <span className={`px-2 py-1 rounded-full text-xs font-semibold ${level.badge}`}>{level.label}</span>
+                          </td>
+                          <td className={tdClass}>{row ? `${row.count}${row.unresolved ? ` (+${row.unresolved} open)` : ''}` : 0}</td>
+                          <td className={tdClass}>{formatMinutes(row?.median)}</td>
+                          <td className={tdClass}>{formatMinutes(row?.p90)}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr>
+                      <th className={thClass}>Restroom</th>
+                      <th className={thClass}>Resolved</th>
+                      <th className={thClass}>Median</th>
+                      <th className={thClass}>Slowest</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {data.resolution.byRestroom.map((row) => (
+                      <tr key={row.restroomId} className="border-t border-gray-100">
+                        <td className={tdClass}>{row.restroom}</td>
+                        <td className={tdClass}>{row.count}{row.unresolved > 0 && ` (+${row.unresolved} open)`}</td>
+                        <td className={tdClass}>{formatMinutes(row.median)}</td>
+                        <td className={tdClass}>{formatMinutes(row.max)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          {/* When incidents happen */}
+          <div className={cardClass}>
+            <h3 className="text-xl font-bold text-gray-800 mb-1">🔥 Busy Hours</h3>
+            <p className="text-sm text-gray-500 mb-4">{heatmap.total} incident{heatmap.total === 1 ? '' : 's'} by day of week and hour reported</p>
+            <div className="overflow-x-auto">
+              <table className="text-xs border-separate border-spacing-0.5">
+                <thead>
+                  <tr>
+                    <th />
+                    {heatmap.byHour.map((_, hour) => (
+                      <th key={hour} className="font-normal text-gray-400 w-7">{hour % 3 === 0 ? hourLabel(hour) : ''}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {heatmap.byWeekdayHour.map((hours, day) => (
+                    <tr key={day}>
+                      <th className="font-semibold text-gray-500 pr-2 text-left">{WEEKDAYS[day]}</th>
+                      {hours.map((count, hour) => (
+                        <td
+                          key={hour}
+                          title={`${WEEKDAYS[day]} ${hourLabel(hour)}: ${count}`}
+                          className={`w-7 h-7 text-center rounded ${heatStyle(count, heatMax)}`}
+                        >
+                          {count || ''}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {heatmap.byRestroom.length > 0 && (
+              <div className="mt-6 space-y-2">
+                <h4 className="font-semibold text-gray-700">Incidents by restroom</h4>
+                {heatmap.byRestroom.map((row) => (
+                  <div key={row.restroomId} className="flex items-center gap-3 text-sm">
+                    <span className="w-40 truncate text-gray-700">{row.restroom}</span>
+                    <div className="flex-1 bg-gray-100 rounded-full h-4">
+                      <div className="bg-gradient-to-r from-red-400 to-orange-400 h-4 rounded-full" style={{ width: `${(row.count / barMax) * 100}%` }} />
+                    </div>
+                    <span className="w-8 text-right font-semibold text-gray-700">{row.count}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Check frequency */}
+          <div className={cardClass}>
+            <h3 className="text-xl font-bold text-gray-800 mb-1">✅ Check Frequency</h3>
+            <p className="text-sm text-gray-500 mb-4">Time between checks of the same restroom on the same day</p>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr>
+                    <th className={thClass}>Restroom</th>
+                    <th className={thClass}>Checks</th>
+                    <th className={thClass}>Avg / day</th>
+                    <th className={thClass}>Median gap</th>
+                    <th className={thClass}>Longest gap</th>
+                    <th className={thClass}>Over target</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.checksPerDay.restrooms.map((row) => {
+                    const gaps = data.checkGaps.restrooms.find(r => r.restroomId === row.restroomId);
+                    const daysChecked = row.perDay.filter(Boolean).length;
+                    return (
+                      <tr key={row.restroomId} className="border-t border-gray-100">
+                        <td className={tdClass}>{row.restroom}</td>
+                        <td className={tdClass}>{row.total}</td>
+                        <td className={tdClass}>{daysChecked ? (row.total / daysChecked).toFixed(1) : '—'}</td>
+                        <td className={tdClass}>{formatMinutes(gaps?.median)}</td>
+                        <td className={tdClass}>{formatMinutes(gaps?.max)}</td>
+                        <td className={tdClass}>
+                          {gaps?.count
+                            ? <span className={gaps.gapsOverTarget ? 'text-red-600 font-semibold' : ''}>
+                                {gaps.gapsOverTarget} of {gaps.count} (target {formatMinutes(gaps.targetMinutes)})
+                              </span>
+                            : '—'}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* Checks per day */}
+          <div className={cardClass}>
+            <h3 className="text-xl font-bold text-gray-800 mb-4">📅 Checks per Day</h3>
+            <div className="overflow-x-auto">
+              <table className="text-xs border-separate border-spacing-0.5">
+                <thead>
+                  <tr>
+                    <th />
+                    {data.checksPerDay.days.map((day) => (
+                      <th key={day} className="font-normal text-gray-400 w-7" title={day}>{Number(day.slice(8))}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.checksPerDay.restrooms.map((row) => {
+                    const rowMax = Math.max(0, ...row.perDay);
+                    return (
+                      <tr key={row.restroomId}>
+                        <th className="font-semibold text-gray-500 pr-2 text-left whitespace-nowrap">{row.restroom}</th>
+                        {row.perDay.map((count, i) => (
+                          <td
+                            key={data.checksPerDay.days[i]}
+                            title={`${data.checksPerDay.days[i]}: ${count}`}
+                            className={`w-7 h-7 text-center rounded ${heatStyle(count, rowMax, 'blue')}`}
+                          >
+                            {count || ''}
+                          </td>
+                        ))}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default Analytics;
@@ -1,27 +1,131 @@
-import React, { useState, useEffect, useMemo } from 'react';
-import api from './api';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import api, { getErrorMessage } from './api';
+import RestroomAdmin from './RestroomAdmin';
+import CampusAdmin from './CampusAdmin';
+import StaffAdmin from './StaffAdmin';
+import AssignmentAdmin from './AssignmentAdmin';
+import ChecklistAdmin from './ChecklistAdmin';
+import CheckChecklist from './CheckChecklist';
+import SupplyFlags from './SupplyFlags';
+import SupplyAdmin from './SupplyAdmin';
+import RestockRequests from './RestockRequests';
+import History from './History';
+import Analytics from './Analytics';
+import AuditLog from './AuditLog';
+import BackupAdmin from './BackupAdmin';
+import Reports from './Reports';
+import PushSettings from './PushSettings';
+import QrCodes from './QrCodes';
+import PublicReports from './PublicReports';
+import { parseRestroomLink } from './restroomLinks';
+import { newIdempotencyKey, submitOrQueue, getQueued, syncQueued } from './offlineQueue';
+import { clearApiCache } from './serviceWorker';
+import IncidentCard from './IncidentCard';
+import CampusMap from './CampusMap';
+import RestroomPanel from './RestroomPanel';
+import { getRestroomStatus } from './restroomStatus';
+import PhotoPicker from './PhotoPicker';
+import { SEVERITY_LEVELS, SEVERITY_RANK } from './severity';
+import { ROLES } from './roles';
 
-// Restroom gender mapping
-const femaleRestrooms = ["Girls' Locker Room", 'H Wing', 'J Wing', 'C Wing', 'E Wing', 'M Wing'];
-const maleRestrooms = ["Boys' Locker Room", 'G Wing', 'D Wing', 'L Wing', 'N Wing'];
+// Pages available from the header: everyone gets the base views, the rest need the listed permission
+const BASE_VIEWS = [
+  { id: 'dashboard', label: '📊 Dashboard' },
+  { id: 'history', label: '📜 History' }
+];
+
+const MANAGEMENT_VIEWS = [
+  { id: 'campuses', label: '🏛️ Campuses', permission: 'config.manage' },
+  { id: 'restrooms', label: '🏫 Restrooms', permission: 'config.manage' },
+  { id: 'staff', label: '👥 Staff', permission: 'accounts.manage' },
+  { id: 'assignments', label: '🗺️ Assignments', permission: 'config.manage' },
+  { id: 'checklist', label: '📋 Checklist', permission: 'shared-config.manage' },
+  { id: 'supplies', label: '📦 Supplies', permission: 'shared-config.manage' },
+  { id: 'analytics', label: '📈 Analytics', permission: 'analytics.view' },
+  { id: 'reports', label: '🗂️ Reports', permission: 'reports.view' },
+  { id: 'qr-codes', label: '🔳 QR Codes', permission: 'config.manage' },
+  { id: 'audit', label: '🕵️ Audit Log', permission: 'audit.view' },
+  { id: 'backups', label: '💾 Backups', permission: 'backups.manage' }
+];
+
+const ACTIVE_INCIDENT_STATUSES = 'open,acknowledged,in_progress';
+const MAX_ACTIVE_INCIDENTS = 200;
+
+// Live updates (see SSE in server.js) carry the changed record, which replaces the copy in the dashboard
+const upsertById = (list, record) => (
+  list.some(item => item.id === record.id)
+    ? list.map(item => (item.id === record.id ? record : item))
+    : [...list, record]
+);
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+// Ways to section the status overview grid
+const GROUP_OPTIONS = [
+  { value: '', label: 'No grouping' },
+  { value: 'building', label: 'By building' },
+  { value: 'floor', label: 'By building & floor' }
+];
+const NO_BUILDING = 'No building';
+const newestFirst = (a, b) => b.timestamp.localeCompare(a.timestamp);
+
+// Wait before reopening a live update stream the server refused, growing with each failed attempt
+const RECONNECT_DELAYS = [1000, 2000, 5000, 10000, 30000];
+
+// Format a number of minutes as "25 min" or "1 h 5 min"
+const formatMinutes = (minutes) => {
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest ? `${hours} h ${rest} min` : `${hours} h`;
+};
 
 function App() {
   const [restrooms, setRestrooms] = useState([]);
+  const [floorPlans, setFloorPlans] = useState([]); // One per building of the current campus
   const [custodians, setCustodians] = useState([]);
-  const [logs, setLogs] = useState([]);
-  const [incidents, setIncidents] = useState([]);
+  const [incidents, setIncidents] = useState([]); // Active (not resolved) incidents only
+  const [resolvedIncidents, setResolvedIncidents] = useState([]); // The few most recent, for those who can reopen
   const [loading, setLoading] = useState(true);
-  const [selectedCustodian, setSelectedCustodian] = useState('');
+  const [currentUser, setCurrentUser] = useState(null);
+  const [campuses, setCampuses] = useState([]);
+  const [currentCampusId, setCurrentCampusId] = useState(null); // The campus the dashboard and pages show
   const [selectedRestroom, setSelectedRestroom] = useState('');
   const [selectedRestroom2, setSelectedRestroom2] = useState('');
   const [incidentDescription, setIncidentDescription] = useState('');
-  const [isAdmin, setIsAdmin] = useState(false);
+  const [incidentSeverity, setIncidentSeverity] = useState('medium');
+  const [incidentPhotos, setIncidentPhotos] = useState([]);
+  const [checkPhotos, setCheckPhotos] = useState([]);
+  const [checklistItems, setChecklistItems] = useState([]);
+  const [checkAnswers, setCheckAnswers] = useState({}); // itemId -> true (OK) / false (needs attention)
+  const [checkRating, setCheckRating] = useState(0);
+  const [checkNotes, setCheckNotes] = useState('');
+  const [supplies, setSupplies] = useState([]);
+  const [supplyFlags, setSupplyFlags] = useState({}); // supplyItemId -> 'low' | 'out'
+  const [supplyVersion, setSupplyVersion] = useState(0); // Bumped when supplies reload so the restock card refreshes too
+  const [publicReportVersion, setPublicReportVersion] = useState(0); // Bumped on live public report updates
+  const incidentFormRef = useRef(null);
+  const checkFormRef = useRef(null);
+  const restroomLinkRef = useRef(parseRestroomLink(window.location.pathname)); // Restroom QR link the app was opened with
+  const [focusForm, setFocusForm] = useState(null); // 'check' | 'incident' to scroll to once the dashboard shows
+  const [statusView, setStatusView] = useState('grid'); // 'grid' | 'map' for the status overview
+  const [buildingFilter, setBuildingFilter] = useState(''); // '' for all buildings; the map always shows one
+  const [floorFilter, setFloorFilter] = useState('');
+  const [groupBy, setGroupBy] = useState(''); // One of GROUP_OPTIONS
+  const [panelRestroomId, setPanelRestroomId] = useState(null); // Restroom whose RestroomPanel is open
+  const [historyRestroomId, setHistoryRestroomId] = useState(''); // Restroom History opens filtered to
+  const [permissions, setPermissions] = useState([]); // What the server lets the logged-in user do (PERMISSIONS in server.js)
   const [showPasswordPrompt, setShowPasswordPrompt] = useState(false);
-  const [passwordInput, setPasswordInput] = useState('');
+  const [currentPasswordInput, setCurrentPasswordInput] = useState('');
+  const [newPasswordInput, setNewPasswordInput] = useState('');
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [showLoginScreen, setShowLoginScreen] = useState(false); // Start as false, will be set after auth check
+  const [loginUsername, setLoginUsername] = useState('');
   const [loginPassword, setLoginPassword] = useState('');
   const [checkingAuth, setCheckingAuth] = useState(true); // Track if we're checking auth
+  const [view, setView] = useState('dashboard'); // One of BASE_VIEWS, or MANAGEMENT_VIEWS the user has permission for
+  const [now, setNow] = useState(() => Date.now()); // Ticks so check countdowns stay current
+  const [queuedCount, setQueuedCount] = useState(0); // Checks/incidents saved on this device, waiting to sync
+  const syncingRef = useRef(false);
 
   // Load data on mount - always check auth status first
   useEffect(() => {
@@ -33,28 +137,161 @@ function App() {
   useEffect(() => {
     if (isAuthenticated) {
       loadData();
-      checkAdminStatus();
+      checkPermissions();
     }
   }, [isAuthenticated]);
 
-  // SSE: refetch when server pushes a data-changed event
+  // Send anything queued offline: after login, when the browser comes back online, and every minute
+  useEffect(() => {
+    if (!currentUser) return;
+    syncOfflineQueue();
+    const timer = setInterval(syncOfflineQueue, 60 * 1000);
+    window.addEventListener('online', syncOfflineQueue);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener('online', syncOfflineQueue);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [currentUser?.id]);
+
+  // Refresh countdowns on the restroom grid every 30 seconds
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 30 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // SSE: apply pushed changes to the dashboard in place. EventSource reconnects by itself after a dropped
+  // connection and the server replays what was missed; if the server refuses the stream, check whether the
+  // session is still valid and open a new one from the last event seen.
   useEffect(() => {
     if (!isAuthenticated) return;
-    const url = api.getEventsUrl();
-    const es = new EventSource(url);
-    es.onmessage = (e) => {
-      try {
-        const data = JSON.parse(e.data);
-        if (data.type === 'data-changed') {
-          loadData(false).catch((err) => console.error('SSE refresh error:', err));
-          checkAdminStatus();
+    let es = null;
+    let lastEventId = null;
+    let attempt = 0;
+    let retryTimer = null;
+    let stopped = false;
+
+    const connect = () => {
+      es = new EventSource(api.getEventsUrl(lastEventId), { withCredentials: true });
+      es.onopen = () => {
+        attempt = 0;
+      };
+      es.onmessage = (e) => {
+        if (e.lastEventId) lastEventId = e.lastEventId;
+        try {
+          applyLiveEvent(JSON.parse(e.data));
+        } catch (err) {
+          console.error('SSE update error:', err);
+        }
+      };
+      es.onerror = () => {
+        if (es.readyState === EventSource.CLOSED) reconnect();
+      };
+    };
+
+    const reconnect = () => {
+      const delay = RECONNECT_DELAYS[Math.min(attempt++, RECONNECT_DELAYS.length - 1)];
+      retryTimer = setTimeout(async () => {
+        try {
+          const response = await api.checkAuthStatus();
+          if (stopped) return;
+          if (!response.isAuthenticated) {
+            endSession();
+            return;
+          }
+        } catch (error) {
+          if (stopped) return;
+          if (error.response?.status === 401) {
+            endSession();
+            return;
+          }
+          // Server unreachable: try the stream again anyway
         }
-      } catch (_) {}
+        connect();
+      }, delay);
+    };
+
+    connect();
+    return () => {
+      stopped = true;
+      clearTimeout(retryTimer);
+      es?.close();
     };
-    es.onerror = () => es.close();
-    return () => es.close();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [isAuthenticated]);
+  }, [isAuthenticated, currentCampusId]); // The server picks what to send by campus, so a switch needs a new stream
+
+  const applyLiveEvent = (event) => {
+    switch (event.type) {
+      case 'restroom.updated': {
+        const { restroom } = event;
+        setRestrooms(list => (restroom.active
+          ? upsertById(list, restroom).sort(byName)
+          : list.filter(r => r.id !== restroom.id)));
+        break;
+      }
+      case 'incident.created':
+      case 'incident.updated': {
+        const { incident } = event;
+        const resolved = incident.status === 'resolved';
+        setIncidents(list => {
+          const rest = list.filter(i => i.id !== incident.id);
+          return resolved ? rest : [...rest, incident].sort(newestFirst).slice(0, MAX_ACTIVE_INCIDENTS);
+        });
+        setResolvedIncidents(list => {
+          const rest = list.filter(i => i.id !== incident.id);
+          return resolved ? [...rest, incident].sort(newestFirst).slice(0, 5) : rest;
+        });
+        break;
+      }
+      case 'supply.updated': {
+        const { supply } = event;
+        setSupplies(list => (supply.active
+          ? upsertById(list, supply).sort(byName)
+          : list.filter(s => s.id !== supply.id)));
+        setSupplyVersion(version => version + 1);
+        break;
+      }
+      case 'restock.changed':
+        setSupplyVersion(version => version + 1);
+        break;
+      case 'public-report.changed':
+        setPublicReportVersion(version => version + 1);
+        break;
+      case 'custodians.changed':
+      case 'assignments.changed':
+        // Role and assignment changes can change which restrooms and pages the user gets
+        loadData(false, ['restrooms', 'custodians']);
+        checkPermissions();
+        break;
+      case 'checklist.changed':
+        loadData(false, ['checklist']);
+        break;
+      case 'campuses.changed':
+        loadData(false, ['campuses']);
+        break;
+      case 'floor-plans.changed':
+        loadData(false, ['floorPlans']);
+        break;
+      case 'resync':
+        loadData(false);
+        checkPermissions();
+        setPublicReportVersion(version => version + 1);
+        break;
+      case 'session-ended':
+        endSession();
+        break;
+      default:
+        // check.created: the dashboard shows checks through the restroom.updated that follows
+        break;
+    }
+  };
+
+  // The server ended the session (logged out elsewhere, idle too long or account deactivated)
+  const endSession = () => {
+    setIsAuthenticated(false);
+    setPermissions([]);
+    setShowLoginScreen(true);
+  };
 
   // Check authentication status
   const checkAuthStatus = async () => {
@@ -64,9 +301,11 @@ function App() {
       if (response.isAuthenticated === true) {
         setIsAuthenticated(true);
         setShowLoginScreen(false);
-        setIsAdmin(response.isAdmin || false);
+        setPermissions(response.permissions || []);
+        setCurrentUser(response.user);
+        setCurrentCampusId(response.currentCampusId);
         loadData();
-        checkAdminStatus();
+        checkPermissions();
       } else {
         setIsAuthenticated(false);
         setShowLoginScreen(true);
@@ -86,31 +325,38 @@ function App() {
     }
   };
 
-  // Check admin status from server
-  const checkAdminStatus = async () => {
+  // Refresh the user's role, campus and permissions from the server, so an admin's change applies right away
+  const checkPermissions = async () => {
     try {
-      const response = await api.checkAdminStatus();
-      const admin = response.isAdmin || false;
-      setIsAdmin(admin);
-      if (admin) setSelectedCustodian('Admin');
+      const response = await api.getPermissions();
+      setPermissions(response.permissions || []);
+      setCurrentUser(user => (user && response.role ? { ...user, role: response.role, campusId: response.campusId } : user));
+      if (response.currentCampusId && response.currentCampusId !== currentCampusId) {
+        setCurrentCampusId(response.currentCampusId);
+        loadData(false);
+      }
     } catch (error) {
-      setIsAdmin(false);
+      setPermissions([]);
     }
   };
 
+  const can = (permission) => permissions.includes(permission);
+
   // Handle user login
   const handleUserLogin = async () => {
     try {
-      const response = await api.userLogin(loginPassword);
+      const response = await api.userLogin(loginUsername, loginPassword);
       if (response.success) {
         setIsAuthenticated(true);
         setShowLoginScreen(false);
+        setCurrentUser(response.user);
+        setCurrentCampusId(response.currentCampusId);
+        setPermissions(response.permissions || []);
         setLoginPassword('');
         await loadData();
-        await checkAdminStatus();
       }
     } catch (error) {
-      let errorMsg = 'Invalid password';
+      let errorMsg = 'Invalid username or password';
       if (error.response?.data?.error) {
         errorMsg = error.response.data.error;
       } else if (error.message && !error.message.includes('Network')) {
@@ -123,31 +369,70 @@ function App() {
     }
   };
 
-  const loadData = async (showLoading = true) => {
-    try {
-      if (showLoading) {
-        setLoading(true);
-      }
-      const [restroomsData, custodiansData, checksData, incidentsData] = await Promise.all([
-        api.getRestrooms(),
-        api.getCustodians(),
-        api.getChecks(),
-        api.getIncidents()
-      ]);
-      
+  // Each part of the dashboard loads on its own so a live update only refetches what changed.
+  // Incidents are limited to active ones plus the last few resolved; older ones live in History.
+  const loaders = {
+    restrooms: async () => {
+      const restroomsData = await api.getRestrooms();
       setRestrooms(restroomsData);
-      setCustodians(custodiansData);
-      setLogs(checksData);
-      setIncidents(incidentsData);
-      
-      if (custodiansData.length > 0 && !selectedCustodian) {
-        const firstStaff = custodiansData.find(c => c.name !== 'Admin') || custodiansData[0];
-        setSelectedCustodian(firstStaff.name);
-      }
       if (restroomsData.length > 0 && !selectedRestroom) {
         setSelectedRestroom(restroomsData[0].name);
         setSelectedRestroom2(restroomsData[0].name);
       }
+      if (restroomLinkRef.current) {
+        openRestroomLink(restroomsData);
+      }
+    },
+    incidents: async () => {
+      const [active, resolved] = await Promise.all([
+        api.getIncidents({ status: ACTIVE_INCIDENT_STATUSES, limit: MAX_ACTIVE_INCIDENTS }),
+        api.getIncidents({ status: 'resolved', limit: 5 })
+      ]);
+      setIncidents(active.items);
+      setResolvedIncidents(resolved.items);
+    },
+    custodians: async () => setCustodians(await api.getCustodians()),
+    campuses: async () => setCampuses(await api.getCampuses()),
+    floorPlans: async () => setFloorPlans(await api.getFloorPlans()),
+    checklist: async () => setChecklistItems(await api.getChecklistItems()),
+    supplies: async () => {
+      setSupplies(await api.getSupplies());
+      setSupplyVersion(version => version + 1);
+    }
+  };
+
+  // Open the form a restroom QR code points at, once the user's restrooms are loaded. The server only lists
+  // restrooms the user is assigned to, so a link to any other restroom goes nowhere.
+  const openRestroomLink = (restroomsData) => {
+    const link = restroomLinkRef.current;
+    restroomLinkRef.current = null;
+    window.history.replaceState(null, '', '/');
+    const restroom = restroomsData.find(r => r.id === link.restroomId);
+    if (!restroom) {
+      alert('That restroom is not on your list. Ask an admin to assign it to you.');
+      return;
+    }
+    setView('dashboard');
+    if (link.form === 'incident') {
+      setSelectedRestroom2(restroom.name);
+    } else {
+      setSelectedRestroom(restroom.name);
+    }
+    setFocusForm(link.form);
+  };
+
+  useEffect(() => {
+    if (!focusForm || loading) return;
+    (focusForm === 'incident' ? incidentFormRef : checkFormRef).current?.scrollIntoView({ behavior: 'smooth' });
+    setFocusForm(null);
+  }, [focusForm, loading]);
+
+  const loadData = async (showLoading = true, parts = Object.keys(loaders)) => {
+    try {
+      if (showLoading) {
+        setLoading(true);
+      }
+      await Promise.all(parts.map(part => loaders[part]()));
     } catch (error) {
       console.error('Failed to load data from API:', error);
       let errorMsg = 'Failed to load data from server. Please check your connection and refresh.';
@@ -170,69 +455,38 @@ function App() {
     }
   };
 
-  // Get available restrooms based on custodian gender (Admin sees all)
-  const getAvailableRestrooms = (custodianName) => {
-    if (custodianName === 'Admin') return restrooms;
-    const custodian = custodians.find(c => c.name === custodianName);
-    if (!custodian || !custodian.gender) {
-      return restrooms; // Fallback to all restrooms if gender not found
-    }
-    if (custodian.gender.toLowerCase() === 'female') {
-      return restrooms.filter(r => femaleRestrooms.includes(r.name));
-    } else if (custodian.gender.toLowerCase() === 'male') {
-      return restrooms.filter(r => maleRestrooms.includes(r.name));
-    }
-    return restrooms;
-  };
+  // The server only returns restrooms the logged-in user is assigned to (restrooms.all gets every one)
+  const availableRestrooms = restrooms;
 
-  const availableRestrooms = useMemo(() => getAvailableRestrooms(selectedCustodian), [selectedCustodian, custodians, restrooms]);
-
-  // Update selected restrooms when custodian changes
+  // Keep the selected restrooms valid when the restroom list changes
   useEffect(() => {
-    const available = getAvailableRestrooms(selectedCustodian);
-    if (available.length > 0) {
-      if (!available.find(r => r.name === selectedRestroom)) {
-        setSelectedRestroom(available[0].name);
+    if (restrooms.length > 0) {
+      if (!restrooms.find(r => r.name === selectedRestroom)) {
+        setSelectedRestroom(restrooms[0].name);
       }
-      if (!available.find(r => r.name === selectedRestroom2)) {
-        setSelectedRestroom2(available[0].name);
+      if (!restrooms.find(r => r.name === selectedRestroom2)) {
+        setSelectedRestroom2(restrooms[0].name);
       }
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [selectedCustodian, custodians, restrooms]);
+  }, [restrooms]);
 
   // Memoize last check times and who checked
   const lastCheckTimes = useMemo(() => {
     const times = {};
     restrooms.forEach(restroom => {
-      const logsForRestroom = logs.filter(l => l.restroom === restroom.name);
-      if (logsForRestroom.length === 0) {
-        times[restroom.name] = null;
-      } else {
-        const lastLog = logsForRestroom.reduce((latest, current) =>
-          new Date(current.timestamp) > new Date(latest.timestamp) ? current : latest
-        );
-        times[restroom.name] = new Date(lastLog.timestamp);
-      }
+      times[restroom.name] = restroom.lastCheckedAt ? new Date(restroom.lastCheckedAt) : null;
     });
     return times;
-  }, [logs, restrooms]);
+  }, [restrooms]);
 
   const lastCheckBy = useMemo(() => {
     const by = {};
     restrooms.forEach(restroom => {
-      const logsForRestroom = logs.filter(l => l.restroom === restroom.name);
-      if (logsForRestroom.length === 0) {
-        by[restroom.name] = null;
-      } else {
-        const lastLog = logsForRestroom.reduce((latest, current) =>
-          new Date(current.timestamp) > new Date(latest.timestamp) ? current : latest
-        );
-        by[restroom.name] = lastLog.custodian || null;
-      }
+      by[restroom.name] = restroom.lastCheckedBy || null;
     });
     return by;
-  }, [logs, restrooms]);
+  }, [restrooms]);
 
   // Helper to get the last check time for a restroom
   const getLastCheckTime = (restroomName) => {
@@ -241,11 +495,57 @@ function App() {
     return time.toLocaleString();
   };
 
+  // Helper to describe when a restroom is next due, e.g. "Overdue by 25 min" or "Due in 10 min"
+  const getCheckSchedule = (restroom) => {
+    if (!restroom.dueAt) return null;
+    const minutes = Math.round((new Date(restroom.dueAt).getTime() - now) / 60000);
+    if (minutes < 0) return { overdue: true, label: `Overdue by ${formatMinutes(-minutes)}` };
+    return { overdue: false, label: `Due in ${formatMinutes(minutes)}` };
+  };
+
   // Helper to determine if a restroom has an active incident
   const hasActiveIncident = (restroomName) => {
     return incidents.some(i => i.restroom === restroomName && (i.pending === 1 || i.pending === true));
   };
 
+  const refreshQueuedCount = async () => {
+    try {
+      setQueuedCount(currentUser ? (await getQueued(currentUser.id)).length : 0);
+    } catch (error) {
+      console.error('Failed to read offline queue:', error);
+    }
+  };
+
+  const syncOfflineQueue = async () => {
+    if (!currentUser || syncingRef.current) return;
+    syncingRef.current = true;
+    try {
+      const { sent, rejected } = await syncQueued(currentUser.id);
+      if (sent > 0) await loadData(false);
+      if (rejected.length > 0) {
+        const lines = rejected.map(({ entry, message }) =>
+          `${entry.type === 'check' ? 'Check' : 'Incident'} for ${entry.restroom} (${new Date(entry.capturedAt).toLocaleString()}): ${message}`);
+        alert(`Some records saved offline were not accepted by the server:\n\n${lines.join('\n')}`);
+      }
+    } catch (error) {
+      console.error('Failed to sync offline queue:', error);
+    } finally {
+      syncingRef.current = false;
+      await refreshQueuedCount();
+    }
+  };
+
+  // A new check or incident, stamped with the time it was made and a key that makes resending it safe
+  const newSubmission = (type, restroom, data, photos) => ({
+    key: newIdempotencyKey(),
+    type,
+    userId: currentUser.id,
+    capturedAt: new Date().toISOString(),
+    restroom: restroom.name,
+    data: { restroomId: restroom.id, ...data },
+    photos
+  });
+
   const handleLogCheck = async () => {
     if (hasActiveIncident(selectedRestroom)) {
       alert('Cannot check this restroom. There is an active incident reported.');
@@ -253,17 +553,56 @@ function App() {
     }
 
     try {
-      const custodian = selectedCustodian === 'Admin' ? custodians.find(c => c.name === 'Admin') : custodians.find(c => c.name === selectedCustodian);
       const restroom = restrooms.find(r => r.name === selectedRestroom);
       
-      if (!custodian || !restroom) {
-        alert('Invalid custodian or restroom selection');
+      if (!restroom) {
+        alert('Invalid restroom selection');
         return;
       }
 
-      await api.logCheck(custodian.id, restroom.id);
-      await loadData();
-      alert('Check logged successfully!');
+      const unanswered = checklistItems.filter(item => checkAnswers[item.id] === undefined);
+      if (unanswered.length > 0) {
+        alert(`Please answer: ${unanswered.map(item => item.label).join(', ')}`);
+        return;
+      }
+      if (!checkRating) {
+        alert('Please rate how clean the restroom is');
+        return;
+      }
+
+      const { result, queued } = await submitOrQueue(newSubmission('check', restroom, {
+        items: checklistItems.map(item => ({ itemId: item.id, passed: checkAnswers[item.id] })),
+        rating: checkRating,
+        notes: checkNotes,
+        supplies: Object.entries(supplyFlags).map(([supplyItemId, level]) => ({ supplyItemId, level }))
+      }, checkPhotos));
+      if (queued) {
+        await refreshQueuedCount();
+      } else {
+        await loadData();
+      }
+      setCheckPhotos([]);
+      setCheckAnswers({});
+      setCheckRating(0);
+      setCheckNotes('');
+      setSupplyFlags({});
+
+      // Offer to turn failed checklist items into an incident, pre-filling the report form
+      const failedLabels = queued
+        ? checklistItems.filter(item => checkAnswers[item.id] === false).map(item => item.label)
+        : result.failedItems.map(item => item.label);
+      const loggedMessage = queued
+        ? 'No connection. Check saved on this device and will be sent automatically when you are back online.'
+        : 'Check logged.';
+      if (failedLabels.length > 0) {
+        if (window.confirm(`${loggedMessage} Needs attention: ${failedLabels.join(', ')}.\n\nOpen an incident for ${restroom.name}?`)) {
+          setSelectedRestroom2(restroom.name);
+          setIncidentDescription(`Failed check: ${failedLabels.join(', ')}`);
+          incidentFormRef.current?.scrollIntoView({ behavior: 'smooth' });
+        }
+      } else {
+        alert(queued ? loggedMessage : 'Check logged successfully!');
+      }
     } catch (error) {
       console.error('Failed to log check:', error);
       let msg = 'Failed to log check. Please try again.';
@@ -287,18 +626,28 @@ function App() {
     }
 
     try {
-      const custodian = selectedCustodian === 'Admin' ? custodians.find(c => c.name === 'Admin') : custodians.find(c => c.name === selectedCustodian);
       const restroom = restrooms.find(r => r.name === selectedRestroom2);
       
-      if (!custodian || !restroom) {
-        alert('Invalid custodian or restroom selection');
+      if (!restroom) {
+        alert('Invalid restroom selection');
         return;
       }
 
-      await api.reportIncident(custodian.id, restroom.id, incidentDescription);
-      await loadData();
+      const { queued } = await submitOrQueue(newSubmission('incident', restroom, {
+        description: incidentDescription,
+        severity: incidentSeverity
+      }, incidentPhotos));
+      if (queued) {
+        await refreshQueuedCount();
+      } else {
+        await loadData();
+      }
       setIncidentDescription('');
-      alert('Incident reported successfully!');
+      setIncidentSeverity('medium');
+      setIncidentPhotos([]);
+      alert(queued
+        ? 'No connection. Incident saved on this device and will be sent automatically when you are back online.'
+        : 'Incident reported successfully!');
     } catch (error) {
       console.error('Failed to report incident:', error);
       let msg = 'Failed to report incident. Please try again.';
@@ -315,13 +664,22 @@ function App() {
     }
   };
 
-  const handleResolveIncident = async (incidentId) => {
+  const statusMessages = {
+    acknowledged: 'Incident acknowledged',
+    in_progress: 'Incident marked in progress',
+    resolved: 'Incident resolved!',
+    open: 'Incident reopened'
+  };
+
+  const handleIncidentStatus = async (incident, status) => {
+    const comment = window.prompt('Add a comment (optional):', '');
+    if (comment === null) return; // cancelled
     try {
-      await api.resolveIncident(incidentId);
-      await loadData();
-      alert('Incident resolved!');
+      await api.updateIncidentStatus(incident.id, status, comment);
+      await loadData(false);
+      alert(statusMessages[status]);
     } catch (error) {
-      console.error('Failed to resolve incident:', error);
+      console.error('Failed to update incident:', error);
       let errorMsg = 'Unknown error';
       if (error.response?.data?.error) {
         errorMsg = error.response.data.error;
@@ -333,52 +691,116 @@ function App() {
         errorMsg = 'Network error. Please check your connection.';
       }
       if (error.response?.status === 403) {
-        alert('Admin access required to resolve incidents. Please log in as admin.');
+        alert(`Not allowed: ${errorMsg}`);
       } else {
-        alert(`Failed to resolve incident: ${errorMsg}`);
+        alert(`Failed to update incident: ${errorMsg}`);
       }
     }
   };
 
-  const handleAdminLogin = async () => {
+  const handleAssignIncident = async (incident, assigneeId) => {
     try {
-      const response = await api.adminLogin(passwordInput);
-      if (response.success) {
-        setIsAdmin(true);
-        setSelectedCustodian('Admin');
-        setShowPasswordPrompt(false);
-        setPasswordInput('');
-        alert('Admin access granted!');
-      }
+      await api.assignIncident(incident.id, assigneeId);
+      await loadData(false);
     } catch (error) {
-      let errorMsg = 'Invalid password';
+      console.error('Failed to assign incident:', error);
+      alert(`Failed to assign incident: ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const handleChangePassword = async () => {
+    try {
+      await api.changePassword(currentPasswordInput, newPasswordInput);
+      setShowPasswordPrompt(false);
+      setCurrentPasswordInput('');
+      setNewPasswordInput('');
+      alert('Password changed');
+    } catch (error) {
+      let errorMsg = 'Failed to change password';
       if (error.response?.data?.error) {
         errorMsg = error.response.data.error;
-      } else if (error.message && !error.message.includes('Network')) {
+      } else if (error.message) {
         errorMsg = error.message;
-      } else if (error.code === 'ERR_NETWORK') {
-        errorMsg = 'Network error. Please check your connection.';
       }
       alert(errorMsg);
-      setPasswordInput('');
     }
   };
 
-  const handleAdminLogout = async () => {
-    const firstStaff = custodians.find(c => c.name !== 'Admin') || custodians[0];
+  // District accounts work in one campus at a time; everything on screen is reloaded for the new one
+  const handleSwitchCampus = async (campusId) => {
     try {
-      await api.adminLogout();
-      setIsAdmin(false);
-      setSelectedCustodian(firstStaff?.name || '');
-      alert('Logged out of admin mode');
+      await api.switchCampus(campusId);
+      clearApiCache(); // Cached responses are for the old campus
+      setCurrentCampusId(campusId);
+      setSelectedRestroom('');
+      setSelectedRestroom2('');
+      setBuildingFilter(''); // Buildings and floors differ between campuses
+      setFloorFilter('');
+      setPanelRestroomId(null);
+      await loadData();
+    } catch (error) {
+      console.error('Failed to switch campus:', error);
+      alert(getErrorMessage(error, 'Failed to switch campus.'));
+    }
+  };
+
+  const handleLogout = async () => {
+    try {
+      await api.userLogout();
     } catch (error) {
       console.error('Failed to logout:', error);
-      setIsAdmin(false);
-      setSelectedCustodian(firstStaff?.name || '');
     }
+    // Queued records stay on the device (per user) and sync at their next login; cached data does not
+    clearApiCache();
+    setQueuedCount(0);
+    setIsAuthenticated(false);
+    setPermissions([]);
+    setCurrentUser(null);
+    setCurrentCampusId(null);
+    setView('dashboard');
+    setShowLoginScreen(true);
   };
 
-  const pendingIncidents = incidents.filter(i => i.pending === 1 || i.pending === true);
+  // Most severe first, then oldest first within a severity
+  const pendingIncidents = [...incidents]
+    .sort((a, b) => (SEVERITY_RANK[b.severity] ?? 0) - (SEVERITY_RANK[a.severity] ?? 0)
+      || new Date(a.timestamp) - new Date(b.timestamp));
+  const recentlyResolvedIncidents = [...resolvedIncidents]
+    .sort((a, b) => new Date(b.resolvedAt) - new Date(a.resolvedAt));
+  const assignableStaff = custodians.filter(c => c.active !== false);
+  const roleLabel = ROLES.find(role => role.value === currentUser?.role)?.label || 'Staff';
+  const currentCampus = campuses.find(c => c.id === currentCampusId);
+  const switchableCampuses = currentUser?.campusId ? [] : campuses.filter(c => c.active);
+  const managementView = MANAGEMENT_VIEWS.find(v => v.id === view && can(v.permission));
+
+  // Status overview: the grid shows every building unless filtered; the map shows one building's plan
+  // (the chosen one, else the first with a plan) and the restrooms in it
+  const restroomStatus = (restroom) => getRestroomStatus(restroom, hasActiveIncident(restroom.name), now);
+  const buildings = [...new Set(restrooms.map(r => r.building).filter(Boolean))].sort();
+  const mapBuilding = buildingFilter || floorPlans.find(plan => buildings.includes(plan.building))?.building || buildings[0] || '';
+  const shownBuilding = statusView === 'map' ? mapBuilding : buildingFilter;
+  const floors = [...new Set(restrooms
+    .filter(r => !shownBuilding || r.building === shownBuilding)
+    .map(r => r.floor)
+    .filter(floor => floor != null))].sort((a, b) => a - b);
+  const shownRestrooms = restrooms.filter(r => (!shownBuilding || r.building === shownBuilding)
+    && (floorFilter === '' || String(r.floor) === floorFilter));
+  const restroomGroups = [];
+  if (groupBy) {
+    const sections = new Map();
+    [...shownRestrooms]
+      .sort((a, b) => (a.building || '\uffff').localeCompare(b.building || '\uffff')
+        || (a.floor ?? Infinity) - (b.floor ?? Infinity) || byName(a, b))
+      .forEach((restroom) => {
+        const label = `${restroom.building || NO_BUILDING}${groupBy === 'floor' && restroom.floor != null ? ` · Floor ${restroom.floor}` : ''}`;
+        sections.set(label, [...(sections.get(label) || []), restroom]);
+      });
+    sections.forEach((list, label) => restroomGroups.push({ label, restrooms: list }));
+  } else {
+    restroomGroups.push({ label: '', restrooms: shownRestrooms });
+  }
+  const panelRestroom = restrooms.find(r => r.id === panelRestroomId);
+  const filterClass = 'border-2 border-gray-200 rounded-xl px-3 py-1 bg-white text-gray-700 focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all outline-none';
 
   // Show loading screen while checking auth
   if (checkingAuth) {
@@ -402,13 +824,27 @@ function App() {
             <h1 className="text-3xl font-bold bg-gradient-to-r from-blue-600 to-indigo-600 bg-clip-text text-transparent mb-2">
               Restroom Management System
             </h1>
-            <p className="text-gray-600">Please enter the password to access</p>
+            <p className="text-gray-600">Please sign in with your username and password</p>
           </div>
           <div className="space-y-4">
+            <div>
+              <label className="block mb-2 font-semibold text-gray-700">Username:</label>
+              <input
+                type="text"
+                autoCapitalize="none"
+                autoComplete="username"
+                className="w-full border-2 border-gray-200 rounded-xl p-3 focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all outline-none"
+                placeholder="Enter username"
+                value={loginUsername}
+                onChange={(e) => setLoginUsername(e.target.value)}
+                autoFocus
+              />
+            </div>
             <div>
               <label className="block mb-2 font-semibold text-gray-700">Password:</label>
               <input
                 type="password"
+                autoComplete="current-password"
                 className="w-full border-2 border-gray-200 rounded-xl p-3 focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all outline-none"
                 placeholder="Enter password"
                 value={loginPassword}
@@ -418,7 +854,6 @@ function App() {
                     handleUserLogin();
                   }
                 }}
-                autoFocus
               />
             </div>
             <button
@@ -445,64 +880,81 @@ function App() {
   }
 
   return (
-    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-50">
-      <div className="p-6 max-w-6xl mx-auto font-sans space-y-6">
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-50 print:bg-none print:bg-white">
+      <div className="p-6 max-w-6xl mx-auto font-sans space-y-6 print:p-0">
         {/* Header */}
-        <div className="bg-white rounded-2xl shadow-lg p-6 mb-6 border border-gray-100">
+        <div className="bg-white rounded-2xl shadow-lg p-6 mb-6 border border-gray-100 print:hidden">
           <div className="flex justify-between items-center mb-4">
             <div>
               <h1 className="text-4xl font-bold bg-gradient-to-r from-blue-600 to-indigo-600 bg-clip-text text-transparent mb-2">
                 🧹 Restroom Management System
               </h1>
             </div>
-        <button
-              className={`px-6 py-3 rounded-xl font-semibold transition-all duration-200 shadow-md hover:shadow-lg transform hover:scale-105 ${
-                isAdmin 
-                  ? 'bg-gradient-to-r from-green-500 to-emerald-500 text-white' 
-                  : 'bg-gradient-to-r from-gray-400 to-gray-500 text-white'
-              }`}
-              onClick={() => {
-                if (isAdmin) {
-                  handleAdminLogout();
-                } else {
-                  setShowPasswordPrompt(true);
-                }
-              }}
-        >
-              {isAdmin ? '👤 Admin Mode' : '👤 User Mode'}
-        </button>
+            <div className="flex items-center gap-3">
+              <span
+                className={`px-4 py-2 rounded-xl font-semibold text-white shadow-md ${
+                  currentUser?.role === 'admin'
+                    ? 'bg-gradient-to-r from-green-500 to-emerald-500'
+                    : 'bg-gradient-to-r from-gray-400 to-gray-500'
+                }`}
+              >
+                👤 {roleLabel}
+              </span>
+              <button
+                className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-4 py-2 rounded-xl font-semibold transition-all duration-200"
+                onClick={() => setShowPasswordPrompt(true)}
+              >
+                🔑 Password
+              </button>
+              <button
+                className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-4 py-2 rounded-xl font-semibold transition-all duration-200"
+                onClick={handleLogout}
+              >
+                Logout
+              </button>
+            </div>
       </div>
 
-          {/* Password Prompt Modal */}
+          {/* Change Password Modal */}
           {showPasswordPrompt && (
             <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
               <div className="bg-white rounded-2xl shadow-xl p-6 max-w-md w-full mx-4">
-                <h3 className="text-2xl font-bold text-gray-800 mb-4">Enter Admin Password</h3>
+                <h3 className="text-2xl font-bold text-gray-800 mb-4">Change Password</h3>
+                <input
+                  type="password"
+                  autoComplete="current-password"
+                  className="w-full border-2 border-gray-200 rounded-xl p-3 mb-4 focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all outline-none"
+                  placeholder="Current password"
+                  value={currentPasswordInput}
+                  onChange={(e) => setCurrentPasswordInput(e.target.value)}
+                  autoFocus
+                />
                 <input
                   type="password"
+                  autoComplete="new-password"
                   className="w-full border-2 border-gray-200 rounded-xl p-3 mb-4 focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all outline-none"
-                  placeholder="Admin password"
-                  value={passwordInput}
-                  onChange={(e) => setPasswordInput(e.target.value)}
+                  placeholder="New password (at least 8 characters)"
+                  value={newPasswordInput}
+                  onChange={(e) => setNewPasswordInput(e.target.value)}
                   onKeyPress={(e) => {
                     if (e.key === 'Enter') {
-                      handleAdminLogin();
+                      handleChangePassword();
                     }
                   }}
-                  autoFocus
                 />
                 <div className="flex gap-3">
                   <button
                     className="flex-1 bg-gradient-to-r from-blue-500 to-indigo-500 hover:from-blue-600 hover:to-indigo-600 text-white px-6 py-3 rounded-xl font-semibold transition-all duration-200 shadow-md hover:shadow-lg"
-                    onClick={handleAdminLogin}
+                    onClick={handleChangePassword}
                   >
-                    Login
+                    Save
                   </button>
                   <button
                     className="flex-1 bg-gray-300 hover:bg-gray-400 text-gray-800 px-6 py-3 rounded-xl font-semibold transition-all duration-200"
                     onClick={() => {
                       setShowPasswordPrompt(false);
-                      setPasswordInput('');
+                      setCurrentPasswordInput('');
+                      setNewPasswordInput('');
                     }}
                   >
                     Cancel
@@ -513,215 +965,460 @@ function App() {
           )}
 
           <div className="mt-4">
-            <label className="block mb-2 font-semibold text-gray-700">{isAdmin ? 'Logged in as' : 'Select Your Name:'}</label>
-        <select
-              className="w-full border-2 border-gray-200 rounded-xl p-3 bg-white focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all outline-none font-medium"
-          value={selectedCustodian}
-          onChange={(e) => setSelectedCustodian(e.target.value)}
-        >
-              {isAdmin ? (
-                <option value="Admin">Admin</option>
-              ) : (
-                custodians.filter(c => c.name !== 'Admin').map((custodian) => (
-                  <option key={custodian.id} value={custodian.name}>{custodian.name}</option>
-                ))
+            <div className="flex flex-wrap items-center gap-3">
+              <p className="font-semibold text-gray-700">
+                Logged in as <span className="text-gray-900">{currentUser?.name}</span>
+              </p>
+              {switchableCampuses.length > 1 ? (
+                <select
+                  className="border-2 border-gray-200 rounded-xl px-3 py-1 bg-white font-semibold text-gray-700 focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all outline-none"
+                  title="Campus"
+                  value={currentCampusId || ''}
+                  onChange={(e) => handleSwitchCampus(e.target.value)}
+                >
+                  {switchableCampuses.map((campus) => (
+                    <option key={campus.id} value={campus.id}>🏛️ {campus.name}</option>
+                  ))}
+                </select>
+              ) : currentCampus && (
+                <span className="px-3 py-1 rounded-lg bg-indigo-50 text-indigo-800 font-semibold">🏛️ {currentCampus.name}</span>
               )}
-        </select>
-          </div>
-      </div>
-
-        {/* Action Cards Grid */}
-        <div className="grid md:grid-cols-2 gap-6">
-      {/* Log Restroom Check */}
-          <div className="bg-white rounded-2xl shadow-lg p-6 border border-gray-100 hover:shadow-xl transition-shadow duration-200">
-            <div className="flex items-center mb-4">
-              <div className="bg-blue-100 rounded-full p-3 mr-3">
-                <span className="text-2xl">✅</span>
-              </div>
-              <h2 className="text-2xl font-bold text-gray-800">Log Restroom Check</h2>
             </div>
-            <div className="mb-4">
-              <label className="block mb-2 font-semibold text-gray-700">Select Restroom:</label>
-          <select
-                className="w-full border-2 border-gray-200 rounded-xl p-3 bg-white focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all outline-none"
-            value={selectedRestroom}
-            onChange={(e) => setSelectedRestroom(e.target.value)}
-          >
-                {availableRestrooms.map((restroom) => (
-                  <option key={restroom.id} value={restroom.name}>{restroom.name}</option>
-            ))}
-          </select>
-        </div>
-        <button
-              className={`w-full px-6 py-3 rounded-xl font-semibold transition-all duration-200 shadow-md hover:shadow-lg transform hover:scale-[1.02] ${
-                hasActiveIncident(selectedRestroom) 
-                  ? 'bg-gray-300 cursor-not-allowed text-gray-500' 
-                  : 'bg-gradient-to-r from-blue-500 to-indigo-500 hover:from-blue-600 hover:to-indigo-600 text-white'
-              }`}
-          onClick={handleLogCheck}
-          disabled={hasActiveIncident(selectedRestroom)}
-        >
-              {hasActiveIncident(selectedRestroom) ? '⚠️ Cannot Check - Active Incident' : '✓ Log Check'}
-        </button>
-        {hasActiveIncident(selectedRestroom) && (
-              <div className="mt-4 p-3 bg-red-50 border-l-4 border-red-500 rounded-lg">
-                <p className="text-red-700 font-semibold flex items-center">
-                  <span className="mr-2">🚨</span>
-                  Incident reported! Cannot check this restroom until resolved.
-                </p>
+            {queuedCount > 0 && (
+              <div className="mt-3 flex flex-wrap items-center gap-3 text-sm">
+                <span className="px-3 py-1 rounded-lg bg-amber-100 text-amber-800 font-semibold">
+                  ⏳ {queuedCount} saved on this device, waiting to sync
+                </span>
+                <button
+                  onClick={syncOfflineQueue}
+                  className="px-3 py-1 rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-700 font-semibold transition-all duration-200"
+                >
+                  Sync now
+                </button>
               </div>
-        )}
-      </div>
+            )}
+            {can('incidents.alerts') && <PushSettings />}
+          </div>
 
-      {/* Submit Incident */}
-          <div className="bg-white rounded-2xl shadow-lg p-6 border border-gray-100 hover:shadow-xl transition-shadow duration-200">
-            <div className="flex items-center mb-4">
-              <div className="bg-red-100 rounded-full p-3 mr-3">
-                <span className="text-2xl">🚨</span>
-              </div>
-              <h2 className="text-2xl font-bold text-gray-800">Report Incident</h2>
-            </div>
-            <div className="mb-4">
-              <label className="block mb-2 font-semibold text-gray-700">Select Restroom:</label>
-          <select
-                className="w-full border-2 border-gray-200 rounded-xl p-3 bg-white focus:border-red-500 focus:ring-2 focus:ring-red-200 transition-all outline-none"
-            value={selectedRestroom2}
-            onChange={(e) => setSelectedRestroom2(e.target.value)}
-          >
-                {availableRestrooms.map((restroom) => (
-                  <option key={restroom.id} value={restroom.name}>{restroom.name}</option>
+          <div className="mt-4 flex flex-wrap gap-2">
+            {[...BASE_VIEWS, ...MANAGEMENT_VIEWS.filter(v => can(v.permission))].map((v) => (
+              <button
+                key={v.id}
+                className={`px-4 py-2 rounded-xl font-semibold transition-all duration-200 ${
+                  view === v.id
+                    ? 'bg-gradient-to-r from-blue-500 to-indigo-500 text-white shadow-md'
+                    : 'bg-gray-100 hover:bg-gray-200 text-gray-700'
+                }`}
+                onClick={() => {
+                  setView(v.id);
+                  setHistoryRestroomId('');
+                }}
+              >
+                {v.label}
+              </button>
             ))}
-          </select>
-        </div>
-        <textarea
-              placeholder="Describe the incident in detail..."
-              className="w-full border-2 border-gray-200 rounded-xl p-3 mb-4 bg-white focus:border-red-500 focus:ring-2 focus:ring-red-200 transition-all outline-none resize-none"
-          rows={3}
-          value={incidentDescription}
-          onChange={(e) => setIncidentDescription(e.target.value)}
-        />
-        <button
-              className="w-full bg-gradient-to-r from-red-500 to-rose-500 hover:from-red-600 hover:to-rose-600 text-white px-6 py-3 rounded-xl font-semibold transition-all duration-200 shadow-md hover:shadow-lg transform hover:scale-[1.02]"
-          onClick={handleReportIncident}
-        >
-              🚨 Submit Incident
-        </button>
           </div>
       </div>
 
-        {/* Restroom Status Grid */}
-        <div className="bg-white rounded-2xl shadow-lg p-6 border border-gray-100">
-          <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center">
-            <span className="mr-2">📊</span>
-            Restroom Status Overview
-          </h2>
-          <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-4">
-          {restrooms.map((restroom) => (
-              <div
-                key={restroom.id}
-                className={`p-5 rounded-xl border-2 transition-all duration-200 ${
-                  hasActiveIncident(restroom.name)
-                    ? 'bg-red-50 border-red-300 shadow-md'
-                    : 'bg-gradient-to-br from-green-50 to-emerald-50 border-green-200 shadow-sm hover:shadow-md'
+        {view === 'history' ? (
+          <History
+            key={`${currentCampusId}-${historyRestroomId}`}
+            restrooms={restrooms}
+            staff={custodians}
+            initialRestroomId={historyRestroomId}
+          />
+        ) : managementView ? (
+          <React.Fragment key={currentCampusId}>
+            {view === 'campuses' && <CampusAdmin canManageCampuses={can('campuses.manage')} onChange={() => loadData(false)} />}
+            {view === 'restrooms' && <RestroomAdmin onChange={() => loadData(false)} />}
+            {view === 'staff' && (
+              <StaffAdmin
+                currentUser={currentUser}
+                currentCampusId={currentCampusId}
+                campuses={campuses}
+                onChange={() => loadData(false)}
+              />
+            )}
+            {view === 'assignments' && <AssignmentAdmin />}
+            {view === 'checklist' && <ChecklistAdmin onChange={() => loadData(false)} />}
+            {view === 'supplies' && <SupplyAdmin onChange={() => loadData(false)} />}
+            {view === 'analytics' && <Analytics />}
+            {view === 'reports' && <Reports canArchive={can('reports.archive')} />}
+            {view === 'qr-codes' && <QrCodes restrooms={restrooms} />}
+            {view === 'audit' && <AuditLog staff={custodians} />}
+            {view === 'backups' && <BackupAdmin onRestore={() => loadData(false)} />}
+          </React.Fragment>
+        ) : (
+        <>
+          {/* Action Cards Grid */}
+          {(can('checks.log') || can('incidents.report')) && (
+          <div className="grid md:grid-cols-2 gap-6">
+        {/* Log Restroom Check */}
+            {can('checks.log') && (
+            <div ref={checkFormRef} className="bg-white rounded-2xl shadow-lg p-6 border border-gray-100 hover:shadow-xl transition-shadow duration-200">
+              <div className="flex items-center mb-4">
+                <div className="bg-blue-100 rounded-full p-3 mr-3">
+                  <span className="text-2xl">✅</span>
+                </div>
+                <h2 className="text-2xl font-bold text-gray-800">Log Restroom Check</h2>
+              </div>
+              <div className="mb-4">
+                <label className="block mb-2 font-semibold text-gray-700">Select Restroom:</label>
+            <select
+                  className="w-full border-2 border-gray-200 rounded-xl p-3 bg-white focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all outline-none"
+              value={selectedRestroom}
+              onChange={(e) => setSelectedRestroom(e.target.value)}
+            >
+                  {availableRestrooms.map((restroom) => (
+                    <option key={restroom.id} value={restroom.name}>{restroom.name}</option>
+              ))}
+            </select>
+          </div>
+              <CheckChecklist
+                items={checklistItems}
+                answers={checkAnswers}
+                onAnswer={(itemId, passed) => setCheckAnswers({ ...checkAnswers, [itemId]: passed })}
+                rating={checkRating}
+                onRating={setCheckRating}
+              />
+              <SupplyFlags supplies={supplies} flags={supplyFlags} onChange={setSupplyFlags} />
+              <textarea
+                placeholder="Notes (optional)"
+                className="w-full border-2 border-gray-200 rounded-xl p-3 mb-4 bg-white focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all outline-none resize-none"
+                rows={2}
+                value={checkNotes}
+                onChange={(e) => setCheckNotes(e.target.value)}
+              />
+              <PhotoPicker photos={checkPhotos} onChange={setCheckPhotos} />
+          <button
+                className={`w-full px-6 py-3 rounded-xl font-semibold transition-all duration-200 shadow-md hover:shadow-lg transform hover:scale-[1.02] ${
+                  hasActiveIncident(selectedRestroom) 
+                    ? 'bg-gray-300 cursor-not-allowed text-gray-500' 
+                    : 'bg-gradient-to-r from-blue-500 to-indigo-500 hover:from-blue-600 hover:to-indigo-600 text-white'
                 }`}
-              >
-                <div className="flex items-center justify-between mb-3">
-                  <h3 className="font-bold text-lg text-gray-800">{restroom.name}</h3>
-                  <span className="text-2xl">
-                    {hasActiveIncident(restroom.name) ? '🚨' : '✅'}
-                  </span>
+            onClick={handleLogCheck}
+            disabled={hasActiveIncident(selectedRestroom)}
+          >
+                {hasActiveIncident(selectedRestroom) ? '⚠️ Cannot Check - Active Incident' : '✓ Log Check'}
+          </button>
+          {hasActiveIncident(selectedRestroom) && (
+                <div className="mt-4 p-3 bg-red-50 border-l-4 border-red-500 rounded-lg">
+                  <p className="text-red-700 font-semibold flex items-center">
+                    <span className="mr-2">🚨</span>
+                    Incident reported! Cannot check this restroom until resolved.
+                  </p>
                 </div>
-                <div className="space-y-2">
-                  <div className="text-sm">
-                    <span className="text-gray-600 font-medium">Last checked:</span>
-                    {lastCheckTimes[restroom.name] ? (
-                      <>
-                        <p className="text-gray-800 font-semibold mt-1">
-                          {lastCheckTimes[restroom.name].toLocaleDateString()}
-                        </p>
-                        <p className="text-xs text-gray-500 mt-1">
-                          {lastCheckTimes[restroom.name].toLocaleTimeString()}
-                          {lastCheckBy[restroom.name] && ` by ${lastCheckBy[restroom.name]}`}
-                        </p>
-                      </>
-                    ) : (
-                      <p className="text-gray-800 font-semibold mt-1">Never</p>
-                    )}
-                  </div>
-                  <div className={`inline-block px-3 py-1 rounded-full text-xs font-semibold ${
-                    hasActiveIncident(restroom.name)
-                      ? 'bg-red-200 text-red-800'
-                      : 'bg-green-200 text-green-800'
-                  }`}>
-                    {hasActiveIncident(restroom.name) ? '⚠️ Active Incident' : '✓ All Clear'}
-                  </div>
+          )}
+        </div>
+            )}
+
+        {/* Submit Incident */}
+            {can('incidents.report') && (
+            <div ref={incidentFormRef} className="bg-white rounded-2xl shadow-lg p-6 border border-gray-100 hover:shadow-xl transition-shadow duration-200">
+              <div className="flex items-center mb-4">
+                <div className="bg-red-100 rounded-full p-3 mr-3">
+                  <span className="text-2xl">🚨</span>
                 </div>
+                <h2 className="text-2xl font-bold text-gray-800">Report Incident</h2>
               </div>
-          ))}
+              <div className="mb-4">
+                <label className="block mb-2 font-semibold text-gray-700">Select Restroom:</label>
+            <select
+                  className="w-full border-2 border-gray-200 rounded-xl p-3 bg-white focus:border-red-500 focus:ring-2 focus:ring-red-200 transition-all outline-none"
+              value={selectedRestroom2}
+              onChange={(e) => setSelectedRestroom2(e.target.value)}
+            >
+                  {availableRestrooms.map((restroom) => (
+                    <option key={restroom.id} value={restroom.name}>{restroom.name}</option>
+              ))}
+            </select>
           </div>
-      </div>
-
-        {/* Pending Incidents */}
-        <div className="bg-white rounded-2xl shadow-lg p-6 border border-gray-100">
-          <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center">
-            <span className="mr-2">⚠️</span>
-            Pending Incidents
-            {pendingIncidents.length > 0 && (
-              <span className="ml-3 bg-red-500 text-white text-sm px-3 py-1 rounded-full">
-                {pendingIncidents.length}
-              </span>
+              <div className="mb-4">
+                <label className="block mb-2 font-semibold text-gray-700">Severity:</label>
+                <div className="grid grid-cols-3 gap-2">
+                  {SEVERITY_LEVELS.map((level) => (
+                    <button
+                      key={level.value}
+                      type="button"
+                      className={`px-3 py-2 rounded-xl font-semibold border-2 transition-all duration-200 ${
+                        incidentSeverity === level.value
+                          ? `${level.badge} border-current`
+                          : 'bg-white text-gray-600 border-gray-200 hover:border-gray-300'
+                      }`}
+                      onClick={() => setIncidentSeverity(level.value)}
+                    >
+                      {level.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+          <textarea
+                placeholder="Describe the incident in detail..."
+                className="w-full border-2 border-gray-200 rounded-xl p-3 mb-4 bg-white focus:border-red-500 focus:ring-2 focus:ring-red-200 transition-all outline-none resize-none"
+            rows={3}
+            value={incidentDescription}
+            onChange={(e) => setIncidentDescription(e.target.value)}
+          />
+              <PhotoPicker photos={incidentPhotos} onChange={setIncidentPhotos} accent="red" />
+          <button
+                className="w-full bg-gradient-to-r from-red-500 to-rose-500 hover:from-red-600 hover:to-rose-600 text-white px-6 py-3 rounded-xl font-semibold transition-all duration-200 shadow-md hover:shadow-lg transform hover:scale-[1.02]"
+            onClick={handleReportIncident}
+          >
+                🚨 Submit Incident
+          </button>
+            </div>
             )}
-          </h2>
-        {pendingIncidents.length > 0 ? (
-            <div className="space-y-4">
-            {pendingIncidents.map((incident) => (
+        </div>
+          )}
+
+          {/* Restroom Status Grid */}
+          <div className="bg-white rounded-2xl shadow-lg p-6 border border-gray-100">
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+              <h2 className="text-2xl font-bold text-gray-800 flex items-center">
+                <span className="mr-2">📊</span>
+                Restroom Status Overview
+              </h2>
+              <div className="flex flex-wrap items-center gap-2">
+                <select
+                  className={filterClass}
+                  title="Building"
+                  value={shownBuilding}
+                  onChange={(e) => {
+                    setBuildingFilter(e.target.value);
+                    setFloorFilter('');
+                  }}
+                >
+                  {statusView === 'grid' && <option value="">All buildings</option>}
+                  {buildings.map((building) => (
+                    <option key={building} value={building}>{building}</option>
+                  ))}
+                </select>
+                <select
+                  className={filterClass}
+                  title="Floor"
+                  value={floorFilter}
+                  onChange={(e) => setFloorFilter(e.target.value)}
+                >
+                  <option value="">All floors</option>
+                  {floors.map((floor) => (
+                    <option key={floor} value={String(floor)}>Floor {floor}</option>
+                  ))}
+                </select>
+                {statusView === 'grid' && (
+                  <select
+                    className={filterClass}
+                    title="Group"
+                    value={groupBy}
+                    onChange={(e) => setGroupBy(e.target.value)}
+                  >
+                    {GROUP_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                )}
+                <div className="flex rounded-xl bg-gray-100 p-1">
+                  {[{ id: 'grid', label: '▦ Grid' }, { id: 'map', label: '🗺️ Map' }].map((option) => (
+                    <button
+                      key={option.id}
+                      className={`px-3 py-1 rounded-lg text-sm font-semibold transition-all duration-200 ${
+                        statusView === option.id ? 'bg-white shadow text-gray-900' : 'text-gray-600 hover:text-gray-900'
+                      }`}
+                      onClick={() => {
+                        setStatusView(option.id);
+                        setFloorFilter('');
+                      }}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            </div>
+            {statusView === 'map' ? (
+              mapBuilding ? (
+                <CampusMap
+                  key={mapBuilding}
+                  building={mapBuilding}
+                  plan={floorPlans.find(plan => plan.building === mapBuilding)}
+                  restrooms={shownRestrooms}
+                  statusOf={restroomStatus}
+                  onSelect={(restroom) => setPanelRestroomId(restroom.id)}
+                  canEdit={can('config.manage')}
+                />
+              ) : (
+                <p className="text-gray-500">Give restrooms a building to see them on a map.</p>
+              )
+            ) : (
+            <div className="space-y-6">
+            {restroomGroups.map((group) => (
+              <div key={group.label}>
+                {group.label && <h3 className="font-bold text-gray-700 mb-3">{group.label}</h3>}
+            <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-4">
+            {group.restrooms.map((restroom) => (
                 <div
-                  key={incident.id}
-                  className="bg-red-50 border-l-4 border-red-500 rounded-xl p-5 shadow-sm hover:shadow-md transition-shadow duration-200"
+                  key={restroom.id}
+                  className={`p-5 rounded-xl border-2 transition-all duration-200 cursor-pointer ${
+                    hasActiveIncident(restroom.name)
+                      ? 'bg-red-50 border-red-300 shadow-md'
+                      : getCheckSchedule(restroom)?.overdue
+                        ? 'bg-amber-50 border-amber-300 shadow-md'
+                        : 'bg-gradient-to-br from-green-50 to-emerald-50 border-green-200 shadow-sm hover:shadow-md'
+                  }`}
+                  onClick={() => setPanelRestroomId(restroom.id)}
                 >
-                  <div className="flex justify-between items-start mb-3">
-                    <div className="flex-1">
-                      <div className="flex items-center mb-2">
-                        <span className="text-2xl mr-2">🚨</span>
-                        <h3 className="font-bold text-xl text-gray-800">{incident.restroom}</h3>
+                  <div className="flex items-center justify-between mb-3">
+                    <h3 className="font-bold text-lg text-gray-800">{restroom.name}</h3>
+                    <span className="text-2xl">
+                      {restroomStatus(restroom).icon}
+                    </span>
+                  </div>
+                  <div className="space-y-2">
+                    <div className="text-sm">
+                      <span className="text-gray-600 font-medium">Last checked:</span>
+                      {lastCheckTimes[restroom.name] ? (
+                        <>
+                          <p className="text-gray-800 font-semibold mt-1">
+                            {lastCheckTimes[restroom.name].toLocaleDateString()}
+                          </p>
+                          <p className="text-xs text-gray-500 mt-1">
+                            {lastCheckTimes[restroom.name].toLocaleTimeString()}
+                            {lastCheckBy[restroom.name] && ` by ${lastCheckBy[restroom.name]}`}
+                          </p>
+                        </>
+                      ) : (
+                        <p className="text-gray-800 font-semibold mt-1">Never</p>
+                      )}
+                    </div>
+                    <div className={`inline-block px-3 py-1 rounded-full text-xs font-semibold ${
+                      hasActiveIncident(restroom.name)
+                        ? 'bg-red-200 text-red-800'
+                        : 'bg-green-200 text-green-800'
+                    }`}>
+                      {hasActiveIncident(restroom.name) ? '⚠️ Active Incident' : '✓ All Clear'}
+                    </div>
+                    {!hasActiveIncident(restroom.name) && getCheckSchedule(restroom) && (
+                      <div className={`inline-block ml-2 px-3 py-1 rounded-full text-xs font-semibold ${
+                        getCheckSchedule(restroom).overdue
+                          ? 'bg-amber-200 text-amber-800'
+                          : 'bg-blue-100 text-blue-800'
+                      }`}>
+                        {getCheckSchedule(restroom).overdue ? '⏰ ' : '🕐 '}
+                        {getCheckSchedule(restroom).label}
                       </div>
-                      <p className="text-gray-700 mb-3 bg-white p-3 rounded-lg border border-red-200">
-                        {incident.description}
-                      </p>
-                      <div className="flex flex-wrap gap-2 text-sm text-gray-600">
-                        <span className="bg-white px-3 py-1 rounded-full border border-gray-200">
-                          👤 {incident.custodian}
-                        </span>
-                        <span className="bg-white px-3 py-1 rounded-full border border-gray-200">
-                          🕐 {new Date(incident.timestamp).toLocaleString()}
-                        </span>
-                        {incident.lastCheckedAt && (
-                          <span className="bg-white px-3 py-1 rounded-full border border-gray-200">
-                            Last checked: {new Date(incident.lastCheckedAt).toLocaleDateString()}
+                    )}
+                    {restroom.flaggedSupplies?.length > 0 && (
+                      <div className="flex flex-wrap gap-1">
+                        {restroom.flaggedSupplies.map((supply) => (
+                          <span
+                            key={supply.supplyItemId}
+                            className={`px-2 py-1 rounded-full text-xs font-semibold ${supply.level === 'out' ? 'bg-red-200 text-red-800' : 'bg-amber-200 text-amber-800'}`}
+                          >
+                            🧻 {supply.name} {supply.level}
                           </span>
-                        )}
+                        ))}
                       </div>
-                  </div>
-                  {isAdmin && (
-                    <button
-                        className="ml-4 bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 text-white px-6 py-3 rounded-xl font-semibold transition-all duration-200 shadow-md hover:shadow-lg transform hover:scale-105 whitespace-nowrap"
-                      onClick={() => handleResolveIncident(incident.id)}
-                    >
-                        ✓ Resolve
-                    </button>
-                  )}
+                    )}
                   </div>
                 </div>
-              ))}
+            ))}
             </div>
-          ) : (
-            <div className="text-center py-12 bg-green-50 rounded-xl border-2 border-green-200">
-              <span className="text-5xl mb-4 block">✅</span>
-              <p className="text-xl font-semibold text-gray-700">No pending incidents</p>
-              <p className="text-gray-500 mt-2">All restrooms are clear!</p>
+              </div>
+            ))}
+            {shownRestrooms.length === 0 && <p className="text-gray-500">No restrooms match these filters.</p>}
             </div>
-          )}
+            )}
         </div>
+
+          {can('supplies.restock') && <RestockRequests refreshKey={supplyVersion} />}
+
+          {can('public-reports.moderate') && <PublicReports refreshKey={publicReportVersion} />}
+
+          {/* Pending Incidents */}
+          <div className="bg-white rounded-2xl shadow-lg p-6 border border-gray-100">
+            <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center">
+              <span className="mr-2">⚠️</span>
+              Pending Incidents
+              {pendingIncidents.length > 0 && (
+                <span className="ml-3 bg-red-500 text-white text-sm px-3 py-1 rounded-full">
+                  {pendingIncidents.length}
+                </span>
+              )}
+            </h2>
+          {pendingIncidents.length > 0 ? (
+              <div className="space-y-4">
+              {pendingIncidents.map((incident) => (
+                <IncidentCard
+                  key={incident.id}
+                  incident={incident}
+                  can={can}
+                  staff={assignableStaff}
+                  onStatusChange={handleIncidentStatus}
+                  onAssign={handleAssignIncident}
+                />
+              ))}
+              </div>
+            ) : (
+              <div className="text-center py-12 bg-green-50 rounded-xl border-2 border-green-200">
+                <span className="text-5xl mb-4 block">✅</span>
+                <p className="text-xl font-semibold text-gray-700">No pending incidents</p>
+                <p className="text-gray-500 mt-2">All restrooms are clear!</p>
+              </div>
+            )}
+          </div>
+
+          {/* Recently Resolved (for those who can reopen) */}
+          {can('incidents.reopen') && recentlyResolvedIncidents.length > 0 && (
+            <div className="bg-white rounded-2xl shadow-lg p-6 border border-gray-100">
+              <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center">
+                <span className="mr-2">✅</span>
+                Recently Resolved
+              </h2>
+              <div className="space-y-4">
+                {recentlyResolvedIncidents.map((incident) => (
+                  <IncidentCard
+                    key={incident.id}
+                    incident={incident}
+                    can={can}
+                    staff={assignableStaff}
+                    onStatusChange={handleIncidentStatus}
+                    onAssign={handleAssignIncident}
+                  />
+                ))}
+              </div>
+            </div>
+          )}
+
+          {panelRestroom && (
+            <RestroomPanel
+              key={panelRestroom.id}
+              restroom={panelRestroom}
+              status={restroomStatus(panelRestroom)}
+              schedule={getCheckSchedule(panelRestroom)}
+              incidents={pendingIncidents.filter(i => i.restroomId === panelRestroom.id)}
+              can={can}
+              staff={assignableStaff}
+              onStatusChange={handleIncidentStatus}
+              onAssign={handleAssignIncident}
+              onLogCheck={() => {
+                setSelectedRestroom(panelRestroom.name);
+                setFocusForm('check');
+                setPanelRestroomId(null);
+              }}
+              onReportIncident={() => {
+                setSelectedRestroom2(panelRestroom.name);
+                setFocusForm('incident');
+                setPanelRestroomId(null);
+              }}
+              onShowHistory={() => {
+                setHistoryRestroomId(panelRestroom.id);
+                setView('history');
+                setPanelRestroomId(null);
+              }}
+              onClose={() => setPanelRestroomId(null)}
+            />
+          )}
+        </>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,209 @@
+import React, { useState, useEffect } from 'react';
+import api, { getErrorMessage } from './api';
+
+const toggleId = (ids, id) => (ids.includes(id) ? ids.filter(x => x !== id) : [...ids, id]);
+
+// Small on/off pill used for every restroom and staff picker on this page
+function Chip({ active, onClick, children }) {
+  return (
+    <button
+      className={`px-3 py-1 rounded-full text-sm font-semibold border-2 transition-all duration-200 ${
+        active
+          ? 'bg-blue-100 border-blue-400 text-blue-800'
+          : 'bg-white border-gray-200 text-gray-500 hover:border-gray-300'
+      }`}
+      onClick={onClick}
+    >
+      {children}
+    </button>
+  );
+}
+
+// Admin page for deciding which custodians may work which restrooms, by zone or directly
+function AssignmentAdmin() {
+  const [zones, setZones] = useState([]);
+  const [restrooms, setRestrooms] = useState([]);
+  const [staff, setStaff] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [newZoneName, setNewZoneName] = useState('');
+
+  const loadAll = async () => {
+    try {
+      const [zonesData, restroomsData, staffData] = await Promise.all([
+        api.getZones(),
+        api.getRestrooms(),
+        api.getCustodians()
+      ]);
+      setZones(zonesData);
+      setRestrooms(restroomsData);
+      setStaff(staffData.filter(p => p.active && p.role !== 'admin'));
+    } catch (error) {
+      console.error('Failed to load assignments:', error);
+      alert(getErrorMessage(error, 'Failed to load assignments.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadAll();
+  }, []);
+
+  const run = async (action, failMessage) => {
+    try {
+      await action();
+      await loadAll();
+    } catch (error) {
+      console.error(failMessage, error);
+      alert(getErrorMessage(error, failMessage));
+    }
+  };
+
+  const handleCreateZone = async () => {
+    if (!newZoneName.trim()) {
+      alert('Please enter a zone name');
+      return;
+    }
+    await run(() => api.createZone({ name: newZoneName }), 'Failed to create zone.');
+    setNewZoneName('');
+  };
+
+  const handleDeleteZone = (zone) => {
+    if (!window.confirm(`Delete zone ${zone.name}? Staff in it lose access to its restrooms unless assigned another way.`)) {
+      return;
+    }
+    run(() => api.deleteZone(zone.id), 'Failed to delete zone.');
+  };
+
+  const handleRenameZone = (zone) => {
+    const name = window.prompt('Zone name:', zone.name);
+    if (!name || name === zone.name) return;
+    run(() => api.updateZone(zone.id, { name }), 'Failed to rename zone.');
+  };
+
+  if (loading) {
+    return (
+      <div className="bg-white rounded-2xl shadow-lg p-6 border border-gray-100">
+        <p className="text-gray-500">Loading assignments...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Zones */}
+      <div className="bg-white rounded-2xl shadow-lg p-6 border border-gray-100">
+        <h2 className="text-2xl font-bold text-gray-800 mb-2 flex items-center">
+          <span className="mr-2">🗺️</span>
+          Zones
+        </h2>
+        <p className="text-gray-600 mb-6">Staff in a zone can log checks for every restroom in it.</p>
+
+        <div className="flex gap-3 mb-6">
+          <input
+            className="flex-1 border-2 border-gray-200 rounded-xl p-2 bg-white focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all outline-none"
+            placeholder="New zone name (e.g. North Campus)"
+            value={newZoneName}
+            onChange={(e) => setNewZoneName(e.target.value)}
+          />
+          <button
+            className="bg-gradient-to-r from-blue-500 to-indigo-500 hover:from-blue-600 hover:to-indigo-600 text-white px-4 py-2 rounded-xl font-semibold transition-all duration-200 shadow-md hover:shadow-lg"
+            onClick={handleCreateZone}
+          >
+            + Add Zone
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          {zones.map((zone) => (
+            <div key={zone.id} className="p-4 rounded-xl border-2 border-gray-200">
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="font-bold text-lg text-gray-800">{zone.name}</h3>
+                <div className="flex gap-2">
+                  <button
+                    className="bg-gray-100 hover:bg-gray-200 text-gray-800 px-3 py-1 rounded-xl font-semibold transition-all duration-200"
+                    onClick={() => handleRenameZone(zone)}
+                  >
+                    Rename
+                  </button>
+                  <button
+                    className="bg-red-100 hover:bg-red-200 text-red-800 px-3 py-1 rounded-xl font-semibold transition-all duration-200"
+                    onClick={() => handleDeleteZone(zone)}
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+              <p className="text-sm font-semibold text-gray-600 mb-2">Restrooms</p>
+              <div className="flex flex-wrap gap-2 mb-3">
+                {restrooms.map((restroom) => (
+                  <Chip
+                    key={restroom.id}
+                    active={zone.restroomIds.includes(restroom.id)}
+                    onClick={() => run(
+                      () => api.updateZone(zone.id, { restroomIds: toggleId(zone.restroomIds, restroom.id) }),
+                      'Failed to update zone.'
+                    )}
+                  >
+                    {restroom.name}
+                  </Chip>
+                ))}
+              </div>
+              <p className="text-sm font-semibold text-gray-600 mb-2">Staff</p>
+              <div className="flex flex-wrap gap-2">
+                {staff.map((person) => (
+                  <Chip
+                    key={person.id}
+                    active={zone.custodianIds.includes(person.id)}
+                    onClick={() => run(
+                      () => api.updateZone(zone.id, { custodianIds: toggleId(zone.custodianIds, person.id) }),
+                      'Failed to update zone.'
+                    )}
+                  >
+                    {person.name}
+                  </Chip>
+                ))}
+              </div>
+            </div>
+          ))}
+          {zones.length === 0 && <p className="text-gray-500">No zones yet.</p>}
+        </div>
+      </div>
+
+      {/* Direct assignments */}
+      <div className="bg-white rounded-2xl shadow-lg p-6 border border-gray-100">
+        <h2 className="text-2xl font-bold text-gray-800 mb-2 flex items-center">
+          <span className="mr-2">👤</span>
+          Individual Assignments
+        </h2>
+        <p className="text-gray-600 mb-6">Extra restrooms for one person, on top of their zones.</p>
+        <div className="space-y-4">
+          {staff.map((person) => (
+            <div key={person.id} className="p-4 rounded-xl border-2 border-gray-200">
+              <h3 className="font-bold text-lg text-gray-800 mb-1">{person.name}</h3>
+              <p className="text-sm text-gray-600 mb-3">
+                Zones: {zones.filter(z => person.zoneIds.includes(z.id)).map(z => z.name).join(', ') || 'none'}
+              </p>
+              <div className="flex flex-wrap gap-2">
+                {restrooms.map((restroom) => (
+                  <Chip
+                    key={restroom.id}
+                    active={person.restroomIds.includes(restroom.id)}
+                    onClick={() => run(
+                      () => api.updateCustodianAssignments(person.id, { restroomIds: toggleId(person.restroomIds, restroom.id) }),
+                      'Failed to update assignments.'
+                    )}
+                  >
+                    {restroom.name}
+                  </Chip>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AssignmentAdmin;
@@ -0,0 +1,188 @@
+import React, { useState, useEffect, useRef } from 'react';
+import api, { getErrorMessage } from './api';
+
+const PAGE_SIZE = 50;
+
+const TARGET_TYPES = [
+  'account', 'staff', 'campus', 'restroom', 'floor-plan', 'zone', 'checklist-item', 'supply-item', 'restock-request',
+  'check', 'incident', 'public-report', 'report', 'backup'
+];
+
+const emptyFilters = { actorId: '', action: '', targetType: '', targetId: '', from: '', to: '' };
+
+const formatValues = (values) => (values == null ? '—' : JSON.stringify(values, null, 2));
+
+// Admin page: who changed what and when. Entries are written by the server and can't be edited or deleted;
+// each one can be expanded to show the values before and after the change.
+function AuditLog({ staff }) {
+  const [filters, setFilters] = useState(emptyFilters);
+  const [rows, setRows] = useState([]);
+  const [actions, setActions] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [expanded, setExpanded] = useState(null); // id of the entry showing its values
+  const latestRequest = useRef(0); // Ignore responses for filters the user has already changed
+
+  const activeFilters = () => Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ''));
+
+  const loadPage = async (cursor = null) => {
+    const requestId = ++latestRequest.current;
+    setLoading(true);
+    try {
+      const page = await api.getAuditLog({ ...activeFilters(), limit: PAGE_SIZE, ...(cursor ? { cursor } : {}) });
+      if (requestId !== latestRequest.current) return;
+      setRows(cursor ? [...rows, ...page.items] : page.items);
+      setNextCursor(page.nextCursor);
+      setActions(page.actions);
+    } catch (error) {
+      console.error('Failed to load audit log:', error);
+      alert(getErrorMessage(error, 'Failed to load audit log.'));
+    } finally {
+      if (requestId === latestRequest.current) setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadPage();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [filters]);
+
+  const inputClass = 'w-full border-2 border-gray-200 rounded-xl p-2 bg-white focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all outline-none';
+  const buttonClass = 'bg-gradient-to-r from-blue-500 to-indigo-500 hover:from-blue-600 hover:to-indigo-600 text-white px-4 py-2 rounded-xl font-semibold shadow-md transition-all duration-200';
+
+  return (
+    <div className="bg-white rounded-2xl shadow-lg p-6 border border-gray-100">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-800 flex items-center">
+            <span className="mr-2">🕵️</span>
+            Audit Log
+          </h2>
+          <p className="text-sm text-gray-500">Every change and sign-in, newest first. Entries can't be edited or deleted.</p>
+        </div>
+        <div className="flex gap-2">
+          <a href={api.auditExportUrl(activeFilters(), 'csv')} className={buttonClass}>⬇️ CSV</a>
+          <a href={api.auditExportUrl(activeFilters(), 'xlsx')} className={buttonClass}>⬇️ Excel</a>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="grid gap-3 mb-6 md:grid-cols-7">
+        <select
+          className={inputClass}
+          value={filters.actorId}
+          onChange={(e) => setFilters({ ...filters, actorId: e.target.value })}
+        >
+          <option value="">Anyone</option>
+          {staff.map((person) => (
+            <option key={person.id} value={person.id}>{person.name}</option>
+          ))}
+        </select>
+        <select
+          className={inputClass}
+          value={filters.action}
+          onChange={(e) => setFilters({ ...filters, action: e.target.value })}
+        >
+          <option value="">Any action</option>
+          {actions.map((action) => (
+            <option key={action} value={action}>{action}</option>
+          ))}
+        </select>
+        <select
+          className={inputClass}
+          value={filters.targetType}
+          onChange={(e) => setFilters({ ...filters, targetType: e.target.value })}
+        >
+          <option value="">Any target</option>
+          {TARGET_TYPES.map((type) => (
+            <option key={type} value={type}>{type}</option>
+          ))}
+        </select>
+        <input
+          className={inputClass}
+          placeholder="Target ID"
+          value={filters.targetId}
+          onChange={(e) => setFilters({ ...filters, targetId: e.target.value.trim() })}
+        />
+        <input
+          className={inputClass}
+          type="date"
+          title="From"
+          value={filters.from}
+          onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+        />
+        <input
+          className={inputClass}
+          type="date"
+          title="To (inclusive)"
+          value={filters.to}
+          onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+        />
+        <button
+          className="bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded-xl font-semibold transition-all duration-200"
+          onClick={() => setFilters(emptyFilters)}
+        >
+          Clear
+        </button>
+      </div>
+
+      {/* Results */}
+      {rows.length === 0 && !loading ? (
+        <p className="text-gray-500">Nothing matches these filters.</p>
+      ) : (
+        <div className="space-y-2">
+          {rows.map((entry) => (
+            <div key={entry.id} className="p-3 rounded-xl border-2 border-gray-200">
+              <button
+                className="w-full flex flex-wrap items-center justify-between gap-2 text-left"
+                onClick={() => setExpanded(expanded === entry.id ? null : entry.id)}
+              >
+                <span>
+                  <span className="font-mono text-sm font-semibold text-gray-800">{entry.action}</span>
+                  <span className="text-gray-600">
+                    {' '}{entry.targetType}{entry.targetId && ` ${entry.targetId}`}
+                  </span>
+                </span>
+                <span className="text-sm text-gray-500">
+                  {entry.actorName || 'Anonymous'} · {new Date(entry.timestamp).toLocaleString()}
+                </span>
+              </button>
+              {expanded === entry.id && (
+                <div className="mt-3 space-y-2">
+                  <p className="text-xs text-gray-500">
+                    {entry.actorId && `Account ${entry.actorId} · `}IP {entry.ip || 'unknown'}
+                    {entry.sessionId && ` · Session ${entry.sessionId}`}
+                  </p>
+                  <div className="grid gap-2 md:grid-cols-2">
+                    <div>
+                      <p className="text-xs font-semibold text-gray-600 mb-1">Before</p>
+                      <pre className="text-xs bg-gray-50 rounded-lg p-2 overflow-x-auto">{formatValues(entry.oldValues)}</pre>
+                    </div>
+                    <div>
+                      <p className="text-xs font-semibold text-gray-600 mb-1">After</p>
+                      <pre className="text-xs bg-gray-50 rounded-lg p-2 overflow-x-auto">{formatValues(entry.newValues)}</pre>
+                    </div>
+                  </div>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {(nextCursor || loading) && (
+        <div className="text-center mt-6">
+          <button
+            className="bg-gray-100 hover:bg-gray-200 text-gray-800 px-6 py-2 rounded-xl font-semibold transition-all duration-200 disabled:opacity-50"
+            onClick={() => loadPage(nextCursor)}
+            disabled={loading}
+          >
+            {loading ? 'Loading...' : 'Load more'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AuditLog;
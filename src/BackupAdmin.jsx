@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+import api, { getErrorMessage } from './api';
+
+const formatSize = (bytes) => (bytes < 1024 * 1024 ? `${Math.round(bytes / 1024)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`);
+
+const KIND_LABELS = { scheduled: 'Scheduled', manual: 'Manual', 'pre-restore': 'Before a restore' };
+
+// Admin page: database backups the server keeps (see BACKUPS in server.js). Admins can back up now, download,
+// verify and restore; a restore first saves the current data as a "Before a restore" backup.
+function BackupAdmin({ onRestore }) {
+  const [backups, setBackups] = useState([]);
+  const [settings, setSettings] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(null); // 'new', or 'verify:<filename>' / 'restore:<filename>'
+  const [results, setResults] = useState({}); // filename -> verification result
+
+  const loadBackups = async () => {
+    try {
+      const { items, ...rest } = await api.getBackups();
+      setBackups(items);
+      setSettings(rest);
+    } catch (error) {
+      console.error('Failed to load backups:', error);
+      alert(getErrorMessage(error, 'Failed to load backups.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadBackups();
+  }, []);
+
+  const handleCreate = async () => {
+    setBusy('new');
+    try {
+      await api.createBackup();
+      await loadBackups();
+    } catch (error) {
+      console.error('Failed to create backup:', error);
+      alert(getErrorMessage(error, 'Failed to create backup.'));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleVerify = async (backup) => {
+    setBusy(`verify:${backup.filename}`);
+    try {
+      const result = await api.verifyBackup(backup.filename);
+      setResults({ ...results, [backup.filename]: result });
+    } catch (error) {
+      console.error('Failed to verify backup:', error);
+      alert(getErrorMessage(error, 'Failed to verify backup.'));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleRestore = async (backup) => {
+    const when = new Date(backup.createdAt).toLocaleString();
+    if (!window.confirm(
+      `Restore the backup from ${when}? Everything saved since then will be replaced. ` +
+      'The current data is backed up first, so this can be undone by restoring that backup.'
+    )) return;
+    setBusy(`restore:${backup.filename}`);
+    try {
+      const { previousData } = await api.restoreBackup(backup.filename);
+      alert(`Restored the backup from ${when}. The data it replaced was saved as a backup from ${new Date(previousData.createdAt).toLocaleString()}.`);
+      await loadBackups();
+      onRestore();
+    } catch (error) {
+      console.error('Failed to restore backup:', error);
+      alert(getErrorMessage(error, 'Failed to restore backup.'));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const secondaryButtonClass = 'bg-gray-100 hover:bg-gray-200 text-gray-800 px-3 py-1 rounded-lg text-sm font-semibold transition-all duration-200 disabled:opacity-50';
+
+  return (
+    <div className="bg-white rounded-2xl shadow-lg p-6 border border-gray-100">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-800 flex items-center">
+            <span className="mr-2">💾</span>
+            Backups
+          </h2>
+          {settings && (
+            <p className="text-sm text-gray-500">
+              {settings.schedule === 'off' ? 'Scheduled backups are off.' : `Scheduled: ${settings.schedule} (cron).`}
+              {' '}Kept for {settings.retentionDays} days. While a restore runs, the app is read-only for a moment.
+            </p>
+          )}
+        </div>
+        <button
+          onClick={handleCreate}
+          disabled={busy !== null}
+          className="bg-gradient-to-r from-blue-500 to-indigo-500 hover:from-blue-600 hover:to-indigo-600 text-white px-4 py-2 rounded-xl font-semibold shadow-md transition-all duration-200 disabled:opacity-50"
+        >
+          {busy === 'new' ? 'Backing up…' : 'Back up now'}
+        </button>
+      </div>
+
+      {loading ? (
+        <p className="text-gray-500">Loading backups…</p>
+      ) : backups.length === 0 ? (
+        <p className="text-gray-500">No backups yet.</p>
+      ) : (
+        <div className="space-y-2">
+          {backups.map((backup) => {
+            const result = results[backup.filename];
+            return (
+              <div key={backup.filename} className="p-3 rounded-xl border-2 border-gray-200">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <div>
+                    <p className="font-semibold text-gray-800">{new Date(backup.createdAt).toLocaleString()}</p>
+                    <p className="text-sm text-gray-500">{KIND_LABELS[backup.kind] || backup.kind} · {formatSize(backup.size)}</p>
+                  </div>
+                  <div className="flex flex-wrap gap-2">
+                    <a href={api.backupUrl(backup.filename)} className={secondaryButtonClass}>⬇️ Download</a>
+                    <button className={secondaryButtonClass} disabled={busy !== null} onClick={() => handleVerify(backup)}>
+                      {busy === `verify:${backup.filename}` ? 'Checking…' : 'Verify'}
+                    </button>
+                    <button
+                      className="bg-red-50 hover:bg-red-100 text-red-700 px-3 py-1 rounded-lg text-sm font-semibold transition-all duration-200 disabled:opacity-50"
+                      disabled={busy !== null}
+                      onClick={() => handleRestore(backup)}
+                    >
+                      {busy === `restore:${backup.filename}` ? 'Restoring…' : 'Restore'}
+                    </button>
+                  </div>
+                </div>
+                {result && (
+                  <p className={`text-sm mt-2 ${result.ok ? 'text-green-700' : 'text-red-700'}`}>
+                    {result.ok
+                      ? `✓ OK: ${result.counts.restrooms} restrooms, ${result.counts.custodians} staff, ${result.counts.checks} checks, ${result.counts.incidents} incidents`
+                      : `✗ Can't be restored: ${result.problems.join('; ')}`}
+                  </p>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BackupAdmin;
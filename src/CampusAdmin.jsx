@@ -0,0 +1,229 @@
+import React, { useState, useEffect } from 'react';
+import api, { getErrorMessage } from './api';
+
+const emptyForm = { name: '', adminEmail: '', escalationEmail: '', schoolDayStart: '', schoolDayEnd: '', checkIntervalMinutes: '' };
+
+const toForm = (campus) => ({
+  name: campus.name,
+  adminEmail: campus.adminEmail || '',
+  escalationEmail: campus.escalationEmail || '',
+  schoolDayStart: campus.schoolDayStart || '',
+  schoolDayEnd: campus.schoolDayEnd || '',
+  checkIntervalMinutes: campus.checkIntervalMinutes ?? ''
+});
+
+// Admin page for campus settings: who gets the reports and alerts, the school day and the default check
+// interval. Empty settings use the server's defaults. District admins (canManageCampuses) also add and archive
+// campuses; campus admins only see their own.
+function CampusAdmin({ canManageCampuses, onChange }) {
+  const [campuses, setCampuses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [editForm, setEditForm] = useState(emptyForm);
+
+  const loadCampuses = async () => {
+    try {
+      setCampuses(await api.getCampuses());
+    } catch (error) {
+      console.error('Failed to load campuses:', error);
+      alert(getErrorMessage(error, 'Failed to load campuses.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadCampuses();
+  }, []);
+
+  const refresh = async () => {
+    await loadCampuses();
+    if (onChange) onChange();
+  };
+
+  const handleCreate = async () => {
+    if (!form.name.trim()) {
+      alert('Please enter a campus name');
+      return;
+    }
+    try {
+      await api.createCampus(form);
+      setForm(emptyForm);
+      await refresh();
+    } catch (error) {
+      console.error('Failed to create campus:', error);
+      alert(getErrorMessage(error, 'Failed to create campus.'));
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      await api.updateCampus(editingId, editForm);
+      setEditingId(null);
+      await refresh();
+    } catch (error) {
+      console.error('Failed to update campus:', error);
+      alert(getErrorMessage(error, 'Failed to update campus.'));
+    }
+  };
+
+  const handleArchive = async (campus) => {
+    if (!window.confirm(`Archive ${campus.name}? Its history and reports are kept, but nobody can work in it.`)) {
+      return;
+    }
+    try {
+      await api.archiveCampus(campus.id);
+      await refresh();
+    } catch (error) {
+      console.error('Failed to archive campus:', error);
+      alert(getErrorMessage(error, 'Failed to archive campus.'));
+    }
+  };
+
+  const inputClass = 'w-full border-2 border-gray-200 rounded-xl p-2 bg-white focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all outline-none';
+
+  const renderFields = (values, setValues) => (
+    <>
+      <input
+        className={inputClass}
+        placeholder="Name (e.g. North High)"
+        value={values.name}
+        onChange={(e) => setValues({ ...values, name: e.target.value })}
+      />
+      <input
+        className={inputClass}
+        placeholder="Report and incident emails"
+        title="Comma-separated. Leave empty to use the server default."
+        value={values.adminEmail}
+        onChange={(e) => setValues({ ...values, adminEmail: e.target.value })}
+      />
+      <input
+        className={inputClass}
+        placeholder="Escalation emails"
+        title="Comma-separated. Leave empty to use the server default."
+        value={values.escalationEmail}
+        onChange={(e) => setValues({ ...values, escalationEmail: e.target.value })}
+      />
+      <input
+        className={inputClass}
+        type="time"
+        title="School day starts (empty for the default)"
+        value={values.schoolDayStart}
+        onChange={(e) => setValues({ ...values, schoolDayStart: e.target.value })}
+      />
+      <input
+        className={inputClass}
+        type="time"
+        title="School day ends (empty for the default)"
+        value={values.schoolDayEnd}
+        onChange={(e) => setValues({ ...values, schoolDayEnd: e.target.value })}
+      />
+      <input
+        className={inputClass}
+        type="number"
+        min="5"
+        placeholder="Check every (min)"
+        title="Default for restrooms without their own interval. Leave empty to use the server default."
+        value={values.checkIntervalMinutes}
+        onChange={(e) => setValues({ ...values, checkIntervalMinutes: e.target.value })}
+      />
+    </>
+  );
+
+  return (
+    <div className="bg-white rounded-2xl shadow-lg p-6 border border-gray-100">
+      <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center">
+        <span className="mr-2">🏛️</span>
+        {canManageCampuses ? 'Manage Campuses' : 'Campus Settings'}
+      </h2>
+
+      {/* Add campus */}
+      {canManageCampuses && (
+        <div className="grid md:grid-cols-7 gap-3 mb-6">
+          {renderFields(form, setForm)}
+          <button
+            className="bg-gradient-to-r from-blue-500 to-indigo-500 hover:from-blue-600 hover:to-indigo-600 text-white px-4 py-2 rounded-xl font-semibold transition-all duration-200 shadow-md hover:shadow-lg"
+            onClick={handleCreate}
+          >
+            + Add Campus
+          </button>
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-gray-500">Loading campuses...</p>
+      ) : (
+        <div className="space-y-3">
+          {campuses.map((campus) => (
+            <div
+              key={campus.id}
+              className={`p-4 rounded-xl border-2 ${campus.active ? 'border-gray-200 bg-white' : 'border-gray-200 bg-gray-50 opacity-75'}`}
+            >
+              {editingId === campus.id ? (
+                <div className="grid md:grid-cols-8 gap-3">
+                  {renderFields(editForm, setEditForm)}
+                  <button
+                    className="bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 text-white px-4 py-2 rounded-xl font-semibold transition-all duration-200 shadow-md"
+                    onClick={handleSave}
+                  >
+                    Save
+                  </button>
+                  <button
+                    className="bg-gray-300 hover:bg-gray-400 text-gray-800 px-4 py-2 rounded-xl font-semibold transition-all duration-200"
+                    onClick={() => setEditingId(null)}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              ) : (
+                <div className="flex flex-wrap items-center justify-between gap-3">
+                  <div>
+                    <h3 className="font-bold text-lg text-gray-800">
+                      {campus.name}
+                      {!campus.active && (
+                        <span className="ml-2 bg-gray-200 text-gray-700 text-xs px-2 py-1 rounded-full">Archived</span>
+                      )}
+                    </h3>
+                    <p className="text-sm text-gray-600">
+                      School day {campus.effective.schoolDayStart}–{campus.effective.schoolDayEnd}
+                      {` · Check every ${campus.effective.checkIntervalMinutes} min`}
+                      {campus.checkIntervalMinutes == null && ' (default)'}
+                    </p>
+                    <p className="text-sm text-gray-600">
+                      Reports and incidents: {campus.effective.adminEmail || 'nobody'}
+                      {` · Escalations: ${campus.effective.escalationEmail || 'off'}`}
+                    </p>
+                  </div>
+                  {campus.active && (
+                    <div className="flex gap-2">
+                      <button
+                        className="bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded-xl font-semibold transition-all duration-200"
+                        onClick={() => {
+                          setEditingId(campus.id);
+                          setEditForm(toForm(campus));
+                        }}
+                      >
+                        Edit
+                      </button>
+                      {canManageCampuses && (
+                        <button
+                          className="bg-red-100 hover:bg-red-200 text-red-800 px-4 py-2 rounded-xl font-semibold transition-all duration-200"
+                          onClick={() => handleArchive(campus)}
+                        >
+                          Archive
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CampusAdmin;
@@ -0,0 +1,174 @@
+import React, { useState } from 'react';
+import api, { getErrorMessage } from './api';
+import { RESTROOM_STATUSES } from './restroomStatus';
+
+// Dashboard map: one building's floor plan with a pin per restroom, colored by its status. The restrooms come
+// from the dashboard, so pins follow live updates. Tapping a pin calls onSelect. With canEdit, admins upload or
+// remove the plan and place pins by picking a restroom and clicking the plan.
+function CampusMap({ building, plan, restrooms, statusOf, onSelect, canEdit }) {
+  const [placingId, setPlacingId] = useState(''); // restroom whose pin the next click on the plan sets
+  const [busy, setBusy] = useState(false);
+
+  const pinned = restrooms.filter(r => r.mapX != null && r.mapY != null);
+  const unpinned = restrooms.filter(r => r.mapX == null || r.mapY == null);
+  const placing = restrooms.find(r => r.id === placingId);
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setBusy(true);
+    try {
+      await api.uploadFloorPlan(building, file); // The dashboard reloads plans on the live update that follows
+    } catch (error) {
+      console.error('Failed to upload floor plan:', error);
+      alert(getErrorMessage(error, 'Failed to upload floor plan.'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRemovePlan = async () => {
+    if (!window.confirm(`Remove the ${building} floor plan? Pins are kept for the next plan you upload.`)) return;
+    try {
+      await api.deleteFloorPlan(plan.id);
+    } catch (error) {
+      console.error('Failed to remove floor plan:', error);
+      alert(getErrorMessage(error, 'Failed to remove floor plan.'));
+    }
+  };
+
+  const savePin = async (restroom, position) => {
+    try {
+      await api.updateRestroom(restroom.id, position);
+    } catch (error) {
+      console.error('Failed to save pin:', error);
+      alert(getErrorMessage(error, 'Failed to save pin.'));
+    }
+  };
+
+  const handlePlace = (e) => {
+    if (!placing) return;
+    const box = e.currentTarget.getBoundingClientRect();
+    const clamp = (n) => Math.min(1, Math.max(0, Math.round(n * 10000) / 10000));
+    savePin(placing, { mapX: clamp((e.clientX - box.left) / box.width), mapY: clamp((e.clientY - box.top) / box.height) });
+    setPlacingId('');
+  };
+
+  const inputClass = 'border-2 border-gray-200 rounded-xl p-2 bg-white focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all outline-none';
+  const secondaryButtonClass = 'bg-gray-100 hover:bg-gray-200 text-gray-800 px-3 py-2 rounded-xl text-sm font-semibold transition-all duration-200 disabled:opacity-50';
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap gap-3 text-sm">
+        {RESTROOM_STATUSES.map((status) => (
+          <span key={status.value} className="flex items-center gap-1 text-gray-600">
+            <span className={`inline-block w-3 h-3 rounded-full ${status.pin}`} />
+            {status.label}
+          </span>
+        ))}
+      </div>
+
+      {plan ? (
+        <div
+          className={`relative select-none ${placing ? 'cursor-crosshair' : ''}`}
+          onClick={handlePlace}
+        >
+          <img
+            src={api.floorPlanUrl(plan)}
+            alt={`${building} floor plan`}
+            className="w-full h-auto rounded-xl border-2 border-gray-200 bg-white"
+            draggable={false}
+          />
+          {pinned.map((restroom) => {
+            const status = statusOf(restroom);
+            return (
+              <button
+                key={restroom.id}
+                className="absolute -translate-x-1/2 -translate-y-1/2 flex flex-col items-center group"
+                style={{ left: `${restroom.mapX * 100}%`, top: `${restroom.mapY * 100}%` }}
+                title={`${restroom.name}: ${status.label}`}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  if (!placing) onSelect(restroom);
+                }}
+              >
+                <span className={`block w-7 h-7 rounded-full ring-4 shadow-md border-2 border-white ${status.pin} ${status.value === 'incident' ? 'animate-pulse' : ''}`} />
+                <span className="mt-1 px-1 rounded bg-white/90 text-xs font-semibold text-gray-800 whitespace-nowrap shadow-sm group-hover:bg-white">
+                  {restroom.name}
+                </span>
+              </button>
+            );
+          })}
+          {placing && (
+            <div className="absolute top-2 left-2 px-3 py-1 rounded-lg bg-blue-600 text-white text-sm font-semibold shadow">
+              Click where {placing.name} is
+            </div>
+          )}
+        </div>
+      ) : (
+        <div className="text-center py-10 bg-gray-50 rounded-xl border-2 border-dashed border-gray-200 text-gray-500">
+          No floor plan for {building} yet.{canEdit && ' Upload one below.'}
+        </div>
+      )}
+
+      {plan && unpinned.length > 0 && (
+        <p className="text-sm text-gray-600">
+          Not on the map:{' '}
+          {unpinned.map((restroom, index) => (
+            <React.Fragment key={restroom.id}>
+              {index > 0 && ', '}
+              <button className="font-semibold text-blue-700 hover:underline" onClick={() => onSelect(restroom)}>
+                {restroom.name}
+              </button>
+            </React.Fragment>
+          ))}
+        </p>
+      )}
+
+      {canEdit && (
+        <div className="flex flex-wrap items-center gap-2 pt-3 border-t border-gray-100">
+          <label className={`${secondaryButtonClass} cursor-pointer`}>
+            {busy ? 'Uploading…' : plan ? '🗺️ Replace plan' : '🗺️ Upload plan'}
+            <input
+              type="file"
+              accept="image/svg+xml,image/png,image/jpeg,image/webp"
+              className="hidden"
+              disabled={busy}
+              onChange={handleUpload}
+            />
+          </label>
+          {plan && (
+            <>
+              <button className={secondaryButtonClass} onClick={handleRemovePlan}>Remove plan</button>
+              <select
+                className={inputClass}
+                value={placingId}
+                onChange={(e) => setPlacingId(e.target.value)}
+              >
+                <option value="">Place or move a pin…</option>
+                {restrooms.map((restroom) => (
+                  <option key={restroom.id} value={restroom.id}>{restroom.name}</option>
+                ))}
+              </select>
+              {placing && placing.mapX != null && (
+                <button
+                  className={secondaryButtonClass}
+                  onClick={() => {
+                    savePin(placing, { mapX: null, mapY: null });
+                    setPlacingId('');
+                  }}
+                >
+                  Remove {placing.name}'s pin
+                </button>
+              )}
+              {placing && <button className={secondaryButtonClass} onClick={() => setPlacingId('')}>Cancel</button>}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CampusMap;
@@ -0,0 +1,54 @@
+import React from 'react';
+
+const RATINGS = [1, 2, 3, 4, 5];
+
+// Checklist answers (pass / fail per item) and the 1-5 cleanliness rating for a restroom check
+function CheckChecklist({ items, answers, onAnswer, rating, onRating }) {
+  const answerButton = 'w-10 h-10 rounded-lg font-bold border-2 transition-all duration-200';
+
+  return (
+    <div className="mb-4">
+      <ul className="space-y-2 mb-4">
+        {items.map((item) => (
+          <li key={item.id} className="flex items-center justify-between gap-3 bg-gray-50 rounded-xl px-3 py-2">
+            <span className="text-gray-700">{item.label}</span>
+            <div className="flex gap-2">
+              <button
+                type="button"
+                aria-label={`${item.label}: OK`}
+                className={`${answerButton} ${answers[item.id] === true ? 'bg-green-500 border-green-500 text-white' : 'bg-white border-gray-200 text-gray-400 hover:border-green-400'}`}
+                onClick={() => onAnswer(item.id, true)}
+              >
+                ✓
+              </button>
+              <button
+                type="button"
+                aria-label={`${item.label}: needs attention`}
+                className={`${answerButton} ${answers[item.id] === false ? 'bg-red-500 border-red-500 text-white' : 'bg-white border-gray-200 text-gray-400 hover:border-red-400'}`}
+                onClick={() => onAnswer(item.id, false)}
+              >
+                ✗
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+      <label className="block mb-2 font-semibold text-gray-700">Cleanliness rating:</label>
+      <div className="flex gap-1">
+        {RATINGS.map((value) => (
+          <button
+            key={value}
+            type="button"
+            aria-label={`${value} out of ${RATINGS.length}`}
+            className={`text-3xl transition-transform duration-150 hover:scale-110 ${value <= rating ? 'text-yellow-400' : 'text-gray-300'}`}
+            onClick={() => onRating(value)}
+          >
+            ★
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default CheckChecklist;
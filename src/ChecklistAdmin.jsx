@@ -0,0 +1,189 @@
+import React, { useState, useEffect } from 'react';
+import api, { getErrorMessage } from './api';
+
+// Admin panel for the checklist answered on every check: add, rename, reorder, retire and restore items
+function ChecklistAdmin({ onChange }) {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [newLabel, setNewLabel] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editLabel, setEditLabel] = useState('');
+
+  const loadItems = async () => {
+    try {
+      setItems(await api.getChecklistItems(true));
+    } catch (error) {
+      console.error('Failed to load checklist:', error);
+      alert(getErrorMessage(error, 'Failed to load checklist.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadItems();
+  }, []);
+
+  const refresh = async () => {
+    await loadItems();
+    if (onChange) onChange();
+  };
+
+  const handleCreate = async () => {
+    if (!newLabel.trim()) {
+      alert('Please enter a checklist item');
+      return;
+    }
+    try {
+      await api.createChecklistItem(newLabel);
+      setNewLabel('');
+      await refresh();
+    } catch (error) {
+      console.error('Failed to create checklist item:', error);
+      alert(getErrorMessage(error, 'Failed to create checklist item.'));
+    }
+  };
+
+  const handleUpdate = async (item, changes, failureMessage) => {
+    try {
+      await api.updateChecklistItem(item.id, changes);
+      await refresh();
+    } catch (error) {
+      console.error('Failed to update checklist item:', error);
+      alert(getErrorMessage(error, failureMessage));
+    }
+  };
+
+  const handleSaveLabel = async () => {
+    const item = items.find(i => i.id === editingId);
+    await handleUpdate(item, { label: editLabel }, 'Failed to rename checklist item.');
+    setEditingId(null);
+  };
+
+  // Swap positions with the neighbouring item
+  const handleMove = async (index, direction) => {
+    const item = items[index];
+    const other = items[index + direction];
+    if (!other) return;
+    try {
+      await api.updateChecklistItem(item.id, { position: other.position });
+      await api.updateChecklistItem(other.id, { position: item.position });
+    } catch (error) {
+      console.error('Failed to reorder checklist:', error);
+      alert(getErrorMessage(error, 'Failed to reorder checklist.'));
+    }
+    await refresh();
+  };
+
+  const inputClass = 'w-full border-2 border-gray-200 rounded-xl p-2 bg-white focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all outline-none';
+  const smallButton = 'px-3 py-2 rounded-xl font-semibold transition-all duration-200';
+
+  return (
+    <div className="bg-white rounded-2xl shadow-lg p-6 border border-gray-100">
+      <h2 className="text-2xl font-bold text-gray-800 mb-2 flex items-center">
+        <span className="mr-2">📋</span>
+        Check Checklist
+      </h2>
+      <p className="text-gray-600 mb-6">
+        Every check answers each active item and gives a 1–5 rating. Retired items disappear from the form but stay on past checks.
+      </p>
+
+      {/* Add item */}
+      <div className="flex gap-3 mb-6">
+        <input
+          className={inputClass}
+          placeholder="New item (e.g. Mirrors clean)"
+          value={newLabel}
+          onChange={(e) => setNewLabel(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleCreate()}
+        />
+        <button
+          className="bg-gradient-to-r from-blue-500 to-indigo-500 hover:from-blue-600 hover:to-indigo-600 text-white px-4 py-2 rounded-xl font-semibold transition-all duration-200 shadow-md hover:shadow-lg whitespace-nowrap"
+          onClick={handleCreate}
+        >
+          + Add Item
+        </button>
+      </div>
+
+      {loading ? (
+        <p className="text-gray-500">Loading checklist...</p>
+      ) : (
+        <div className="space-y-3">
+          {items.map((item, index) => (
+            <div
+              key={item.id}
+              className={`p-4 rounded-xl border-2 border-gray-200 flex flex-wrap items-center justify-between gap-3 ${item.active ? 'bg-white' : 'bg-gray-50 opacity-75'}`}
+            >
+              {editingId === item.id ? (
+                <div className="flex flex-1 gap-2">
+                  <input
+                    className={inputClass}
+                    value={editLabel}
+                    onChange={(e) => setEditLabel(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && handleSaveLabel()}
+                  />
+                  <button className={`${smallButton} bg-green-500 hover:bg-green-600 text-white`} onClick={handleSaveLabel}>
+                    Save
+                  </button>
+                  <button className={`${smallButton} bg-gray-300 hover:bg-gray-400 text-gray-800`} onClick={() => setEditingId(null)}>
+                    Cancel
+                  </button>
+                </div>
+              ) : (
+                <>
+                  <span className="font-semibold text-gray-800">
+                    {item.label}
+                    {!item.active && (
+                      <span className="ml-2 bg-gray-200 text-gray-700 text-xs px-2 py-1 rounded-full">Retired</span>
+                    )}
+                  </span>
+                  <div className="flex gap-2">
+                    <button
+                      className={`${smallButton} bg-gray-100 hover:bg-gray-200 text-gray-800 disabled:opacity-40`}
+                      onClick={() => handleMove(index, -1)}
+                      disabled={index === 0}
+                      aria-label="Move up"
+                    >
+                      ↑
+                    </button>
+                    <button
+                      className={`${smallButton} bg-gray-100 hover:bg-gray-200 text-gray-800 disabled:opacity-40`}
+                      onClick={() => handleMove(index, 1)}
+                      disabled={index === items.length - 1}
+                      aria-label="Move down"
+                    >
+                      ↓
+                    </button>
+                    <button
+                      className={`${smallButton} bg-gray-100 hover:bg-gray-200 text-gray-800`}
+                      onClick={() => { setEditingId(item.id); setEditLabel(item.label); }}
+                    >
+                      Rename
+                    </button>
+                    {item.active ? (
+                      <button
+                        className={`${smallButton} bg-red-100 hover:bg-red-200 text-red-800`}
+                        onClick={() => handleUpdate(item, { active: false }, 'Failed to retire checklist item.')}
+                      >
+                        Retire
+                      </button>
+                    ) : (
+                      <button
+                        className={`${smallButton} bg-green-100 hover:bg-green-200 text-green-800`}
+                        onClick={() => handleUpdate(item, { active: true }, 'Failed to restore checklist item.')}
+                      >
+                        Restore
+                      </button>
+                    )}
+                  </div>
+                </>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ChecklistAdmin;
@@ -0,0 +1,232 @@
+import React, { useState, useEffect, useRef } from 'react';
+import api, { getErrorMessage } from './api';
+import { SEVERITY_LEVELS } from './severity';
+
+const PAGE_SIZE = 25;
+
+const STATUS_OPTIONS = [
+  { value: '', label: 'Any status' },
+  { value: 'open,acknowledged,in_progress', label: 'Not resolved' },
+  { value: 'open', label: 'Open' },
+  { value: 'acknowledged', label: 'Acknowledged' },
+  { value: 'in_progress', label: 'In Progress' },
+  { value: 'resolved', label: 'Resolved' }
+];
+
+const STATUS_LABELS = Object.fromEntries(STATUS_OPTIONS.filter(o => !o.value.includes(',')).map(o => [o.value, o.label]));
+
+const emptyFilters = { restroomId: '', custodianId: '', from: '', to: '', severity: '', status: '' };
+
+// Filterable, paginated history of checks and incidents. Each filter change loads the first page again;
+// "Load more" follows the server's nextCursor. initialRestroomId starts it filtered to one restroom.
+function History({ restrooms, staff, initialRestroomId = '' }) {
+  const [tab, setTab] = useState('checks');
+  const [filters, setFilters] = useState({ ...emptyFilters, restroomId: initialRestroomId });
+  const [rows, setRows] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const latestRequest = useRef(0); // Ignore responses for filters the user has already changed
+
+  // Only send filters the current tab understands
+  const activeFilters = () => {
+    const { severity, status, ...common } = filters;
+    const params = tab === 'incidents' ? { ...common, severity, status } : common;
+    return Object.fromEntries(Object.entries(params).filter(([, value]) => value !== ''));
+  };
+
+  const loadPage = async (cursor = null) => {
+    const requestId = ++latestRequest.current;
+    setLoading(true);
+    try {
+      const params = { ...activeFilters(), limit: PAGE_SIZE, ...(cursor ? { cursor } : {}) };
+      const page = tab === 'checks' ? await api.getChecks(params) : await api.getIncidents(params);
+      if (requestId !== latestRequest.current) return;
+      setRows(cursor ? [...rows, ...page.items] : page.items);
+      setNextCursor(page.nextCursor);
+    } catch (error) {
+      console.error('Failed to load history:', error);
+      alert(getErrorMessage(error, 'Failed to load history.'));
+    } finally {
+      if (requestId === latestRequest.current) setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadPage();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [tab, filters]);
+
+  const switchTab = (nextTab) => {
+    setRows([]);
+    setNextCursor(null);
+    setTab(nextTab);
+  };
+
+  const inputClass = 'w-full border-2 border-gray-200 rounded-xl p-2 bg-white focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all outline-none';
+  const tabClass = (active) => `px-4 py-2 rounded-xl font-semibold transition-all duration-200 ${
+    active ? 'bg-gradient-to-r from-blue-500 to-indigo-500 text-white shadow-md' : 'bg-gray-100 hover:bg-gray-200 text-gray-700'
+  }`;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-lg p-6 border border-gray-100">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+        <h2 className="text-2xl font-bold text-gray-800 flex items-center">
+          <span className="mr-2">📜</span>
+          History
+        </h2>
+        <div className="flex gap-2">
+          <button className={tabClass(tab === 'checks')} onClick={() => switchTab('checks')}>Checks</button>
+          <button className={tabClass(tab === 'incidents')} onClick={() => switchTab('incidents')}>Incidents</button>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className={`grid gap-3 mb-6 ${tab === 'incidents' ? 'md:grid-cols-7' : 'md:grid-cols-5'}`}>
+        <select
+          className={inputClass}
+          value={filters.restroomId}
+          onChange={(e) => setFilters({ ...filters, restroomId: e.target.value })}
+        >
+          <option value="">All restrooms</option>
+          {restrooms.map((restroom) => (
+            <option key={restroom.id} value={restroom.id}>{restroom.name}</option>
+          ))}
+        </select>
+        <select
+          className={inputClass}
+          value={filters.custodianId}
+          onChange={(e) => setFilters({ ...filters, custodianId: e.target.value })}
+        >
+          <option value="">{tab === 'checks' ? 'Checked by anyone' : 'Reported by anyone'}</option>
+          {staff.map((person) => (
+            <option key={person.id} value={person.id}>{person.name}</option>
+          ))}
+        </select>
+        <input
+          className={inputClass}
+          type="date"
+          title="From"
+          value={filters.from}
+          onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+        />
+        <input
+          className={inputClass}
+          type="date"
+          title="To (inclusive)"
+          value={filters.to}
+          onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+        />
+        {tab === 'incidents' && (
+          <>
+            <select
+              className={inputClass}
+              value={filters.severity}
+              onChange={(e) => setFilters({ ...filters, severity: e.target.value })}
+            >
+              <option value="">Any severity</option>
+              {SEVERITY_LEVELS.map((level) => (
+                <option key={level.value} value={level.value}>{level.label}</option>
+              ))}
+            </select>
+            <select
+              className={inputClass}
+              value={filters.status}
+              onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+            >
+              {STATUS_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </>
+        )}
+        <button
+          className="bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded-xl font-semibold transition-all duration-200"
+          onClick={() => setFilters(emptyFilters)}
+        >
+          Clear
+        </button>
+      </div>
+
+      {/* Results */}
+      {rows.length === 0 && !loading ? (
+        <p className="text-gray-500">Nothing matches these filters.</p>
+      ) : (
+        <div className="space-y-3">
+          {tab === 'checks'
+            ? rows.map((check) => {
+                const failed = (check.items || []).filter(item => !item.passed);
+                return (
+                  <div key={check.id} className="p-4 rounded-xl border-2 border-gray-200">
+                    <div className="flex flex-wrap items-center justify-between gap-2">
+                      <h3 className="font-bold text-gray-800">{check.restroom}</h3>
+                      <span className="text-sm text-gray-500">{new Date(check.timestamp).toLocaleString()}</span>
+                    </div>
+                    <p className="text-sm text-gray-600">
+                      👤 {check.custodian}
+                      {check.rating != null && ` · ${'★'.repeat(check.rating)}${'☆'.repeat(5 - check.rating)}`}
+                      {check.items?.length > 0 && (failed.length > 0
+                        ? ` · Needs attention: ${failed.map(item => item.label).join(', ')}`
+                        : ' · All items OK')}
+                    </p>
+                    {check.notes && <p className="text-sm text-gray-700 italic mt-1">“{check.notes}”</p>}
+                    {check.attachments?.length > 0 && (
+                      <div className="flex flex-wrap gap-2 mt-2">
+                        {check.attachments.map((photo) => (
+                          <a key={photo.id} href={api.attachmentUrl(photo.id)} target="_blank" rel="noopener noreferrer">
+                            <img
+                              src={api.attachmentUrl(photo.id, true)}
+                              alt={photo.originalName || 'Check photo'}
+                              loading="lazy"
+                              className="h-16 w-16 object-cover rounded-lg border border-gray-200"
+                            />
+                          </a>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                );
+              })
+            : rows.map((incident) => {
+                const severity = SEVERITY_LEVELS.find(level => level.value === incident.severity);
+                return (
+                  <div key={incident.id} className="p-4 rounded-xl border-2 border-gray-200">
+                    <div className="flex flex-wrap items-center justify-between gap-2">
+                      <h3 className="font-bold text-gray-800">
+                        {incident.restroom}
+                        {severity && (
+                          <span className={`ml-2 px-2 py-1 rounded-full text-xs font-semibold ${severity.badge}`}>{severity.label}</span>
+                        )}
+                        <span className="ml-2 px-2 py-1 rounded-full text-xs font-semibold bg-gray-100 text-gray-700">
+                          {STATUS_LABELS[incident.status] || incident.status}
+                        </span>
+                      </h3>
+                      <span className="text-sm text-gray-500">{new Date(incident.timestamp).toLocaleString()}</span>
+                    </div>
+                    <p className="text-gray-700 mt-1">{incident.description}</p>
+                    <p className="text-sm text-gray-600 mt-1">
+                      Reported by {incident.custodian}
+                      {incident.assignee && ` · Assigned to ${incident.assignee}`}
+                      {incident.resolvedAt && ` · Resolved ${new Date(incident.resolvedAt).toLocaleString()}`}
+                    </p>
+                  </div>
+                );
+              })}
+        </div>
+      )}
+
+      {(nextCursor || loading) && (
+        <div className="text-center mt-6">
+          <button
+            className="bg-gray-100 hover:bg-gray-200 text-gray-800 px-6 py-2 rounded-xl font-semibold transition-all duration-200 disabled:opacity-50"
+            onClick={() => loadPage(nextCursor)}
+            disabled={loading}
+          >
+            {loading ? 'Loading...' : 'Load more'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default History;
@@ -0,0 +1,167 @@
+import React from 'react';
+import { SEVERITY_LEVELS } from './severity';
+import api from './api';
+
+const STATUS_LABELS = {
+  open: 'Open',
+  acknowledged: 'Acknowledged',
+  in_progress: 'In Progress',
+  resolved: 'Resolved'
+};
+
+const STATUS_STYLES = {
+  open: 'bg-red-200 text-red-800',
+  acknowledged: 'bg-amber-200 text-amber-800',
+  in_progress: 'bg-blue-200 text-blue-800',
+  resolved: 'bg-green-200 text-green-800'
+};
+
+// How each history row reads in the timeline, e.g. "Jalessa acknowledged"
+const describeEvent = (event) => {
+  switch (event.action) {
+    case 'reported': return `${event.actor} reported the incident`;
+    case 'acknowledged': return `${event.actor} acknowledged`;
+    case 'started': return `${event.actor} started work`;
+    case 'resolved': return `${event.actor} resolved`;
+    case 'reopened': return `${event.actor} reopened`;
+    case 'assigned': return `${event.actor} assigned to ${event.assignee}`;
+    case 'unassigned': return `${event.actor} removed the assignee`;
+    default: return `${event.actor}: ${event.action}`;
+  }
+};
+
+// One incident with its status, assignee, lifecycle timeline and the actions the user may take.
+// can(permission) says what the logged-in user may do; the server still checks their restrooms.
+function IncidentCard({ incident, can, staff, onStatusChange, onAssign }) {
+  const resolved = incident.status === 'resolved';
+  const canResolve = can('incidents.resolve') || (can('incidents.resolve-low') && incident.severity === 'low');
+  const severity = SEVERITY_LEVELS.find(level => level.value === incident.severity) || SEVERITY_LEVELS[1];
+  const actionButton = 'px-4 py-2 rounded-xl font-semibold transition-all duration-200 shadow-md hover:shadow-lg whitespace-nowrap';
+
+  return (
+    <div
+      className={`${resolved ? 'bg-gray-50 border-gray-400' : 'bg-red-50 border-red-500'} border-l-4 rounded-xl p-5 shadow-sm hover:shadow-md transition-shadow duration-200`}
+    >
+      <div className="flex flex-wrap justify-between items-start gap-3 mb-3">
+        <div className="flex-1">
+          <div className="flex items-center mb-2">
+            <span className="text-2xl mr-2">{resolved ? '✅' : '🚨'}</span>
+            <h3 className="font-bold text-xl text-gray-800">{incident.restroom}</h3>
+            <span className={`ml-3 px-3 py-1 rounded-full text-xs font-semibold ${STATUS_STYLES[incident.status]}`}>
+              {STATUS_LABELS[incident.status] || incident.status}
+            </span>
+            <span className={`ml-2 px-3 py-1 rounded-full text-xs font-semibold ${severity.badge}`}>
+              {severity.label}
+            </span>
+            {incident.escalatedAt && (
+              <span
+                className="ml-2 px-3 py-1 rounded-full text-xs font-semibold bg-purple-200 text-purple-800"
+                title={`Escalated ${new Date(incident.escalatedAt).toLocaleString()}`}
+              >
+                ⏫ Escalated
+              </span>
+            )}
+          </div>
+          <p className="text-gray-700 mb-3 bg-white p-3 rounded-lg border border-red-200">
+            {incident.description}
+          </p>
+          <div className="flex flex-wrap gap-2 text-sm text-gray-600">
+            <span className="bg-white px-3 py-1 rounded-full border border-gray-200">
+              👤 {incident.custodian}
+            </span>
+            <span className="bg-white px-3 py-1 rounded-full border border-gray-200">
+              🕐 {new Date(incident.timestamp).toLocaleString()}
+            </span>
+            {incident.lastCheckedAt && (
+              <span className="bg-white px-3 py-1 rounded-full border border-gray-200">
+                Last checked: {new Date(incident.lastCheckedAt).toLocaleDateString()}
+              </span>
+            )}
+            {incident.assignee && (
+              <span className="bg-white px-3 py-1 rounded-full border border-gray-200">
+                🔧 Assigned to {incident.assignee}
+              </span>
+            )}
+          </div>
+        </div>
+        <div className="flex flex-col gap-2">
+          {can('incidents.work') && incident.status === 'open' && (
+            <button
+              className={`${actionButton} bg-amber-100 hover:bg-amber-200 text-amber-800`}
+              onClick={() => onStatusChange(incident, 'acknowledged')}
+            >
+              👀 Acknowledge
+            </button>
+          )}
+          {can('incidents.work') && (incident.status === 'open' || incident.status === 'acknowledged') && (
+            <button
+              className={`${actionButton} bg-blue-100 hover:bg-blue-200 text-blue-800`}
+              onClick={() => onStatusChange(incident, 'in_progress')}
+            >
+              🔧 Start Work
+            </button>
+          )}
+          {canResolve && !resolved && (
+            <button
+              className={`${actionButton} bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 text-white`}
+              onClick={() => onStatusChange(incident, 'resolved')}
+            >
+              ✓ Resolve
+            </button>
+          )}
+          {can('incidents.reopen') && resolved && (
+            <button
+              className={`${actionButton} bg-red-100 hover:bg-red-200 text-red-800`}
+              onClick={() => onStatusChange(incident, 'open')}
+            >
+              ↩ Reopen
+            </button>
+          )}
+          {can('incidents.assign') && !resolved && (
+            <select
+              className="border-2 border-gray-200 rounded-xl p-2 bg-white focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all outline-none text-sm"
+              value={incident.assignedTo || ''}
+              onChange={(e) => onAssign(incident, e.target.value || null)}
+            >
+              <option value="">Unassigned</option>
+              {staff.map((person) => (
+                <option key={person.id} value={person.id}>{person.name}</option>
+              ))}
+            </select>
+          )}
+        </div>
+      </div>
+
+      {/* Photos: thumbnails open the full-size image */}
+      {incident.attachments && incident.attachments.length > 0 && (
+        <div className="flex flex-wrap gap-2 mt-1 mb-3">
+          {incident.attachments.map((photo) => (
+            <a key={photo.id} href={api.attachmentUrl(photo.id)} target="_blank" rel="noopener noreferrer">
+              <img
+                src={api.attachmentUrl(photo.id, true)}
+                alt={photo.originalName || 'Incident photo'}
+                loading="lazy"
+                className="h-24 w-24 object-cover rounded-lg border border-gray-200 hover:opacity-90 shadow-sm"
+              />
+            </a>
+          ))}
+        </div>
+      )}
+
+      {/* Timeline */}
+      {incident.history && incident.history.length > 0 && (
+        <ol className="mt-3 border-l-2 border-gray-300 pl-4 space-y-2">
+          {incident.history.map((event) => (
+            <li key={event.id} className="text-sm">
+              <span className="text-gray-500">{new Date(event.timestamp).toLocaleString()}</span>
+              <span className="text-gray-800 font-medium"> · {describeEvent(event)}</span>
+              {event.comment && <p className="text-gray-600 italic">“{event.comment}”</p>}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+export default IncidentCard;
@@ -0,0 +1,68 @@
+import React, { useRef } from 'react';
+
+// Must match the server's MAX_PHOTOS_PER_UPLOAD and accepted types
+const MAX_PHOTOS = 5;
+const ACCEPTED_TYPES = 'image/jpeg,image/png,image/webp';
+const ACCENT_STYLES = {
+  blue: 'border-blue-300 text-blue-700 hover:bg-blue-50',
+  red: 'border-red-300 text-red-700 hover:bg-red-50'
+};
+
+// File picker for the photos attached to a check or incident. Selections add up until MAX_PHOTOS.
+function PhotoPicker({ photos, onChange, accent = 'blue' }) {
+  const inputRef = useRef(null);
+
+  const handleSelect = (e) => {
+    const selected = Array.from(e.target.files || []);
+    const combined = [...photos, ...selected];
+    if (combined.length > MAX_PHOTOS) {
+      alert(`You can attach up to ${MAX_PHOTOS} photos`);
+    }
+    onChange(combined.slice(0, MAX_PHOTOS));
+    e.target.value = ''; // allow picking the same file again after removing it
+  };
+
+  const removePhoto = (index) => {
+    onChange(photos.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="mb-4">
+      <input
+        ref={inputRef}
+        type="file"
+        accept={ACCEPTED_TYPES}
+        multiple
+        className="hidden"
+        onChange={handleSelect}
+      />
+      <button
+        type="button"
+        className={`px-4 py-2 rounded-xl font-semibold border-2 border-dashed ${ACCENT_STYLES[accent]} transition-all duration-200 disabled:opacity-50`}
+        onClick={() => inputRef.current?.click()}
+        disabled={photos.length >= MAX_PHOTOS}
+      >
+        📷 Add Photos {photos.length > 0 && `(${photos.length}/${MAX_PHOTOS})`}
+      </button>
+      {photos.length > 0 && (
+        <ul className="mt-2 space-y-1">
+          {photos.map((photo, index) => (
+            <li key={`${photo.name}-${index}`} className="flex items-center justify-between text-sm text-gray-600 bg-gray-50 rounded-lg px-3 py-1">
+              <span className="truncate">{photo.name}</span>
+              <button
+                type="button"
+                className="ml-2 text-gray-400 hover:text-red-600"
+                onClick={() => removePhoto(index)}
+                aria-label={`Remove ${photo.name}`}
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default PhotoPicker;
@@ -0,0 +1,146 @@
+import React, { useState, useEffect } from 'react';
+import api, { getErrorMessage } from './api';
+
+// Login-free page behind the public QR code on a restroom door (/report/<restroomId>): anyone can report a
+// problem from a fixed list or rate the restroom. Reports go to the admins' moderation queue.
+function PublicReport({ restroomId }) {
+  const [restroom, setRestroom] = useState(null);
+  const [loadError, setLoadError] = useState('');
+  const [kind, setKind] = useState('issue');
+  const [category, setCategory] = useState('');
+  const [rating, setRating] = useState('');
+  const [comment, setComment] = useState('');
+  const [website, setWebsite] = useState(''); // Honeypot: hidden from people, filled in by bots
+  const [sending, setSending] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  const loadRestroom = async () => {
+    try {
+      setRestroom(await api.getPublicRestroom(restroomId));
+    } catch (error) {
+      setLoadError(error.response?.status === 404
+        ? 'This restroom link is not valid. Please tell a staff member.'
+        : getErrorMessage(error, 'Could not load this page. Please try again.'));
+    }
+  };
+
+  useEffect(() => {
+    loadRestroom();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [restroomId]);
+
+  const handleSubmit = async () => {
+    if (kind === 'issue' && !category) {
+      alert('Please pick what the problem is');
+      return;
+    }
+    if (kind === 'feedback' && !rating) {
+      alert('Please pick thumbs up or thumbs down');
+      return;
+    }
+    setSending(true);
+    try {
+      await api.submitPublicReport(restroomId, {
+        kind,
+        category: kind === 'issue' ? category : undefined,
+        rating: kind === 'feedback' ? rating : undefined,
+        comment,
+        formToken: restroom.formToken,
+        website
+      });
+      setSent(true);
+    } catch (error) {
+      console.error('Failed to send report:', error);
+      alert(getErrorMessage(error, 'Could not send your report. Please try again.'));
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleAnother = async () => {
+    setCategory('');
+    setRating('');
+    setComment('');
+    setSent(false);
+    await loadRestroom(); // A fresh form token
+  };
+
+  const optionClass = (selected) => `w-full text-left px-4 py-3 rounded-xl border-2 font-semibold transition-all duration-200 ${
+    selected ? 'bg-blue-50 border-blue-500 text-blue-800' : 'bg-white border-gray-200 text-gray-700 hover:border-gray-300'
+  }`;
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-50 p-4">
+      <div className="bg-white rounded-2xl shadow-xl p-6 max-w-md w-full">
+        <div className="text-center mb-6">
+          <div className="text-5xl mb-3">🧹</div>
+          <h1 className="text-2xl font-bold text-gray-800">{restroom ? restroom.name : 'Restroom feedback'}</h1>
+          {restroom && <p className="text-gray-600">Tell us what needs attention. No login needed.</p>}
+        </div>
+
+        {loadError ? (
+          <p className="text-center text-red-700">{loadError}</p>
+        ) : !restroom ? (
+          <p className="text-center text-gray-500">Loading…</p>
+        ) : sent ? (
+          <div className="text-center space-y-4">
+            <p className="text-lg font-semibold text-green-700">✓ Thanks! The custodial team will take a look.</p>
+            <button className="text-blue-600 font-semibold hover:underline" onClick={handleAnother}>
+              Send something else
+            </button>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 gap-2">
+              <button className={optionClass(kind === 'issue')} onClick={() => setKind('issue')}>⚠️ Report a problem</button>
+              <button className={optionClass(kind === 'feedback')} onClick={() => setKind('feedback')}>⭐ Rate it</button>
+            </div>
+
+            {kind === 'issue' ? (
+              <div className="space-y-2">
+                {restroom.categories.map((option) => (
+                  <button key={option.id} className={optionClass(category === option.id)} onClick={() => setCategory(option.id)}>
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            ) : (
+              <div className="grid grid-cols-2 gap-2">
+                <button className={`${optionClass(rating === 'up')} text-center text-3xl`} onClick={() => setRating('up')} aria-label="Thumbs up">👍</button>
+                <button className={`${optionClass(rating === 'down')} text-center text-3xl`} onClick={() => setRating('down')} aria-label="Thumbs down">👎</button>
+              </div>
+            )}
+
+            <textarea
+              placeholder={kind === 'issue' && category === 'other' ? 'What is wrong?' : 'Anything to add? (optional)'}
+              className="w-full border-2 border-gray-200 rounded-xl p-3 bg-white focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all outline-none resize-none"
+              rows={2}
+              maxLength={restroom.maxCommentLength}
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+            />
+            <input
+              type="text"
+              name="website"
+              tabIndex={-1}
+              autoComplete="off"
+              aria-hidden="true"
+              className="absolute -left-[9999px] h-0 w-0 opacity-0"
+              value={website}
+              onChange={(e) => setWebsite(e.target.value)}
+            />
+            <button
+              className="w-full bg-gradient-to-r from-blue-500 to-indigo-500 hover:from-blue-600 hover:to-indigo-600 text-white px-6 py-3 rounded-xl font-semibold transition-all duration-200 shadow-md disabled:opacity-50"
+              onClick={handleSubmit}
+              disabled={sending}
+            >
+              {sending ? 'Sending…' : 'Send'}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default PublicReport;
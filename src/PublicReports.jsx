@@ -0,0 +1,109 @@
+import React, { useState, useEffect } from 'react';
+import api, { getErrorMessage } from './api';
+import { SEVERITY_LEVELS } from './severity';
+
+// Dashboard card for moderators (public-reports.moderate): problems and ratings sent from the public restroom
+// pages, waiting to be turned into incidents or dismissed. refreshKey changes on live updates so new reports
+// show up right away.
+function PublicReports({ refreshKey }) {
+  const [reports, setReports] = useState([]);
+  const [severities, setSeverities] = useState({}); // reportId -> severity chosen for promotion
+
+  const loadReports = async () => {
+    try {
+      setReports(await api.getPublicReports());
+    } catch (error) {
+      console.error('Failed to load public reports:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadReports();
+  }, [refreshKey]);
+
+  const handlePromote = async (report) => {
+    const description = window.prompt(`Incident description for ${report.restroom}:`, report.suggestedDescription);
+    if (description === null) return;
+    try {
+      await api.promotePublicReport(report.id, {
+        severity: severities[report.id] || report.suggestedSeverity,
+        description
+      });
+      await loadReports();
+    } catch (error) {
+      console.error('Failed to promote public report:', error);
+      alert(getErrorMessage(error, 'Failed to open an incident from this report.'));
+    }
+  };
+
+  const handleDismiss = async (report) => {
+    try {
+      await api.dismissPublicReport(report.id);
+      await loadReports();
+    } catch (error) {
+      console.error('Failed to dismiss public report:', error);
+      alert(getErrorMessage(error, 'Failed to dismiss report.'));
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-lg p-6 border border-gray-100">
+      <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center">
+        <span className="mr-2">📣</span>
+        Public Reports
+        {reports.length > 0 && (
+          <span className="ml-3 bg-blue-500 text-white text-sm font-bold px-3 py-1 rounded-full">
+            {reports.length}
+          </span>
+        )}
+      </h2>
+
+      {reports.length > 0 ? (
+        <div className="space-y-3">
+          {reports.map((report) => (
+            <div
+              key={report.id}
+              className="flex flex-wrap items-center justify-between gap-3 p-4 rounded-xl border-l-4 bg-blue-50 border-blue-500"
+            >
+              <div>
+                <h3 className="font-bold text-gray-800">
+                  {report.restroom}: {report.kind === 'issue' ? report.categoryLabel : report.rating === 'up' ? '👍 Thumbs up' : '👎 Thumbs down'}
+                </h3>
+                {report.comment && <p className="text-gray-700">“{report.comment}”</p>}
+                <p className="text-sm text-gray-600">Sent {new Date(report.createdAt).toLocaleString()}</p>
+              </div>
+              <div className="flex flex-wrap gap-2">
+                <select
+                  className="border-2 border-gray-200 rounded-xl px-2 py-2 bg-white outline-none"
+                  title="Severity of the incident"
+                  value={severities[report.id] || report.suggestedSeverity}
+                  onChange={(e) => setSeverities({ ...severities, [report.id]: e.target.value })}
+                >
+                  {SEVERITY_LEVELS.map((level) => (
+                    <option key={level.value} value={level.value}>{level.label}</option>
+                  ))}
+                </select>
+                <button
+                  className="bg-gradient-to-r from-red-500 to-rose-500 hover:from-red-600 hover:to-rose-600 text-white px-4 py-2 rounded-xl font-semibold transition-all duration-200 shadow-md"
+                  onClick={() => handlePromote(report)}
+                >
+                  🚨 Open incident
+                </button>
+                <button
+                  className="bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded-xl font-semibold transition-all duration-200"
+                  onClick={() => handleDismiss(report)}
+                >
+                  Dismiss
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-gray-500">No public reports waiting.</p>
+      )}
+    </div>
+  );
+}
+
+export default PublicReports;
@@ -0,0 +1,90 @@
+import React, { useState, useEffect } from 'react';
+import api, { getErrorMessage } from './api';
+import { isPushSupported, getPushSubscription, enablePush, disablePush } from './push';
+import { SEVERITY_LEVELS } from './severity';
+
+// Header panel for users with incidents.alerts: turn incident push notifications on or off for this browser,
+// and pick which severities are pushed (a per-user setting that applies to all of their devices)
+function PushSettings() {
+  const [settings, setSettings] = useState(null);
+  const [subscribed, setSubscribed] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  const loadSettings = async () => {
+    try {
+      const [settingsData, subscription] = await Promise.all([api.getPushSettings(), getPushSubscription()]);
+      setSettings(settingsData);
+      setSubscribed(!!subscription);
+    } catch (error) {
+      console.error('Failed to load notification settings:', error);
+    }
+  };
+
+  useEffect(() => {
+    if (isPushSupported()) loadSettings();
+  }, []);
+
+  if (!isPushSupported() || !settings?.enabled) return null;
+
+  const otherDevices = Math.max(0, settings.devices - (subscribed ? 1 : 0));
+
+  const handleToggle = async () => {
+    setBusy(true);
+    try {
+      if (subscribed) {
+        await disablePush();
+      } else {
+        await enablePush(settings.publicKey);
+      }
+      await loadSettings();
+    } catch (error) {
+      console.error('Failed to change notifications:', error);
+      alert(getErrorMessage(error, 'Failed to change notifications.'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSeverity = async (severity, checked) => {
+    const severities = checked
+      ? [...settings.severities, severity]
+      : settings.severities.filter(s => s !== severity);
+    try {
+      const result = await api.updatePushPreferences(severities);
+      setSettings({ ...settings, severities: result.severities });
+    } catch (error) {
+      console.error('Failed to save notification settings:', error);
+      alert(getErrorMessage(error, 'Failed to save notification settings.'));
+    }
+  };
+
+  return (
+    <div className="mt-3 flex flex-wrap items-center gap-3 text-sm">
+      <button
+        onClick={handleToggle}
+        disabled={busy}
+        className={`px-3 py-1 rounded-lg font-semibold transition-all duration-200 disabled:opacity-50 ${
+          subscribed ? 'bg-green-100 hover:bg-green-200 text-green-800' : 'bg-gray-100 hover:bg-gray-200 text-gray-700'
+        }`}
+      >
+        {subscribed ? '🔔 Incident alerts on for this device' : '🔕 Get incident alerts on this device'}
+      </button>
+      <span className="text-gray-600">Alert me for:</span>
+      {SEVERITY_LEVELS.map((level) => (
+        <label key={level.value} className="flex items-center gap-1 text-gray-700">
+          <input
+            type="checkbox"
+            checked={settings.severities.includes(level.value)}
+            onChange={(e) => handleSeverity(level.value, e.target.checked)}
+          />
+          {level.label}
+        </label>
+      ))}
+      {otherDevices > 0 && (
+        <span className="text-gray-500">({otherDevices} other device{otherDevices === 1 ? '' : 's'})</span>
+      )}
+    </div>
+  );
+}
+
+export default PushSettings;
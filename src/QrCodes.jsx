@@ -0,0 +1,89 @@
+import React, { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+import { LINK_FORMS, restroomLink } from './restroomLinks';
+
+// Admin page: a printable sheet with a QR code for every restroom in service. Scanning one opens the app
+// on that restroom's check (or incident) form; see restroomLinks.js.
+function QrCodes({ restrooms }) {
+  const [form, setForm] = useState('check');
+  const [codes, setCodes] = useState({}); // restroomId -> PNG data URL
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all(restrooms.map(async (restroom) => [
+      restroom.id,
+      await QRCode.toDataURL(restroomLink(restroom.id, form), { width: 512, margin: 1, errorCorrectionLevel: 'M' })
+    ]))
+      .then((entries) => {
+        if (!cancelled) setCodes(Object.fromEntries(entries));
+      })
+      .catch((error) => console.error('Failed to generate QR codes:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [restrooms, form]);
+
+  const caption = LINK_FORMS.find(option => option.value === form).caption;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-lg p-6 border border-gray-100 print:shadow-none print:border-0 print:p-0">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-6 print:hidden">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-800 flex items-center">
+            <span className="mr-2">🔳</span>
+            Restroom QR Codes
+          </h2>
+          <p className="text-sm text-gray-500">
+            Print and post one on each restroom door. Codes link to {window.location.origin}. Staff codes still
+            need a login and only open restrooms the person is assigned to; public codes open a problem report form
+            anyone can use.
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            className="border-2 border-gray-200 rounded-xl p-2 bg-white focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all outline-none"
+            value={form}
+            onChange={(e) => setForm(e.target.value)}
+          >
+            {LINK_FORMS.map((option) => (
+              <option key={option.value} value={option.value}>Codes open: {option.label}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => window.print()}
+            disabled={restrooms.length === 0}
+            className="bg-gradient-to-r from-blue-500 to-indigo-500 hover:from-blue-600 hover:to-indigo-600 text-white px-4 py-2 rounded-xl font-semibold shadow-md transition-all duration-200 disabled:opacity-50"
+          >
+            🖨️ Print
+          </button>
+        </div>
+      </div>
+
+      {restrooms.length === 0 ? (
+        <p className="text-gray-500">No restrooms in service.</p>
+      ) : (
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-4 print:grid-cols-3">
+          {restrooms.map((restroom) => (
+            <div key={restroom.id} className="p-4 rounded-xl border-2 border-gray-200 text-center break-inside-avoid">
+              <p className="font-bold text-lg text-gray-800">{restroom.name}</p>
+              {(restroom.building || restroom.floor) && (
+                <p className="text-sm text-gray-500">
+                  {[restroom.building, restroom.floor && `Floor ${restroom.floor}`].filter(Boolean).join(' · ')}
+                </p>
+              )}
+              {codes[restroom.id] ? (
+                <img src={codes[restroom.id]} alt={`QR code for ${restroom.name}`} className="w-full max-w-[12rem] mx-auto my-3" />
+              ) : (
+                <div className="w-full max-w-[12rem] aspect-square mx-auto my-3 bg-gray-100 rounded-lg" />
+              )}
+              <p className="text-sm font-semibold text-gray-700">{caption}</p>
+              <p className="text-xs text-gray-400 break-all">{restroomLink(restroom.id, form)}</p>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default QrCodes;
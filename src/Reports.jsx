@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from 'react';
+import api, { getErrorMessage } from './api';
+
+// Local 'YYYY-MM' of a date
+const toMonthValue = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+
+const lastMonth = () => {
+  const now = new Date();
+  return toMonthValue(new Date(now.getFullYear(), now.getMonth() - 1, 1));
+};
+
+// '2026-09' -> 'September 2026'
+const monthLabel = (month) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  return new Date(year, monthIndex - 1, 1).toLocaleString(undefined, { month: 'long', year: 'numeric' });
+};
+
+const formatSize = (bytes) => (bytes < 1024 ? `${bytes} B` : `${Math.round(bytes / 1024)} KB`);
+
+const FORMAT_LABELS = { pdf: 'PDF', csv: 'CSV', xlsx: 'Excel' };
+
+// Reports page for the current campus: the monthly PDF for any month, a CSV/XLSX export of every check and
+// incident in a date range, and the archive of reports the server writes on the 1st of each month. Only
+// canArchive may save a month to the archive again.
+function Reports({ canArchive }) {
+  const [pdfMonth, setPdfMonth] = useState(lastMonth);
+  const [range, setRange] = useState({ from: '', to: '' });
+  const [archive, setArchive] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [archiveMonth, setArchiveMonth] = useState(lastMonth);
+  const [archiving, setArchiving] = useState(false);
+
+  const loadArchive = async () => {
+    try {
+      setArchive(await api.getArchivedReports());
+    } catch (error) {
+      console.error('Failed to load archived reports:', error);
+      alert(getErrorMessage(error, 'Failed to load archived reports.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadArchive();
+  }, []);
+
+  const handleArchive = async () => {
+    if (!archiveMonth) return;
+    setArchiving(true);
+    try {
+      await api.archiveReport(archiveMonth);
+      await loadArchive();
+    } catch (error) {
+      console.error('Failed to archive report:', error);
+      alert(getErrorMessage(error, 'Failed to archive report.'));
+    } finally {
+      setArchiving(false);
+    }
+  };
+
+  // Only send the dates the admin picked; the server defaults the rest
+  const exportRange = Object.fromEntries(Object.entries(range).filter(([, value]) => value !== ''));
+
+  const inputClass = 'border-2 border-gray-200 rounded-xl p-2 bg-white focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all outline-none';
+  const cardClass = 'bg-white rounded-2xl shadow-lg p-6 border border-gray-100';
+  const buttonClass = 'bg-gradient-to-r from-blue-500 to-indigo-500 hover:from-blue-600 hover:to-indigo-600 text-white px-4 py-2 rounded-xl font-semibold shadow-md transition-all duration-200';
+
+  return (
+    <div className="space-y-6">
+      <div className={cardClass}>
+        <h2 className="text-2xl font-bold text-gray-800 flex items-center mb-6">
+          <span className="mr-2">🗂️</span>
+          Reports
+        </h2>
+
+        <div className="grid md:grid-cols-2 gap-6">
+          <div>
+            <h3 className="font-bold text-gray-800 mb-1">Monthly summary (PDF)</h3>
+            <p className="text-sm text-gray-500 mb-3">Check compliance, incidents with time to resolve, and staff totals.</p>
+            <div className="flex flex-wrap items-center gap-2">
+              <input
+                className={inputClass}
+                type="month"
+                max={toMonthValue(new Date())}
+                value={pdfMonth}
+                onChange={(e) => setPdfMonth(e.target.value)}
+              />
+              <a href={pdfMonth ? api.monthlyReportUrl(pdfMonth) : undefined} className={buttonClass}>
+                ⬇️ PDF
+              </a>
+            </div>
+          </div>
+
+          <div>
+            <h3 className="font-bold text-gray-800 mb-1">Activity export</h3>
+            <p className="text-sm text-gray-500 mb-3">Every check, incident, resolution and reopen in a date range (default: last 30 days).</p>
+            <div className="flex flex-wrap items-center gap-2">
+              <input
+                className={inputClass}
+                type="date"
+                title="From"
+                value={range.from}
+                onChange={(e) => setRange({ ...range, from: e.target.value })}
+              />
+              <span className="text-gray-500">to</span>
+              <input
+                className={inputClass}
+                type="date"
+                title="To (inclusive)"
+                value={range.to}
+                onChange={(e) => setRange({ ...range, to: e.target.value })}
+              />
+              <a href={api.reportExportUrl(exportRange, 'csv')} className={buttonClass}>⬇️ CSV</a>
+              <a href={api.reportExportUrl(exportRange, 'xlsx')} className={buttonClass}>⬇️ Excel</a>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className={cardClass}>
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+          <div>
+            <h3 className="text-xl font-bold text-gray-800">📁 Archive</h3>
+            <p className="text-sm text-gray-500">Saved on the 1st of each month, whether or not email is set up.</p>
+          </div>
+          {canArchive && (
+            <div className="flex flex-wrap items-center gap-2">
+              <input
+                className={inputClass}
+                type="month"
+                max={lastMonth()}
+                value={archiveMonth}
+                onChange={(e) => setArchiveMonth(e.target.value)}
+              />
+              <button
+                onClick={handleArchive}
+                disabled={archiving || !archiveMonth}
+                className="bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded-xl font-semibold transition-all duration-200 disabled:opacity-50"
+              >
+                {archiving ? 'Saving…' : 'Save to archive'}
+              </button>
+            </div>
+          )}
+        </div>
+
+        {loading ? (
+          <p className="text-gray-500">Loading archive…</p>
+        ) : archive.length === 0 ? (
+          <p className="text-gray-500">No reports archived yet.</p>
+        ) : (
+          <div className="space-y-2">
+            {archive.map(({ month, files }) => (
+              <div key={month} className="flex flex-wrap items-center justify-between gap-2 p-3 rounded-xl border-2 border-gray-200">
+                <span className="font-semibold text-gray-800">{monthLabel(month)}</span>
+                <div className="flex flex-wrap gap-2">
+                  {files.map((file) => (
+                    <a
+                      key={file.filename}
+                      href={api.archivedReportUrl(file.filename)}
+                      title={`Saved ${new Date(file.createdAt).toLocaleString()}`}
+                      className="px-3 py-1 rounded-lg bg-blue-50 hover:bg-blue-100 text-blue-700 text-sm font-semibold"
+                    >
+                      {FORMAT_LABELS[file.format] || file.format} · {formatSize(file.size)}
+                    </a>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Reports;
@@ -0,0 +1,113 @@
+import React, { useState, useEffect } from 'react';
+import api, { getErrorMessage } from './api';
+
+// Dashboard card for whoever restocks (supplies.restock): open restock requests to fulfill, and supply room
+// items running low. refreshKey changes whenever the dashboard reloads (including live SSE updates) so the
+// list stays current.
+function RestockRequests({ refreshKey }) {
+  const [requests, setRequests] = useState([]);
+  const [lowSupplies, setLowSupplies] = useState([]);
+
+  const loadRequests = async () => {
+    try {
+      const [requestsData, suppliesData] = await Promise.all([
+        api.getRestockRequests(),
+        api.getSupplies()
+      ]);
+      setRequests(requestsData);
+      setLowSupplies(suppliesData.filter(supply => supply.isLow));
+    } catch (error) {
+      console.error('Failed to load restock requests:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadRequests();
+  }, [refreshKey]);
+
+  const handleFulfill = async (request) => {
+    const what = request.unit ? `${request.unit} of ${request.supply}` : request.supply;
+    const answer = window.prompt(`How many ${what} for ${request.restroom}? (${request.stock} in the supply room)`, '1');
+    if (answer === null) return;
+    try {
+      await api.fulfillRestockRequest(request.id, Number(answer));
+      await loadRequests();
+    } catch (error) {
+      console.error('Failed to fulfill restock request:', error);
+      alert(getErrorMessage(error, 'Failed to fulfill restock request.'));
+    }
+  };
+
+  const handleCancel = async (request) => {
+    if (!window.confirm(`Cancel the ${request.supply} request for ${request.restroom}?`)) return;
+    try {
+      await api.cancelRestockRequest(request.id);
+      await loadRequests();
+    } catch (error) {
+      console.error('Failed to cancel restock request:', error);
+      alert(getErrorMessage(error, 'Failed to cancel restock request.'));
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-lg p-6 border border-gray-100">
+      <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center">
+        <span className="mr-2">🧻</span>
+        Restock Requests
+        {requests.length > 0 && (
+          <span className="ml-3 bg-amber-500 text-white text-sm font-bold px-3 py-1 rounded-full">
+            {requests.length}
+          </span>
+        )}
+      </h2>
+
+      {lowSupplies.length > 0 && (
+        <div className="mb-4 p-3 bg-amber-50 border-l-4 border-amber-500 rounded-lg text-amber-800">
+          <span className="font-semibold">Supply room running low: </span>
+          {lowSupplies.map(supply => `${supply.name} (${supply.stock} left)`).join(', ')}
+        </div>
+      )}
+
+      {requests.length > 0 ? (
+        <div className="space-y-3">
+          {requests.map((request) => (
+            <div
+              key={request.id}
+              className={`flex flex-wrap items-center justify-between gap-3 p-4 rounded-xl border-l-4 ${request.level === 'out' ? 'bg-red-50 border-red-500' : 'bg-amber-50 border-amber-500'}`}
+            >
+              <div>
+                <h3 className="font-bold text-gray-800">
+                  {request.restroom}: {request.supply}
+                  <span className={`ml-2 px-2 py-1 rounded-full text-xs font-semibold ${request.level === 'out' ? 'bg-red-200 text-red-800' : 'bg-amber-200 text-amber-800'}`}>
+                    {request.level === 'out' ? 'Out' : 'Low'}
+                  </span>
+                </h3>
+                <p className="text-sm text-gray-600">
+                  Flagged by {request.requestedByName} · {new Date(request.requestedAt).toLocaleString()}
+                </p>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  className="bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 text-white px-4 py-2 rounded-xl font-semibold transition-all duration-200 shadow-md"
+                  onClick={() => handleFulfill(request)}
+                >
+                  ✓ Restocked
+                </button>
+                <button
+                  className="bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded-xl font-semibold transition-all duration-200"
+                  onClick={() => handleCancel(request)}
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-gray-500">No open restock requests.</p>
+      )}
+    </div>
+  );
+}
+
+export default RestockRequests;
@@ -0,0 +1,239 @@
+import React, { useState, useEffect } from 'react';
+import api, { getErrorMessage } from './api';
+
+const emptyForm = { name: '', building: '', floor: '', gender: '', checkIntervalMinutes: '' };
+
+const genderLabel = (gender) => {
+  if (gender === 'female') return 'Female';
+  if (gender === 'male') return 'Male';
+  return 'All-gender';
+};
+
+// Admin panel for adding, editing, archiving and restoring restrooms
+function RestroomAdmin({ onChange }) {
+  const [restrooms, setRestrooms] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [editForm, setEditForm] = useState(emptyForm);
+
+  const loadRestrooms = async () => {
+    try {
+      setRestrooms(await api.getAllRestrooms());
+    } catch (error) {
+      console.error('Failed to load restrooms:', error);
+      alert(getErrorMessage(error, 'Failed to load restrooms.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadRestrooms();
+  }, []);
+
+  const refresh = async () => {
+    await loadRestrooms();
+    if (onChange) onChange();
+  };
+
+  const handleCreate = async () => {
+    if (!form.name.trim()) {
+      alert('Please enter a restroom name');
+      return;
+    }
+    try {
+      await api.createRestroom(form);
+      setForm(emptyForm);
+      await refresh();
+    } catch (error) {
+      console.error('Failed to create restroom:', error);
+      alert(getErrorMessage(error, 'Failed to create restroom.'));
+    }
+  };
+
+  const startEdit = (restroom) => {
+    setEditingId(restroom.id);
+    setEditForm({
+      name: restroom.name,
+      building: restroom.building || '',
+      floor: restroom.floor ?? '',
+      gender: restroom.gender || '',
+      checkIntervalMinutes: restroom.checkIntervalMinutes ?? ''
+    });
+  };
+
+  const handleSave = async () => {
+    try {
+      await api.updateRestroom(editingId, editForm);
+      setEditingId(null);
+      await refresh();
+    } catch (error) {
+      console.error('Failed to update restroom:', error);
+      alert(getErrorMessage(error, 'Failed to update restroom.'));
+    }
+  };
+
+  const handleArchive = async (restroom) => {
+    if (!window.confirm(`Archive ${restroom.name}? It will be hidden from staff, but its checks and incidents are kept.`)) {
+      return;
+    }
+    try {
+      await api.archiveRestroom(restroom.id);
+      await refresh();
+    } catch (error) {
+      console.error('Failed to archive restroom:', error);
+      alert(getErrorMessage(error, 'Failed to archive restroom.'));
+    }
+  };
+
+  const handleRestore = async (restroom) => {
+    try {
+      await api.updateRestroom(restroom.id, { active: true });
+      await refresh();
+    } catch (error) {
+      console.error('Failed to restore restroom:', error);
+      alert(getErrorMessage(error, 'Failed to restore restroom.'));
+    }
+  };
+
+  const inputClass = 'w-full border-2 border-gray-200 rounded-xl p-2 bg-white focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all outline-none';
+
+  const renderFields = (values, setValues) => (
+    <>
+      <input
+        className={inputClass}
+        placeholder="Name (e.g. B Wing)"
+        value={values.name}
+        onChange={(e) => setValues({ ...values, name: e.target.value })}
+      />
+      <input
+        className={inputClass}
+        placeholder="Building"
+        value={values.building}
+        onChange={(e) => setValues({ ...values, building: e.target.value })}
+      />
+      <input
+        className={inputClass}
+        type="number"
+        placeholder="Floor"
+        value={values.floor}
+        onChange={(e) => setValues({ ...values, floor: e.target.value })}
+      />
+      <select
+        className={inputClass}
+        value={values.gender}
+        onChange={(e) => setValues({ ...values, gender: e.target.value })}
+      >
+        <option value="">All-gender</option>
+        <option value="female">Female</option>
+        <option value="male">Male</option>
+      </select>
+      <input
+        className={inputClass}
+        type="number"
+        min="5"
+        placeholder="Check every (min)"
+        title="Leave empty to use the default interval"
+        value={values.checkIntervalMinutes}
+        onChange={(e) => setValues({ ...values, checkIntervalMinutes: e.target.value })}
+      />
+    </>
+  );
+
+  return (
+    <div className="bg-white rounded-2xl shadow-lg p-6 border border-gray-100">
+      <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center">
+        <span className="mr-2">🏫</span>
+        Manage Restrooms
+      </h2>
+
+      {/* Add restroom */}
+      <div className="grid md:grid-cols-6 gap-3 mb-6">
+        {renderFields(form, setForm)}
+        <button
+          className="bg-gradient-to-r from-blue-500 to-indigo-500 hover:from-blue-600 hover:to-indigo-600 text-white px-4 py-2 rounded-xl font-semibold transition-all duration-200 shadow-md hover:shadow-lg"
+          onClick={handleCreate}
+        >
+          + Add Restroom
+        </button>
+      </div>
+
+      {loading ? (
+        <p className="text-gray-500">Loading restrooms...</p>
+      ) : (
+        <div className="space-y-3">
+          {restrooms.map((restroom) => (
+            <div
+              key={restroom.id}
+              className={`p-4 rounded-xl border-2 ${restroom.active ? 'border-gray-200 bg-white' : 'border-gray-200 bg-gray-50 opacity-75'}`}
+            >
+              {editingId === restroom.id ? (
+                <div className="grid md:grid-cols-7 gap-3">
+                  {renderFields(editForm, setEditForm)}
+                  <button
+                    className="bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 text-white px-4 py-2 rounded-xl font-semibold transition-all duration-200 shadow-md"
+                    onClick={handleSave}
+                  >
+                    Save
+                  </button>
+                  <button
+                    className="bg-gray-300 hover:bg-gray-400 text-gray-800 px-4 py-2 rounded-xl font-semibold transition-all duration-200"
+                    onClick={() => setEditingId(null)}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              ) : (
+                <div className="flex flex-wrap items-center justify-between gap-3">
+                  <div>
+                    <h3 className="font-bold text-lg text-gray-800">
+                      {restroom.name}
+                      {!restroom.active && (
+                        <span className="ml-2 bg-gray-200 text-gray-700 text-xs px-2 py-1 rounded-full">Archived</span>
+                      )}
+                    </h3>
+                    <p className="text-sm text-gray-600">
+                      {restroom.building || 'No building'}
+                      {restroom.floor != null && ` · Floor ${restroom.floor}`}
+                      {` · ${genderLabel(restroom.gender)}`}
+                      {` · Check every ${restroom.effectiveCheckIntervalMinutes} min`}
+                      {restroom.checkIntervalMinutes == null && ' (default)'}
+                    </p>
+                  </div>
+                  <div className="flex gap-2">
+                    {restroom.active ? (
+                      <>
+                        <button
+                          className="bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded-xl font-semibold transition-all duration-200"
+                          onClick={() => startEdit(restroom)}
+                        >
+                          Edit
+                        </button>
+                        <button
+                          className="bg-red-100 hover:bg-red-200 text-red-800 px-4 py-2 rounded-xl font-semibold transition-all duration-200"
+                          onClick={() => handleArchive(restroom)}
+                        >
+                          Archive
+                        </button>
+                      </>
+                    ) : (
+                      <button
+                        className="bg-green-100 hover:bg-green-200 text-green-800 px-4 py-2 rounded-xl font-semibold transition-all duration-200"
+                        onClick={() => handleRestore(restroom)}
+                      >
+                        Restore
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RestroomAdmin;
@@ -0,0 +1,134 @@
+import React, { useState, useEffect } from 'react';
+import api, { getErrorMessage } from './api';
+import IncidentCard from './IncidentCard';
+
+const RECENT_CHECKS = 5;
+
+// Popup for one restroom, opened from a map pin or a status card: its status, recent checks and active incidents,
+// with shortcuts to log a check, report an incident or open its full history. Recent checks reload when a new
+// check comes in over the live updates (lastCheckedAt changes).
+function RestroomPanel({ restroom, status, schedule, incidents, can, staff, onStatusChange, onAssign, onLogCheck, onReportIncident, onShowHistory, onClose }) {
+  const [checks, setChecks] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    api.getChecks({ restroomId: restroom.id, limit: RECENT_CHECKS })
+      .then((page) => {
+        if (!cancelled) setChecks(page.items);
+      })
+      .catch((error) => {
+        console.error('Failed to load recent checks:', error);
+        if (!cancelled) alert(getErrorMessage(error, 'Failed to load recent checks.'));
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [restroom.id, restroom.lastCheckedAt]);
+
+  const place = [restroom.building, restroom.floor != null && restroom.floor !== '' && `Floor ${restroom.floor}`]
+    .filter(Boolean).join(' · ');
+  const actionButton = 'px-4 py-2 rounded-xl font-semibold transition-all duration-200';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={onClose}>
+      <div
+        className="bg-white rounded-2xl shadow-xl p-6 max-w-2xl w-full mx-4 max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-start justify-between gap-3 mb-4">
+          <div>
+            <h3 className="text-2xl font-bold text-gray-800">{status.icon} {restroom.name}</h3>
+            {place && <p className="text-sm text-gray-500">{place}</p>}
+          </div>
+          <button className="text-gray-400 hover:text-gray-700 text-2xl leading-none" onClick={onClose} title="Close">×</button>
+        </div>
+
+        <div className="flex flex-wrap gap-2 mb-4">
+          <span className={`px-3 py-1 rounded-full text-xs font-semibold text-white ${status.pin}`}>{status.label}</span>
+          {schedule && (
+            <span className={`px-3 py-1 rounded-full text-xs font-semibold ${schedule.overdue ? 'bg-amber-200 text-amber-800' : 'bg-blue-100 text-blue-800'}`}>
+              {schedule.overdue ? '⏰ ' : '🕐 '}{schedule.label}
+            </span>
+          )}
+          {restroom.flaggedSupplies?.map((supply) => (
+            <span
+              key={supply.supplyItemId}
+              className={`px-3 py-1 rounded-full text-xs font-semibold ${supply.level === 'out' ? 'bg-red-200 text-red-800' : 'bg-amber-200 text-amber-800'}`}
+            >
+              🧻 {supply.name} {supply.level}
+            </span>
+          ))}
+        </div>
+
+        <div className="flex flex-wrap gap-2 mb-6">
+          {can('checks.log') && (
+            <button
+              className={`${actionButton} bg-gradient-to-r from-blue-500 to-indigo-500 hover:from-blue-600 hover:to-indigo-600 text-white shadow-md disabled:opacity-50`}
+              onClick={onLogCheck}
+              disabled={incidents.length > 0}
+              title={incidents.length > 0 ? 'Resolve the active incident first' : undefined}
+            >
+              ✓ Log Check
+            </button>
+          )}
+          {can('incidents.report') && (
+            <button
+              className={`${actionButton} bg-gradient-to-r from-red-500 to-rose-500 hover:from-red-600 hover:to-rose-600 text-white shadow-md`}
+              onClick={onReportIncident}
+            >
+              🚨 Report Incident
+            </button>
+          )}
+          <button className={`${actionButton} bg-gray-100 hover:bg-gray-200 text-gray-800`} onClick={onShowHistory}>
+            📜 Full History
+          </button>
+        </div>
+
+        {incidents.length > 0 && (
+          <div className="space-y-4 mb-6">
+            <h4 className="font-bold text-gray-800">Active incidents</h4>
+            {incidents.map((incident) => (
+              <IncidentCard
+                key={incident.id}
+                incident={incident}
+                can={can}
+                staff={staff}
+                onStatusChange={onStatusChange}
+                onAssign={onAssign}
+              />
+            ))}
+          </div>
+        )}
+
+        <h4 className="font-bold text-gray-800 mb-2">Recent checks</h4>
+        {loading ? (
+          <p className="text-gray-500">Loading checks...</p>
+        ) : checks.length === 0 ? (
+          <p className="text-gray-500">No checks yet.</p>
+        ) : (
+          <ul className="space-y-2">
+            {checks.map((check) => {
+              const failed = (check.items || []).filter(item => !item.passed);
+              return (
+                <li key={check.id} className="text-sm text-gray-700 border-b border-gray-100 pb-2">
+                  <span className="font-semibold">{new Date(check.timestamp).toLocaleString()}</span>
+                  {` · 👤 ${check.custodian}`}
+                  {check.rating != null && ` · ${'★'.repeat(check.rating)}${'☆'.repeat(5 - check.rating)}`}
+                  {failed.length > 0 && ` · Needs attention: ${failed.map(item => item.label).join(', ')}`}
+                  {check.notes && <p className="text-gray-600 italic">“{check.notes}”</p>}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default RestroomPanel;
@@ -0,0 +1,272 @@
+import React, { useState, useEffect } from 'react';
+import api, { getErrorMessage } from './api';
+import { ROLES } from './roles';
+
+const emptyForm = { name: '', username: '', password: '', gender: '', role: 'custodian', campusId: '' };
+
+// Every role but plain custodian gets a badge next to the name
+const roleBadge = (value) => ROLES.find(role => role.value === value && role.badge);
+
+// Admin panel for staff accounts: create logins, change roles, reset passwords, deactivate. Lists the current
+// campus's staff and the district accounts; district admins can move staff between campuses, campus admins can
+// only manage their own campus's staff.
+function StaffAdmin({ currentUser, currentCampusId, campuses, onChange }) {
+  const isDistrictAdmin = !currentUser?.campusId;
+  const newForm = { ...emptyForm, campusId: currentCampusId || '' };
+  const [staff, setStaff] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(newForm);
+  const [editingId, setEditingId] = useState(null);
+  const [editForm, setEditForm] = useState(emptyForm);
+
+  const loadStaff = async () => {
+    try {
+      setStaff(await api.getCustodians());
+    } catch (error) {
+      console.error('Failed to load staff:', error);
+      alert(getErrorMessage(error, 'Failed to load staff.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadStaff();
+  }, []);
+
+  const refresh = async () => {
+    await loadStaff();
+    if (onChange) onChange();
+  };
+
+  const handleCreate = async () => {
+    if (!form.name.trim()) {
+      alert('Please enter a name');
+      return;
+    }
+    try {
+      await api.createCustodian(form);
+      setForm(newForm);
+      await refresh();
+    } catch (error) {
+      console.error('Failed to create staff account:', error);
+      alert(getErrorMessage(error, 'Failed to create staff account.'));
+    }
+  };
+
+  const startEdit = (person) => {
+    setEditingId(person.id);
+    setEditForm({
+      name: person.name,
+      username: person.username || '',
+      gender: person.gender || '',
+      role: person.role,
+      campusId: person.campusId || ''
+    });
+  };
+
+  const handleSave = async () => {
+    const person = staff.find(p => p.id === editingId);
+    if ((person.campusId || '') !== editForm.campusId
+      && !window.confirm(`Move ${person.name} to another campus? Their zones and restroom assignments are removed.`)) {
+      return;
+    }
+    try {
+      await api.updateCustodian(editingId, editForm);
+      setEditingId(null);
+      await refresh();
+    } catch (error) {
+      console.error('Failed to update staff account:', error);
+      alert(getErrorMessage(error, 'Failed to update staff account.'));
+    }
+  };
+
+  const handleSetPassword = async (person) => {
+    const password = window.prompt(`New password for ${person.name} (at least 8 characters):`);
+    if (!password) return;
+    try {
+      await api.setCustodianPassword(person.id, password);
+      alert(`Password updated for ${person.name}`);
+    } catch (error) {
+      console.error('Failed to set password:', error);
+      alert(getErrorMessage(error, 'Failed to set password.'));
+    }
+  };
+
+  const handleToggleActive = async (person) => {
+    if (person.active && !window.confirm(`Deactivate ${person.name}? They will no longer be able to log in.`)) {
+      return;
+    }
+    try {
+      await api.updateCustodian(person.id, { active: !person.active });
+      await refresh();
+    } catch (error) {
+      console.error('Failed to update staff account:', error);
+      alert(getErrorMessage(error, 'Failed to update staff account.'));
+    }
+  };
+
+  const inputClass = 'w-full border-2 border-gray-200 rounded-xl p-2 bg-white focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all outline-none';
+
+  const renderFields = (values, setValues) => (
+    <>
+      <input
+        className={inputClass}
+        placeholder="Name"
+        value={values.name}
+        onChange={(e) => setValues({ ...values, name: e.target.value })}
+      />
+      <input
+        className={inputClass}
+        placeholder="Username"
+        autoCapitalize="none"
+        value={values.username}
+        onChange={(e) => setValues({ ...values, username: e.target.value })}
+      />
+      <select
+        className={inputClass}
+        value={values.gender}
+        onChange={(e) => setValues({ ...values, gender: e.target.value })}
+      >
+        <option value="">No gender set</option>
+        <option value="female">Female</option>
+        <option value="male">Male</option>
+      </select>
+      <select
+        className={inputClass}
+        value={values.role}
+        onChange={(e) => setValues({ ...values, role: e.target.value })}
+      >
+        {ROLES.map((role) => (
+          <option key={role.value} value={role.value} title={role.description}>{role.label}</option>
+        ))}
+      </select>
+      {isDistrictAdmin && (
+        <select
+          className={inputClass}
+          title="Campus accounts only see their campus; district accounts can switch between campuses"
+          value={values.campusId}
+          onChange={(e) => setValues({ ...values, campusId: e.target.value })}
+        >
+          <option value="">District (all campuses)</option>
+          {campuses.filter(c => c.active).map((campus) => (
+            <option key={campus.id} value={campus.id}>{campus.name}</option>
+          ))}
+        </select>
+      )}
+    </>
+  );
+
+  return (
+    <div className="bg-white rounded-2xl shadow-lg p-6 border border-gray-100">
+      <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center">
+        <span className="mr-2">👥</span>
+        Manage Staff
+      </h2>
+
+      {/* Add staff account */}
+      <div className={`grid gap-3 mb-6 ${isDistrictAdmin ? 'md:grid-cols-7' : 'md:grid-cols-6'}`}>
+        {renderFields(form, setForm)}
+        <input
+          className={inputClass}
+          type="password"
+          autoComplete="new-password"
+          placeholder="Password"
+          value={form.password}
+          onChange={(e) => setForm({ ...form, password: e.target.value })}
+        />
+        <button
+          className="bg-gradient-to-r from-blue-500 to-indigo-500 hover:from-blue-600 hover:to-indigo-600 text-white px-4 py-2 rounded-xl font-semibold transition-all duration-200 shadow-md hover:shadow-lg"
+          onClick={handleCreate}
+        >
+          + Add Staff
+        </button>
+      </div>
+
+      {loading ? (
+        <p className="text-gray-500">Loading staff...</p>
+      ) : (
+        <div className="space-y-3">
+          {staff.map((person) => (
+            <div
+              key={person.id}
+              className={`p-4 rounded-xl border-2 ${person.active ? 'border-gray-200 bg-white' : 'border-gray-200 bg-gray-50 opacity-75'}`}
+            >
+              {editingId === person.id ? (
+                <div className={`grid gap-3 ${isDistrictAdmin ? 'md:grid-cols-7' : 'md:grid-cols-6'}`}>
+                  {renderFields(editForm, setEditForm)}
+                  <button
+                    className="bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 text-white px-4 py-2 rounded-xl font-semibold transition-all duration-200 shadow-md"
+                    onClick={handleSave}
+                  >
+                    Save
+                  </button>
+                  <button
+                    className="bg-gray-300 hover:bg-gray-400 text-gray-800 px-4 py-2 rounded-xl font-semibold transition-all duration-200"
+                    onClick={() => setEditingId(null)}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              ) : (
+                <div className="flex flex-wrap items-center justify-between gap-3">
+                  <div>
+                    <h3 className="font-bold text-lg text-gray-800">
+                      {person.name}
+                      {roleBadge(person.role) && (
+                        <span className={`ml-2 text-xs px-2 py-1 rounded-full ${roleBadge(person.role).badge}`}>
+                          {roleBadge(person.role).label}
+                        </span>
+                      )}
+                      {!person.campusId && (
+                        <span className="ml-2 bg-indigo-100 text-indigo-800 text-xs px-2 py-1 rounded-full">District</span>
+                      )}
+                      {!person.active && (
+                        <span className="ml-2 bg-gray-200 text-gray-700 text-xs px-2 py-1 rounded-full">Inactive</span>
+                      )}
+                    </h3>
+                    <p className="text-sm text-gray-600">
+                      {person.username ? `@${person.username}` : 'No login yet'}
+                    </p>
+                  </div>
+                  {(isDistrictAdmin || person.campusId === currentUser?.campusId) && (
+                    <div className="flex flex-wrap gap-2">
+                      <button
+                        className="bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded-xl font-semibold transition-all duration-200"
+                        onClick={() => startEdit(person)}
+                      >
+                        Edit
+                      </button>
+                      <button
+                        className="bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded-xl font-semibold transition-all duration-200 disabled:opacity-50"
+                        onClick={() => handleSetPassword(person)}
+                        disabled={!person.username}
+                        title={person.username ? '' : 'Set a username first'}
+                      >
+                        Set Password
+                      </button>
+                      {person.id !== currentUser?.id && (
+                        <button
+                          className={`px-4 py-2 rounded-xl font-semibold transition-all duration-200 ${
+                            person.active
+                              ? 'bg-red-100 hover:bg-red-200 text-red-800'
+                              : 'bg-green-100 hover:bg-green-200 text-green-800'
+                          }`}
+                          onClick={() => handleToggleActive(person)}
+                        >
+                          {person.active ? 'Deactivate' : 'Reactivate'}
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default StaffAdmin;
@@ -0,0 +1,191 @@
+import React, { useState, useEffect } from 'react';
+import api, { getErrorMessage } from './api';
+
+const emptyForm = { name: '', unit: '', stock: '', lowStockThreshold: '' };
+
+// Admin panel for the supply room: items, stock counts and low-stock thresholds
+function SupplyAdmin({ onChange }) {
+  const [supplies, setSupplies] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(emptyForm);
+
+  const loadSupplies = async () => {
+    try {
+      setSupplies(await api.getSupplies(true));
+    } catch (error) {
+      console.error('Failed to load supplies:', error);
+      alert(getErrorMessage(error, 'Failed to load supplies.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSupplies();
+  }, []);
+
+  const refresh = async () => {
+    await loadSupplies();
+    if (onChange) onChange();
+  };
+
+  const handleCreate = async () => {
+    if (!form.name.trim()) {
+      alert('Please enter a supply name');
+      return;
+    }
+    try {
+      await api.createSupply(form);
+      setForm(emptyForm);
+      await refresh();
+    } catch (error) {
+      console.error('Failed to create supply:', error);
+      alert(getErrorMessage(error, 'Failed to create supply.'));
+    }
+  };
+
+  const handleUpdate = async (supply, changes, failureMessage) => {
+    try {
+      await api.updateSupply(supply.id, changes);
+      await refresh();
+    } catch (error) {
+      console.error('Failed to update supply:', error);
+      alert(getErrorMessage(error, failureMessage));
+    }
+  };
+
+  // A delivery adds to the count; a stocktake replaces it
+  const handleReceive = (supply) => {
+    const what = supply.unit ? `${supply.unit} of ${supply.name}` : supply.name;
+    const answer = window.prompt(`How many ${what} arrived?`, '');
+    if (answer === null || answer.trim() === '') return;
+    const received = Number(answer);
+    if (!Number.isInteger(received) || received < 1) {
+      alert('Please enter a whole number');
+      return;
+    }
+    handleUpdate(supply, { stock: supply.stock + received }, 'Failed to update stock.');
+  };
+
+  const handleCount = (supply) => {
+    const answer = window.prompt(`Current count of ${supply.name} in the supply room:`, String(supply.stock));
+    if (answer === null || answer.trim() === '') return;
+    handleUpdate(supply, { stock: answer }, 'Failed to update stock.');
+  };
+
+  const handleThreshold = (supply) => {
+    const answer = window.prompt(`Warn when ${supply.name} is at or below:`, String(supply.lowStockThreshold));
+    if (answer === null || answer.trim() === '') return;
+    handleUpdate(supply, { lowStockThreshold: answer }, 'Failed to update threshold.');
+  };
+
+  const inputClass = 'w-full border-2 border-gray-200 rounded-xl p-2 bg-white focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all outline-none';
+  const smallButton = 'px-3 py-2 rounded-xl font-semibold transition-all duration-200';
+
+  return (
+    <div className="bg-white rounded-2xl shadow-lg p-6 border border-gray-100">
+      <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center">
+        <span className="mr-2">📦</span>
+        Supply Room
+      </h2>
+
+      {/* Add supply */}
+      <div className="grid md:grid-cols-5 gap-3 mb-6">
+        <input
+          className={inputClass}
+          placeholder="Name (e.g. Seat covers)"
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+        />
+        <input
+          className={inputClass}
+          placeholder="Unit (e.g. boxes)"
+          value={form.unit}
+          onChange={(e) => setForm({ ...form, unit: e.target.value })}
+        />
+        <input
+          className={inputClass}
+          type="number"
+          min="0"
+          placeholder="In stock"
+          value={form.stock}
+          onChange={(e) => setForm({ ...form, stock: e.target.value })}
+        />
+        <input
+          className={inputClass}
+          type="number"
+          min="0"
+          placeholder="Warn at (default 10)"
+          value={form.lowStockThreshold}
+          onChange={(e) => setForm({ ...form, lowStockThreshold: e.target.value })}
+        />
+        <button
+          className="bg-gradient-to-r from-blue-500 to-indigo-500 hover:from-blue-600 hover:to-indigo-600 text-white px-4 py-2 rounded-xl font-semibold transition-all duration-200 shadow-md hover:shadow-lg"
+          onClick={handleCreate}
+        >
+          + Add Supply
+        </button>
+      </div>
+
+      {loading ? (
+        <p className="text-gray-500">Loading supplies...</p>
+      ) : (
+        <div className="space-y-3">
+          {supplies.map((supply) => (
+            <div
+              key={supply.id}
+              className={`p-4 rounded-xl border-2 flex flex-wrap items-center justify-between gap-3 ${
+                !supply.active ? 'border-gray-200 bg-gray-50 opacity-75' : supply.isLow ? 'border-amber-300 bg-amber-50' : 'border-gray-200 bg-white'
+              }`}
+            >
+              <div>
+                <h3 className="font-bold text-lg text-gray-800">
+                  {supply.name}
+                  {!supply.active && (
+                    <span className="ml-2 bg-gray-200 text-gray-700 text-xs px-2 py-1 rounded-full">Retired</span>
+                  )}
+                  {supply.active && supply.isLow && (
+                    <span className="ml-2 bg-amber-200 text-amber-800 text-xs px-2 py-1 rounded-full">Low stock</span>
+                  )}
+                </h3>
+                <p className="text-sm text-gray-600">
+                  {supply.stock} {supply.unit || 'in stock'} · warns at {supply.lowStockThreshold}
+                </p>
+              </div>
+              <div className="flex flex-wrap gap-2">
+                {supply.active ? (
+                  <>
+                    <button className={`${smallButton} bg-green-100 hover:bg-green-200 text-green-800`} onClick={() => handleReceive(supply)}>
+                      + Delivery
+                    </button>
+                    <button className={`${smallButton} bg-gray-100 hover:bg-gray-200 text-gray-800`} onClick={() => handleCount(supply)}>
+                      Set Count
+                    </button>
+                    <button className={`${smallButton} bg-gray-100 hover:bg-gray-200 text-gray-800`} onClick={() => handleThreshold(supply)}>
+                      Threshold
+                    </button>
+                    <button
+                      className={`${smallButton} bg-red-100 hover:bg-red-200 text-red-800`}
+                      onClick={() => handleUpdate(supply, { active: false }, 'Failed to retire supply.')}
+                    >
+                      Retire
+                    </button>
+                  </>
+                ) : (
+                  <button
+                    className={`${smallButton} bg-green-100 hover:bg-green-200 text-green-800`}
+                    onClick={() => handleUpdate(supply, { active: true }, 'Failed to restore supply.')}
+                  >
+                    Restore
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SupplyAdmin;
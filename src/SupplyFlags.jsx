@@ -0,0 +1,55 @@
+import React from 'react';
+
+const LEVELS = [
+  { value: 'ok', label: 'OK', active: 'bg-green-500 border-green-500 text-white' },
+  { value: 'low', label: 'Low', active: 'bg-amber-500 border-amber-500 text-white' },
+  { value: 'out', label: 'Out', active: 'bg-red-500 border-red-500 text-white' }
+];
+
+// Lets a custodian flag supplies as low or out while logging a check. flags maps supplyItemId -> 'low' | 'out';
+// anything not in flags is OK.
+function SupplyFlags({ supplies, flags, onChange }) {
+  const setLevel = (supplyItemId, level) => {
+    const next = { ...flags };
+    if (level === 'ok') {
+      delete next[supplyItemId];
+    } else {
+      next[supplyItemId] = level;
+    }
+    onChange(next);
+  };
+
+  if (supplies.length === 0) return null;
+
+  return (
+    <div className="mb-4">
+      <label className="block mb-2 font-semibold text-gray-700">Supplies:</label>
+      <ul className="space-y-2">
+        {supplies.map((supply) => {
+          const current = flags[supply.id] || 'ok';
+          return (
+            <li key={supply.id} className="flex items-center justify-between gap-3 bg-gray-50 rounded-xl px-3 py-2">
+              <span className="text-gray-700">{supply.name}</span>
+              <div className="flex gap-1">
+                {LEVELS.map((level) => (
+                  <button
+                    key={level.value}
+                    type="button"
+                    className={`px-3 py-1 rounded-lg text-sm font-semibold border-2 transition-all duration-200 ${
+                      current === level.value ? level.active : 'bg-white border-gray-200 text-gray-500 hover:border-gray-300'
+                    }`}
+                    onClick={() => setLevel(supply.id, level.value)}
+                  >
+                    {level.label}
+                  </button>
+                ))}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+export default SupplyFlags;
@@ -15,10 +15,62 @@ axios.defaults.withCredentials = true;
 // Add request timeout
 axios.defaults.timeout = 10000; // 10 seconds
 
+// Uploads can take longer than the default timeout on a slow school Wi-Fi connection
+const UPLOAD_TIMEOUT = 60000;
+
+// Backing up or restoring a large database takes longer than a normal request
+const BACKUP_TIMEOUT = 120000;
+
+// JSON body, or multipart form data when photos (File objects) are attached
+const withPhotos = (fields, photos) => {
+  if (!photos || photos.length === 0) return [fields, {}];
+  const form = new FormData();
+  Object.entries(fields)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .forEach(([key, value]) => form.append(key, typeof value === 'object' ? JSON.stringify(value) : value));
+  photos.forEach((photo) => form.append('photos', photo));
+  return [form, { timeout: UPLOAD_TIMEOUT }];
+};
+
+// Offline sync options for logCheck and reportIncident: idempotencyKey makes retries safe (the server returns
+// the original record instead of a duplicate) and capturedAt is when the record was made, if not now
+const withSyncOptions = ([body, config], { idempotencyKey, capturedAt } = {}) => {
+  if (capturedAt) {
+    if (body instanceof FormData) body.append('capturedAt', capturedAt);
+    else body = { ...body, capturedAt };
+  }
+  const headers = idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {};
+  return [body, { ...config, headers }];
+};
+
+// CSRF token of the logged-in session, from the login and status responses. The server refuses logged-in
+// requests that change something unless they send it back.
+let csrfToken = null;
+
+const SAFE_METHODS = ['get', 'head', 'options'];
+
+axios.interceptors.request.use((config) => {
+  if (csrfToken && !SAFE_METHODS.includes((config.method || 'get').toLowerCase())) {
+    config.headers['X-CSRF-Token'] = csrfToken;
+  }
+  return config;
+});
+
+// Fetch the session's CSRF token again, e.g. after the server restarted with sessions from before tokens
+const refreshCsrfToken = async () => {
+  const response = await axios.get(`${API_BASE_URL}/auth/status`);
+  csrfToken = response.data.csrfToken || null;
+};
+
 // Add response interceptor for better error handling
 axios.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
+    // A stale CSRF token: get the current one and try once more
+    if (error.response?.status === 403 && error.response.data?.code === 'CSRF' && !error.config.csrfRetried) {
+      await refreshCsrfToken();
+      return axios({ ...error.config, csrfRetried: true });
+    }
     if (error.code === 'ECONNABORTED') {
       error.message = 'Request timeout - server is taking too long to respond';
     } else if (error.code === 'ERR_NETWORK') {
@@ -30,6 +82,13 @@ axios.interceptors.response.use(
   }
 );
 
+// Pull a user-facing message out of an axios error
+export const getErrorMessage = (error, fallback = 'Something went wrong. Please try again.') => {
+  if (error.response?.data?.error) return error.response.data.error;
+  if (error.message) return error.message;
+  return fallback;
+};
+
 const api = {
   // Get all restrooms
   getRestrooms: async () => {
@@ -37,74 +96,337 @@ const api = {
     return response.data;
   },
 
-  // Get all custodians
-  getCustodians: async () => {
-    const response = await axios.get(`${API_BASE_URL}/custodians`);
+  // Floor plans of the current campus's buildings, for the dashboard map
+  getFloorPlans: async () => {
+    const response = await axios.get(`${API_BASE_URL}/floor-plans`);
+    return response.data;
+  },
+
+  // Upload a building's floor plan (SVG, PNG, JPEG or WebP), replacing its old one (admin only)
+  uploadFloorPlan: async (building, image) => {
+    const form = new FormData();
+    form.append('building', building);
+    form.append('image', image);
+    const response = await axios.post(`${API_BASE_URL}/floor-plans`, form, { timeout: UPLOAD_TIMEOUT });
     return response.data;
   },
 
-  // Get all checks
-  getChecks: async () => {
-    const response = await axios.get(`${API_BASE_URL}/checks`);
+  // Remove a building's floor plan (admin only)
+  deleteFloorPlan: async (planId) => {
+    const response = await axios.delete(`${API_BASE_URL}/floor-plans/${encodeURIComponent(planId)}`);
     return response.data;
   },
 
-  // Log a check
-  logCheck: async (custodianId, restroomId, notes = '') => {
-    const response = await axios.post(`${API_BASE_URL}/checks`, {
-      custodianId,
-      restroomId,
-      notes
+  // The plan's image; updatedAt in the URL makes browsers fetch a replaced plan again
+  floorPlanUrl: (plan) =>
+    `${API_BASE_URL}/floor-plans/${encodeURIComponent(plan.id)}/image?v=${encodeURIComponent(plan.updatedAt)}`,
+
+  // Get all restrooms including archived ones (admin only)
+  getAllRestrooms: async () => {
+    const response = await axios.get(`${API_BASE_URL}/restrooms`, {
+      params: { includeArchived: true }
     });
     return response.data;
   },
 
-  // Get all incidents
-  getIncidents: async () => {
-    const response = await axios.get(`${API_BASE_URL}/incidents`);
+  // Create a restroom (admin only)
+  createRestroom: async (restroom) => {
+    const response = await axios.post(`${API_BASE_URL}/restrooms`, restroom);
     return response.data;
   },
 
-  // Report incident
-  reportIncident: async (custodianId, restroomId, description, severity = 'medium') => {
-    const response = await axios.post(`${API_BASE_URL}/incidents`, {
-      custodianId,
-      restroomId,
-      description,
-      severity
+  // Update a restroom (admin only); pass { active: true } to restore an archived one
+  updateRestroom: async (restroomId, changes) => {
+    const response = await axios.put(`${API_BASE_URL}/restrooms/${encodeURIComponent(restroomId)}`, changes);
+    return response.data;
+  },
+
+  // Archive a restroom (admin only)
+  archiveRestroom: async (restroomId) => {
+    const response = await axios.post(`${API_BASE_URL}/restrooms/${encodeURIComponent(restroomId)}/archive`);
+    return response.data;
+  },
+
+  // Checklist answered on every check; admins pass includeInactive to also see retired items
+  getChecklistItems: async (includeInactive = false) => {
+    const response = await axios.get(`${API_BASE_URL}/checklist-items`, {
+      params: includeInactive ? { includeInactive: true } : {}
     });
     return response.data;
   },
 
-  // Resolve incident
-  resolveIncident: async (incidentId) => {
-    const response = await axios.post(`${API_BASE_URL}/incidents/resolve`, {
-      incidentId
-    }, {
-      withCredentials: true
+  // Add a checklist item (admin only)
+  createChecklistItem: async (label) => {
+    const response = await axios.post(`${API_BASE_URL}/checklist-items`, { label });
+    return response.data;
+  },
+
+  // Update a checklist item's label, position or active flag (admin only)
+  updateChecklistItem: async (itemId, changes) => {
+    const response = await axios.put(`${API_BASE_URL}/checklist-items/${encodeURIComponent(itemId)}`, changes);
+    return response.data;
+  },
+
+  // Supply items with the supply room's stock; admins pass includeInactive to also see retired items
+  getSupplies: async (includeInactive = false) => {
+    const response = await axios.get(`${API_BASE_URL}/supplies`, {
+      params: includeInactive ? { includeInactive: true } : {}
     });
     return response.data;
   },
 
-  // Admin authentication
-  checkAdminStatus: async () => {
-    const response = await axios.get(`${API_BASE_URL}/admin/status`, {
-      withCredentials: true
+  // Supply room inventory (admin only)
+  createSupply: async (supply) => {
+    const response = await axios.post(`${API_BASE_URL}/supplies`, supply);
+    return response.data;
+  },
+
+  updateSupply: async (supplyItemId, changes) => {
+    const response = await axios.put(`${API_BASE_URL}/supplies/${encodeURIComponent(supplyItemId)}`, changes);
+    return response.data;
+  },
+
+  // Web Push settings for the logged-in admin: { enabled, publicKey, severities, devices }
+  getPushSettings: async () => {
+    const response = await axios.get(`${API_BASE_URL}/push`);
+    return response.data;
+  },
+
+  // subscription is PushSubscription.toJSON(); see push.js
+  subscribePush: async (subscription) => {
+    const response = await axios.post(`${API_BASE_URL}/push/subscriptions`, { subscription });
+    return response.data;
+  },
+
+  unsubscribePush: async (endpoint) => {
+    const response = await axios.delete(`${API_BASE_URL}/push/subscriptions`, { data: { endpoint } });
+    return response.data;
+  },
+
+  // Which incident severities are pushed to the logged-in admin, e.g. ['high']
+  updatePushPreferences: async (severities) => {
+    const response = await axios.put(`${API_BASE_URL}/push/preferences`, { severities });
+    return response.data;
+  },
+
+  // Analytics (admin only). range is { from, to } as YYYY-MM-DD dates (inclusive); the server defaults to
+  // the last 30 days. Days, weekdays and hours are in the school's time zone.
+  getChecksPerDay: async (range = {}) => {
+    const response = await axios.get(`${API_BASE_URL}/analytics/checks-per-day`, { params: range });
+    return response.data;
+  },
+
+  getCheckGaps: async (range = {}) => {
+    const response = await axios.get(`${API_BASE_URL}/analytics/check-gaps`, { params: range });
+    return response.data;
+  },
+
+  getResolutionTimes: async (range = {}) => {
+    const response = await axios.get(`${API_BASE_URL}/analytics/resolution-times`, { params: range });
+    return response.data;
+  },
+
+  getIncidentHeatmap: async (range = {}) => {
+    const response = await axios.get(`${API_BASE_URL}/analytics/incident-heatmap`, { params: range });
+    return response.data;
+  },
+
+  // Reports (admin only). These return URLs for download links rather than fetching the file.
+  // Monthly PDF report for a 'YYYY-MM' month
+  monthlyReportUrl: (month) => `${API_BASE_URL}/reports/monthly/${encodeURIComponent(month)}`,
+
+  // Every check and incident in range ({ from, to } dates, inclusive) as 'csv' or 'xlsx'
+  reportExportUrl: (range, format) => `${API_BASE_URL}/reports/export?${new URLSearchParams({ ...range, format })}`,
+
+  archivedReportUrl: (filename) => `${API_BASE_URL}/reports/archive/${encodeURIComponent(filename)}`,
+
+  // Archived monthly reports, newest first: [{ month, files: [{ filename, format, size, createdAt }] }]
+  getArchivedReports: async () => {
+    const response = await axios.get(`${API_BASE_URL}/reports/archive`);
+    return response.data;
+  },
+
+  // Regenerate a finished month's archived reports
+  archiveReport: async (month) => {
+    const response = await axios.post(`${API_BASE_URL}/reports/archive`, { month });
+    return response.data;
+  },
+
+  // Audit log (admin only). One page of entries, newest first: { items, nextCursor, actions }.
+  // filters: actorId, action (comma-separated list), targetType, targetId, from, to (YYYY-MM-DD, inclusive),
+  // limit, cursor
+  getAuditLog: async (filters = {}) => {
+    const response = await axios.get(`${API_BASE_URL}/audit`, { params: filters });
+    return response.data;
+  },
+
+  // The entries matching filters (same as getAuditLog, without paging) as 'csv' or 'xlsx'
+  auditExportUrl: (filters, format) => `${API_BASE_URL}/audit/export?${new URLSearchParams({ ...filters, format })}`,
+
+  // Backups (admin only): { items: [{ filename, kind, size, createdAt }], schedule, retentionDays }
+  getBackups: async () => {
+    const response = await axios.get(`${API_BASE_URL}/backups`);
+    return response.data;
+  },
+
+  createBackup: async () => {
+    const response = await axios.post(`${API_BASE_URL}/backups`, null, { timeout: BACKUP_TIMEOUT });
+    return response.data;
+  },
+
+  backupUrl: (filename) => `${API_BASE_URL}/backups/${encodeURIComponent(filename)}`,
+
+  // { ok, problems, schemaVersion, counts }
+  verifyBackup: async (filename) => {
+    const response = await axios.post(`${API_BASE_URL}/backups/${encodeURIComponent(filename)}/verify`);
+    return response.data;
+  },
+
+  // Replace all data with the backup: { success, previousData } where previousData is the backup of what was replaced
+  restoreBackup: async (filename) => {
+    const response = await axios.post(`${API_BASE_URL}/backups/${encodeURIComponent(filename)}/restore`, null, { timeout: BACKUP_TIMEOUT });
+    return response.data;
+  },
+
+  // Restock requests (admin only); status is 'open' (default), 'fulfilled', 'cancelled' or 'all'
+  getRestockRequests: async (status = 'open') => {
+    const response = await axios.get(`${API_BASE_URL}/restock-requests`, { params: { status } });
+    return response.data;
+  },
+
+  // Takes quantity out of the supply room and marks the restroom's supply ok again
+  fulfillRestockRequest: async (requestId, quantity = 1) => {
+    const response = await axios.post(`${API_BASE_URL}/restock-requests/${requestId}/fulfill`, { quantity });
+    return response.data;
+  },
+
+  cancelRestockRequest: async (requestId) => {
+    const response = await axios.post(`${API_BASE_URL}/restock-requests/${requestId}/cancel`);
+    return response.data;
+  },
+
+  // Public restroom page (no login needed): name, problem categories and a formToken to send back
+  getPublicRestroom: async (restroomId) => {
+    const response = await axios.get(`${API_BASE_URL}/public/restrooms/${encodeURIComponent(restroomId)}`);
+    return response.data;
+  },
+
+  // report: { kind: 'issue', category, comment } or { kind: 'feedback', rating: 'up' | 'down', comment },
+  // plus formToken and the honeypot field website (left empty by people)
+  submitPublicReport: async (restroomId, report) => {
+    const response = await axios.post(`${API_BASE_URL}/public/restrooms/${encodeURIComponent(restroomId)}/reports`, report);
+    return response.data;
+  },
+
+  // Public report moderation queue (admin only); status is 'pending' (default), 'promoted', 'dismissed' or 'all'
+  getPublicReports: async (status = 'pending') => {
+    const response = await axios.get(`${API_BASE_URL}/public-reports`, { params: { status } });
+    return response.data;
+  },
+
+  // Opens an incident from the report; severity and description default to the report's suggestion
+  promotePublicReport: async (reportId, { severity, description } = {}) => {
+    const response = await axios.post(`${API_BASE_URL}/public-reports/${reportId}/promote`, { severity, description });
+    return response.data;
+  },
+
+  dismissPublicReport: async (reportId) => {
+    const response = await axios.post(`${API_BASE_URL}/public-reports/${reportId}/dismiss`);
+    return response.data;
+  },
+
+  // Get all custodians
+  getCustodians: async () => {
+    const response = await axios.get(`${API_BASE_URL}/custodians`);
+    return response.data;
+  },
+
+  // Restroom assignment (admin only)
+  getZones: async () => {
+    const response = await axios.get(`${API_BASE_URL}/zones`);
+    return response.data;
+  },
+
+  createZone: async (zone) => {
+    const response = await axios.post(`${API_BASE_URL}/zones`, zone);
+    return response.data;
+  },
+
+  // Pass restroomIds / custodianIds to replace the zone's members
+  updateZone: async (zoneId, changes) => {
+    const response = await axios.put(`${API_BASE_URL}/zones/${encodeURIComponent(zoneId)}`, changes);
+    return response.data;
+  },
+
+  deleteZone: async (zoneId) => {
+    const response = await axios.delete(`${API_BASE_URL}/zones/${encodeURIComponent(zoneId)}`);
+    return response.data;
+  },
+
+  // Replace a custodian's zones and/or direct restroom assignments
+  updateCustodianAssignments: async (custodianId, assignments) => {
+    const response = await axios.put(`${API_BASE_URL}/custodians/${encodeURIComponent(custodianId)}/assignments`, assignments);
+    return response.data;
+  },
+
+  // One page of checks, newest first: { items, nextCursor }.
+  // filters: restroomId, custodianId, from, to (YYYY-MM-DD, inclusive), limit, cursor (nextCursor of the previous page)
+  getChecks: async (filters = {}) => {
+    const response = await axios.get(`${API_BASE_URL}/checks`, { params: filters });
+    return response.data;
+  },
+
+  // Log a check (the server records the logged-in user as the custodian).
+  // items is [{ itemId, passed }] for every active checklist item; rating is 1-5;
+  // supplies is [{ supplyItemId, level: 'low' | 'out' }] for anything running out.
+  // Resolves to { id, failedItems } so the caller can offer to open an incident.
+  // options: { idempotencyKey, capturedAt } (see withSyncOptions)
+  logCheck: async (restroomId, { items, rating, notes = '', supplies = [] }, photos = [], options = {}) => {
+    const [body, config] = withSyncOptions(withPhotos({ restroomId, items, rating, notes, supplies }, photos), options);
+    const response = await axios.post(`${API_BASE_URL}/checks`, body, config);
+    return response.data;
+  },
+
+  // One page of incidents, newest first: { items, nextCursor }. Same filters as getChecks, plus
+  // status and severity (comma-separated lists, e.g. status: 'open,acknowledged')
+  getIncidents: async (filters = {}) => {
+    const response = await axios.get(`${API_BASE_URL}/incidents`, { params: filters });
+    return response.data;
+  },
+
+  // Report incident (the server records the logged-in user as the reporter)
+  // options: { idempotencyKey, capturedAt } (see withSyncOptions)
+  reportIncident: async (restroomId, description, severity = 'medium', photos = [], options = {}) => {
+    const [body, config] = withSyncOptions(withPhotos({ restroomId, description, severity }, photos), options);
+    const response = await axios.post(`${API_BASE_URL}/incidents`, body, config);
+    return response.data;
+  },
+
+  // URL of an attached photo, or of its thumbnail; usable directly as an <img> src (the session cookie is sent)
+  attachmentUrl: (attachmentId, thumb = false) =>
+    `${API_BASE_URL}/attachments/${encodeURIComponent(attachmentId)}${thumb ? '/thumb' : ''}`,
+
+  // Move an incident to 'acknowledged', 'in_progress', 'resolved' or back to 'open' (reopen)
+  updateIncidentStatus: async (incidentId, status, comment = '') => {
+    const response = await axios.post(`${API_BASE_URL}/incidents/${encodeURIComponent(incidentId)}/status`, {
+      status,
+      comment
     });
     return response.data;
   },
 
-  adminLogin: async (password) => {
-    const response = await axios.post(`${API_BASE_URL}/admin/login`, {
-      password
-    }, {
-      withCredentials: true
+  // Assign an incident to a staff member, or pass null to unassign (admin only)
+  assignIncident: async (incidentId, assigneeId, comment = '') => {
+    const response = await axios.post(`${API_BASE_URL}/incidents/${encodeURIComponent(incidentId)}/assign`, {
+      assigneeId,
+      comment
     });
     return response.data;
   },
 
-  adminLogout: async () => {
-    const response = await axios.post(`${API_BASE_URL}/admin/logout`, {}, {
+  // The logged-in user's role and permissions
+  getPermissions: async () => {
+    const response = await axios.get(`${API_BASE_URL}/admin/status`, {
       withCredentials: true
     });
     return response.data;
@@ -115,15 +437,18 @@ const api = {
     const response = await axios.get(`${API_BASE_URL}/auth/status`, {
       withCredentials: true
     });
+    csrfToken = response.data.csrfToken || null;
     return response.data;
   },
 
-  userLogin: async (password) => {
+  userLogin: async (username, password) => {
     const response = await axios.post(`${API_BASE_URL}/auth/login`, {
+      username,
       password
     }, {
       withCredentials: true
     });
+    csrfToken = response.data.csrfToken;
     return response.data;
   },
 
@@ -131,17 +456,75 @@ const api = {
     const response = await axios.post(`${API_BASE_URL}/auth/logout`, {}, {
       withCredentials: true
     });
+    csrfToken = null;
+    return response.data;
+  },
+
+  changePassword: async (currentPassword, newPassword) => {
+    const response = await axios.post(`${API_BASE_URL}/auth/password`, {
+      currentPassword,
+      newPassword
+    });
+    return response.data;
+  },
+
+  // Campuses the user can work in, with their settings (district admins also see archived ones)
+  getCampuses: async () => {
+    const response = await axios.get(`${API_BASE_URL}/campuses`);
+    return response.data;
+  },
+
+  // Add a campus (district admins only)
+  createCampus: async (campus) => {
+    const response = await axios.post(`${API_BASE_URL}/campuses`, campus);
+    return response.data;
+  },
+
+  // Change a campus's name or settings; empty settings fall back to the server defaults
+  updateCampus: async (campusId, changes) => {
+    const response = await axios.put(`${API_BASE_URL}/campuses/${encodeURIComponent(campusId)}`, changes);
+    return response.data;
+  },
+
+  // Archive a campus that no longer has restrooms or staff (district admins only)
+  archiveCampus: async (campusId) => {
+    const response = await axios.post(`${API_BASE_URL}/campuses/${encodeURIComponent(campusId)}/archive`);
+    return response.data;
+  },
+
+  // Work in another campus for the rest of this session (district accounts only)
+  switchCampus: async (campusId) => {
+    const response = await axios.post(`${API_BASE_URL}/auth/campus`, { campusId });
+    return response.data;
+  },
+
+  // Staff accounts (admin only)
+  createCustodian: async (custodian) => {
+    const response = await axios.post(`${API_BASE_URL}/custodians`, custodian);
+    return response.data;
+  },
+
+  updateCustodian: async (custodianId, changes) => {
+    const response = await axios.put(`${API_BASE_URL}/custodians/${encodeURIComponent(custodianId)}`, changes);
+    return response.data;
+  },
+
+  setCustodianPassword: async (custodianId, password) => {
+    const response = await axios.post(`${API_BASE_URL}/custodians/${encodeURIComponent(custodianId)}/password`, {
+      password
+    });
     return response.data;
   },
 
-  // SSE stream URL for live updates (events only; app refetches data on event)
-  getEventsUrl: () => {
+  // SSE stream URL for live updates (typed events carrying the changed record; needs the session cookie).
+  // lastEventId asks the server for whatever was missed since that event.
+  getEventsUrl: (lastEventId) => {
     const base = import.meta.env.VITE_API_URL != null && import.meta.env.VITE_API_URL !== ''
       ? import.meta.env.VITE_API_URL.replace(/\/$/, '')
       : import.meta.env.DEV
         ? 'http://localhost:3000/api'
         : '/api';
-    return base + '/events';
+    return base + '/events' + (lastEventId ? `?lastEventId=${encodeURIComponent(lastEventId)}` : '');
   }
 };
 
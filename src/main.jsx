@@ -2,9 +2,20 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import PublicReport from './PublicReport.jsx'
+import { registerServiceWorker } from './serviceWorker'
+import { parsePublicReportLink } from './restroomLinks'
+
+// The public restroom page needs no login, so it skips the staff app entirely
+const publicRestroomId = parsePublicReportLink(window.location.pathname)
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {publicRestroomId ? <PublicReport restroomId={publicRestroomId} /> : <App />}
   </StrictMode>,
 )
+
+// In development Vite serves fresh modules; caching them would get in the way
+if (import.meta.env.PROD) {
+  registerServiceWorker()
+}
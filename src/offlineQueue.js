@@ -0,0 +1,100 @@
+// Checks and incidents that could not be sent (no connection) wait here, in IndexedDB, until they can be.
+// Each entry keeps the idempotency key and capture time it was first submitted with, so replaying it after
+// a lost response never creates a duplicate and the record keeps the time it was really made.
+import api from './api';
+
+const DB_NAME = 'hygieia-offline';
+const STORE = 'outbox';
+
+// Server answers that mean "try again later" rather than "this will never be accepted"
+const RETRYABLE_STATUSES = [401, 408, 429];
+
+// What the reverse proxy answers while the backend is down or restarting
+const GATEWAY_STATUSES = [502, 503, 504];
+
+const openDb = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'key' });
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Run one request against the outbox and resolve with its result
+const withStore = async (mode, operation) => {
+  const db = await openDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const request = operation(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+};
+
+// Random key for the Idempotency-Key header. crypto.randomUUID needs HTTPS, getRandomValues does not.
+export const newIdempotencyKey = () =>
+  Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+
+// True when a request failed because the server could not be reached (as opposed to rejecting it)
+export const isOfflineError = (error) => !navigator.onLine || !error.response;
+
+// entry: { key, type: 'check' | 'incident', userId, capturedAt, restroom (name, for messages), data, photos }
+// Photos are File objects, which IndexedDB stores as they are.
+const queueSubmission = (entry) => withStore('readwrite', store => store.put(entry));
+
+// Queued entries for a user, oldest first
+export const getQueued = async (userId) => {
+  const entries = await withStore('readonly', store => store.getAll());
+  return entries.filter(entry => entry.userId === userId).sort((a, b) => a.capturedAt.localeCompare(b.capturedAt));
+};
+
+const removeQueued = (key) => withStore('readwrite', store => store.delete(key));
+
+const send = (entry) => {
+  const options = { idempotencyKey: entry.key, capturedAt: entry.capturedAt };
+  if (entry.type === 'check') {
+    return api.logCheck(entry.data.restroomId, entry.data, entry.photos, options);
+  }
+  const { restroomId, description, severity } = entry.data;
+  return api.reportIncident(restroomId, description, severity, entry.photos, options);
+};
+
+// Send a new check or incident entry now, or queue it when the server cannot be reached (including when the
+// browser knows it is offline, or the proxy says the backend is down). Resolves to { result } from the server
+// or { queued: true }; other errors throw.
+export const submitOrQueue = async (entry) => {
+  if (navigator.onLine) {
+    try {
+      return { result: await send(entry) };
+    } catch (error) {
+      if (!isOfflineError(error) && !GATEWAY_STATUSES.includes(error.response.status)) throw error;
+    }
+  }
+  await queueSubmission(entry);
+  return { queued: true };
+};
+
+// Send a user's queued entries in the order they were made. Stops at the first one that cannot reach the
+// server (it stays queued for next time). Entries the server rejects outright are dropped and returned in
+// rejected so the user can be told. Resolves to { sent, rejected: [{ entry, message }], remaining }.
+export const syncQueued = async (userId) => {
+  const entries = await getQueued(userId);
+  let sent = 0;
+  const rejected = [];
+  for (const entry of entries) {
+    try {
+      await send(entry);
+      sent += 1;
+    } catch (error) {
+      if (isOfflineError(error) || error.response.status >= 500 || RETRYABLE_STATUSES.includes(error.response.status)) {
+        break;
+      }
+      rejected.push({ entry, message: error.response.data?.error || `Server answered ${error.response.status}` });
+    }
+    await removeQueued(entry.key);
+  }
+  return { sent, rejected, remaining: entries.length - sent - rejected.length };
+};
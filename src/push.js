@@ -0,0 +1,45 @@
+// Browser side of Web Push: manages this browser's push subscription on the service worker.
+import api from './api';
+import { SERVICE_WORKER_URL, isServiceWorkerSupported, registerServiceWorker } from './serviceWorker';
+
+export const isPushSupported = () =>
+  isServiceWorkerSupported() && 'PushManager' in window && 'Notification' in window;
+
+// VAPID keys are URL-safe base64; PushManager wants the raw bytes
+const urlBase64ToUint8Array = (base64) => {
+  const padded = (base64 + '='.repeat((4 - (base64.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(padded), c => c.charCodeAt(0));
+};
+
+// This browser's current subscription, or null
+export const getPushSubscription = async () => {
+  if (!isPushSupported()) return null;
+  const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+  return registration ? registration.pushManager.getSubscription() : null;
+};
+
+// Ask for notification permission, subscribe this browser and save the subscription on the server.
+// Throws if the user blocks notifications.
+export const enablePush = async (publicKey) => {
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') {
+    throw new Error('Notifications are blocked for this site. Allow them in your browser settings and try again.');
+  }
+  const registration = await registerServiceWorker();
+  if (!registration) {
+    throw new Error('This browser could not set up notifications.');
+  }
+  await navigator.serviceWorker.ready;
+  const subscription = await registration.pushManager.getSubscription()
+    || await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: urlBase64ToUint8Array(publicKey) });
+  await api.subscribePush(subscription.toJSON());
+  return subscription;
+};
+
+// Unsubscribe this browser and remove it on the server
+export const disablePush = async () => {
+  const subscription = await getPushSubscription();
+  if (!subscription) return;
+  await api.unsubscribePush(subscription.endpoint);
+  await subscription.unsubscribe();
+};
@@ -0,0 +1,41 @@
+// Deep links printed as QR codes on restroom doors:
+//   /r/<restroomId>           opens the check form for that restroom
+//   /r/<restroomId>/incident  opens the incident form
+//   /report/<restroomId>      the public page where anyone can report a problem without logging in
+// The staff links only pick the restroom; login and assignments apply as usual.
+
+export const LINK_FORMS = [
+  { value: 'check', label: 'Log a check', caption: 'Scan to log a check' },
+  { value: 'incident', label: 'Report an incident', caption: 'Scan to report an incident' },
+  { value: 'public', label: 'Public problem report', caption: 'Something wrong? Scan to let us know' }
+];
+
+const LINK_PATHS = {
+  check: (id) => `/r/${id}`,
+  incident: (id) => `/r/${id}/incident`,
+  public: (id) => `/report/${id}`
+};
+
+export const restroomLink = (restroomId, form = 'check') =>
+  `${window.location.origin}${LINK_PATHS[form](encodeURIComponent(restroomId))}`;
+
+const decodeId = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return null;
+  }
+};
+
+// { restroomId, form } for a staff deep-link path, or null
+export const parseRestroomLink = (pathname) => {
+  const match = pathname.match(/^\/r\/([^/]+)(?:\/(incident))?\/?$/);
+  const restroomId = match && decodeId(match[1]);
+  return restroomId ? { restroomId, form: match[2] || 'check' } : null;
+};
+
+// The restroom id of a public report page path, or null
+export const parsePublicReportLink = (pathname) => {
+  const match = pathname.match(/^\/report\/([^/]+)\/?$/);
+  return match && decodeId(match[1]);
+};
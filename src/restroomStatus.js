@@ -0,0 +1,18 @@
+// How a restroom shows on the dashboard map, most urgent first. Closed means outside school hours, when no
+// check is due (the server sends no dueAt).
+export const RESTROOM_STATUSES = [
+  { value: 'incident', label: 'Active incident', icon: '🚨', pin: 'bg-red-500 ring-red-200' },
+  { value: 'overdue', label: 'Overdue', icon: '⏰', pin: 'bg-amber-500 ring-amber-200' },
+  { value: 'clear', label: 'All clear', icon: '✅', pin: 'bg-green-500 ring-green-200' },
+  { value: 'closed', label: 'Closed', icon: '🌙', pin: 'bg-gray-400 ring-gray-200' }
+];
+
+// The RESTROOM_STATUSES entry for a restroom, given whether it has an unresolved incident and the time now (ms)
+export const getRestroomStatus = (restroom, hasIncident, now) => {
+  const value = hasIncident
+    ? 'incident'
+    : !restroom.dueAt
+      ? 'closed'
+      : new Date(restroom.dueAt).getTime() < now ? 'overdue' : 'clear';
+  return RESTROOM_STATUSES.find(status => status.value === value);
+};
@@ -0,0 +1,9 @@
+// Roles an admin can give a staff account, in the order the Staff page lists them. What each role may do is
+// decided by the server (PERMISSIONS in server.js); the descriptions only summarise it.
+export const ROLES = [
+  { value: 'custodian', label: 'Custodian', description: 'Logs checks and incidents and works incidents in their restrooms' },
+  { value: 'lead', label: 'Lead', description: 'A custodian who also resolves low-severity incidents, restocks and handles public reports', badge: 'bg-amber-200 text-amber-800' },
+  { value: 'supervisor', label: 'Supervisor', description: 'Works every restroom, resolves, reopens and assigns any incident, sees analytics and reports', badge: 'bg-blue-200 text-blue-800' },
+  { value: 'viewer', label: 'Viewer', description: 'Read-only: every restroom, history, analytics and reports', badge: 'bg-gray-200 text-gray-700' },
+  { value: 'admin', label: 'Admin', description: 'Everything on their campus, including setup and staff accounts. District admins also manage campuses, the checklist, supplies, the audit log and backups', badge: 'bg-green-200 text-green-800' }
+];
@@ -0,0 +1,22 @@
+// Registers public/sw.js, which caches the app for offline use and shows push notifications.
+// Service workers need HTTPS (or localhost); elsewhere the app still works, just not offline after a reload.
+
+export const SERVICE_WORKER_URL = `${import.meta.env.BASE_URL}sw.js`;
+
+export const isServiceWorkerSupported = () => 'serviceWorker' in navigator;
+
+// Resolves to the registration, or null where service workers are unavailable
+export const registerServiceWorker = async () => {
+  if (!isServiceWorkerSupported()) return null;
+  try {
+    return await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+  } catch (error) {
+    console.error('Service worker registration failed:', error);
+    return null;
+  }
+};
+
+// Drop cached API responses (called on logout so the next user never sees them offline)
+export const clearApiCache = () => {
+  navigator.serviceWorker?.controller?.postMessage({ type: 'clear-api-cache' });
+};
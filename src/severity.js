@@ -0,0 +1,9 @@
+// Severity options in the order they appear on the report form
+export const SEVERITY_LEVELS = [
+  { value: 'low', label: 'Low', badge: 'bg-gray-200 text-gray-700' },
+  { value: 'medium', label: 'Medium', badge: 'bg-yellow-200 text-yellow-800' },
+  { value: 'high', label: 'High', badge: 'bg-red-600 text-white' }
+];
+
+// Higher rank sorts first in Pending Incidents
+export const SEVERITY_RANK = { low: 0, medium: 1, high: 2 };